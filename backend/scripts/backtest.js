@@ -0,0 +1,98 @@
+// backend/scripts/backtest.js
+// Runs the entry/exit rules over stored candles and token discoveries.
+//
+//   node scripts/backtest.js [--from <iso|ms>] [--to <iso|ms>] [--resolution 1m] [--balance 10]
+//                            [--strategy strategy.json] [--set exit.stopLoss=-15 ...] [--db path] [--json]
+//
+// --strategy takes a JSON file of overrides ({ "entry": {...}, "exit": {...}, "sizing": {...} });
+// --set overrides a single parameter and can be repeated.
+
+require('dotenv').config();
+const fs = require('fs');
+const DatabaseManager = require('../src/utils/database');
+const Backtester = require('../src/backtest/backtester');
+
+function parseTime(value) {
+    return /^\d+$/.test(value) ? parseInt(value) : new Date(value).getTime();
+}
+
+function parseArgs(argv) {
+    const args = { from: null, to: null, resolution: '1m', balance: null, strategy: {}, db: undefined, json: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--from': args.from = parseTime(argv[++i]); break;
+            case '--to': args.to = parseTime(argv[++i]); break;
+            case '--resolution': args.resolution = argv[++i]; break;
+            case '--balance': args.balance = parseFloat(argv[++i]); break;
+            case '--db': args.db = argv[++i]; break;
+            case '--json': args.json = true; break;
+            case '--strategy': {
+                const overrides = JSON.parse(fs.readFileSync(argv[++i], 'utf8'));
+                for (const [section, values] of Object.entries(overrides)) {
+                    args.strategy[section] = { ...(args.strategy[section] || {}), ...values };
+                }
+                break;
+            }
+            case '--set': {
+                const [name, value] = argv[++i].split('=');
+                const [section, key] = name.split('.');
+                args.strategy[section] = { ...(args.strategy[section] || {}), [key]: parseFloat(value) };
+                break;
+            }
+            default:
+                throw new Error(`Unknown argument ${argv[i]}`);
+        }
+    }
+
+    return args;
+}
+
+function printReport(report) {
+    const m = report.metrics;
+
+    console.log(`\n📊 Backtest ${new Date(report.period.from).toISOString()} → ${new Date(report.period.to).toISOString()} (${report.period.resolution})`);
+    console.log(`   Universe: ${report.universe.tokens} tokens, ${report.universe.bars} bars`);
+    console.log(`   Return: ${m.totalReturn.toFixed(2)}% (${m.startBalance} → ${m.finalEquity.toFixed(4)} SOL)`);
+    console.log(`   Trades: ${m.trades}, win rate ${m.winRate.toFixed(1)}%, profit factor ${m.profitFactor.toFixed(2)}`);
+    console.log(`   Avg win ${m.avgWin.toFixed(4)} SOL, avg loss ${m.avgLoss.toFixed(4)} SOL, avg hold ${m.avgHoldMinutes.toFixed(0)} min`);
+    console.log(`   Max drawdown: ${m.maxDrawdown.toFixed(2)}%, Sharpe: ${m.sharpe.toFixed(2)}`);
+    console.log(`   Exits: ${JSON.stringify(m.exitReasons)}\n`);
+
+    if (report.trades.length > 0) {
+        console.table(report.trades.map(trade => ({
+            symbol: trade.symbol,
+            entry: new Date(trade.entryTime).toISOString(),
+            hold: `${trade.holdMinutes.toFixed(0)}m`,
+            pnl: trade.pnl.toFixed(4),
+            pct: `${trade.pnlPercent.toFixed(1)}%`,
+            reason: trade.reason
+        })));
+    }
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const db = new DatabaseManager(args.db);
+
+    const backtester = new Backtester(db, {
+        from: args.from,
+        to: args.to,
+        resolution: args.resolution,
+        startBalance: args.balance ?? undefined
+    });
+    const report = await backtester.run(args.strategy);
+
+    if (args.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        printReport(report);
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error('Backtest failed:', error.message);
+        process.exit(1);
+    });
@@ -0,0 +1,117 @@
+// backend/scripts/optimize.js
+// Sweeps strategy parameters over stored history with walk-forward validation.
+//
+//   node scripts/optimize.js --space space.json [--from <iso|ms>] [--to <iso|ms>] [--folds 3]
+//                            [--search grid|random] [--samples 50] [--objective totalReturn]
+//                            [--min-trades 3] [--resolution 1m] [--balance 10]
+//                            [--export [file]] [--db path] [--json]
+//
+// space.json maps parameter names to values or ranges:
+//   { "entry.minSocialScore": [10, 15, 20], "exit.stopLoss": { "min": -30, "max": -10, "step": 5 },
+//     "scanner.ageWeight": [0.2, 0.3, 0.4] }
+// --export writes the best set to the strategy file the bot loads (data/strategy.json by default).
+
+require('dotenv').config();
+const fs = require('fs');
+const DatabaseManager = require('../src/utils/database');
+const Optimizer = require('../src/backtest/optimizer');
+const { DEFAULT_CONFIG_PATH } = require('../src/utils/strategy_config');
+
+function parseTime(value) {
+    return /^\d+$/.test(value) ? parseInt(value) : new Date(value).getTime();
+}
+
+function parseArgs(argv) {
+    const args = {
+        from: null, to: null, folds: 3, search: 'grid', samples: 50, objective: 'totalReturn',
+        minTrades: 3, resolution: '1m', balance: undefined, space: null, export: null, db: undefined, json: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--from': args.from = parseTime(argv[++i]); break;
+            case '--to': args.to = parseTime(argv[++i]); break;
+            case '--folds': args.folds = parseInt(argv[++i]); break;
+            case '--search': args.search = argv[++i]; break;
+            case '--samples': args.samples = parseInt(argv[++i]); break;
+            case '--objective': args.objective = argv[++i]; break;
+            case '--min-trades': args.minTrades = parseInt(argv[++i]); break;
+            case '--resolution': args.resolution = argv[++i]; break;
+            case '--balance': args.balance = parseFloat(argv[++i]); break;
+            case '--space': args.space = JSON.parse(fs.readFileSync(argv[++i], 'utf8')); break;
+            case '--db': args.db = argv[++i]; break;
+            case '--json': args.json = true; break;
+            case '--export':
+                // Optional path
+                args.export = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : DEFAULT_CONFIG_PATH;
+                break;
+            default:
+                throw new Error(`Unknown argument ${argv[i]}`);
+        }
+    }
+
+    return args;
+}
+
+const format = (score) => score === null ? '-' : score.toFixed(2);
+
+function printReport(report) {
+    console.log(`\n🔧 ${report.search} search, ${report.candidates} parameter sets, objective ${report.objective}`);
+    console.log(`   ${new Date(report.period.from).toISOString()} → ${new Date(report.period.to).toISOString()} (${report.period.resolution})\n`);
+
+    console.log('Walk-forward folds (best on train, scored on test):');
+    console.table(report.folds.map(fold => ({
+        fold: fold.fold,
+        test: `${new Date(fold.test.from).toISOString().slice(0, 16)} → ${new Date(fold.test.to).toISOString().slice(0, 16)}`,
+        train: format(fold.trainScore),
+        test_score: format(fold.testScore),
+        params: JSON.stringify(fold.params)
+    })));
+    console.log(`   Walk-forward score: ${format(report.walkForwardScore)}\n`);
+
+    console.log('Ranking by mean test score:');
+    console.table(report.ranking.map(result => ({
+        test: format(result.meanTest),
+        train: format(result.meanTrain),
+        folds: result.scoredFolds,
+        trades: result.testTrades,
+        params: JSON.stringify(result.params)
+    })));
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const db = new DatabaseManager(args.db);
+
+    const optimizer = new Optimizer(db, {
+        from: args.from,
+        to: args.to,
+        folds: args.folds,
+        search: args.search,
+        samples: args.samples,
+        objective: args.objective,
+        minTrades: args.minTrades,
+        resolution: args.resolution,
+        startBalance: args.balance,
+        space: args.space || {}
+    });
+    const report = await optimizer.run();
+
+    if (args.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        printReport(report);
+    }
+
+    if (args.export) {
+        optimizer.exportBest(report, args.export);
+        if (!args.json) console.log(`\n💾 Best parameters written to ${args.export}`);
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error('Optimization failed:', error.message);
+        process.exit(1);
+    });
@@ -0,0 +1,75 @@
+// backend/scripts/replay.js
+// Replays a recorded event log (RECORD_EVENTS=true) through the bot on a virtual clock.
+//
+//   node scripts/replay.js <file.jsonl.gz | directory> [--db replay.db] [--from <iso|ms>] [--to <iso|ms>] [--tail <seconds>] [--json]
+//
+// Trades are always paper trades, written to --db (in memory by default).
+
+require('dotenv').config();
+const ReplayDriver = require('../src/replay/replay_driver');
+
+function parseTime(value) {
+    if (!value) return null;
+    return /^\d+$/.test(value) ? parseInt(value) : new Date(value).getTime();
+}
+
+function parseArgs(argv) {
+    const args = { target: null, db: ':memory:', from: null, to: null, tail: 60, json: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--db': args.db = argv[++i]; break;
+            case '--from': args.from = parseTime(argv[++i]); break;
+            case '--to': args.to = parseTime(argv[++i]); break;
+            case '--tail': args.tail = parseFloat(argv[++i]); break;
+            case '--json': args.json = true; break;
+            default: args.target = argv[i];
+        }
+    }
+
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.target) {
+        console.error('Usage: node scripts/replay.js <file.jsonl.gz | directory> [--db path] [--from time] [--to time] [--tail seconds] [--json]');
+        process.exit(1);
+    }
+
+    const driver = new ReplayDriver({
+        files: ReplayDriver.resolveFiles(args.target),
+        dbPath: args.db,
+        from: args.from,
+        to: args.to,
+        tail: args.tail * 1000
+    });
+
+    const report = await driver.run();
+
+    if (args.json) {
+        console.log(JSON.stringify(report, null, 2));
+        return;
+    }
+
+    console.log(`\n⏪ Replayed ${new Date(report.from).toISOString()} → ${new Date(report.to).toISOString()}`);
+    console.log(`   Events: ${report.events.loaded} loaded, ${report.events.dispatched} notifications delivered`);
+    console.log(`   Served: ${report.events.httpServed} HTTP, ${report.rpc.served} RPC responses`);
+    console.log(`   Missing HTTP: ${JSON.stringify(report.events.httpMissing)}  Missing RPC: ${JSON.stringify(report.rpc.missing)}`);
+    console.log(`   Tokens stored: ${report.tokens}`);
+    console.log(`   Risk decisions: ${report.riskDecisions.length} (${report.riskDecisions.filter(d => d.approved).length} approved)`);
+    console.log(`   Paper balance: ${report.paperBalance.toFixed(4)} SOL\n`);
+
+    if (report.trades.length > 0) {
+        console.table(report.trades);
+    } else {
+        console.log('   No trades');
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error('Replay failed:', error);
+        process.exit(1);
+    });
@@ -0,0 +1,215 @@
+// backend/src/analzyers/risk_manager.js
+const { parseMetadata } = require('../utils/metadata');
+const logger = require('../utils/logger');
+
+// Pre-trade risk gate. Every buy - scanner-driven or influencer-driven - is
+// evaluated here and either approved or rejected with a list of reasons.
+class RiskManager {
+    constructor(database) {
+        this.db = database;
+
+        this.config = {
+            maxPositions: parseInt(process.env.MAX_POSITIONS || '10'),
+            maxDailyLoss: parseFloat(process.env.MAX_DAILY_LOSS || '0.05'), // fraction of start-of-day equity
+            maxTokenExposure: parseFloat(process.env.MAX_TOKEN_EXPOSURE || process.env.MAX_POSITION_SIZE || '0.1'), // SOL
+            maxSourceExposure: parseFloat(process.env.MAX_SOURCE_EXPOSURE || '0.5'), // SOL
+            maxDeployerExposure: parseFloat(process.env.MAX_DEPLOYER_EXPOSURE || '0.2'), // SOL
+            lossStreak: parseInt(process.env.RISK_LOSS_STREAK || '3'),
+            lossCooldownMinutes: parseFloat(process.env.RISK_LOSS_COOLDOWN_MINUTES || '30'),
+            tokenCooldownMinutes: parseFloat(process.env.RISK_TOKEN_COOLDOWN_MINUTES || '60')
+        };
+
+        this.dayStart = new Map(); // mode -> { day, equity } at the first check of the UTC day
+        this.decisions = []; // most recent first
+        this.maxDecisions = 100;
+        this.stats = {
+            evaluated: 0,
+            approved: 0,
+            rejected: 0,
+            rejectionsByCheck: {}
+        };
+    }
+
+    // Checks that don't depend on the token - lets callers skip scanning entirely
+    checkAccount(mode, balance) {
+        return [
+            this.checkDailyLoss(mode, balance),
+            this.checkLossCooldown(mode),
+            this.checkMaxPositions(mode)
+        ];
+    }
+
+    canTrade(mode, balance) {
+        return this.checkAccount(mode, balance).every(check => check.passed);
+    }
+
+    // Returns { approved, reasons: [{ check, passed, message, value, limit }] }.
+    // checks are extra results computed by the caller, e.g. the honeypot simulation.
+    evaluate({ token, size, mode, balance, strategy, checks = [] }) {
+        const metadata = parseMetadata(token.metadata);
+        const source = token.source || metadata.source || 'unknown';
+        const creator = token.creator || metadata.creator || null;
+
+        const reasons = [
+            ...this.checkAccount(mode, balance),
+            this.checkBalance(size, balance),
+            this.checkTokenCooldown(token.address, mode),
+            this.checkTokenExposure(token.address, size, mode),
+            this.checkSourceExposure(source, size, mode),
+            this.checkDeployerExposure(creator, size, mode),
+            ...checks
+        ];
+
+        const decision = {
+            approved: reasons.every(reason => reason.passed),
+            token: token.address,
+            symbol: token.symbol,
+            strategy: strategy || 'default',
+            size: size,
+            mode: mode,
+            reasons: reasons,
+            timestamp: Date.now()
+        };
+
+        this.record(decision);
+        return decision;
+    }
+
+    checkDailyLoss(mode, balance) {
+        const dailyPnL = this.db.getDailyPnL(mode);
+        // Only losses count, measured against the day's starting equity
+        const startEquity = this.startOfDayEquity(mode, balance, dailyPnL);
+        const loss = dailyPnL < 0 && startEquity > 0 ? -dailyPnL / startEquity : 0;
+
+        return this.result('daily_loss', loss < this.config.maxDailyLoss,
+            `Daily loss ${(loss * 100).toFixed(2)}% of ${(this.config.maxDailyLoss * 100).toFixed(2)}% limit`,
+            loss, this.config.maxDailyLoss);
+    }
+
+    // Equity is free SOL plus what's invested in open positions - the balance
+    // alone drops with every buy. Snapshotted once per UTC day, backing out
+    // anything already realized today when the first check comes mid-day.
+    startOfDayEquity(mode, balance, dailyPnL) {
+        const day = new Date().toISOString().slice(0, 10);
+        const snapshot = this.dayStart.get(mode);
+        if (snapshot?.day === day) return snapshot.equity;
+
+        const equity = balance + this.db.getExposure(mode) - dailyPnL;
+        this.dayStart.set(mode, { day, equity });
+        return equity;
+    }
+
+    checkLossCooldown(mode) {
+        const recent = this.db.getRecentClosedTrades(this.config.lossStreak, mode);
+        const streak = recent.length === this.config.lossStreak &&
+            recent.every(trade => trade.profit_loss < 0);
+
+        if (!streak) {
+            return this.result('loss_cooldown', true, 'No losing streak', 0, this.config.lossStreak);
+        }
+
+        const remaining = this.cooldownRemaining(recent[0].executed_at, this.config.lossCooldownMinutes);
+        return this.result('loss_cooldown', remaining <= 0,
+            remaining > 0
+                ? `${this.config.lossStreak} losses in a row, cooling down for ${Math.ceil(remaining)} more minutes`
+                : 'Loss cooldown elapsed',
+            remaining, this.config.lossCooldownMinutes);
+    }
+
+    checkMaxPositions(mode) {
+        const open = this.db.countOpenPositions(mode);
+        return this.result('max_positions', open < this.config.maxPositions,
+            `${open}/${this.config.maxPositions} positions open`,
+            open, this.config.maxPositions);
+    }
+
+    checkBalance(size, balance) {
+        return this.result('balance', size > 0 && size <= balance,
+            `Size ${size.toFixed(4)} SOL against ${balance.toFixed(4)} SOL available`,
+            size, balance);
+    }
+
+    checkTokenCooldown(tokenAddress, mode) {
+        const lastLoss = this.db.getLastLosingTrade(tokenAddress, mode);
+        const remaining = lastLoss
+            ? this.cooldownRemaining(lastLoss.executed_at, this.config.tokenCooldownMinutes)
+            : 0;
+
+        return this.result('token_cooldown', remaining <= 0,
+            remaining > 0
+                ? `Lost on this token recently, cooling down for ${Math.ceil(remaining)} more minutes`
+                : 'No recent loss on this token',
+            remaining, this.config.tokenCooldownMinutes);
+    }
+
+    checkTokenExposure(tokenAddress, size, mode) {
+        const exposure = this.db.getPosition(tokenAddress, mode)?.total_invested || 0;
+        return this.exposureResult('token_exposure', exposure, size, this.config.maxTokenExposure, 'token');
+    }
+
+    checkSourceExposure(source, size, mode) {
+        const exposure = this.db.getExposure(mode, { source });
+        return this.exposureResult('source_exposure', exposure, size, this.config.maxSourceExposure, `source ${source}`);
+    }
+
+    checkDeployerExposure(creator, size, mode) {
+        if (!creator) {
+            return this.result('deployer_exposure', true, 'Deployer unknown', 0, this.config.maxDeployerExposure);
+        }
+
+        const exposure = this.db.getExposure(mode, { creator });
+        return this.exposureResult('deployer_exposure', exposure, size, this.config.maxDeployerExposure, `deployer ${creator}`);
+    }
+
+    exposureResult(check, exposure, size, limit, label) {
+        const total = exposure + size;
+        return this.result(check, total <= limit,
+            `Exposure to ${label} would be ${total.toFixed(4)}/${limit} SOL`,
+            total, limit);
+    }
+
+    result(check, passed, message, value, limit) {
+        return { check, passed, message, value, limit };
+    }
+
+    // Minutes left on a cooldown that started at a SQLite UTC timestamp
+    cooldownRemaining(startedAt, minutes) {
+        if (!startedAt) return 0;
+        const elapsed = (Date.now() - new Date(startedAt + 'Z').getTime()) / 60000;
+        return minutes - elapsed;
+    }
+
+    record(decision) {
+        this.stats.evaluated++;
+
+        if (decision.approved) {
+            this.stats.approved++;
+            logger.info(`🛡️ Risk approved ${decision.symbol} (${decision.size.toFixed(3)} SOL)`);
+        } else {
+            this.stats.rejected++;
+            const failed = decision.reasons.filter(reason => !reason.passed);
+            for (const reason of failed) {
+                this.stats.rejectionsByCheck[reason.check] = (this.stats.rejectionsByCheck[reason.check] || 0) + 1;
+            }
+            logger.warn(`🛡️ Risk rejected ${decision.symbol}: ${failed.map(reason => reason.message).join('; ')}`);
+        }
+
+        this.decisions.unshift(decision);
+        if (this.decisions.length > this.maxDecisions) {
+            this.decisions.pop();
+        }
+    }
+
+    getRecentDecisions(limit = 20) {
+        return this.decisions.slice(0, limit);
+    }
+
+    getStats() {
+        return {
+            config: this.config,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = RiskManager;
@@ -0,0 +1,313 @@
+// backend/src/analzyers/token_analyzer.js
+const { PublicKey } = require('@solana/web3.js');
+const {
+    TOKEN_PROGRAM_ID,
+    TOKEN_2022_PROGRAM_ID,
+    AccountState,
+    unpackMint,
+    unpackAccount,
+    getTransferFeeConfig,
+    getTransferHook,
+    getPermanentDelegate,
+    getDefaultAccountState,
+    getMintCloseAuthority,
+    getNonTransferable
+} = require('@solana/spl-token');
+const logger = require('../utils/logger');
+
+const RAYDIUM_V4 = '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8';
+const RAYDIUM_CPMM = 'CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C';
+const PUMP_FUN_PROGRAM = '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P';
+const INCINERATOR = '1nc1nerator11111111111111111111111111111111';
+
+// Token accounts owned by these hold pool liquidity, not a whale's bag
+const POOL_AUTHORITIES = [
+    '5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1', // Raydium AMM v4 authority
+    'GpMZbSM2GgvTKHJirzeGfMFoaZ8UR2X7F4v8vHTvxFbL', // Raydium CPMM vault authority
+    INCINERATOR
+];
+
+// Risk points each finding adds to the on-chain score (capped at 100):
+//   mintAuthority      - supply can still be inflated
+//   freezeAuthority    - holders can be frozen so they can't sell
+//   concentration*     - top 10 holders (excluding pools) own more than 50% / 30%
+//   creator*           - creator wallet still holds more than 10% / 5%
+//   liquidity*         - less than 50% / 90% of LP burned, or LP status unknown
+//   transferFee*       - Token-2022 transfer fee above 5% / any fee
+//   transferHook       - arbitrary program runs on every transfer
+//   permanentDelegate  - someone can move or burn anyone's tokens
+//   nonTransferable    - tokens can't be sold at all
+//   defaultFrozen      - new accounts start frozen
+//   closeAuthority     - mint can be closed
+const RISK_WEIGHTS = {
+    mintAuthority: 25,
+    freezeAuthority: 20,
+    concentrationHigh: 20,
+    concentrationMedium: 10,
+    creatorHigh: 15,
+    creatorMedium: 8,
+    liquidityUnlocked: 20,
+    liquidityPartial: 10,
+    liquidityUnknown: 5,
+    transferFeeHigh: 30,
+    transferFee: 15,
+    transferHook: 20,
+    permanentDelegate: 30,
+    nonTransferable: 100,
+    defaultFrozen: 20,
+    closeAuthority: 10
+};
+
+// Reads a token's mint, holders and pool on-chain and explains the rug risk it finds
+class TokenAnalyzer {
+    constructor(connection) {
+        this.connection = connection;
+    }
+
+    // Returns { riskScore, checks: [{ check, status, risk, detail }], analyzedAt }.
+    // status is 'pass', 'warn', 'fail' or 'unknown' (the data couldn't be read).
+    async analyze(token) {
+        const mintAddress = new PublicKey(token.address);
+        const mintInfo = await this.connection.getAccountInfo(mintAddress);
+
+        if (!mintInfo) {
+            throw new Error(`Mint account ${token.address} not found`);
+        }
+
+        const programId = mintInfo.owner.equals(TOKEN_2022_PROGRAM_ID) ? TOKEN_2022_PROGRAM_ID : TOKEN_PROGRAM_ID;
+        const mint = unpackMint(mintAddress, mintInfo, programId);
+
+        const checks = [
+            ...this.checkAuthorities(mint),
+            ...this.checkExtensions(mint, programId)
+        ];
+
+        const [concentration, creator, liquidity] = await Promise.all([
+            this.safely('holder_concentration', () => this.analyzeHolders(mint, programId, token)),
+            this.safely('creator_holdings', () => this.analyzeCreator(mint, token)),
+            this.safely('liquidity_lock', () => this.analyzeLiquidity(token))
+        ]);
+        checks.push(concentration, creator, liquidity);
+
+        const riskScore = Math.min(100, checks.reduce((sum, check) => sum + check.risk, 0));
+
+        return {
+            riskScore: riskScore,
+            tokenProgram: programId.equals(TOKEN_2022_PROGRAM_ID) ? 'token-2022' : 'spl-token',
+            checks: checks,
+            analyzedAt: Date.now()
+        };
+    }
+
+    // A check whose RPC calls fail is reported as unknown rather than failing the whole analysis
+    async safely(check, run) {
+        try {
+            return await run();
+        } catch (error) {
+            logger.debug(`Token check ${check} failed:`, error.message);
+            return this.result(check, 'unknown', 0, error.message);
+        }
+    }
+
+    result(check, status, risk, detail) {
+        return { check, status, risk, detail };
+    }
+
+    checkAuthorities(mint) {
+        return [
+            mint.mintAuthority
+                ? this.result('mint_authority', 'fail', RISK_WEIGHTS.mintAuthority, `Mint authority ${mint.mintAuthority.toBase58()} can mint more supply`)
+                : this.result('mint_authority', 'pass', 0, 'Mint authority revoked'),
+            mint.freezeAuthority
+                ? this.result('freeze_authority', 'fail', RISK_WEIGHTS.freezeAuthority, `Freeze authority ${mint.freezeAuthority.toBase58()} can freeze holders`)
+                : this.result('freeze_authority', 'pass', 0, 'Freeze authority revoked')
+        ];
+    }
+
+    checkExtensions(mint, programId) {
+        if (!programId.equals(TOKEN_2022_PROGRAM_ID)) return [];
+
+        const checks = [];
+
+        const transferFee = getTransferFeeConfig(mint);
+        if (transferFee) {
+            const bps = transferFee.newerTransferFee.transferFeeBasisPoints;
+            checks.push(bps > 0
+                ? this.result('transfer_fee', 'fail',
+                    bps > 500 ? RISK_WEIGHTS.transferFeeHigh : RISK_WEIGHTS.transferFee,
+                    `Transfer fee of ${(bps / 100).toFixed(2)}%`)
+                : this.result('transfer_fee', 'warn', 0, 'Transfer fee extension present but set to 0%'));
+        }
+
+        const transferHook = getTransferHook(mint);
+        if (transferHook?.programId && !transferHook.programId.equals(PublicKey.default)) {
+            checks.push(this.result('transfer_hook', 'fail', RISK_WEIGHTS.transferHook,
+                `Transfer hook program ${transferHook.programId.toBase58()}`));
+        }
+
+        const permanentDelegate = getPermanentDelegate(mint);
+        if (permanentDelegate?.delegate && !permanentDelegate.delegate.equals(PublicKey.default)) {
+            checks.push(this.result('permanent_delegate', 'fail', RISK_WEIGHTS.permanentDelegate,
+                `Permanent delegate ${permanentDelegate.delegate.toBase58()} can move any holder's tokens`));
+        }
+
+        if (getNonTransferable(mint)) {
+            checks.push(this.result('non_transferable', 'fail', RISK_WEIGHTS.nonTransferable, 'Token is non-transferable'));
+        }
+
+        if (getDefaultAccountState(mint)?.state === AccountState.Frozen) {
+            checks.push(this.result('default_frozen', 'fail', RISK_WEIGHTS.defaultFrozen, 'New token accounts start frozen'));
+        }
+
+        const closeAuthority = getMintCloseAuthority(mint);
+        if (closeAuthority?.closeAuthority && !closeAuthority.closeAuthority.equals(PublicKey.default)) {
+            checks.push(this.result('close_authority', 'warn', RISK_WEIGHTS.closeAuthority,
+                `Mint close authority ${closeAuthority.closeAuthority.toBase58()}`));
+        }
+
+        if (checks.length === 0) {
+            checks.push(this.result('token_2022_extensions', 'pass', 0, 'No risky Token-2022 extensions'));
+        }
+
+        return checks;
+    }
+
+    async analyzeHolders(mint, programId, token) {
+        const { value: largest } = await this.connection.getTokenLargestAccounts(mint.address);
+        const accounts = await this.connection.getMultipleAccountsInfo(largest.map(a => a.address));
+
+        const holders = largest.map((account, i) => ({
+            address: account.address.toBase58(),
+            owner: accounts[i] ? unpackAccount(account.address, accounts[i], programId).owner.toBase58() : null,
+            amount: BigInt(account.amount)
+        }));
+
+        return this.checkHolderConcentration(mint.supply, holders, this.getPoolOwners(token));
+    }
+
+    // Addresses whose holdings are pool liquidity for this token
+    getPoolOwners(token) {
+        const owners = [...POOL_AUTHORITIES];
+        const pool = token.pairAddress || token.poolAddress;
+        if (pool) owners.push(pool);
+
+        // Pump.fun tokens sit in the bonding curve account until they migrate
+        const [bondingCurve] = PublicKey.findProgramAddressSync(
+            [Buffer.from('bonding-curve'), new PublicKey(token.address).toBuffer()],
+            new PublicKey(PUMP_FUN_PROGRAM)
+        );
+        owners.push(bondingCurve.toBase58());
+
+        return owners;
+    }
+
+    checkHolderConcentration(supply, holders, poolOwners) {
+        if (supply === 0n) {
+            return this.result('holder_concentration', 'unknown', 0, 'Mint has zero supply');
+        }
+
+        const top10 = holders
+            .filter(holder => !poolOwners.includes(holder.owner) && !poolOwners.includes(holder.address))
+            .slice(0, 10);
+        const held = top10.reduce((sum, holder) => sum + holder.amount, 0n);
+        const share = Number(held * 10000n / supply) / 100;
+        const detail = `Top ${top10.length} holders own ${share.toFixed(2)}% of supply (pools excluded)`;
+
+        if (share > 50) return this.result('holder_concentration', 'fail', RISK_WEIGHTS.concentrationHigh, detail);
+        if (share > 30) return this.result('holder_concentration', 'warn', RISK_WEIGHTS.concentrationMedium, detail);
+        return this.result('holder_concentration', 'pass', 0, detail);
+    }
+
+    async analyzeCreator(mint, token) {
+        if (!token.creator) {
+            return this.result('creator_holdings', 'unknown', 0, 'Creator wallet unknown');
+        }
+
+        const { value } = await this.connection.getTokenAccountsByOwner(
+            new PublicKey(token.creator),
+            { mint: mint.address }
+        );
+        const held = value.reduce((sum, { pubkey, account }) =>
+            sum + unpackAccount(pubkey, account, account.owner).amount, 0n);
+
+        return this.checkCreatorHoldings(held, mint.supply, token.creator);
+    }
+
+    checkCreatorHoldings(held, supply, creator) {
+        if (supply === 0n) {
+            return this.result('creator_holdings', 'unknown', 0, 'Mint has zero supply');
+        }
+
+        const share = Number(held * 10000n / supply) / 100;
+        const detail = `Creator ${creator} holds ${share.toFixed(2)}% of supply`;
+
+        if (share > 10) return this.result('creator_holdings', 'fail', RISK_WEIGHTS.creatorHigh, detail);
+        if (share > 5) return this.result('creator_holdings', 'warn', RISK_WEIGHTS.creatorMedium, detail);
+        return this.result('creator_holdings', 'pass', 0, detail);
+    }
+
+    async analyzeLiquidity(token) {
+        const poolAddress = token.pairAddress || token.poolAddress;
+
+        if (!poolAddress) {
+            if (token.source === 'pumpfun' || token.isPumpFun) {
+                return this.result('liquidity_lock', 'pass', 0, 'Still on the pump.fun bonding curve - no LP to pull');
+            }
+            return this.result('liquidity_lock', 'unknown', RISK_WEIGHTS.liquidityUnknown, 'Pool address unknown');
+        }
+
+        const poolInfo = await this.connection.getAccountInfo(new PublicKey(poolAddress));
+        const pool = poolInfo && this.decodeLpInfo(poolInfo);
+
+        if (!pool) {
+            return this.result('liquidity_lock', 'unknown', RISK_WEIGHTS.liquidityUnknown,
+                'Pool type not supported for LP checks');
+        }
+
+        const lpMintInfo = await this.connection.getAccountInfo(pool.lpMint);
+        const lpMint = unpackMint(pool.lpMint, lpMintInfo, lpMintInfo.owner);
+
+        return this.checkLiquidityLock(pool.lpIssued, lpMint.supply);
+    }
+
+    // LP mint and how much LP the pool ever issued, for the AMMs whose layout we know
+    decodeLpInfo(poolInfo) {
+        const data = poolInfo.data;
+        const owner = poolInfo.owner.toBase58();
+
+        if (owner === RAYDIUM_V4 && data.length >= 728) {
+            return {
+                lpMint: new PublicKey(data.subarray(464, 496)),
+                lpIssued: data.readBigUInt64LE(720) // lpReserve
+            };
+        }
+
+        if (owner === RAYDIUM_CPMM && data.length >= 341) {
+            return {
+                lpMint: new PublicKey(data.subarray(136, 168)),
+                lpIssued: data.readBigUInt64LE(333) // lp_supply
+            };
+        }
+
+        return null;
+    }
+
+    // LP burned with the token program shrinks the mint supply below what the pool issued
+    checkLiquidityLock(lpIssued, lpSupply) {
+        if (lpIssued === 0n) {
+            return this.result('liquidity_lock', 'unknown', RISK_WEIGHTS.liquidityUnknown, 'Pool reports no LP issued');
+        }
+
+        const remaining = lpSupply > lpIssued ? lpIssued : lpSupply;
+        const burned = 100 - Number(remaining * 10000n / lpIssued) / 100;
+        const detail = `${burned.toFixed(2)}% of LP burned`;
+
+        if (burned < 50) return this.result('liquidity_lock', 'fail', RISK_WEIGHTS.liquidityUnlocked, detail);
+        if (burned < 90) return this.result('liquidity_lock', 'warn', RISK_WEIGHTS.liquidityPartial, detail);
+        return this.result('liquidity_lock', 'pass', 0, detail);
+    }
+}
+
+TokenAnalyzer.RISK_WEIGHTS = RISK_WEIGHTS;
+
+module.exports = TokenAnalyzer;
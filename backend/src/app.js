@@ -3,25 +3,39 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const path = require('path');
+const axios = require('axios');
 
 const DatabaseManager = require('./utils/database');
 const EnhancedTokenScanner = require('./collectors/enhanced_token_scanner'); 
 const SocialMonitor = require('./collectors/social_monitor');
 const InfluencerTracker = require('./collectors/influencer_tracker');
 const TradingEngine = require('./executors/trading_engine');
+const CandleStore = require('./collectors/candle_store');
+const Backtester = require('./backtest/backtester');
+const priceService = require('./utils/price_service');
+const eventRecorder = require('./utils/event_recorder');
+const { parseMetadata } = require('./utils/metadata');
 const logger = require('./utils/logger');
 
 class MemecoinTradingBot {
     constructor() {
         this.app = express();
         this.db = new DatabaseManager();
+
+        // With RECORD_EVENTS=true every HTTP response lands in the event log for replay
+        eventRecorder.installHttp(axios);
         
-        // Initialize trading engine first
-        this.tradingEngine = new TradingEngine(this.db);
+        // Scanner first - the trading engine reads trade flow from it
+        const scanner = new EnhancedTokenScanner(this.db);
+        this.tradingEngine = new TradingEngine(this.db, {
+            tradeFlow: scanner.tradeFlow,
+            pumpFun: scanner.pumpFunScanner,
+            pools: scanner.poolState
+        });
         
         // Initialize components with new multi-source scanner
         this.components = {
-            scanner: new EnhancedTokenScanner(this.db),
+            scanner: scanner,
             social: new SocialMonitor(this.db),
             influencer: new InfluencerTracker(this.db, this.tradingEngine),
             trading: this.tradingEngine
@@ -55,6 +69,11 @@ class MemecoinTradingBot {
         this.components.scanner.on('token', (token) => {
             logger.debug(`New token from ${token.source}: ${token.symbol}`);
         });
+
+        // Curve completed and liquidity moved to a pool
+        this.components.scanner.migrationWatcher.on('migration', (migration) => {
+            this.components.trading.onMigration(migration);
+        });
     }
 
     setupRoutes() {
@@ -70,6 +89,8 @@ class MemecoinTradingBot {
                     influencer: this.components.influencer.isTracking,
                     trading: this.components.trading.isTrading
                 },
+                // Websocket behind every on-chain subscription
+                connection: this.components.scanner.subscriptions.getHealth(),
                 features: {
                     pumpFunMonitoring: process.env.ENABLE_PUMPFUN_MONITORING === 'true',
                     enhancedWebsockets: process.env.ENHANCED_WEBSOCKETS === 'true',
@@ -77,7 +98,8 @@ class MemecoinTradingBot {
                     sources: Object.keys(this.components.scanner.scannerConfigs || {}),
                     raydiumMonitoring: !!process.env.HELIUS_API_KEY,
                     twitterTracking: !!process.env.TWITTER_BEARER_TOKEN,
-                    birdeyeIntegration: !!process.env.BIRDEYE_API_KEY
+                    birdeyeIntegration: !!process.env.BIRDEYE_API_KEY,
+                    eventRecording: eventRecorder.getStats()
                 },
                 version: '3.0.0'
             });
@@ -146,46 +168,38 @@ class MemecoinTradingBot {
             }
         });
 
-        // Get portfolio
-        this.app.get('/api/portfolio', (req, res) => {
+        // Get portfolio (amounts in SOL unless suffixed _usd)
+        this.app.get('/api/portfolio', async (req, res) => {
             try {
-                if (process.env.PAPER_TRADING === 'true') {
-                    const positions = Array.from(this.components.trading.paperPositions.entries()).map(
-                        ([address, position]) => ({
-                            token_address: address,
-                            symbol: position.symbol,
-                            balance: position.amount,
-                            avg_buy_price: position.entryPrice,
-                            total_invested: position.entrySize,
-                            current_value: position.amount * position.entryPrice,
-                            pnl: 0
-                        })
-                    );
-                    
-                    res.json({
-                        positions: positions,
-                        summary: {
-                            total_positions: positions.length,
-                            paper_balance: this.components.trading.paperBalance,
-                            total_value: positions.reduce((sum, p) => sum + p.current_value, 0)
-                        }
-                    });
-                } else {
-                    const positions = this.db.db.prepare(`
-                        SELECT p.*, t.symbol, t.name 
-                        FROM portfolio p
-                        LEFT JOIN tokens t ON p.token_address = t.address
-                        WHERE p.balance > 0
-                    `).all();
-                    
-                    res.json({
-                        positions: positions,
-                        summary: {
-                            total_positions: positions.length,
-                            total_invested: positions.reduce((sum, p) => sum + p.total_invested, 0)
-                        }
-                    });
+                const openPositions = this.db.getOpenPositions(this.components.trading.mode);
+                const prices = await priceService.getPrices(openPositions.map(p => p.token_address));
+                const solUsd = await priceService.getSolUsdPrice();
+
+                const positions = openPositions.map(position => {
+                    const price = prices.get(position.token_address);
+                    const currentValue = price?.sol != null ? position.balance * price.sol : null;
+
+                    return {
+                        ...position,
+                        current_price: price?.sol ?? null,
+                        current_price_usd: price?.usd ?? null,
+                        current_value: currentValue,
+                        current_value_usd: currentValue != null && solUsd ? currentValue * solUsd : null,
+                        pnl: currentValue != null ? currentValue - position.total_invested : null
+                    };
+                });
+
+                const summary = {
+                    total_positions: positions.length,
+                    total_invested: positions.reduce((sum, p) => sum + p.total_invested, 0),
+                    total_value: positions.reduce((sum, p) => sum + (p.current_value || 0), 0),
+                    sol_usd: solUsd
+                };
+                if (this.components.trading.paperTrading) {
+                    summary.paper_balance = this.components.trading.paperBalance;
                 }
+
+                res.json({ positions, summary });
             } catch (error) {
                 logger.error('Error fetching portfolio:', error);
                 res.status(500).json({ error: 'Internal server error' });
@@ -202,7 +216,8 @@ class MemecoinTradingBot {
                         COUNT(*) as total_trades,
                         SUM(CASE WHEN profit_loss > 0 THEN 1 ELSE 0 END) as winning_trades,
                         SUM(profit_loss) as daily_pnl,
-                        AVG(profit_loss) as avg_pnl
+                        AVG(profit_loss) as avg_pnl,
+                        SUM(COALESCE(priority_fee, 0) + COALESCE(network_fee, 0) + COALESCE(jito_tip, 0)) as fees_paid
                     FROM trades
                     WHERE executed_at IS NOT NULL
                     AND DATE(executed_at) >= DATE('now', '-' || ? || ' days')
@@ -215,6 +230,7 @@ class MemecoinTradingBot {
                 const totalTrades = dailyStats.reduce((sum, d) => sum + d.total_trades, 0);
                 const totalWins = dailyStats.reduce((sum, d) => sum + d.winning_trades, 0);
                 const totalPnL = dailyStats.reduce((sum, d) => sum + d.daily_pnl, 0);
+                const totalFees = dailyStats.reduce((sum, d) => sum + d.fees_paid, 0);
                 
                 res.json({
                     daily: dailyStats,
@@ -222,6 +238,7 @@ class MemecoinTradingBot {
                         total_trades: totalTrades,
                         win_rate: totalTrades > 0 ? (totalWins / totalTrades) : 0,
                         total_pnl: totalPnL,
+                        total_fees: totalFees,
                         avg_daily_pnl: totalPnL / Math.max(dailyStats.length, 1)
                     }
                 });
@@ -231,6 +248,115 @@ class MemecoinTradingBot {
             }
         });
 
+        // Risk limits, current account checks and recent accept/reject decisions
+        this.app.get('/api/risk', async (req, res) => {
+            try {
+                const trading = this.components.trading;
+                const balance = await trading.getAccountBalance();
+
+                res.json({
+                    mode: trading.mode,
+                    balance: balance,
+                    account_checks: trading.riskManager.checkAccount(trading.mode, balance),
+                    stats: trading.riskManager.getStats(),
+                    honeypot: trading.honeypotChecker.getStats(),
+                    decisions: trading.riskManager.getRecentDecisions(parseInt(req.query.limit) || 20)
+                });
+            } catch (error) {
+                logger.error('Error fetching risk status:', error);
+                res.status(500).json({ error: 'Internal server error' });
+            }
+        });
+
+        // Enabled strategies with their capital allocation, usage and P&L
+        this.app.get('/api/strategies', async (req, res) => {
+            try {
+                res.json(await this.components.trading.getStrategyReport());
+            } catch (error) {
+                logger.error('Error fetching strategies:', error);
+                res.status(500).json({ error: 'Internal server error' });
+            }
+        });
+
+        // Rolling-window on-chain trade flow for a token
+        this.app.get('/api/tokens/:address/flow', (req, res) => {
+            try {
+                const tradeFlow = this.components.scanner.tradeFlow;
+                const address = req.params.address;
+
+                if (tradeFlow.isWatching(address)) {
+                    return res.json(tradeFlow.getFlow(address));
+                }
+                res.json({ mint: address, watching: false, persisted: this.db.getTradeFlow(address) });
+            } catch (error) {
+                logger.error('Error fetching trade flow:', error);
+                res.status(500).json({ error: 'Internal server error' });
+            }
+        });
+
+        // Reserves, price and depth from the token's deepest on-chain SOL pool (?pool= to pick one)
+        this.app.get('/api/tokens/:address/pool', async (req, res) => {
+            try {
+                const state = await this.components.scanner.poolState.getLiquidity(req.params.address, req.query.pool || null);
+                if (!state) return res.status(404).json({ error: 'No supported SOL pool found' });
+                res.json(state);
+            } catch (error) {
+                logger.error('Error reading pool state:', error);
+                res.status(500).json({ error: 'Internal server error' });
+            }
+        });
+
+        // OHLCV history: ?resolution=1s|1m|5m|1h&from=&to= (ms timestamps)&limit=
+        this.app.get('/api/tokens/:address/candles', (req, res) => {
+            const resolution = req.query.resolution || '1m';
+            if (!CandleStore.RESOLUTIONS[resolution]) {
+                return res.status(400).json({
+                    error: `Invalid resolution, expected one of ${Object.keys(CandleStore.RESOLUTIONS).join(', ')}`
+                });
+            }
+
+            try {
+                const candles = this.components.scanner.candles.getCandles(req.params.address, resolution, {
+                    from: parseInt(req.query.from) || 0,
+                    to: parseInt(req.query.to) || Date.now(),
+                    limit: Math.min(parseInt(req.query.limit) || 500, 5000)
+                });
+                res.json({ address: req.params.address, resolution: resolution, candles: candles });
+            } catch (error) {
+                logger.error('Error fetching candles:', error);
+                res.status(500).json({ error: 'Internal server error' });
+            }
+        });
+
+        // Run the entry/exit rules over stored history.
+        // Body: { from, to (ms), resolution, startBalance, strategy: { entry, exit, sizing } }
+        this.app.post('/api/backtest', async (req, res) => {
+            const { from, to, resolution, startBalance, strategy } = req.body || {};
+
+            let backtester;
+            try {
+                backtester = new Backtester(this.db, { from, to, resolution, startBalance });
+            } catch (error) {
+                return res.status(400).json({ error: error.message });
+            }
+
+            try {
+                res.json(await backtester.run(strategy || {}));
+            } catch (error) {
+                logger.error('Backtest failed:', error);
+                res.status(500).json({ error: 'Backtest failed' });
+            }
+        });
+
+        // Recent pump.fun migrations with their new pools
+        this.app.get('/api/migrations', (req, res) => {
+            const watcher = this.components.scanner.migrationWatcher;
+            res.json({
+                stats: watcher.getStats(),
+                migrations: watcher.getRecentMigrations(parseInt(req.query.limit) || 20)
+            });
+        });
+
         // Get influencer activity
         this.app.get('/api/influencers', (req, res) => {
             try {
@@ -308,106 +434,97 @@ class MemecoinTradingBot {
             res.json({ message: `Feature ${feature} ${enabled ? 'enabled' : 'disabled'}` });
         });
 
+        // Get pump.fun specific tokens
+        this.app.get('/api/tokens/pumpfun', (req, res) => {
+            try {
+                const limit = parseInt(req.query.limit) || 20;
+                const tokens = this.db.getPumpFunTokens(limit);
+                const enrichedTokens = tokens.map(token => ({
+                    ...token,
+                    metadata: parseMetadata(token.metadata),
+                    is_pump_fun: token.is_pump_fun === 1
+                }));
+                res.json(enrichedTokens);
+            } catch (error) {
+                logger.error('Error fetching pump.fun tokens:', error);
+                res.status(500).json({ error: 'Internal server error' });
+            }
+        });
+
+        // Real-time pump.fun tokens (last 5 minutes)
+        this.app.get('/api/tokens/pumpfun/realtime', async (req, res) => {
+            try {
+                const realtimeTokens = await this.components.scanner.pumpFunScanner.getRecentTokens(10);
+                const fiveMinutesAgo = Date.now() - (5 * 60 * 1000);
+                const ultraFresh = realtimeTokens.filter(token => token.createdAt > fiveMinutesAgo);
+                res.json(ultraFresh);
+            } catch (error) {
+                logger.error('Error fetching realtime pump.fun tokens:', error);
+                res.status(500).json({ error: 'Internal server error' });
+            }
+        });
+
+        // Get tokens by source
+        this.app.get('/api/tokens/source/:source', (req, res) => {
+            try {
+                const source = req.params.source;
+                const limit = parseInt(req.query.limit) || 20;
+                const tokens = this.db.getTokensBySource(source, limit);
+                res.json(tokens);
+            } catch (error) {
+                logger.error('Error fetching tokens by source:', error);
+                res.status(500).json({ error: 'Internal server error' });
+            }
+        });
+
+        // Get scanner statistics
+        this.app.get('/api/scanners/stats', (req, res) => {
+            try {
+                const scanner = this.components.scanner;
+                res.json({
+                    enhanced_scanner: {
+                        isScanning: scanner.isScanning,
+                        processedTokens: scanner.processedTokens.size
+                    },
+                    pump_fun: scanner.pumpFunScanner.getStats(),
+                    sources: scanner.getScannerStatus()
+                });
+            } catch (error) {
+                logger.error('Error fetching scanner stats:', error);
+                res.status(500).json({ error: 'Internal server error' });
+            }
+        });
+
         // Toggle specific scanner sources
-        this.app.post('/api/scanners/toggle', (req, res) => {
+        this.app.post('/api/scanners/toggle', async (req, res) => {
             const { source, enabled } = req.body;
-            
-            if (this.components.scanner.scannerConfigs[source]) {
-                this.components.scanner.scannerConfigs[source].enabled = enabled;
-                res.json({ message: `Scanner ${source}
-// Get pump.fun specific tokens
-this.app.get('/api/tokens/pumpfun', (req, res) => {
-    try {
-        const limit = parseInt(req.query.limit) || 20;
-        const tokens = this.db.getPumpFunTokens(limit);
-        const enrichedTokens = tokens.map(token => ({
-            ...token,
-            metadata: token.metadata ? JSON.parse(token.metadata) : {},
-            is_pump_fun: token.is_pump_fun === 1
-        }));
-        res.json(enrichedTokens);
-    } catch (error) {
-        logger.error('Error fetching pump.fun tokens:', error);
-        res.status(500).json({ error: 'Internal server error' });
-    }
-});
-
-// Get tokens by source
-this.app.get('/api/tokens/source/:source', (req, res) => {
-    try {
-        const source = req.params.source;
-        const limit = parseInt(req.query.limit) || 20;
-        const tokens = this.db.getTokensBySource(source, limit);
-        res.json(tokens);
-    } catch (error) {
-        logger.error('Error fetching tokens by source:', error);
-        res.status(500).json({ error: 'Internal server error' });
-    }
-});
-
-// Get scanner statistics
-this.app.get('/api/scanners/stats', (req, res) => {
-    try {
-        const stats = {
-            enhanced_scanner: {
-                isScanning: this.components.scanner.isScanning,
-                processedTokens: this.components.scanner.processedTokens.size,
-                processedPools: this.components.scanner.processedPools.size
-            },
-            pump_fun: this.components.scanner.pumpFunScanner ? 
-                this.components.scanner.pumpFunScanner.getStats() : 
-                { enabled: false },
-            sources: {
-                dexscreener: { enabled: true },
-                birdeye: { enabled: !!process.env.BIRDEYE_API_KEY },
-                raydium: { enabled: true },
-                pumpfun: { enabled: process.env.ENABLE_PUMPFUN_MONITORING === 'true' }
+
+            try {
+                if (await this.components.scanner.setScannerEnabled(source, !!enabled)) {
+                    res.json({ message: `Scanner ${source} ${enabled ? 'enabled' : 'disabled'}` });
+                } else {
+                    res.status(400).json({ error: 'Invalid scanner source' });
+                }
+            } catch (error) {
+                logger.error('Error toggling scanner:', error);
+                res.status(500).json({ error: 'Failed to toggle scanner' });
             }
-        };
-        res.json(stats);
-    } catch (error) {
-        logger.error('Error fetching scanner stats:', error);
-        res.status(500).json({ error: 'Internal server error' });
-    }
-});
-
-// Real-time pump.fun tokens (last 5 minutes)
-this.app.get('/api/tokens/pumpfun/realtime', async (req, res) => {
-    try {
-        if (!this.components.scanner.pumpFunScanner) return res.json([]);
-        const realtimeTokens = await this.components.scanner.pumpFunScanner.getRecentTokens(10);
-        const fiveMinutesAgo = Date.now() - (5 * 60 * 1000);
-        const ultraFresh = realtimeTokens.filter(token => token.createdAt > fiveMinutesAgo);
-        res.json(ultraFresh);
-    } catch (error) {
-        logger.error('Error fetching realtime pump.fun tokens:', error);
-        res.status(500).json({ error: 'Internal server error' });
-    }
-});
-
-// Toggle pump.fun monitoring
-this.app.post('/api/features/pumpfun/toggle', async (req, res) => {
-    try {
-        const { enabled } = req.body;
-        if (enabled && !this.components.scanner.pumpFunScanner) {
-            await this.components.scanner.startPumpFunMonitoring();
-            res.json({ message: 'Pump.fun monitoring enabled' });
-        } else if (!enabled && this.components.scanner.pumpFunScanner) {
-            await this.components.scanner.pumpFunScanner.stop();
-            res.json({ message: 'Pump.fun monitoring disabled' });
-        } else {
-            res.json({ message: 'No change needed' });
-        }
-    } catch (error) {
-        logger.error('Error toggling pump.fun monitoring:', error);
-        res.status(500).json({ error: 'Failed to toggle pump.fun monitoring' });
-    }
-});
+        });
 
+        // Toggle pump.fun monitoring
+        this.app.post('/api/features/pumpfun/toggle', async (req, res) => {
+            try {
+                const { enabled } = req.body;
+                const scanner = this.components.scanner;
+                if (!!enabled === scanner.pumpFunScanner.isRunning) {
+                    return res.json({ message: 'No change needed' });
+                }
 
- ${enabled ? 'enabled' : 'disabled'}` });
-            } else {
-                res.status(400).json({ error: 'Invalid scanner source' });
+                await scanner.setScannerEnabled('pumpfun', !!enabled);
+                res.json({ message: `Pump.fun monitoring ${enabled ? 'enabled' : 'disabled'}` });
+            } catch (error) {
+                logger.error('Error toggling pump.fun monitoring:', error);
+                res.status(500).json({ error: 'Failed to toggle pump.fun monitoring' });
             }
         });
 
@@ -472,6 +589,7 @@ this.app.post('/api/features/pumpfun/toggle', async (req, res) => {
         if (this.components.influencer) {
             this.components.influencer.stopTracking();
         }
+        eventRecorder.close();
         
         this.isRunning = false;
         logger.info('✅ Bot stopped');
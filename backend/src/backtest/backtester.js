@@ -0,0 +1,371 @@
+// backend/src/backtest/backtester.js
+const PaperFillSimulator = require('../executors/paper_fill_simulator');
+const ExitEngine = require('../executors/exit_engine');
+const CandleStore = require('../collectors/candle_store');
+const { DEFAULT_STRATEGY, mergeStrategy, scoreToken, scoreThreshold } = require('../utils/strategy_config');
+const { parseMetadata } = require('../utils/metadata');
+
+const HOUR = 60 * 60 * 1000;
+
+// Exit rule context: the candles carry no liquidity, deployer or trade flow history
+const NO_HISTORY = {
+    liquidity: async () => null,
+    devSold: async () => false,
+    sellPressure: async () => false
+};
+
+// SQLite 'YYYY-MM-DD HH:MM:SS' (UTC) to ms
+const parseTimestamp = (value) => new Date(value.replace(' ', 'T') + 'Z').getTime();
+
+// Replays stored candles and token discoveries through parameterised entry and
+// exit rules, filling with the paper fill model. Token social and risk scores
+// and liquidity are the values stored at discovery - there is no history of them.
+// Exits run through the live ExitEngine on bar time; rules that need on-chain
+// history the candles don't carry (liquidity_drop, dev_sold, sell_pressure)
+// never fire.
+class Backtester {
+    constructor(database, options = {}) {
+        this.db = database;
+        this.options = {
+            from: options.from,
+            to: options.to,
+            resolution: options.resolution || '1m',
+            startBalance: options.startBalance ?? parseFloat(process.env.PAPER_BALANCE || '10.0'),
+            // Stored liquidity is USD; pools are modelled in SOL
+            solUsd: options.solUsd || parseFloat(process.env.BACKTEST_SOL_USD || '150'),
+            maxCurvePoints: options.maxCurvePoints || 500
+        };
+
+        if (!CandleStore.RESOLUTIONS[this.options.resolution]) {
+            throw new Error(`Unknown candle resolution ${this.options.resolution}`);
+        }
+
+        // No period given: the stored candles, not everything since 1970
+        const range = this.db.getCandleRange(this.options.resolution);
+        this.options.from = this.options.from || range.from || 0;
+        this.options.to = this.options.to || range.to || Date.now();
+
+        // Candle closes stand in for prices; fill latency is below candle resolution
+        this.fillSimulator = new PaperFillSimulator();
+        this.fillSimulator.config.latencyMs = 0;
+    }
+
+    // Load once, run many strategies over it (parameter sweeps reuse this)
+    loadData() {
+        if (this.data) return this.data;
+
+        const { from, to, resolution } = this.options;
+        const tokens = new Map();
+        for (const token of this.db.getTokensDiscoveredBefore(to)) {
+            tokens.set(token.address, {
+                ...token,
+                discoveredAt: parseTimestamp(token.discovered_at),
+                scores: this.parseScores(token.metadata)
+            });
+        }
+
+        // Bars grouped by timestamp, each token's closes kept for lookbacks
+        const steps = new Map();
+        const history = new Map();
+        for (const candle of this.db.getCandlesBetween(resolution, from, to)) {
+            if (!tokens.has(candle.token_address)) continue;
+
+            if (!steps.has(candle.start_time)) steps.set(candle.start_time, []);
+            steps.get(candle.start_time).push(candle);
+
+            if (!history.has(candle.token_address)) history.set(candle.token_address, []);
+            history.get(candle.token_address).push({ t: candle.start_time, close: candle.close });
+        }
+
+        this.data = {
+            tokens,
+            history,
+            steps: Array.from(steps.entries()).sort((a, b) => a[0] - b[0])
+        };
+        return this.data;
+    }
+
+    // Component scores stored at discovery; tokens from before they were stored have none
+    parseScores(metadata) {
+        return parseMetadata(metadata).scores || null;
+    }
+
+    async run(overrides = {}) {
+        const strategy = mergeStrategy(overrides);
+        const exitEngine = ExitEngine.fromParams(strategy.exit);
+        const { history, steps } = this.loadData();
+        const tokens = this.universe(strategy.scanner);
+
+        const state = {
+            balance: this.options.startBalance,
+            positions: new Map(), // address -> { amount, cost, realized, entryPrice, entryTime, symbol, exitState }
+            lastPrice: new Map(),
+            cooldownUntil: new Map(),
+            trades: [],
+            curve: []
+        };
+
+        for (const [time, candles] of steps) {
+            for (const candle of candles) {
+                state.lastPrice.set(candle.token_address, candle.close);
+            }
+
+            // Exits first, so freed slots and balance are available to entries on the same bar
+            for (const candle of candles) {
+                const position = state.positions.get(candle.token_address);
+                if (!position) continue;
+
+                const { decision, state: exitState } = await exitEngine.evaluate(position, candle.close, NO_HISTORY, time);
+                position.exitState = exitState;
+                if (decision) {
+                    await this.close(state, candle.token_address, candle.close, time, decision.reason, tokens, strategy, decision.amount);
+                }
+            }
+
+            for (const candle of candles) {
+                const token = tokens.get(candle.token_address);
+                if (!token || state.positions.has(token.address) || token.discoveredAt > time) continue;
+                if (state.positions.size >= strategy.sizing.maxPositions) break;
+                if ((state.cooldownUntil.get(token.address) || 0) > time) continue;
+
+                const momentum = this.momentum(history.get(token.address), time, candle.close,
+                    strategy.entry.momentumLookbackMinutes);
+                const signal = this.entrySignal(strategy.entry, token, momentum);
+                if (!signal.shouldTrade) continue;
+
+                const size = strategy.sizing.maxPositionSize * (0.5 + 0.5 * signal.confidence / 100);
+                await this.open(state, token, candle.close, time, size);
+            }
+
+            state.curve.push({ t: time, equity: this.equity(state) });
+        }
+
+        // Whatever is still open is marked out at its last price
+        const end = steps.length > 0 ? steps[steps.length - 1][0] : this.options.to;
+        for (const address of Array.from(state.positions.keys())) {
+            await this.close(state, address, state.lastPrice.get(address), end, 'end_of_test', tokens, strategy);
+        }
+        if (steps.length > 0) state.curve.push({ t: end, equity: state.balance });
+
+        return this.report(strategy, state, tokens.size, steps.length);
+    }
+
+    // Tokens the scanner would have stored under these weights. The scanner only
+    // stores tokens that pass, so this can narrow the universe but never widen it.
+    universe(scanner) {
+        const tokens = new Map();
+        for (const [address, token] of this.loadData().tokens) {
+            if (token.scores && scoreToken(token.scores, scanner) <= scoreThreshold(token.source, scanner)) continue;
+            tokens.set(address, token);
+        }
+        return tokens;
+    }
+
+    // Mirrors analyzeOpportunity
+    entrySignal(entry, token, momentum) {
+        const factors = {
+            socialScore: token.social_score > entry.minSocialScore,
+            riskAcceptable: token.risk_score < entry.maxRiskScore,
+            liquidityOk: token.liquidity >= entry.minLiquidity,
+            momentumPositive: momentum !== null && momentum > entry.minMomentum
+        };
+        const passed = Object.values(factors).filter(Boolean).length;
+
+        return {
+            shouldTrade: passed >= entry.minFactors,
+            confidence: (passed / Object.keys(factors).length) * 100,
+            factors
+        };
+    }
+
+    // % change from the last close at or before `lookback` minutes ago
+    momentum(closes, time, price, lookbackMinutes) {
+        const since = time - lookbackMinutes * 60 * 1000;
+
+        // Binary search for the last close at or before `since`
+        let low = 0;
+        let high = closes.length - 1;
+        let base = null;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (closes[mid].t <= since) {
+                base = closes[mid].close;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        return base ? ((price - base) / base) * 100 : null;
+    }
+
+    reserves(token, price) {
+        const solReserve = (token.liquidity || this.fillSimulator.config.defaultLiquidityUsd) / 2 / this.options.solUsd;
+        return { sol: solReserve, token: solReserve / price };
+    }
+
+    async open(state, token, price, time, size) {
+        const fees = this.fillSimulator.config.networkFee + this.fillSimulator.config.priorityFee;
+        if (state.balance < size + fees) return;
+
+        const fill = await this.fillSimulator.simulate({
+            side: 'buy',
+            amount: size,
+            expectedPrice: price,
+            reserves: this.reserves(token, price)
+        });
+
+        state.balance -= fill.solAmount;
+        state.positions.set(token.address, {
+            symbol: token.symbol,
+            amount: fill.tokenAmount,
+            cost: fill.solAmount,
+            realized: 0,
+            entryPrice: fill.fillPrice,
+            entryTime: time,
+            exitState: null
+        });
+    }
+
+    // Sells `amount` tokens (all of them by default); a partial sell books its
+    // share of the cost and leaves the rest open
+    async close(state, address, price, time, reason, tokens, strategy, amount = null) {
+        const position = state.positions.get(address);
+        const sold = Math.min(amount ?? position.amount, position.amount);
+        const fill = await this.fillSimulator.simulate({
+            side: 'sell',
+            amount: sold,
+            expectedPrice: price,
+            reserves: this.reserves(tokens.get(address), price)
+        });
+
+        const cost = position.cost * (sold / position.amount);
+        const pnl = fill.solAmount - cost;
+        state.balance += fill.solAmount;
+        position.amount -= sold;
+        position.cost -= cost;
+        position.realized += pnl;
+
+        // Dust left by rounding counts as closed
+        const closed = position.amount <= 0 || sold / (position.amount + sold) > 0.9999;
+        if (closed) {
+            state.positions.delete(address);
+            if (position.realized < 0) {
+                state.cooldownUntil.set(address, time + strategy.sizing.cooldownMinutes * 60 * 1000);
+            }
+        }
+
+        state.trades.push({
+            token: address,
+            symbol: position.symbol,
+            entryTime: position.entryTime,
+            exitTime: time,
+            entryPrice: position.entryPrice,
+            exitPrice: fill.fillPrice,
+            amount: sold,
+            partial: !closed,
+            cost: cost,
+            proceeds: fill.solAmount,
+            pnl: pnl,
+            pnlPercent: (pnl / cost) * 100,
+            holdMinutes: (time - position.entryTime) / 60000,
+            reason: reason
+        });
+    }
+
+    // Cash plus open positions at their last close (before exit costs)
+    equity(state) {
+        let equity = state.balance;
+        for (const [address, position] of state.positions) {
+            equity += position.amount * (state.lastPrice.get(address) || position.entryPrice);
+        }
+        return equity;
+    }
+
+    report(strategy, state, tokenCount, stepCount) {
+        const trades = state.trades;
+        const wins = trades.filter(trade => trade.pnl > 0);
+        const losses = trades.filter(trade => trade.pnl <= 0);
+        const grossProfit = wins.reduce((sum, trade) => sum + trade.pnl, 0);
+        const grossLoss = -losses.reduce((sum, trade) => sum + trade.pnl, 0);
+        const finalEquity = state.balance;
+
+        return {
+            strategy: strategy,
+            period: { from: this.options.from, to: this.options.to, resolution: this.options.resolution },
+            universe: { tokens: tokenCount, bars: stepCount },
+            metrics: {
+                startBalance: this.options.startBalance,
+                finalEquity: finalEquity,
+                totalReturn: ((finalEquity - this.options.startBalance) / this.options.startBalance) * 100,
+                trades: trades.length,
+                winRate: trades.length > 0 ? (wins.length / trades.length) * 100 : 0,
+                avgWin: wins.length > 0 ? grossProfit / wins.length : 0,
+                avgLoss: losses.length > 0 ? -grossLoss / losses.length : 0,
+                profitFactor: grossLoss > 0 ? grossProfit / grossLoss : (grossProfit > 0 ? Infinity : 0),
+                avgHoldMinutes: trades.length > 0 ? trades.reduce((sum, trade) => sum + trade.holdMinutes, 0) / trades.length : 0,
+                maxDrawdown: this.maxDrawdown(state.curve),
+                sharpe: this.sharpe(state.curve),
+                exitReasons: trades.reduce((counts, trade) => {
+                    counts[trade.reason] = (counts[trade.reason] || 0) + 1;
+                    return counts;
+                }, {})
+            },
+            trades: trades,
+            equityCurve: this.downsample(state.curve)
+        };
+    }
+
+    // Largest peak-to-trough fall of the equity curve, in %
+    maxDrawdown(curve) {
+        let peak = -Infinity;
+        let worst = 0;
+        for (const point of curve) {
+            peak = Math.max(peak, point.equity);
+            worst = Math.max(worst, (peak - point.equity) / peak);
+        }
+        return worst * 100;
+    }
+
+    // Annualised mean/stdev of hourly equity returns - a Sharpe ratio with a zero risk-free rate
+    sharpe(curve) {
+        const hourly = [];
+        let bucket = null;
+        for (const point of curve) {
+            const hour = Math.floor(point.t / HOUR);
+            if (bucket && bucket.hour === hour) {
+                bucket.equity = point.equity;
+            } else {
+                bucket = { hour, equity: point.equity };
+                hourly.push(bucket);
+            }
+        }
+
+        const returns = [];
+        for (let i = 1; i < hourly.length; i++) {
+            returns.push(hourly[i].equity / hourly[i - 1].equity - 1);
+        }
+        if (returns.length < 2) return 0;
+
+        const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+        const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1);
+        const stdev = Math.sqrt(variance);
+        return stdev > 0 ? (mean / stdev) * Math.sqrt(24 * 365) : 0;
+    }
+
+    downsample(curve) {
+        if (curve.length <= this.options.maxCurvePoints) return curve;
+        const step = curve.length / this.options.maxCurvePoints;
+        const points = [];
+        for (let i = 0; i < this.options.maxCurvePoints; i++) {
+            points.push(curve[Math.floor(i * step)]);
+        }
+        points.push(curve[curve.length - 1]);
+        return points;
+    }
+}
+
+Backtester.DEFAULT_STRATEGY = DEFAULT_STRATEGY;
+Backtester.mergeStrategy = mergeStrategy;
+
+module.exports = Backtester;
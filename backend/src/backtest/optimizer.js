@@ -0,0 +1,260 @@
+// backend/src/backtest/optimizer.js
+const Backtester = require('./backtester');
+const { mergeStrategy, setParameter, saveStrategy } = require('../utils/strategy_config');
+const logger = require('../utils/logger');
+
+// Higher is better for every objective; maxDrawdown is negated
+const OBJECTIVES = {
+    totalReturn: (metrics) => metrics.totalReturn,
+    sharpe: (metrics) => metrics.sharpe,
+    profitFactor: (metrics) => Math.min(metrics.profitFactor, 100),
+    winRate: (metrics) => metrics.winRate,
+    maxDrawdown: (metrics) => -metrics.maxDrawdown
+};
+
+// Searches strategy parameters with walk-forward validation: the period is cut
+// into folds + 1 equal segments, and fold i trains on segment i and tests on
+// segment i + 1. Candidates are ranked by their mean score on the test segments,
+// so a set that only fits one stretch of history doesn't come out on top.
+//
+// The search space maps dotted parameter names to a list of values or a range:
+//   { "entry.minSocialScore": [10, 15, 20], "exit.stopLoss": { "min": -30, "max": -10, "step": 5 } }
+class Optimizer {
+    constructor(database, options = {}) {
+        this.db = database;
+        this.options = {
+            from: options.from,
+            to: options.to,
+            folds: options.folds || 3,
+            resolution: options.resolution || '1m',
+            startBalance: options.startBalance,
+            search: options.search || 'grid', // grid | random
+            samples: options.samples || 50, // random search only
+            objective: options.objective || 'totalReturn',
+            minTrades: options.minTrades ?? 3, // fewer trades in a window scores nothing
+            maxCandidates: options.maxCandidates || parseInt(process.env.OPTIMIZE_MAX_CANDIDATES || '5000'),
+            top: options.top || 20
+        };
+
+        if (!OBJECTIVES[this.options.objective]) {
+            throw new Error(`Unknown objective ${this.options.objective}`);
+        }
+        if (!['grid', 'random'].includes(this.options.search)) {
+            throw new Error(`Unknown search ${this.options.search}`);
+        }
+        if (this.options.folds < 1) {
+            throw new Error('At least one fold is needed');
+        }
+
+        // No period given: split the stored candles into folds, not the time since 1970
+        const range = this.db.getCandleRange(this.options.resolution);
+        this.options.from = this.options.from || range.from || 0;
+        this.options.to = this.options.to || range.to || Date.now();
+
+        this.space = this.expandSpace(options.space || {});
+    }
+
+    // { name: [values] }, validating names against the strategy
+    expandSpace(space) {
+        const expanded = {};
+        for (const [name, spec] of Object.entries(space)) {
+            setParameter({}, name, null);
+
+            let values;
+            if (Array.isArray(spec)) {
+                values = spec;
+            } else if (spec && typeof spec === 'object' && spec.step > 0) {
+                values = [];
+                // Counted in steps to avoid float drift at the top of the range
+                const count = Math.floor((spec.max - spec.min) / spec.step + 1e-9);
+                for (let i = 0; i <= count; i++) {
+                    values.push(parseFloat((spec.min + i * spec.step).toFixed(10)));
+                }
+            } else {
+                throw new Error(`Parameter ${name} needs a list of values or { min, max, step }`);
+            }
+
+            if (values.length === 0) throw new Error(`Parameter ${name} has no values`);
+            expanded[name] = values;
+        }
+        return expanded;
+    }
+
+    gridSize() {
+        return Object.values(this.space).reduce((size, values) => size * values.length, 1);
+    }
+
+    // Parameter sets as { name: value }; an empty space yields just the defaults
+    candidates() {
+        const names = Object.keys(this.space);
+        const size = this.gridSize();
+
+        if (this.options.search === 'random') {
+            const seen = new Map();
+            const wanted = Math.min(this.options.samples, size);
+            while (seen.size < wanted) {
+                const params = {};
+                for (const name of names) {
+                    const values = this.space[name];
+                    params[name] = values[Math.floor(Math.random() * values.length)];
+                }
+                seen.set(JSON.stringify(params), params);
+            }
+            return Array.from(seen.values());
+        }
+
+        if (size > this.options.maxCandidates) {
+            throw new Error(`Grid has ${size} combinations (limit ${this.options.maxCandidates}); narrow it or use random search`);
+        }
+
+        let grid = [{}];
+        for (const name of names) {
+            const next = [];
+            for (const params of grid) {
+                for (const value of this.space[name]) {
+                    next.push({ ...params, [name]: value });
+                }
+            }
+            grid = next;
+        }
+        return grid;
+    }
+
+    toOverrides(params) {
+        const overrides = {};
+        for (const [name, value] of Object.entries(params)) {
+            setParameter(overrides, name, value);
+        }
+        return overrides;
+    }
+
+    windows() {
+        const { from, to, folds } = this.options;
+        const segment = (to - from) / (folds + 1);
+        const windows = [];
+        for (let i = 0; i < folds; i++) {
+            windows.push({
+                train: { from: Math.round(from + i * segment), to: Math.round(from + (i + 1) * segment) },
+                test: { from: Math.round(from + (i + 1) * segment), to: Math.round(from + (i + 2) * segment) }
+            });
+        }
+        return windows;
+    }
+
+    backtester(range) {
+        return new Backtester(this.db, {
+            from: range.from,
+            to: range.to,
+            resolution: this.options.resolution,
+            startBalance: this.options.startBalance
+        });
+    }
+
+    score(report) {
+        if (report.metrics.trades < this.options.minTrades) return null;
+        return OBJECTIVES[this.options.objective](report.metrics);
+    }
+
+    async run() {
+        const candidates = this.candidates();
+        const windows = this.windows();
+        const results = candidates.map(params => ({ params, train: [], test: [] }));
+        const folds = [];
+
+        logger.info(`🔧 Optimizing ${candidates.length} parameter sets over ${windows.length} walk-forward folds (${this.options.objective})`);
+
+        for (const [index, window] of windows.entries()) {
+            // One backtester per window keeps its candles loaded across candidates
+            const train = this.backtester(window.train);
+            const test = this.backtester(window.test);
+
+            for (const result of results) {
+                const overrides = this.toOverrides(result.params);
+                const trainReport = await train.run(overrides);
+                const testReport = await test.run(overrides);
+
+                result.train.push({ score: this.score(trainReport), trades: trainReport.metrics.trades, totalReturn: trainReport.metrics.totalReturn });
+                result.test.push({ score: this.score(testReport), trades: testReport.metrics.trades, totalReturn: testReport.metrics.totalReturn });
+            }
+
+            // The set a walk-forward run would have picked on this fold, and how it then did
+            const picked = this.best(results, result => result.train[index].score);
+            folds.push({
+                fold: index + 1,
+                train: window.train,
+                test: window.test,
+                params: picked ? picked.params : null,
+                trainScore: picked ? picked.train[index].score : null,
+                testScore: picked ? picked.test[index].score : null,
+                testReturn: picked ? picked.test[index].totalReturn : null
+            });
+        }
+
+        for (const result of results) {
+            result.meanTrain = this.mean(result.train.map(fold => fold.score));
+            result.meanTest = this.mean(result.test.map(fold => fold.score));
+            result.scoredFolds = result.test.filter(fold => fold.score !== null).length;
+        }
+
+        const ranking = results
+            .filter(result => result.meanTest !== null)
+            .sort((a, b) => b.meanTest - a.meanTest || b.scoredFolds - a.scoredFolds);
+
+        const best = ranking[0] || null;
+
+        return {
+            period: { from: this.options.from, to: this.options.to, resolution: this.options.resolution },
+            objective: this.options.objective,
+            search: this.options.search,
+            space: this.space,
+            candidates: candidates.length,
+            folds: folds,
+            // Out-of-sample result of re-picking on every fold
+            walkForwardScore: this.mean(folds.map(fold => fold.testScore)),
+            ranking: ranking.slice(0, this.options.top).map(result => ({
+                params: result.params,
+                meanTest: result.meanTest,
+                meanTrain: result.meanTrain,
+                scoredFolds: result.scoredFolds,
+                testTrades: result.test.reduce((sum, fold) => sum + fold.trades, 0)
+            })),
+            best: best ? { params: best.params, strategy: mergeStrategy(this.toOverrides(best.params)) } : null
+        };
+    }
+
+    best(results, scoreOf) {
+        let best = null;
+        for (const result of results) {
+            const score = scoreOf(result);
+            if (score === null) continue;
+            if (!best || score > scoreOf(best)) best = result;
+        }
+        return best;
+    }
+
+    mean(scores) {
+        const scored = scores.filter(score => score !== null);
+        if (scored.length === 0) return null;
+        return scored.reduce((sum, score) => sum + score, 0) / scored.length;
+    }
+
+    // Writes the winning set where the live bot picks it up (see loadStrategy)
+    exportBest(report, file) {
+        if (!report.best) throw new Error('No parameter set scored on the test folds');
+
+        saveStrategy(file, report.best.strategy, {
+            objective: report.objective,
+            period: report.period,
+            folds: report.folds.length,
+            meanTest: report.ranking[0].meanTest,
+            walkForwardScore: report.walkForwardScore,
+            params: report.best.params,
+            exportedAt: new Date().toISOString()
+        });
+        logger.info(`💾 Exported strategy parameters to ${file}`);
+    }
+}
+
+Optimizer.OBJECTIVES = OBJECTIVES;
+
+module.exports = Optimizer;
@@ -0,0 +1,194 @@
+// backend/src/collectors/candle_store.js
+const priceService = require('../utils/price_service');
+const logger = require('../utils/logger');
+
+// Candle resolutions in milliseconds, finest first. Swaps and price polls are
+// written at the finest resolution; each coarser one is rolled up from the one
+// before it.
+const RESOLUTIONS = {
+    '1s': 1000,
+    '1m': 60 * 1000,
+    '5m': 5 * 60 * 1000,
+    '1h': 60 * 60 * 1000
+};
+const NAMES = Object.keys(RESOLUTIONS);
+
+// OHLCV history per token, priced in SOL with SOL volume
+class CandleStore {
+    constructor(database) {
+        this.db = database;
+
+        this.config = {
+            pollInterval: parseInt(process.env.CANDLE_POLL_MS || '15000'),
+            rollupInterval: parseInt(process.env.CANDLE_ROLLUP_MS || '60000'),
+            pollTokens: parseInt(process.env.CANDLE_POLL_TOKENS || '20'),
+            // How long each resolution is kept, in hours (0 = forever)
+            retention: {
+                '1s': parseFloat(process.env.CANDLE_RETENTION_1S_HOURS || '6'),
+                '1m': parseFloat(process.env.CANDLE_RETENTION_1M_HOURS || '168'),
+                '5m': parseFloat(process.env.CANDLE_RETENTION_5M_HOURS || '720'),
+                '1h': parseFloat(process.env.CANDLE_RETENTION_1H_HOURS || '0')
+            }
+        };
+
+        this.tradeFlow = null;
+        this.lastSwapAt = new Map(); // mint -> last swap time, to skip polling streamed tokens
+        this.lastRollup = Date.now() - RESOLUTIONS['1h'];
+        this.stats = {
+            swapTicks: 0,
+            pollTicks: 0,
+            rollups: 0,
+            pruned: 0
+        };
+    }
+
+    start(tradeFlow) {
+        if (this.tradeFlow !== tradeFlow) {
+            this.tradeFlow = tradeFlow;
+            tradeFlow.on('swap', (swap) => {
+                if (!swap.price) return;
+                this.lastSwapAt.set(swap.mint, Date.now());
+                this.stats.swapTicks++;
+                this.addTick(swap.mint, swap.price, swap.solAmount, swap.timestamp, 'swap');
+            });
+        }
+
+        this.pollTimer = setInterval(() => {
+            this.pollPrices().catch(error => logger.error('Candle price poll error:', error));
+        }, this.config.pollInterval);
+
+        this.rollupTimer = setInterval(() => {
+            try {
+                this.rollup();
+                this.prune();
+            } catch (error) {
+                logger.error('Candle roll-up error:', error);
+            }
+        }, this.config.rollupInterval);
+
+        logger.info('🕯️ Candle store started');
+    }
+
+    addTick(mint, price, volume, timestamp, source) {
+        const length = RESOLUTIONS['1s'];
+        this.db.upsertCandle({
+            tokenAddress: mint,
+            resolution: '1s',
+            startTime: Math.floor(timestamp / length) * length,
+            price: price,
+            volume: volume || 0,
+            trades: source === 'swap' ? 1 : 0,
+            timestamp: timestamp,
+            source: source
+        });
+    }
+
+    // Tokens without a swap stream get a candle point from the price service:
+    // open positions first, then the best current candidates
+    async pollPrices() {
+        const held = [...this.db.getOpenPositions('paper'), ...this.db.getOpenPositions('live')]
+            .map(position => position.token_address);
+        const candidates = this.db.getViableTokens(this.config.pollTokens).map(token => token.address);
+
+        const streamedSince = Date.now() - this.config.pollInterval;
+        const mints = [...new Set([...held, ...candidates])]
+            .filter(mint => !(this.lastSwapAt.get(mint) > streamedSince));
+        if (mints.length === 0) return;
+
+        const prices = await priceService.getPrices(mints);
+        for (const [mint, price] of prices) {
+            if (!price.sol) continue;
+            this.stats.pollTicks++;
+            this.addTick(mint, price.sol, 0, Date.now(), 'poll');
+        }
+    }
+
+    // Rebuild every coarser bucket touched since the last run from the
+    // resolution below it, including the current, still-open bucket
+    rollup() {
+        const now = Date.now();
+
+        for (let i = 1; i < NAMES.length; i++) {
+            const name = NAMES[i];
+            const length = RESOLUTIONS[name];
+            const from = Math.floor(this.lastRollup / length) * length;
+
+            const rows = this.db.getCandlesSince(NAMES[i - 1], from);
+            const buckets = new Map();
+
+            for (const row of rows) {
+                const startTime = Math.floor(row.start_time / length) * length;
+                const key = `${row.token_address}:${startTime}`;
+                const bucket = buckets.get(key);
+
+                // rows are ordered by start_time, so the first is the open and the last the close
+                if (!bucket) {
+                    buckets.set(key, {
+                        tokenAddress: row.token_address,
+                        resolution: name,
+                        startTime: startTime,
+                        open: row.open,
+                        high: row.high,
+                        low: row.low,
+                        close: row.close,
+                        volume: row.volume,
+                        trades: row.trades,
+                        closeTime: row.close_time,
+                        source: row.source
+                    });
+                } else {
+                    bucket.high = Math.max(bucket.high, row.high);
+                    bucket.low = Math.min(bucket.low, row.low);
+                    bucket.close = row.close;
+                    bucket.volume += row.volume;
+                    bucket.trades += row.trades;
+                    bucket.closeTime = row.close_time;
+                    if (bucket.source !== row.source) bucket.source = 'mixed';
+                }
+            }
+
+            this.db.replaceCandles(Array.from(buckets.values()));
+        }
+
+        this.lastRollup = now;
+        this.stats.rollups++;
+    }
+
+    prune() {
+        for (const [name, hours] of Object.entries(this.config.retention)) {
+            if (!hours) continue;
+            const result = this.db.deleteCandlesBefore(name, Date.now() - hours * 60 * 60 * 1000);
+            this.stats.pruned += result.changes;
+        }
+    }
+
+    getCandles(mint, resolution = '1m', options = {}) {
+        if (!RESOLUTIONS[resolution]) {
+            throw new Error(`Unknown candle resolution ${resolution}`);
+        }
+        return this.db.getCandles(mint, resolution, options);
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            lastRollup: this.lastRollup,
+            retention: this.config.retention
+        };
+    }
+
+    stop() {
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+        if (this.rollupTimer) {
+            clearInterval(this.rollupTimer);
+            this.rollupTimer = null;
+        }
+    }
+}
+
+CandleStore.RESOLUTIONS = RESOLUTIONS;
+
+module.exports = CandleStore;
@@ -1,36 +1,72 @@
 // backend/src/collectors/enhanced_token_scanner.js
-const { Connection, PublicKey } = require('@solana/web3.js');
+const EventEmitter = require('events');
 const axios = require('axios');
+const { createConnection } = require('../utils/connection');
 const logger = require('../utils/logger');
 const PumpFunScanner = require('./scanners/pumpfun_scanner');
-
-class EnhancedTokenScanner {
+const priceService = require('../utils/price_service');
+const TokenAnalyzer = require('../analzyers/token_analyzer');
+const MigrationWatcher = require('./migration_watcher');
+const TradeFlowTracker = require('./trade_flow_tracker');
+const CandleStore = require('./candle_store');
+const PoolStateReader = require('./pool_state_reader');
+const ScannerRegistry = require('./scanner_registry');
+const SubscriptionManager = require('../utils/subscription_manager');
+const { loadStrategy, scoreToken, scoreThreshold } = require('../utils/strategy_config');
+const { scanners } = require('../config/scanner-sources');
+
+// Registry tokens at or above this source priority are announced as 'high-priority'
+const HIGH_PRIORITY = 9;
+const RECENT_TOKEN_LIMIT = 500;
+
+class EnhancedTokenScanner extends EventEmitter {
     constructor(database) {
+        super();
         this.db = database;
-        this.connection = new Connection(
-            process.env.HELIUS_API_KEY 
-                ? `https://mainnet.helius-rpc.com/?api-key=${process.env.HELIUS_API_KEY}`
-                : process.env.SOLANA_RPC_URL
-        );
+        // Everything built on this connection shares one managed websocket, so
+        // subscriptions survive drops and are backfilled after a reconnect
+        this.subscriptions = new SubscriptionManager(createConnection());
+        this.connection = this.subscriptions.wrapConnection();
         this.isScanning = false;
         this.scanInterval = 15000; // 15 seconds for faster discovery
         this.processedTokens = new Set();
-        this.processedPools = new Set();
-        
-        // Raydium Program IDs
-        this.RAYDIUM_V4 = new PublicKey('675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8');
-        this.RAYDIUM_CPMM = new PublicKey('CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C');
+        this.tokenAnalyzer = new TokenAnalyzer(this.connection);
+        this.strategy = loadStrategy();
         
         // Pump.fun integration
         this.pumpFunScanner = new PumpFunScanner();
         this.pumpFunTokens = new Map();
+        this.migrationWatcher = new MigrationWatcher(this.db, this.connection);
+        this.tradeFlow = new TradeFlowTracker(this.db, this.connection);
+        this.candles = new CandleStore(this.db);
+        this.poolState = new PoolStateReader(this.connection, this.db);
+        this.recentTokens = new Map(); // address -> latest sighting, for movers
+
+        // Per-source settings; toggles through the API change these copies
+        this.scannerConfigs = Object.fromEntries(
+            Object.entries(scanners).map(([name, config]) => [name, { ...config }])
+        );
+        this.registry = new ScannerRegistry(
+            { connection: this.connection, poolState: this.poolState, parent: this },
+            this.scannerConfigs
+        );
+        this.registry.on('token', (token) => this.handleRegistryToken(token));
+
+        // Follow watched tokens from their curve into the new pool
+        this.migrationWatcher.on('migration', (migration) => {
+            if (migration.pool && this.tradeFlow.isWatching(migration.mint)) {
+                this.tradeFlow.watch(migration.mint, { pool: migration.pool, venue: migration.destination });
+            }
+        });
     }
 
     async startScanning() {
         if (this.isScanning) return;
         
         this.isScanning = true;
-        logger.info('🚀 Enhanced Token Scanner started with Raydium monitoring');
+        logger.info('🚀 Enhanced Token Scanner started');
+        this.tradeFlow.start(this.pumpFunScanner);
+        this.candles.start(this.tradeFlow);
 
         // Initial scan
         await this.scanAll();
@@ -44,25 +80,31 @@ class EnhancedTokenScanner {
             }
         }, this.scanInterval);
 
-        // Real-time Raydium monitoring
-        if (process.env.HELIUS_API_KEY) {
-            this.startRaydiumWebsocket();
-        }
-        
         // Start Pump.fun monitoring
         this.startPumpFunMonitoring();
+
+        // Per-DEX scanners run their own timers; their first scans shouldn't hold up startup
+        this.registry.startAll().catch(error => {
+            logger.error('Error starting DEX scanners:', error);
+        });
     }
 
     async scanAll() {
-        const [dexScreenerTokens, birdeyeTokens, raydiumPools, pumpFunTokens] = await Promise.all([
-            this.fetchDexScreenerTokens(),
-            this.fetchBirdeyeTokens(),
-            this.fetchRecentRaydiumPools(),
+        // Refresh SOL/USD so USD-quoted sources can be converted to SOL
+        await priceService.getSolUsdPrice();
+
+        // Raydium pools come in through the registry's RaydiumScanner
+        const [dexScreenerTokens, birdeyeTokens, pumpFunTokens] = await Promise.all([
+            this.scannerConfigs.dexscreener.enabled ? this.fetchDexScreenerTokens() : [],
+            this.scannerConfigs.birdeye.enabled ? this.fetchBirdeyeTokens() : [],
             this.fetchRecentPumpFunTokens()
         ]);
 
-        const allTokens = [...dexScreenerTokens, ...birdeyeTokens, ...raydiumPools, ...pumpFunTokens];
+        await this.syncCurveWatches();
+
+        const allTokens = [...dexScreenerTokens, ...birdeyeTokens, ...pumpFunTokens];
         const uniqueTokens = this.deduplicateTokens(allTokens);
+        uniqueTokens.forEach(token => this.remember(token));
         const newTokens = uniqueTokens.filter(t => !this.processedTokens.has(t.address));
 
         logger.info(`Found ${newTokens.length} new tokens to analyze (including ${pumpFunTokens.length} from Pump.fun)`);
@@ -105,6 +147,7 @@ class EnhancedTokenScanner {
             
             // Start the scanner
             await this.pumpFunScanner.start(this.connection);
+            this.migrationWatcher.start(this.pumpFunScanner);
             logger.info('✅ Pump.fun monitoring initialized');
             
         } catch (error) {
@@ -112,6 +155,34 @@ class EnhancedTokenScanner {
         }
     }
 
+    async handleRegistryToken(token) {
+        this.remember(token);
+        this.emit('token', token);
+        if (token.sourcePriority >= HIGH_PRIORITY) {
+            this.emit('high-priority', token);
+        }
+
+        if (this.processedTokens.has(token.address)) return;
+        this.processedTokens.add(token.address);
+
+        await this.analyzeAndStoreToken(token);
+    }
+
+    // Keep bonding-curve prices live for every pump.fun token we hold, paper or live
+    async syncCurveWatches() {
+        if (!this.pumpFunScanner.isRunning) return;
+
+        try {
+            const held = [...this.db.getOpenPositions('paper'), ...this.db.getOpenPositions('live')]
+                .filter(position => position.is_pump_fun)
+                .map(position => position.token_address);
+
+            await this.pumpFunScanner.watchCurves(held);
+        } catch (error) {
+            logger.debug('Error syncing bonding curve watches:', error.message);
+        }
+    }
+
     async fetchRecentPumpFunTokens() {
         try {
             // Get recent tokens from the pump.fun scanner
@@ -139,6 +210,14 @@ class EnhancedTokenScanner {
     }
 
     async enrichPumpFunToken(token) {
+        // Still on the bonding curve - the curve account is the exact, current source
+        if (!token.curveComplete) {
+            const curve = await this.pumpFunScanner.fetchBondingCurve(token.address);
+            if (curve && !curve.curveComplete) {
+                return { ...token, ...curve, hasMarketData: true };
+            }
+        }
+
         try {
             // Try to get data from DexScreener
             const response = await axios.get(
@@ -150,7 +229,8 @@ class EnhancedTokenScanner {
                 const pair = response.data.pairs[0];
                 return {
                     ...token,
-                    price: parseFloat(pair.priceUsd || 0),
+                    priceUsd: parseFloat(pair.priceUsd || 0),
+                    priceSol: priceService.usdToSol(parseFloat(pair.priceUsd || 0)),
                     liquidity: parseFloat(pair.liquidity?.usd || token.liquidity),
                     volume24h: parseFloat(pair.volume?.h24 || 0),
                     priceChange24h: parseFloat(pair.priceChange?.h24 || 0),
@@ -198,7 +278,8 @@ class EnhancedTokenScanner {
                     address: token.address,
                     symbol: token.symbol,
                     name: token.name,
-                    price: token.price,
+                    priceUsd: token.price,
+                    priceSol: priceService.usdToSol(token.price),
                     liquidity: token.liquidity,
                     volume24h: token.v24hUSD,
                     priceChange24h: token.v24hChangePercent,
@@ -212,173 +293,6 @@ class EnhancedTokenScanner {
         }
     }
 
-    async fetchRecentRaydiumPools() {
-        try {
-            // Get recent signatures for Raydium
-            const signatures = await this.connection.getSignaturesForAddress(
-                this.RAYDIUM_V4,
-                { limit: 100 }
-            );
-
-            const recentPools = [];
-            
-            for (const sig of signatures.slice(0, 20)) { // Check last 20 transactions
-                try {
-                    const tx = await this.connection.getParsedTransaction(
-                        sig.signature,
-                        { maxSupportedTransactionVersion: 0 }
-                    );
-
-                    if (!tx || !tx.meta) continue;
-
-                    // Look for pool initialization
-                    const instructions = tx.transaction.message.instructions;
-                    
-                    for (const ix of instructions) {
-                        if (ix.programId.toString() === this.RAYDIUM_V4.toString()) {
-                            const poolInfo = await this.parseRaydiumPoolCreation(tx);
-                            if (poolInfo && !this.processedPools.has(poolInfo.poolId)) {
-                                recentPools.push(poolInfo);
-                                this.processedPools.add(poolInfo.poolId);
-                                logger.info(`🎯 New Raydium pool detected: ${poolInfo.symbol}`);
-                            }
-                        }
-                    }
-                } catch (error) {
-                    // Continue with next transaction
-                }
-            }
-
-            return recentPools;
-        } catch (error) {
-            logger.warn('Raydium monitoring error:', error.message);
-            return [];
-        }
-    }
-
-    async parseRaydiumPoolCreation(transaction) {
-        try {
-            // Extract token addresses from the transaction
-            const accounts = transaction.transaction.message.accountKeys;
-            
-            // Raydium pool typically has specific account structure
-            if (accounts.length < 10) return null;
-
-            // Get the token mint addresses (usually at specific indices)
-            const tokenAMint = accounts[8]?.pubkey?.toString();
-            const tokenBMint = accounts[9]?.pubkey?.toString();
-
-            if (!tokenAMint || !tokenBMint) return null;
-
-            // Check if one is SOL/WSOL
-            const WSOL = 'So11111111111111111111111111111111111111112';
-            const isSOLPair = tokenAMint === WSOL || tokenBMint === WSOL;
-            
-            if (!isSOLPair) return null;
-
-            const tokenMint = tokenAMint === WSOL ? tokenBMint : tokenAMint;
-
-            // Get token info
-            const tokenInfo = await this.getTokenInfo(tokenMint);
-            if (!tokenInfo) return null;
-
-            return {
-                address: tokenMint,
-                symbol: tokenInfo.symbol || 'UNKNOWN',
-                name: tokenInfo.name || 'Unknown Token',
-                poolId: transaction.transaction.signatures[0],
-                liquidity: 1000, // Will be updated by price fetcher
-                volume24h: 0,
-                priceChange24h: 0,
-                marketCap: 0,
-                createdAt: Date.now(),
-                source: 'raydium-direct',
-                isNew: true
-            };
-        } catch (error) {
-            return null;
-        }
-    }
-
-    async getTokenInfo(mintAddress) {
-        try {
-            // Try to get from Birdeye first
-            if (process.env.BIRDEYE_API_KEY) {
-                const response = await axios.get(
-                    `https://public-api.birdeye.so/defi/token_overview`,
-                    {
-                        headers: { 'X-API-KEY': process.env.BIRDEYE_API_KEY },
-                        params: { address: mintAddress },
-                        timeout: 5000
-                    }
-                );
-                
-                if (response.data.data) {
-                    return {
-                        symbol: response.data.data.symbol,
-                        name: response.data.data.name,
-                        decimals: response.data.data.decimals
-                    };
-                }
-            }
-
-            // Fallback to on-chain data
-            const mintPubkey = new PublicKey(mintAddress);
-            const mintInfo = await this.connection.getParsedAccountInfo(mintPubkey);
-            
-            if (mintInfo.value?.data?.parsed?.info) {
-                return {
-                    symbol: 'NEW',
-                    name: 'New Token',
-                    decimals: mintInfo.value.data.parsed.info.decimals
-                };
-            }
-
-            return null;
-        } catch (error) {
-            return null;
-        }
-    }
-
-    startRaydiumWebsocket() {
-        logger.info('🔌 Starting Raydium WebSocket monitoring');
-        
-        // Subscribe to Raydium program logs
-        this.connection.onLogs(
-            this.RAYDIUM_V4,
-            async (logs) => {
-                if (logs.err) return;
-                
-                // Check if this is a pool creation
-                const isPoolCreation = logs.logs.some(log => 
-                    log.includes('InitializeInstruction') || 
-                    log.includes('Initialize2')
-                );
-
-                if (isPoolCreation) {
-                    logger.info('🆕 Real-time Raydium pool creation detected!');
-                    
-                    // Fetch and analyze the transaction
-                    try {
-                        const tx = await this.connection.getParsedTransaction(
-                            logs.signature,
-                            { maxSupportedTransactionVersion: 0 }
-                        );
-                        
-                        const poolInfo = await this.parseRaydiumPoolCreation(tx);
-                        if (poolInfo) {
-                            await this.analyzeAndStoreToken(poolInfo);
-                            this.processedTokens.add(poolInfo.address);
-                        }
-                    } catch (error) {
-                        logger.error('Error processing real-time pool:', error);
-                    }
-                }
-            },
-            'confirmed'
-        );
-    }
-
     deduplicateTokens(tokens) {
         const uniqueMap = new Map();
         
@@ -430,7 +344,8 @@ class EnhancedTokenScanner {
                     address: pair.baseToken.address,
                     symbol: pair.baseToken.symbol || 'UNKNOWN',
                     name: pair.baseToken.name || 'Unknown Token',
-                    price: parseFloat(pair.priceUsd || 0),
+                    priceUsd: parseFloat(pair.priceUsd || 0),
+                    priceSol: priceService.usdToSol(parseFloat(pair.priceUsd || 0)),
                     liquidity: parseFloat(pair.liquidity?.usd || 0),
                     volume24h: parseFloat(pair.volume?.h24 || 0),
                     priceChange24h: parseFloat(pair.priceChange?.h24 || 0),
@@ -450,9 +365,24 @@ class EnhancedTokenScanner {
     // Enhanced analysis with source weighting
     async analyzeAndStoreToken(token) {
         try {
+            // Decoded pool creations are kept whatever the token scores, so the
+            // exact pool is known if it's traded later
+            if (token.pool?.address) {
+                this.db.savePool(token.pool);
+            }
+
+            token = await this.withPoolLiquidity(token);
+
+            // API liquidity only pre-filters; the pool's own reserves decide
+            if (token.liquiditySol !== undefined && token.source !== 'pumpfun' &&
+                token.liquidity < parseFloat(process.env.MIN_LIQUIDITY || 500)) {
+                logger.debug(`Skipping ${token.symbol}: on-chain liquidity $${token.liquidity.toFixed(0)}`);
+                return;
+            }
+
             // Give bonus points for pump.fun discoveries
             const sourceBonus = token.source === 'pumpfun' ? 25 : 
-                              token.source === 'raydium-direct' ? 20 : 0;
+                              token.source === 'raydium-direct' || token.source === 'meteora' ? 20 : 0;
             
             // Extra bonus for very new pump.fun tokens
             const ageMinutes = (Date.now() - token.createdAt) / (1000 * 60);
@@ -465,20 +395,18 @@ class EnhancedTokenScanner {
                 volumeScore: this.scoreVolume(token.volume24h, token.liquidity)
             };
 
-            const overallScore = (
-                analysis.liquidityScore * 0.25 +
-                analysis.momentumScore * 0.25 +
-                analysis.ageScore * 0.3 +
-                analysis.volumeScore * 0.2
-            );
+            const overallScore = scoreToken(analysis, this.strategy.scanner);
 
-            const riskScore = this.calculateRiskScore(token, analysis);
+            const marketRisk = this.calculateRiskScore(token, analysis);
 
             // Lower threshold for pump.fun discoveries
-            const scoreThreshold = token.source === 'pumpfun' ? 15 : 
-                                 token.source === 'raydium-direct' ? 20 : 30;
-            
-            if (overallScore > scoreThreshold && riskScore < 90) {
+            if (overallScore <= scoreThreshold(token.source, this.strategy.scanner) || marketRisk >= 90) return;
+
+            // On-chain safety checks only for tokens we'd otherwise keep - they cost several RPC calls
+            const onchain = await this.analyzeOnChain(token);
+            const riskScore = Math.min(100, marketRisk + (onchain?.riskScore || 0));
+
+            if (riskScore < 90) {
                 await this.db.addToken({
                     address: token.address,
                     symbol: token.symbol,
@@ -492,13 +420,30 @@ class EnhancedTokenScanner {
                     metadata: JSON.stringify({
                         source: token.source,
                         deploymentType: token.deploymentType,
-                        isPumpFun: token.isPumpFun || false
+                        isPumpFun: token.isPumpFun || false,
+                        creator: token.creator || null,
+                        pool: token.poolAddress || token.pairAddress || null,
+                        poolType: token.poolType || null,
+                        liquiditySol: token.liquiditySol ?? null,
+                        curveProgress: token.curveProgress ?? null,
+                        scores: analysis // lets backtests re-weight the score
                     }),
                     isPumpFun: token.source === 'pumpfun',
-                    deploymentType: token.deploymentType
+                    deploymentType: token.deploymentType,
+                    riskBreakdown: {
+                        marketRisk: marketRisk,
+                        onchainRisk: onchain?.riskScore ?? null,
+                        onchain: onchain
+                    }
                 });
 
                 logger.info(`✅ Added token: ${token.symbol} from ${token.source} (Score: ${overallScore.toFixed(1)}, Risk: ${riskScore.toFixed(1)})`);
+
+                // Keep its reserves live for the liquidity checks that follow
+                if (token.poolAddress) {
+                    this.poolState.watch(token.poolAddress)
+                        .catch(error => logger.debug(`Pool watch failed for ${token.symbol}:`, error.message));
+                }
             }
 
         } catch (error) {
@@ -506,6 +451,39 @@ class EnhancedTokenScanner {
         }
     }
 
+    // Replaces reported liquidity with the pool's on-chain reserves (both sides, in USD)
+    // when a supported SOL pool is found. Tokens still on their curve read the curve.
+    async withPoolLiquidity(token) {
+        const pool = token.poolAddress || token.pairAddress ||
+            (token.source === 'pumpfun' && !token.curveComplete ? this.poolState.getBondingCurveAddress(token.address) : null);
+
+        const state = await this.poolState.getLiquidity(token.address, pool);
+        const solUsd = priceService.getCachedSolUsdPrice();
+        if (!state || !solUsd) return token;
+
+        return {
+            ...token,
+            liquidity: state.tvlSol * solUsd,
+            liquiditySol: state.tvlSol,
+            poolAddress: state.pool,
+            poolType: state.type
+        };
+    }
+
+    async analyzeOnChain(token) {
+        try {
+            const report = await this.tokenAnalyzer.analyze(token);
+            const failed = report.checks.filter(check => check.status === 'fail');
+            if (failed.length > 0) {
+                logger.debug(`On-chain risk for ${token.symbol}: ${failed.map(check => check.detail).join('; ')}`);
+            }
+            return report;
+        } catch (error) {
+            logger.debug(`On-chain analysis failed for ${token.symbol}:`, error.message);
+            return null;
+        }
+    }
+
     scoreLiquidity(liquidity) {
         if (liquidity >= 50000) return 100;
         if (liquidity >= 25000) return 80;
@@ -581,6 +559,90 @@ class EnhancedTokenScanner {
         return Math.min(100, Math.max(0, risk));
     }
 
+    remember(token) {
+        this.recentTokens.delete(token.address);
+        this.recentTokens.set(token.address, { ...token, seenAt: Date.now() });
+
+        if (this.recentTokens.size > RECENT_TOKEN_LIMIT) {
+            this.recentTokens.delete(this.recentTokens.keys().next().value);
+        }
+    }
+
+    // Biggest 24h gainers among tokens seen by any source
+    async getTopMovers(limit = 20) {
+        const tokens = new Map();
+        for (const token of [...this.registry.getTokens(), ...this.recentTokens.values()]) {
+            if (Number.isFinite(token.priceChange24h)) tokens.set(token.address, token);
+        }
+
+        return Array.from(tokens.values())
+            .sort((a, b) => b.priceChange24h - a.priceChange24h)
+            .slice(0, limit)
+            .map(token => ({
+                address: token.address,
+                symbol: token.symbol,
+                name: token.name,
+                source: token.source,
+                priceUsd: token.priceUsd ?? null,
+                priceSol: token.priceSol ?? null,
+                priceChange24h: token.priceChange24h,
+                volume24h: token.volume24h || 0,
+                liquidity: token.liquidity || 0
+            }));
+    }
+
+    // Every source: the registry's DEX scanners plus those run here
+    getScannerStatus() {
+        const builtIn = {
+            pumpfun: this.pumpFunScanner.isRunning,
+            dexscreener: this.isScanning,
+            birdeye: this.isScanning
+        };
+
+        const status = this.registry.getStatus();
+        for (const [name, scanning] of Object.entries(builtIn)) {
+            const config = this.scannerConfigs[name];
+            status[name] = {
+                enabled: config.enabled,
+                running: config.enabled && scanning,
+                priority: config.priority,
+                scanInterval: name === 'pumpfun' ? null : this.scanInterval
+            };
+        }
+        status.pumpfun.stats = this.pumpFunScanner.getStats();
+        return status;
+    }
+
+    getStats() {
+        return {
+            isScanning: this.isScanning,
+            processedTokens: this.processedTokens.size,
+            recentTokens: this.recentTokens.size,
+            scanners: this.getScannerStatus(),
+            pools: this.poolState.getStats(),
+            migrations: this.migrationWatcher.getStats()
+        };
+    }
+
+    async setScannerEnabled(name, enabled) {
+        const config = this.scannerConfigs[name];
+        if (!config) return false;
+
+        if (this.registry.has(name)) {
+            return this.registry.setEnabled(name, enabled);
+        }
+
+        config.enabled = enabled;
+        if (name === 'pumpfun') {
+            if (enabled && this.isScanning) {
+                await this.pumpFunScanner.start(this.connection);
+            } else if (!enabled) {
+                await this.pumpFunScanner.stop();
+            }
+        }
+        return true;
+    }
+
     stopScanning() {
         this.isScanning = false;
         if (this.scanTimer) {
@@ -590,7 +652,15 @@ class EnhancedTokenScanner {
         // Stop pump.fun scanner
         if (this.pumpFunScanner) {
             this.pumpFunScanner.stop();
+            this.migrationWatcher.stop();
         }
+        this.registry.stopAll();
+        this.tradeFlow.stop();
+        this.candles.stop();
+        this.poolState.stop();
+
+        // Drops whatever the components above haven't removed yet, and the socket
+        this.subscriptions.close();
         
         logger.info('Enhanced token scanner stopped');
     }
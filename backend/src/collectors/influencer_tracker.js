@@ -403,16 +403,20 @@ class InfluencerTracker {
                 reason: 'influencer_signal'
             });
             
-            // Execute via trading engine
-            await this.tradingEngine.executeTrade(token, {
+            // Execute via the trading engine's influencer strategy
+            const decision = await this.tradingEngine.onSignal('influencer', token, {
                 confidence: signalStrength,
-                strategy: 'influencer',
+                suggestedSize: positionSize,
                 metadata: {
                     influencer: activity.influencer,
                     platform: activity.platform,
                     sentiment: activity.sentiment
                 }
             });
+
+            if (decision && !decision.approved) {
+                logger.info(`Influencer trade on ${tokenSymbol} blocked by risk limits`);
+            }
             
         } catch (error) {
             logger.error(`Failed to execute influencer trade for ${tokenSymbol}:`, error);
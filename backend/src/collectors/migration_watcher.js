@@ -0,0 +1,194 @@
+// backend/src/collectors/migration_watcher.js
+const EventEmitter = require('events');
+const { PublicKey } = require('@solana/web3.js');
+const ScannerBase = require('./scanner_base');
+const RaydiumDecoder = require('./scanners/raydium_decoder');
+const priceService = require('../utils/price_service');
+const logger = require('../utils/logger');
+
+// Account pump.fun used to create Raydium pools for completed curves
+const PUMP_RAYDIUM_MIGRATOR = '39azUYFWPz3VHgKCf3VChUwbpURdCHRxjWVowf5jUJjg';
+const PUMP_TOKEN_DECIMALS = 6;
+
+// Links a pump.fun curve completing to the pool it migrates into and emits a
+// single 'migration' event: { mint, pool, destination, initialReserves, ... }.
+// PumpSwap migrations come from the pump.fun program's own events; legacy
+// Raydium migrations from the migrator account's initialize2 transactions.
+class MigrationWatcher extends EventEmitter {
+    constructor(database, connection) {
+        super();
+        this.db = database;
+        this.connection = connection;
+        this.pumpFunScanner = null;
+        this.raydiumSubscriptionId = null;
+        this.raydiumDecoder = new RaydiumDecoder();
+
+        this.config = {
+            // Completed curves whose pool hasn't shown up by then are dropped
+            awaitMinutes: parseFloat(process.env.MIGRATION_AWAIT_MINUTES || '60')
+        };
+
+        this.completed = new ScannerBase.BoundedMap(1000); // mint -> completion time, awaiting its pool
+        this.migrated = new ScannerBase.BoundedMap(500); // mint -> migration
+        this.stats = {
+            completions: 0,
+            migrations: 0,
+            pumpswap: 0,
+            raydium: 0,
+            expired: 0
+        };
+
+        this.onComplete = (event) => {
+            this.stats.completions++;
+            this.pruneCompleted();
+            if (!this.completed.has(event.mint)) this.completed.set(event.mint, Date.now());
+        };
+        this.onMigration = (event) => {
+            this.handleMigration({
+                mint: event.mint,
+                pool: event.pool || null,
+                destination: 'pumpswap',
+                bondingCurve: event.bondingCurve,
+                initialReserves: event.solAmount !== undefined ? {
+                    sol: Number(event.solAmount) / 1e9,
+                    token: Number(event.mintAmount) / Math.pow(10, PUMP_TOKEN_DECIMALS)
+                } : null,
+                signature: event.signature
+            });
+        };
+    }
+
+    start(pumpFunScanner) {
+        if (this.pumpFunScanner !== pumpFunScanner) {
+            if (this.pumpFunScanner) this.detach();
+            this.pumpFunScanner = pumpFunScanner;
+            pumpFunScanner.on('complete', this.onComplete);
+            pumpFunScanner.on('migration', this.onMigration);
+        }
+
+        if (this.raydiumSubscriptionId === null) {
+            this.startRaydiumWatch();
+        }
+        logger.info('🚚 Migration watcher started');
+    }
+
+    startRaydiumWatch() {
+        try {
+            this.raydiumSubscriptionId = this.connection.onLogs(
+                new PublicKey(PUMP_RAYDIUM_MIGRATOR),
+                async (logs) => {
+                    if (logs.err) return;
+                    if (!logs.logs.some(log => log.includes('initialize2'))) return;
+
+                    const migration = await this.parseRaydiumMigration(logs.signature);
+                    if (migration) this.handleMigration(migration);
+                },
+                'confirmed'
+            );
+        } catch (error) {
+            logger.error('Failed to subscribe to Raydium migrations:', error);
+        }
+    }
+
+    async parseRaydiumMigration(signature) {
+        try {
+            const transaction = await this.connection.getTransaction(signature, {
+                commitment: 'confirmed',
+                maxSupportedTransactionVersion: 0
+            });
+            if (!transaction || transaction.meta?.err) return null;
+
+            const pool = this.raydiumDecoder.decodeTransaction(transaction)
+                .find(decoded => decoded.poolType === 'raydium_v4' && this.raydiumDecoder.tokenMint(decoded));
+            if (!pool) return null;
+
+            // Oriented with SOL on the quote side
+            return {
+                mint: pool.baseMint,
+                pool: pool.address,
+                destination: 'raydium',
+                initialReserves: {
+                    sol: Number(pool.quoteReserve) / 1e9,
+                    token: Number(pool.baseReserve) / Math.pow(10, PUMP_TOKEN_DECIMALS)
+                },
+                signature: signature
+            };
+        } catch (error) {
+            logger.debug(`Could not parse Raydium migration ${signature}:`, error.message);
+        }
+
+        return null;
+    }
+
+    handleMigration(migration) {
+        if (!migration.mint || this.migrated.has(migration.mint)) return;
+
+        const completedAt = this.completed.get(migration.mint);
+        const event = {
+            ...migration,
+            symbol: this.db.getToken(migration.mint)?.symbol || null,
+            // Price the pool opens at - the curve's final price, give or take the migration fee
+            initialPrice: migration.initialReserves?.token > 0
+                ? migration.initialReserves.sol / migration.initialReserves.token
+                : null,
+            completedAt: completedAt || null,
+            timestamp: Date.now()
+        };
+
+        this.completed.delete(migration.mint);
+        this.migrated.set(migration.mint, event);
+
+        this.stats.migrations++;
+        this.stats[migration.destination]++;
+
+        // The curve price is frozen from here on - the pool is the market now
+        priceService.clearLivePrice(migration.mint);
+        if (this.pumpFunScanner) {
+            this.pumpFunScanner.unwatchCurve(migration.mint);
+        }
+
+        this.db.recordMigration(migration.mint, event);
+
+        logger.info(`🚚 ${event.symbol || migration.mint} migrated to ${migration.destination} (pool ${migration.pool || 'unknown'})`);
+        this.emit('migration', event);
+    }
+
+    // Most curves migrate within seconds of completing; one that hasn't after
+    // awaitMinutes was migrated somewhere we don't watch, or never will be
+    pruneCompleted() {
+        const cutoff = Date.now() - this.config.awaitMinutes * 60 * 1000;
+        for (const [mint, completedAt] of this.completed) {
+            if (completedAt >= cutoff) break; // insertion order is completion order
+            this.completed.delete(mint);
+            this.stats.expired++;
+        }
+    }
+
+    getRecentMigrations(limit = 20) {
+        return Array.from(this.migrated.values()).reverse().slice(0, limit);
+    }
+
+    getStats() {
+        this.pruneCompleted();
+        return {
+            ...this.stats,
+            awaitingPool: this.completed.size
+        };
+    }
+
+    detach() {
+        this.pumpFunScanner.off('complete', this.onComplete);
+        this.pumpFunScanner.off('migration', this.onMigration);
+        this.pumpFunScanner = null;
+    }
+
+    async stop() {
+        if (this.pumpFunScanner) this.detach();
+        if (this.raydiumSubscriptionId !== null) {
+            await this.connection.removeOnLogsListener(this.raydiumSubscriptionId);
+            this.raydiumSubscriptionId = null;
+        }
+    }
+}
+
+module.exports = MigrationWatcher;
@@ -0,0 +1,549 @@
+// backend/src/collectors/pool_state_reader.js
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const { PublicKey } = require('@solana/web3.js');
+const bs58 = require('bs58').default;
+const priceService = require('../utils/price_service');
+const { parseMetadata } = require('../utils/metadata');
+const logger = require('../utils/logger');
+
+const WSOL_MINT = 'So11111111111111111111111111111111111111112';
+const PUMP_TOKEN_DECIMALS = 6;
+const Q64 = 2 ** 64;
+
+const PROGRAMS = {
+    '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8': 'raydium_v4',
+    'CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C': 'raydium_cpmm',
+    'CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK': 'raydium_clmm',
+    'whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc': 'orca_whirlpool',
+    'LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9YuVaPwxo': 'meteora_dlmm',
+    'Eo7WjKq67rjJQSZxS6z3YkapzY3eMj6Xy8X5EQVn5UaB': 'meteora_damm',
+    '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P': 'pumpfun_curve'
+};
+const PUMP_FUN_PROGRAM = '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P';
+
+// Anchor account discriminator: first 8 bytes of sha256("account:<Name>")
+const discriminator = (name) => crypto.createHash('sha256').update(`account:${name}`).digest().subarray(0, 8);
+
+// Where each pool type keeps its two mints, for getProgramAccounts lookups by mint.
+// Pools without a fixed size are told apart by their discriminator.
+const MINT_OFFSETS = {
+    raydium_v4: { program: '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8', size: 752, a: 400, b: 432 },
+    raydium_cpmm: { program: 'CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C', size: 637, a: 168, b: 200 },
+    raydium_clmm: { program: 'CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK', size: 1544, a: 73, b: 105 },
+    orca_whirlpool: { program: 'whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc', size: 653, a: 101, b: 181 },
+    meteora_dlmm: { program: 'LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9YuVaPwxo', account: 'LbPair', a: 88, b: 120 },
+    meteora_damm: { program: 'Eo7WjKq67rjJQSZxS6z3YkapzY3eMj6Xy8X5EQVn5UaB', account: 'Pool', a: 40, b: 72 }
+};
+
+const readPubkey = (data, offset) => new PublicKey(data.subarray(offset, offset + 32)).toBase58();
+const readU128 = (data, offset) => data.readBigUInt64LE(offset) + (data.readBigUInt64LE(offset + 8) << 64n);
+
+// Account layouts, reduced to the same shape: the two mints and vaults, amounts
+// sitting in the vaults that belong to the protocol rather than the pool, and
+// for concentrated pools the active liquidity and sqrt price (Q64.64)
+const DECODERS = {
+    // AmmInfo. Pools without an OpenBook market keep everything in the vaults.
+    raydium_v4: (data) => ({
+        mintA: readPubkey(data, 400),
+        mintB: readPubkey(data, 432),
+        vaultA: readPubkey(data, 336),
+        vaultB: readPubkey(data, 368),
+        decimalsA: Number(data.readBigUInt64LE(32)),
+        decimalsB: Number(data.readBigUInt64LE(40)),
+        pendingA: data.readBigUInt64LE(192), // base_need_take_pnl
+        pendingB: data.readBigUInt64LE(200)
+    }),
+
+    // PoolState, after the 8-byte Anchor discriminator
+    raydium_cpmm: (data) => ({
+        mintA: readPubkey(data, 168),
+        mintB: readPubkey(data, 200),
+        vaultA: readPubkey(data, 72),
+        vaultB: readPubkey(data, 104),
+        decimalsA: data[331],
+        decimalsB: data[332],
+        // protocol + fund fees
+        pendingA: data.readBigUInt64LE(341) + data.readBigUInt64LE(357),
+        pendingB: data.readBigUInt64LE(349) + data.readBigUInt64LE(365)
+    }),
+
+    raydium_clmm: (data) => ({
+        mintA: readPubkey(data, 73),
+        mintB: readPubkey(data, 105),
+        vaultA: readPubkey(data, 137),
+        vaultB: readPubkey(data, 169),
+        decimalsA: data[233],
+        decimalsB: data[234],
+        pendingA: data.readBigUInt64LE(309),
+        pendingB: data.readBigUInt64LE(317),
+        liquidity: readU128(data, 237),
+        sqrtPrice: readU128(data, 253)
+    }),
+
+    // Whirlpool doesn't store decimals; they're read from the mints
+    orca_whirlpool: (data) => ({
+        mintA: readPubkey(data, 101),
+        mintB: readPubkey(data, 181),
+        vaultA: readPubkey(data, 133),
+        vaultB: readPubkey(data, 213),
+        decimalsA: null,
+        decimalsB: null,
+        pendingA: data.readBigUInt64LE(85), // protocol_fee_owed
+        pendingB: data.readBigUInt64LE(93),
+        liquidity: readU128(data, 49),
+        sqrtPrice: readU128(data, 65)
+    }),
+
+    // LbPair. Liquidity sits in bins at prices (1 + bin_step / 10000)^bin_id of X in Y;
+    // the active bin sets the price.
+    meteora_dlmm: (data) => ({
+        mintA: readPubkey(data, 88),
+        mintB: readPubkey(data, 120),
+        vaultA: readPubkey(data, 152), // reserve_x
+        vaultB: readPubkey(data, 184),
+        decimalsA: null,
+        decimalsB: null,
+        pendingA: data.readBigUInt64LE(216), // protocol_fee
+        pendingB: data.readBigUInt64LE(224),
+        activeId: data.readInt32LE(76),
+        binStep: data.readUInt16LE(80)
+    }),
+
+    // Dynamic AMM Pool. Tokens sit in Meteora's shared vaults and the pool holds
+    // vault LP tokens, so its reserves are its share of each vault.
+    meteora_damm: (data) => ({
+        mintA: readPubkey(data, 40),
+        mintB: readPubkey(data, 72),
+        vaultA: readPubkey(data, 104),
+        vaultB: readPubkey(data, 136),
+        vaultLpA: readPubkey(data, 168),
+        vaultLpB: readPubkey(data, 200),
+        decimalsA: null,
+        decimalsB: null,
+        // Protocol fees are paid out to their own accounts
+        pendingA: 0n,
+        pendingB: 0n
+    }),
+
+    // BondingCurve: reserves are in the account itself, there are no vaults to read
+    pumpfun_curve: (data) => ({
+        virtualTokenReserves: data.readBigUInt64LE(8),
+        virtualSolReserves: data.readBigUInt64LE(16),
+        realTokenReserves: data.readBigUInt64LE(24),
+        realSolReserves: data.readBigUInt64LE(32),
+        complete: data[48] === 1
+    })
+};
+
+// Reads pool reserves straight from Raydium (AMM v4, CPMM, CLMM), Orca Whirlpool,
+// Meteora (DLMM, dynamic AMM) and pump.fun curve accounts. Every state is for the token against SOL:
+//   { pool, type, mint, priceSol, reserves: { sol, token }, tvlSol, depthSol: { buy, sell } }
+// depthSol.buy[p] is the SOL a buy needs to move the price up p%, sell[p] the
+// SOL a sell takes out moving it down p%. Watched pools are kept current with
+// account subscriptions and emit 'update' with the new state.
+// Given the database, pool lookups start from the pools discovery already found.
+class PoolStateReader extends EventEmitter {
+    constructor(connection, database = null) {
+        super();
+        this.connection = connection;
+        this.db = database;
+
+        this.config = {
+            cacheTtl: parseInt(process.env.POOL_STATE_TTL || 30000),
+            lookupTtl: 10 * 60 * 1000, // pools for a mint rarely change
+            maxWatched: parseInt(process.env.POOL_WATCH_LIMIT || 50),
+            depthLevels: [1, 2, 5]
+        };
+
+        this.states = new Map(); // pool -> latest state
+        this.lookups = new Map(); // mint -> { pools, timestamp }
+        this.decimals = new Map([[WSOL_MINT, 9]]);
+        this.curveMints = new Map(); // bonding curve -> mint, the curve account doesn't store it
+        this.watched = new Map(); // pool -> { type, layout, balances, subscriptions }
+
+        this.stats = {
+            reads: 0,
+            updates: 0,
+            lookups: 0,
+            errors: 0
+        };
+    }
+
+    // Current state of a pool, from cache while fresh or while it's watched
+    async read(pool) {
+        const cached = this.states.get(pool);
+        if (cached && (this.watched.has(pool) || Date.now() - cached.timestamp < this.config.cacheTtl)) {
+            return cached;
+        }
+
+        try {
+            const snapshot = await this.load(pool);
+            return snapshot ? this.store(pool, snapshot) : null;
+        } catch (error) {
+            this.stats.errors++;
+            logger.debug(`Could not read pool ${pool}:`, error.message);
+            return cached || null;
+        }
+    }
+
+    // Pool account plus the vault balances and decimals its state depends on
+    async load(pool) {
+        this.stats.reads++;
+        const account = await this.connection.getAccountInfo(new PublicKey(pool));
+        if (!account) return null;
+
+        const type = PROGRAMS[account.owner.toBase58()];
+        if (!type) return null;
+
+        const layout = DECODERS[type](account.data);
+        if (type === 'pumpfun_curve') return { type, layout, balances: null };
+
+        await this.loadDecimals(layout);
+        const balances = await this.loadBalances(type, layout);
+        return balances ? { type, layout, balances } : null;
+    }
+
+    // Raw token amounts held for each side of the pool
+    async loadBalances(type, layout) {
+        if (type === 'meteora_damm') return this.loadVaultShares(layout);
+
+        const vaults = await this.connection.getMultipleAccountsInfo(
+            [layout.vaultA, layout.vaultB].map(vault => new PublicKey(vault))
+        );
+        if (!vaults[0] || !vaults[1]) return null;
+
+        return { a: vaults[0].data.readBigUInt64LE(64), b: vaults[1].data.readBigUInt64LE(64) };
+    }
+
+    // Vault: enabled u8 | bumps [2] | total_amount u64 (11) | token_vault | fee_vault | token_mint | lp_mint (115)
+    // The pool's share of a vault is total_amount * pool LP balance / LP supply.
+    async loadVaultShares(layout) {
+        const accounts = await this.connection.getMultipleAccountsInfo(
+            [layout.vaultA, layout.vaultB, layout.vaultLpA, layout.vaultLpB].map(key => new PublicKey(key))
+        );
+        if (accounts.some(account => !account)) return null;
+
+        const [vaultA, vaultB, lpA, lpB] = accounts;
+        const lpMints = await this.connection.getMultipleAccountsInfo(
+            [vaultA, vaultB].map(vault => new PublicKey(vault.data.subarray(115, 147)))
+        );
+        if (lpMints.some(mint => !mint)) return null;
+
+        const share = (vault, lp, lpMint) => {
+            const supply = lpMint.data.readBigUInt64LE(36);
+            return supply > 0n ? vault.data.readBigUInt64LE(11) * lp.data.readBigUInt64LE(64) / supply : 0n;
+        };
+
+        return { a: share(vaultA, lpA, lpMints[0]), b: share(vaultB, lpB, lpMints[1]) };
+    }
+
+    async loadDecimals(layout) {
+        const missing = [layout.mintA, layout.mintB].filter(mint => !this.decimals.has(mint));
+        if (layout.decimalsA === null && missing.length > 0) {
+            const mints = await this.connection.getMultipleAccountsInfo(missing.map(mint => new PublicKey(mint)));
+            missing.forEach((mint, index) => {
+                if (mints[index]) this.decimals.set(mint, mints[index].data[44]);
+            });
+        }
+
+        if (layout.decimalsA === null) layout.decimalsA = this.decimals.get(layout.mintA) ?? null;
+        if (layout.decimalsB === null) layout.decimalsB = this.decimals.get(layout.mintB) ?? null;
+    }
+
+    store(pool, snapshot) {
+        const state = this.compute(pool, snapshot);
+        if (state) this.states.set(pool, state);
+        return state;
+    }
+
+    compute(pool, { type, layout, balances }) {
+        if (type === 'pumpfun_curve') return this.computeCurve(pool, layout);
+
+        const solSide = layout.mintA === WSOL_MINT ? 'a' : layout.mintB === WSOL_MINT ? 'b' : null;
+        if (!solSide || layout.decimalsA === null || layout.decimalsB === null) return null;
+
+        const side = (key) => ({
+            mint: key === 'a' ? layout.mintA : layout.mintB,
+            decimals: key === 'a' ? layout.decimalsA : layout.decimalsB,
+            reserve: balances[key] - (key === 'a' ? layout.pendingA : layout.pendingB)
+        });
+        const sol = side(solSide);
+        const token = side(solSide === 'a' ? 'b' : 'a');
+
+        const reserves = {
+            sol: Math.max(0, Number(sol.reserve)) / Math.pow(10, sol.decimals),
+            token: Math.max(0, Number(token.reserve)) / Math.pow(10, token.decimals)
+        };
+
+        let priceSol;
+        let activeSol; // the SOL reserve the price moves along, for depth
+        if (layout.sqrtPrice !== undefined) {
+            // Concentrated: price of A in B is s^2. Within the current range the pool
+            // trades like x*y=k on virtual reserves L/s (A) and L*s (B).
+            const s = Number(layout.sqrtPrice) / Q64;
+            const liquidity = Number(layout.liquidity);
+            const priceAinB = s * s * Math.pow(10, layout.decimalsA - layout.decimalsB);
+
+            priceSol = solSide === 'b' ? priceAinB : (priceAinB > 0 ? 1 / priceAinB : 0);
+            activeSol = (solSide === 'b' ? liquidity * s : (s > 0 ? liquidity / s : 0)) / 1e9;
+        } else if (layout.activeId !== undefined) {
+            // Per-bin liquidity needs the bin arrays; depth treats the reserves as x*y=k
+            const priceAinB = Math.pow(1 + layout.binStep / 10000, layout.activeId) *
+                Math.pow(10, layout.decimalsA - layout.decimalsB);
+
+            priceSol = solSide === 'b' ? priceAinB : (priceAinB > 0 ? 1 / priceAinB : 0);
+            activeSol = reserves.sol;
+        } else {
+            priceSol = reserves.token > 0 ? reserves.sol / reserves.token : 0;
+            activeSol = reserves.sol;
+        }
+
+        const state = this.buildState(pool, type, token.mint, priceSol, reserves,
+            reserves.sol + reserves.token * priceSol, activeSol, reserves.sol);
+        if (layout.activeId !== undefined) state.bin = { activeId: layout.activeId, binStep: layout.binStep };
+        return state;
+    }
+
+    // Curve prices move on its virtual reserves, but only the real SOL can be taken out
+    computeCurve(pool, curve) {
+        const virtualSol = Number(curve.virtualSolReserves) / 1e9;
+        const virtualTokens = Number(curve.virtualTokenReserves) / Math.pow(10, PUMP_TOKEN_DECIMALS);
+        const realSol = Number(curve.realSolReserves) / 1e9;
+
+        const priceSol = virtualTokens > 0 ? virtualSol / virtualTokens : 0;
+        const reserves = {
+            sol: realSol,
+            token: Number(curve.realTokenReserves) / Math.pow(10, PUMP_TOKEN_DECIMALS)
+        };
+
+        const state = this.buildState(pool, 'pumpfun_curve', this.curveMints.get(pool) || null,
+            priceSol, reserves, realSol, virtualSol, realSol);
+        state.complete = curve.complete;
+        return state;
+    }
+
+    // For x*y=k with x SOL, buying until the price is up p takes x*(sqrt(1+p)-1) SOL,
+    // selling until it's down p pays out x*(1-sqrt(1-p)), capped by what's there
+    buildState(pool, type, mint, priceSol, reserves, tvlSol, activeSol, withdrawableSol) {
+        const depthSol = { buy: {}, sell: {} };
+        for (const level of this.config.depthLevels) {
+            const p = level / 100;
+            depthSol.buy[level] = activeSol * (Math.sqrt(1 + p) - 1);
+            depthSol.sell[level] = Math.min(withdrawableSol, activeSol * (1 - Math.sqrt(1 - p)));
+        }
+
+        return {
+            pool,
+            type,
+            mint,
+            priceSol,
+            reserves,
+            tvlSol,
+            depthSol,
+            timestamp: Date.now()
+        };
+    }
+
+    // Pools pairing the mint with SOL. Pools discovery recorded are used as they are;
+    // only a mint with none known is looked up across the supported programs,
+    // which takes a getProgramAccounts scan per program and side.
+    async findPools(mint) {
+        const cached = this.lookups.get(mint);
+        if (cached && Date.now() - cached.timestamp < this.config.lookupTtl) return cached.pools;
+
+        const known = this.knownPools(mint);
+        const pools = known.length > 0 ? known : await this.scanPools(mint);
+
+        // The curve's address derives from the mint; read() tells whether it exists
+        pools.push(this.getBondingCurveAddress(mint));
+
+        this.lookups.set(mint, { pools, timestamp: Date.now() });
+        return pools;
+    }
+
+    // SOL pools decoded at creation, and the pool the token was discovered on
+    knownPools(mint) {
+        if (!this.db) return [];
+
+        const pools = new Set(this.db.getPoolsForMint(mint)
+            .filter(pool => pool.base_mint === WSOL_MINT || pool.quote_mint === WSOL_MINT)
+            .map(pool => pool.address));
+
+        const token = this.db.getToken(mint);
+        const discovered = token && parseMetadata(token.metadata).pool;
+        if (discovered) pools.add(discovered);
+
+        return Array.from(pools);
+    }
+
+    async scanPools(mint) {
+        this.stats.lookups++;
+        const pools = [];
+
+        for (const [type, layout] of Object.entries(MINT_OFFSETS)) {
+            // The token can be either side of the pair
+            for (const [tokenOffset, solOffset] of [[layout.a, layout.b], [layout.b, layout.a]]) {
+                try {
+                    const accounts = await this.connection.getProgramAccounts(new PublicKey(layout.program), {
+                        dataSlice: { offset: 0, length: 0 },
+                        filters: [
+                            layout.size
+                                ? { dataSize: layout.size }
+                                : { memcmp: { offset: 0, bytes: bs58.encode(discriminator(layout.account)) } },
+                            { memcmp: { offset: tokenOffset, bytes: mint } },
+                            { memcmp: { offset: solOffset, bytes: WSOL_MINT } }
+                        ]
+                    });
+                    pools.push(...accounts.map(account => account.pubkey.toBase58()));
+                } catch (error) {
+                    this.stats.errors++;
+                    logger.debug(`${type} pool lookup failed for ${mint}:`, error.message);
+                }
+            }
+        }
+
+        return pools;
+    }
+
+    getBondingCurveAddress(mint) {
+        const [curve] = PublicKey.findProgramAddressSync(
+            [Buffer.from('bonding-curve'), new PublicKey(mint).toBuffer()],
+            new PublicKey(PUMP_FUN_PROGRAM)
+        );
+        this.curveMints.set(curve.toBase58(), mint);
+        return curve.toBase58();
+    }
+
+    // The deepest SOL pool for a mint - a known pool is read directly, otherwise looked up.
+    // A completed curve has migrated and no longer says anything about liquidity.
+    async getLiquidity(mint, pool = null) {
+        const candidates = pool ? [pool] : await this.findPools(mint);
+        let best = null;
+
+        for (const address of candidates) {
+            const state = await this.read(address);
+            if (!state || state.complete) continue;
+            if (state.mint && state.mint !== mint) continue;
+            if (!best || state.tvlSol > best.tvlSol) best = state;
+        }
+
+        return best;
+    }
+
+    // Keeps a pool's state current from account notifications on the pool and its vaults
+    async watch(pool) {
+        if (this.watched.has(pool)) return this.states.get(pool) || null;
+
+        let snapshot;
+        try {
+            snapshot = await this.load(pool);
+        } catch (error) {
+            this.stats.errors++;
+            logger.debug(`Could not watch pool ${pool}:`, error.message);
+            return null;
+        }
+        if (!snapshot) return null;
+
+        // Oldest watch makes way
+        if (this.watched.size >= this.config.maxWatched) {
+            this.unwatch(this.watched.keys().next().value);
+        }
+
+        const entry = { ...snapshot, subscriptions: [] };
+        this.watched.set(pool, entry);
+
+        entry.subscriptions.push(this.connection.onAccountChange(new PublicKey(pool), (account) => {
+            const layout = DECODERS[entry.type](account.data);
+            // Decimals read from the mints at load time aren't in the pool account
+            entry.layout = {
+                ...layout,
+                decimalsA: layout.decimalsA ?? entry.layout.decimalsA,
+                decimalsB: layout.decimalsB ?? entry.layout.decimalsB
+            };
+            this.refresh(pool, entry);
+        }, 'confirmed'));
+
+        if (entry.balances) {
+            for (const key of ['a', 'b']) {
+                // Dynamic AMM swaps move the pool's vault LP balances, and the share has to be re-read
+                if (entry.type === 'meteora_damm') {
+                    const lp = key === 'a' ? entry.layout.vaultLpA : entry.layout.vaultLpB;
+                    entry.subscriptions.push(this.connection.onAccountChange(new PublicKey(lp), () => {
+                        this.loadBalances(entry.type, entry.layout)
+                            .then(balances => {
+                                if (!balances) return;
+                                entry.balances = balances;
+                                this.refresh(pool, entry);
+                            })
+                            .catch(error => logger.debug(`Vault share reload failed for ${pool}:`, error.message));
+                    }, 'confirmed'));
+                    continue;
+                }
+
+                const vault = key === 'a' ? entry.layout.vaultA : entry.layout.vaultB;
+                entry.subscriptions.push(this.connection.onAccountChange(new PublicKey(vault), (account) => {
+                    entry.balances[key] = account.data.readBigUInt64LE(64);
+                    this.refresh(pool, entry);
+                }, 'confirmed'));
+            }
+        }
+
+        return this.store(pool, entry);
+    }
+
+    refresh(pool, entry) {
+        try {
+            const state = this.store(pool, entry);
+            if (!state) return;
+
+            this.stats.updates++;
+            if (state.mint && !state.complete) {
+                const solUsd = priceService.getCachedSolUsdPrice();
+                priceService.setLivePrice(state.mint, {
+                    usd: solUsd ? state.priceSol * solUsd : null,
+                    sol: state.priceSol,
+                    source: state.type
+                });
+            }
+            this.emit('update', state);
+        } catch (error) {
+            this.stats.errors++;
+            logger.debug(`Pool update failed for ${pool}:`, error.message);
+        }
+    }
+
+    unwatch(pool) {
+        const entry = this.watched.get(pool);
+        if (!entry) return;
+
+        for (const id of entry.subscriptions) {
+            this.connection.removeAccountChangeListener(id).catch(() => {});
+        }
+        this.watched.delete(pool);
+    }
+
+    isWatching(pool) {
+        return this.watched.has(pool);
+    }
+
+    stop() {
+        for (const pool of Array.from(this.watched.keys())) {
+            this.unwatch(pool);
+        }
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            cached: this.states.size,
+            watched: this.watched.size
+        };
+    }
+}
+
+PoolStateReader.PROGRAMS = PROGRAMS;
+PoolStateReader.DECODERS = DECODERS;
+PoolStateReader.discriminator = discriminator;
+
+module.exports = PoolStateReader;
@@ -2,47 +2,236 @@
 const EventEmitter = require('events');
 const logger = require('../utils/logger');
 
+// Insertion-ordered Set/Map that forget their oldest entries past limit, so
+// dedup caches on long-running scanners stay a fixed size
+class BoundedSet extends Set {
+    constructor(limit) {
+        super();
+        this.limit = limit;
+    }
+
+    add(value) {
+        if (this.has(value)) return this;
+        super.add(value);
+        if (this.size > this.limit) this.delete(this.values().next().value);
+        return this;
+    }
+}
+
+class BoundedMap extends Map {
+    constructor(limit) {
+        super();
+        this.limit = limit;
+    }
+
+    set(key, value) {
+        super.set(key, value);
+        if (this.size > this.limit) this.delete(this.keys().next().value);
+        return this;
+    }
+}
+
+// Every token a scanner emits has these fields, in these units. Anything else
+// the scanner knows (pool details, curve state, ...) rides along untouched.
+const TOKEN_DEFAULTS = {
+    symbol: 'UNKNOWN',
+    name: 'Unknown Token',
+    decimals: null,
+    priceUsd: null,
+    priceSol: null,
+    liquidity: 0, // USD
+    liquiditySol: null,
+    volume24h: 0, // USD
+    priceChange24h: 0, // percent
+    marketCap: 0, // USD
+    poolAddress: null
+};
+const NUMERIC_FIELDS = ['decimals', 'priceUsd', 'priceSol', 'liquidity', 'liquiditySol', 'volume24h', 'priceChange24h', 'marketCap'];
+
+// Shared lifecycle for the per-source scanners. Subclasses implement any of:
+//   onStart(...args)  subscribe / set up, given whatever start() was called with
+//   poll()            one scan pass, run on start and then every scanInterval (+/- jitter)
+//   onStop()          tear down subscriptions
+// and hand what they find to emitToken(), which normalizes and dedups it.
 class ScannerBase extends EventEmitter {
-    constructor(name, config) {
+    constructor(name, options = {}) {
         super();
         this.name = name;
-        this.config = config;
         this.isRunning = false;
-        this.tokens = new Map();
-        this.processedTokens = new Set();
-        this.lastFetch = null;
-        
-        // Program IDs should be passed in config
-        this.PROGRAM_IDS = config.PROGRAM_IDS || {};
+        this.scanInterval = options.scanInterval || null;
+        this.jitter = options.jitter ?? 0.1; // fraction of scanInterval
+        this.pollTimer = null;
+
+        // Latest emitted tokens by address, and every address ever emitted
+        this.tokens = new BoundedMap(options.maxTokens || 1000);
+        this.processedTokens = new BoundedSet(options.dedupLimit || 5000);
+
+        this.stats = {
+            found: 0,
+            errors: 0,
+            polls: 0,
+            lastError: null,
+            lastErrorAt: null,
+            lastSuccessAt: null,
+            lastTokenAt: null,
+            lastLatencyMs: null,
+            avgLatencyMs: null,
+            startedAt: null
+        };
     }
 
-    async start() {
+    async start(...args) {
         if (this.isRunning) return;
+
         this.isRunning = true;
+        this.stats.startedAt = Date.now();
         logger.info(`🚀 ${this.name} scanner started`);
+
+        try {
+            await this.onStart(...args);
+        } catch (error) {
+            // Left to the caller to report
+            this.isRunning = false;
+            throw error;
+        }
+
+        if (this.poll && this.scanInterval) {
+            await this.runPoll();
+            this.schedulePoll();
+        }
     }
 
-    stop() {
+    async stop() {
+        if (!this.isRunning) return;
+
         this.isRunning = false;
+        if (this.pollTimer) {
+            clearTimeout(this.pollTimer);
+            this.pollTimer = null;
+        }
+
+        try {
+            await this.onStop();
+        } catch (error) {
+            logger.debug(`Error stopping ${this.name} scanner:`, error.message);
+        }
         logger.info(`🛑 ${this.name} scanner stopped`);
     }
 
-    async enrichTokenData(token) {
-        // Base enrichment - can be overridden by subclasses
+    async onStart() {}
+
+    async onStop() {}
+
+    // Polls chain on one another rather than on a fixed interval, so a slow pass
+    // never overlaps the next, and jitter keeps scanners from polling in lockstep
+    schedulePoll() {
+        if (!this.isRunning) return;
+
+        const spread = this.scanInterval * this.jitter;
+        const delay = this.scanInterval + (Math.random() * 2 - 1) * spread;
+
+        this.pollTimer = setTimeout(async () => {
+            await this.runPoll();
+            this.schedulePoll();
+        }, Math.max(0, delay));
+    }
+
+    async runPoll() {
+        this.stats.polls++;
+        await this.track(() => this.poll());
+    }
+
+    // Runs one unit of work - a poll, or handling a subscription notification -
+    // recording its latency and outcome. Errors are counted, not rethrown.
+    async track(task) {
+        const started = Date.now();
+        try {
+            const result = await task();
+            this.recordLatency(Date.now() - started);
+            this.stats.lastSuccessAt = Date.now();
+            return result;
+        } catch (error) {
+            this.recordError(error);
+            return null;
+        }
+    }
+
+    recordLatency(ms) {
+        this.stats.lastLatencyMs = ms;
+        this.stats.avgLatencyMs = this.stats.avgLatencyMs === null
+            ? ms
+            : Math.round(this.stats.avgLatencyMs * 0.8 + ms * 0.2);
+    }
+
+    recordError(error) {
+        this.stats.errors++;
+        this.stats.lastError = error?.message || String(error);
+        this.stats.lastErrorAt = Date.now();
+        logger.error(`${this.name} scanner error: ${this.stats.lastError}`);
+
+        // 'error' without a listener would throw
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', error);
+        }
+    }
+
+    normalizeToken(token) {
+        if (!token?.address) return null;
+
+        const normalized = { ...TOKEN_DEFAULTS, ...token };
+        for (const field of NUMERIC_FIELDS) {
+            if (normalized[field] === null || normalized[field] === undefined) {
+                normalized[field] = TOKEN_DEFAULTS[field];
+                continue;
+            }
+            const value = Number(normalized[field]);
+            normalized[field] = Number.isFinite(value) ? value : TOKEN_DEFAULTS[field];
+        }
+
+        const createdAt = typeof token.createdAt === 'string' ? Date.parse(token.createdAt) : Number(token.createdAt);
+
         return {
-            ...token,
-            source: this.name.toLowerCase(),
-            enrichedAt: Date.now()
+            ...normalized,
+            address: String(token.address),
+            name: token.name || token.symbol || TOKEN_DEFAULTS.name,
+            createdAt: Number.isFinite(createdAt) && createdAt > 0 ? createdAt : Date.now(),
+            platform: token.platform || this.name,
+            source: token.source || this.name,
+            discoveredAt: Date.now()
         };
     }
 
+    // Normalizes and emits a token the first time its address is seen. Returns
+    // the emitted token, or null for a duplicate or a token without an address.
     emitToken(token) {
-        if (!this.processedTokens.has(token.address)) {
-            this.processedTokens.add(token.address);
-            this.tokens.set(token.address, token);
-            this.emit('token', token);
-        }
+        const normalized = this.normalizeToken(token);
+        if (!normalized || this.processedTokens.has(normalized.address)) return null;
+
+        this.processedTokens.add(normalized.address);
+        this.tokens.set(normalized.address, normalized);
+        this.stats.found++;
+        this.stats.lastTokenAt = Date.now();
+        this.emit('token', normalized);
+        return normalized;
+    }
+
+    hasToken(address) {
+        return this.processedTokens.has(address);
+    }
+
+    getStats() {
+        return {
+            name: this.name,
+            isRunning: this.isRunning,
+            scanInterval: this.scanInterval,
+            tokens: this.tokens.size,
+            ...this.stats
+        };
     }
 }
 
-module.exports = ScannerBase;
\ No newline at end of file
+ScannerBase.BoundedSet = BoundedSet;
+ScannerBase.BoundedMap = BoundedMap;
+ScannerBase.TOKEN_DEFAULTS = TOKEN_DEFAULTS;
+
+module.exports = ScannerBase;
@@ -0,0 +1,252 @@
+// backend/src/collectors/scanner_registry.js
+const EventEmitter = require('events');
+const RaydiumScanner = require('./scanners/raydium_scanner');
+const MoonshotScanner = require('./scanners/moonshot_scanner');
+const OrcaScanner = require('./scanners/orca_scanner');
+const JupiterScanner = require('./scanners/jupiter_scanner');
+const MeteoraScanner = require('./scanners/meteora_scanner');
+const { scanners } = require('../config/scanner-sources');
+const logger = require('../utils/logger');
+
+// How each per-DEX scanner is built and started. context carries what the
+// owning EnhancedTokenScanner shares: { connection, poolState, parent }.
+const SCANNER_TYPES = {
+    raydium: {
+        create: (context) => new RaydiumScanner(context.connection)
+    },
+    moonshot: {
+        create: () => new MoonshotScanner()
+    },
+    orca: {
+        create: (context, config) => new OrcaScanner({ sources: { orca: config } }, context.parent)
+    },
+    jupiter: {
+        create: () => new JupiterScanner()
+    },
+    meteora: {
+        create: () => new MeteoraScanner(),
+        start: (scanner, context) => scanner.start(context.connection, context.poolState)
+    }
+};
+
+// Runs the per-DEX scanners enabled in config/scanner-sources.js and merges what
+// they find into one 'token' stream. Tokens arriving within mergeWindow of each
+// other are combined per address - the highest-priority source's fields win -
+// and emitted highest priority first:
+//   { ...token, source, sources: [names], sourcePriority }
+// Sources in the config without a scanner type (pumpfun, dexscreener, birdeye)
+// are run by EnhancedTokenScanner itself.
+class ScannerRegistry extends EventEmitter {
+    constructor(context, configs = scanners, { mergeWindow = 2000 } = {}) {
+        super();
+        this.context = context;
+        this.configs = configs;
+        this.mergeWindow = mergeWindow;
+
+        this.entries = new Map(); // name -> { scanner, config, running, found, errors, ... }
+        this.pending = new Map(); // address -> [{ name, priority, token }]
+        this.flushTimer = null;
+        this.active = false; // between startAll and stopAll
+
+        for (const name of Object.keys(configs)) {
+            if (SCANNER_TYPES[name]) this.register(name);
+        }
+    }
+
+    register(name, type = SCANNER_TYPES[name]) {
+        const entry = {
+            name,
+            type,
+            config: this.configs[name],
+            scanner: null,
+            listeners: null,
+            running: false,
+            found: 0,
+            errors: 0,
+            lastError: null,
+            lastTokenAt: null,
+            startedAt: null
+        };
+        this.entries.set(name, entry);
+        return entry;
+    }
+
+    has(name) {
+        return this.entries.has(name);
+    }
+
+    get(name) {
+        return this.entries.get(name)?.scanner || null;
+    }
+
+    // Enabled scanners, highest priority first. A scanner that fails to start
+    // is logged and skipped rather than holding the others back.
+    async startAll() {
+        this.active = true;
+        const entries = Array.from(this.entries.values())
+            .filter(entry => entry.config.enabled)
+            .sort((a, b) => b.config.priority - a.config.priority);
+
+        for (const entry of entries) {
+            await this.start(entry.name);
+        }
+    }
+
+    async start(name) {
+        const entry = this.entries.get(name);
+        if (!entry || entry.running) return;
+
+        try {
+            if (!entry.scanner) {
+                entry.scanner = entry.type.create(this.context, entry.config);
+            }
+            if ('scanInterval' in entry.scanner) {
+                entry.scanner.scanInterval = entry.config.scanInterval;
+            }
+
+            entry.listeners = {
+                token: (token) => this.collect(entry, token),
+                error: (error) => {
+                    entry.errors++;
+                    entry.lastError = error?.message || String(error);
+                }
+            };
+            entry.scanner.on('token', entry.listeners.token);
+            entry.scanner.on('error', entry.listeners.error);
+
+            entry.running = true;
+            entry.startedAt = Date.now();
+            await (entry.type.start ? entry.type.start(entry.scanner, this.context) : entry.scanner.start());
+            logger.info(`📡 ${name} scanner running (priority ${entry.config.priority}, every ${entry.config.scanInterval / 1000}s)`);
+        } catch (error) {
+            entry.errors++;
+            entry.lastError = error.message;
+            logger.error(`Failed to start ${name} scanner:`, error);
+            await this.stop(name);
+        }
+    }
+
+    async stop(name) {
+        const entry = this.entries.get(name);
+        if (!entry || !entry.scanner) return;
+
+        if (entry.listeners) {
+            entry.scanner.off('token', entry.listeners.token);
+            entry.scanner.off('error', entry.listeners.error);
+            entry.listeners = null;
+        }
+
+        try {
+            if (entry.scanner.isRunning) await entry.scanner.stop();
+        } catch (error) {
+            logger.debug(`Error stopping ${name} scanner:`, error.message);
+        }
+        entry.running = false;
+    }
+
+    async stopAll() {
+        this.active = false;
+        for (const name of this.entries.keys()) {
+            await this.stop(name);
+        }
+
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+        this.pending.clear();
+    }
+
+    // Takes effect immediately while the registry is running, otherwise on the next startAll
+    async setEnabled(name, enabled) {
+        const entry = this.entries.get(name);
+        if (!entry) return false;
+
+        entry.config.enabled = enabled;
+        if (enabled && this.active) {
+            await this.start(name);
+        } else {
+            await this.stop(name);
+        }
+        return true;
+    }
+
+    collect(entry, token) {
+        if (!token?.address || !entry.config.enabled) return;
+
+        entry.found++;
+        entry.lastTokenAt = Date.now();
+
+        const sightings = this.pending.get(token.address) || [];
+        sightings.push({ name: entry.name, priority: entry.config.priority, token });
+        this.pending.set(token.address, sightings);
+
+        if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flush(), this.mergeWindow);
+        }
+    }
+
+    flush() {
+        this.flushTimer = null;
+        const batch = Array.from(this.pending.values());
+        this.pending.clear();
+
+        const merged = batch
+            .map(sightings => this.merge(sightings))
+            .sort((a, b) => b.sourcePriority - a.sourcePriority);
+
+        for (const token of merged) {
+            this.emit('token', token);
+        }
+    }
+
+    merge(sightings) {
+        const ranked = [...sightings].sort((a, b) => b.priority - a.priority);
+        const top = ranked[0];
+
+        return {
+            // Lower priorities first, so the top source overwrites them
+            ...Object.assign({}, ...ranked.slice().reverse().map(sighting => sighting.token)),
+            source: top.token.source || top.name,
+            sources: [...new Set(ranked.map(sighting => sighting.name))],
+            sourcePriority: top.priority
+        };
+    }
+
+    getStatus() {
+        const status = {};
+        for (const [name, entry] of this.entries) {
+            status[name] = {
+                enabled: entry.config.enabled,
+                running: entry.running,
+                priority: entry.config.priority,
+                scanInterval: entry.config.scanInterval,
+                found: entry.found,
+                errors: entry.errors,
+                lastError: entry.lastError,
+                lastTokenAt: entry.lastTokenAt,
+                startedAt: entry.startedAt,
+                stats: entry.scanner?.getStats ? entry.scanner.getStats() : null
+            };
+        }
+        return status;
+    }
+
+    // Latest tokens each running scanner is holding
+    getTokens() {
+        const tokens = [];
+        for (const entry of this.entries.values()) {
+            if (entry.scanner?.tokens instanceof Map) {
+                tokens.push(...Array.from(entry.scanner.tokens.values()).map(token => ({
+                    ...token,
+                    source: token.source || entry.name
+                })));
+            }
+        }
+        return tokens;
+    }
+}
+
+ScannerRegistry.SCANNER_TYPES = SCANNER_TYPES;
+
+module.exports = ScannerRegistry;
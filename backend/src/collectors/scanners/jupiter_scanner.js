@@ -1,15 +1,15 @@
 // backend/src/collectors/scanners/jupiter_scanner.js
-const EventEmitter = require('events');
 const axios = require('axios');
+const priceService = require('../../utils/price_service');
 const logger = require('../../utils/logger');
+const { createConnection } = require('../../utils/connection');
+const PoolStateReader = require('../pool_state_reader');
+const ScannerBase = require('../scanner_base');
 
-class JupiterScanner extends EventEmitter {
+class JupiterScanner extends ScannerBase {
     constructor() {
-        super();
-        this.isRunning = false;
-        this.tokens = new Map();
-        this.lastUpdate = null;
-        this.scanInterval = 60000; // 60 seconds (less frequent as Jupiter aggregates data)
+        super('jupiter', { scanInterval: 60000 }); // less frequent as Jupiter aggregates data
+        this.poolState = new PoolStateReader(createConnection());
         
         this.config = {
             enabled: true,
@@ -20,61 +20,33 @@ class JupiterScanner extends EventEmitter {
         };
     }
 
-    async start() {
-        if (this.isRunning) return;
-        
-        this.isRunning = true;
-        logger.info('🪐 Jupiter scanner started');
-        
-        // Initial scan
-        await this.scanTokens();
-        
-        // Set up periodic scanning
-        this.scanTimer = setInterval(() => {
-            this.scanTokens();
-        }, this.scanInterval);
-    }
+    async poll() {
+        // Get all verified tokens from Jupiter
+        const allTokensResponse = await axios.get(
+            `${this.config.jupiterApiUrl}/all`,
+            { timeout: 10000 }
+        );
 
-    async scanTokens() {
-        try {
-            // Get all verified tokens from Jupiter
-            const allTokensResponse = await axios.get(
-                `${this.config.jupiterApiUrl}/all`,
-                { timeout: 10000 }
-            );
+        if (!allTokensResponse.data || allTokensResponse.data.length === 0) {
+            logger.warn('No tokens returned from Jupiter API');
+            return;
+        }
 
-            if (!allTokensResponse.data || allTokensResponse.data.length === 0) {
-                logger.warn('No tokens returned from Jupiter API');
-                return;
-            }
+        // Get recently active tokens
+        const recentTokens = await this.filterRecentTokens(allTokensResponse.data);
+        
+        // Process each token
+        for (const token of recentTokens) {
+            if (this.hasToken(token.address)) continue;
 
-            // Sort by creation time (if available) or by liquidity
-            const tokens = allTokensResponse.data;
-            
-            // Get recently active tokens
-            const recentTokens = await this.filterRecentTokens(tokens);
+            const enrichedToken = await this.enrichTokenData(token);
             
-            // Process each token
-            for (const token of recentTokens) {
-                if (!this.tokens.has(token.address)) {
-                    const enrichedToken = await this.enrichTokenData(token);
-                    
-                    if (enrichedToken && 
-                        enrichedToken.liquidity >= this.config.minLiquidity &&
-                        enrichedToken.volume24h >= this.config.minVolume24h) {
-                        
-                        this.tokens.set(token.address, enrichedToken);
-                        this.emit('token', enrichedToken);
-                        
-                        logger.info(`🪐 New Jupiter token: ${enrichedToken.symbol} - ${enrichedToken.address}`);
-                    }
-                }
+            if (enrichedToken && 
+                enrichedToken.liquidity >= this.config.minLiquidity &&
+                enrichedToken.volume24h >= this.config.minVolume24h &&
+                this.emitToken(enrichedToken)) {
+                logger.info(`🪐 New Jupiter token: ${enrichedToken.symbol} - ${enrichedToken.address}`);
             }
-
-            this.lastUpdate = Date.now();
-        } catch (error) {
-            logger.error('Jupiter scanning error:', error.message);
-            this.emit('error', error);
         }
     }
 
@@ -129,14 +101,21 @@ class JupiterScanner extends EventEmitter {
             // Get additional market stats if available
             const marketStats = await this.getMarketStats(token.address);
 
+            // Liquidity from the deepest SOL pool's reserves; none found counts as none
+            const pool = await this.poolState.getLiquidity(token.address);
+            const solUsd = priceService.getCachedSolUsdPrice();
+
             const enriched = {
                 address: token.address,
                 symbol: token.symbol,
                 name: token.name,
                 decimals: token.decimals,
-                price: priceData.price || 0,
+                priceUsd: priceData.price || 0,
+                priceSol: priceService.usdToSol(priceData.price || 0),
                 volume24h: priceData.volume24h || 0,
-                liquidity: marketStats?.liquidity || this.estimateLiquidity(priceData),
+                liquidity: pool && solUsd ? pool.tvlSol * solUsd : 0,
+                liquiditySol: pool?.tvlSol ?? null,
+                poolAddress: pool?.pool || null,
                 marketCap: priceData.price * (token.supply || 0),
                 priceChange24h: ((priceData.price - (priceData.price24hAgo || priceData.price)) / (priceData.price24hAgo || priceData.price)) * 100,
                 createdAt: token.createdAt || Date.now() - (7 * 24 * 60 * 60 * 1000), // Default to 7 days ago
@@ -165,14 +144,9 @@ class JupiterScanner extends EventEmitter {
             if (routeResponse.data && routeResponse.data.routePlan) {
                 const routes = routeResponse.data.routePlan;
                 const dexes = [...new Set(routes.map(r => r.swapInfo.label))];
-                
-                // Estimate total liquidity from available routes
-                const totalLiquidity = routes.reduce((sum, route) => {
-                    return sum + (route.swapInfo.liquidityAvailable || 0);
-                }, 0);
+
 
                 return {
-                    liquidity: totalLiquidity,
                     dexes: dexes,
                     routeCount: routes.length
                 };
@@ -183,23 +157,6 @@ class JupiterScanner extends EventEmitter {
 
         return null;
     }
-
-    estimateLiquidity(priceData) {
-        // Rough liquidity estimation based on volume
-        // Higher volume typically indicates better liquidity
-        const volumeToLiquidityRatio = 0.1; // Assume liquidity is ~10% of daily volume
-        return (priceData.volume24h || 0) * volumeToLiquidityRatio;
-    }
-
-    async stop() {
-        this.isRunning = false;
-        
-        if (this.scanTimer) {
-            clearInterval(this.scanTimer);
-        }
-        
-        logger.info('Jupiter scanner stopped');
-    }
 }
 
-module.exports = JupiterScanner;
\ No newline at end of file
+module.exports = JupiterScanner;
@@ -0,0 +1,230 @@
+// backend/src/collectors/scanners/meteora_scanner.js
+const { PublicKey } = require('@solana/web3.js');
+const ScannerBase = require('../scanner_base');
+const PoolStateReader = require('../pool_state_reader');
+const priceService = require('../../utils/price_service');
+const logger = require('../../utils/logger');
+const { PROGRAM_IDS } = require('../../config/scanner-sources');
+
+const PROGRAMS = [
+    { id: PROGRAM_IDS.METEORA_DLMM, account: 'LbPair', label: 'DLMM' },
+    { id: PROGRAM_IDS.METEORA_DAMM, account: 'Pool', label: 'dynamic AMM' }
+];
+
+// InitializeLbPair, InitializeCustomizablePermissionlessLbPair, InitializePermissionlessPool,
+// InitializePermissionlessConstantProductPoolWithConfig, ...
+const POOL_CREATION = /Instruction: Initialize\w*(LbPair|Pool)/;
+
+// New Meteora DLMM and dynamic AMM pools paired with SOL. Creations come from
+// program log subscriptions, with a periodic sweep of recent signatures to catch
+// missed notifications. Each pool's reserves (and active bin, for DLMM) are read
+// on-chain before the token is emitted. Pools usually open empty and are funded
+// afterwards, so one still below minimum liquidity is re-read on each sweep
+// until it's funded or pendingMinutes pass.
+class MeteoraScanner extends ScannerBase {
+    constructor() {
+        super('meteora', { scanInterval: 30000 }); // backstop to the log subscriptions
+        this.connection = null;
+        this.poolState = null;
+        this.processedSignatures = new ScannerBase.BoundedSet(5000);
+        this.subscriptions = [];
+
+        this.config = {
+            minLiquidity: parseFloat(process.env.MIN_LIQUIDITY || 500),
+            signatureLimit: 50,
+            pendingMinutes: parseFloat(process.env.METEORA_PENDING_MINUTES || '30'),
+            maxPending: 200
+        };
+
+        this.pending = new ScannerBase.BoundedMap(this.config.maxPending); // pool -> { program, blockTime, since }
+
+        Object.assign(this.stats, {
+            poolsDetected: 0,
+            skippedPools: 0,
+            pendingExpired: 0,
+            lastPoolAt: null
+        });
+    }
+
+    // Shares the scanner's pool reader when given one, so reads are cached once
+    async onStart(connection, poolState = new PoolStateReader(connection)) {
+        this.connection = connection;
+        this.poolState = poolState;
+
+        for (const program of PROGRAMS) {
+            try {
+                this.subscriptions.push(this.connection.onLogs(
+                    new PublicKey(program.id),
+                    (logs) => {
+                        if (logs.err || !logs.logs.some(log => POOL_CREATION.test(log))) return;
+                        this.track(() => this.processSignature(logs.signature, program));
+                    },
+                    'confirmed'
+                ));
+            } catch (error) {
+                logger.error(`Failed to subscribe to Meteora ${program.label}:`, error);
+            }
+        }
+    }
+
+    // Swaps vastly outnumber creations, so transactions are fetched in one batch
+    // and only those whose logs show a pool being initialized are processed
+    async poll() {
+        await this.recheckPending();
+
+        for (const program of PROGRAMS) {
+            try {
+                const signatures = (await this.connection.getSignaturesForAddress(
+                    new PublicKey(program.id),
+                    { limit: this.config.signatureLimit }
+                )).filter(info => !info.err && !this.processedSignatures.has(info.signature));
+                if (signatures.length === 0) continue;
+
+                const transactions = await this.connection.getParsedTransactions(
+                    signatures.map(info => info.signature),
+                    { maxSupportedTransactionVersion: 0 }
+                );
+
+                for (const [index, tx] of transactions.entries()) {
+                    if (!tx?.meta?.logMessages?.some(log => POOL_CREATION.test(log))) continue;
+                    await this.processSignature(signatures[index].signature, program, tx);
+                }
+            } catch (error) {
+                this.recordError(error);
+            }
+        }
+    }
+
+    async processSignature(signature, program, tx = null) {
+        if (this.processedSignatures.has(signature)) return;
+        this.processedSignatures.add(signature);
+
+        try {
+            tx = tx || await this.connection.getParsedTransaction(signature, {
+                maxSupportedTransactionVersion: 0,
+                commitment: 'confirmed'
+            });
+            if (!tx || tx.meta?.err) return;
+
+            for (const pool of await this.findPoolAccounts(tx, program)) {
+                await this.handlePool(pool, program, tx.blockTime);
+            }
+        } catch (error) {
+            this.stats.errors++;
+            logger.debug(`Error processing Meteora transaction ${signature}:`, error.message);
+        }
+    }
+
+    // The new pool is whichever account passed to the program is one of its pool accounts
+    async findPoolAccounts(tx, program) {
+        const instructions = [
+            ...tx.transaction.message.instructions,
+            ...(tx.meta.innerInstructions || []).flatMap(inner => inner.instructions)
+        ].filter(ix => ix.programId?.toString() === program.id && ix.accounts);
+
+        const candidates = [...new Set(instructions.flatMap(ix => ix.accounts.map(key => key.toString())))];
+        if (candidates.length === 0) return [];
+
+        const accounts = await this.connection.getMultipleAccountsInfo(candidates.map(key => new PublicKey(key)));
+        const discriminator = PoolStateReader.discriminator(program.account);
+
+        return candidates.filter((key, index) => {
+            const account = accounts[index];
+            return account &&
+                account.owner.toBase58() === program.id &&
+                account.data.subarray(0, 8).equals(discriminator);
+        });
+    }
+
+    // Pools waiting for liquidity, re-read once per sweep
+    async recheckPending() {
+        const cutoff = Date.now() - this.config.pendingMinutes * 60 * 1000;
+
+        for (const [pool, entry] of Array.from(this.pending)) {
+            if (entry.since < cutoff) {
+                this.pending.delete(pool);
+                this.stats.pendingExpired++;
+                logger.debug(`Meteora pool ${pool} never reached minimum liquidity`);
+                continue;
+            }
+
+            try {
+                await this.handlePool(pool, entry.program, entry.blockTime);
+            } catch (error) {
+                logger.debug(`Error re-reading Meteora pool ${pool}:`, error.message);
+            }
+        }
+    }
+
+    async handlePool(pool, program, blockTime) {
+        const pending = this.pending.get(pool);
+        const state = await this.poolState.read(pool);
+        if (!state) {
+            // Not paired with SOL, or not readable yet
+            if (!pending) this.stats.skippedPools++;
+            return;
+        }
+        if (this.hasToken(state.mint)) {
+            this.pending.delete(pool);
+            return;
+        }
+
+        if (!pending) {
+            this.stats.poolsDetected++;
+            this.stats.lastPoolAt = Date.now();
+        }
+
+        const solUsd = priceService.getCachedSolUsdPrice() || await priceService.getSolUsdPrice();
+
+        const token = {
+            address: state.mint,
+            symbol: 'UNKNOWN',
+            name: 'Unknown Token',
+            priceSol: state.priceSol,
+            priceUsd: solUsd ? state.priceSol * solUsd : null,
+            liquidity: solUsd ? state.tvlSol * solUsd : 0,
+            liquiditySol: state.tvlSol,
+            volume24h: 0,
+            priceChange24h: 0,
+            marketCap: 0,
+            poolAddress: pool,
+            poolType: state.type,
+            initialReserves: state.reserves,
+            bin: state.bin || null,
+            createdAt: blockTime ? blockTime * 1000 : Date.now(),
+            platform: 'meteora',
+            source: 'meteora',
+            isNew: true
+        };
+
+        if (token.liquidity < this.config.minLiquidity) {
+            if (!pending) {
+                this.pending.set(pool, { program, blockTime, since: Date.now() });
+                logger.debug(`Meteora pool ${pool} below minimum liquidity ($${token.liquidity.toFixed(0)}), waiting for it to be funded`);
+            }
+            return;
+        }
+
+        this.pending.delete(pool);
+        if (!this.emitToken(token)) return;
+        logger.info(`☄️ New Meteora ${program.label} pool: ${token.symbol} - ${token.address} (${state.reserves.sol.toFixed(2)} SOL)`);
+    }
+
+    async onStop() {
+        for (const id of this.subscriptions) {
+            try {
+                await this.connection.removeOnLogsListener(id);
+            } catch (error) {
+                logger.debug('Error removing Meteora log subscription:', error.message);
+            }
+        }
+        this.subscriptions = [];
+        this.pending.clear();
+    }
+
+    getStats() {
+        return { ...super.getStats(), pending: this.pending.size };
+    }
+}
+
+module.exports = MeteoraScanner;
@@ -1,15 +1,12 @@
 // backend/src/collectors/scanners/moonshot_scanner.js
-const EventEmitter = require('events');
 const axios = require('axios');
+const priceService = require('../../utils/price_service');
 const logger = require('../../utils/logger');
+const ScannerBase = require('../scanner_base');
 
-class MoonshotScanner extends EventEmitter {
+class MoonshotScanner extends ScannerBase {
     constructor() {
-        super();
-        this.isRunning = false;
-        this.tokens = new Map();
-        this.lastUpdate = null;
-        this.scanInterval = 30000; // 30 seconds
+        super('moonshot', { scanInterval: 30000 });
         
         // Bitquery configuration
         this.bitqueryEndpoint = 'https://graphql.bitquery.io';
@@ -23,97 +20,75 @@ class MoonshotScanner extends EventEmitter {
         };
     }
 
-    async start() {
-        if (this.isRunning) return;
-        
-        this.isRunning = true;
-        logger.info('🌙 Moonshot scanner started');
-        
-        // Initial scan
-        await this.scanTokens();
-        
-        // Set up periodic scanning
-        this.scanTimer = setInterval(() => {
-            this.scanTokens();
-        }, this.scanInterval);
-    }
-
-    async scanTokens() {
-        try {
-            const query = `
-            query MoonshotTokens($programId: String!, $since: DateTime!) {
-                Solana {
-                    Instructions(
-                        where: {
-                            Instruction: {
-                                Program: {
-                                    Address: {is: $programId}
-                                }
-                            },
-                            Transaction: {Success: true},
-                            Block: {
-                                Time: {since: $since}
+    async poll() {
+        const query = `
+        query MoonshotTokens($programId: String!, $since: DateTime!) {
+            Solana {
+                Instructions(
+                    where: {
+                        Instruction: {
+                            Program: {
+                                Address: {is: $programId}
                             }
+                        },
+                        Transaction: {Success: true},
+                        Block: {
+                            Time: {since: $since}
                         }
-                        orderBy: {descending: Block_Time}
-                        limit: {count: 100}
-                    ) {
-                        Transaction {
-                            Signature
-                            FeePayer
-                        }
-                        Block {
-                            Time
-                            Height
-                        }
-                        Instruction {
-                            Accounts {
-                                Address
-                                IsWritable
-                                Token {
-                                    Mint
-                                    Owner
-                                }
-                            }
-                            Data
-                            InternalSeqNumber
-                            Program {
-                                Address
-                                Name
+                    }
+                    orderBy: {descending: Block_Time}
+                    limit: {count: 100}
+                ) {
+                    Transaction {
+                        Signature
+                        FeePayer
+                    }
+                    Block {
+                        Time
+                        Height
+                    }
+                    Instruction {
+                        Accounts {
+                            Address
+                            IsWritable
+                            Token {
+                                Mint
+                                Owner
                             }
                         }
+                        Data
+                        InternalSeqNumber
+                        Program {
+                            Address
+                            Name
+                        }
                     }
                 }
-            }`;
+            }
+        }`;
 
-            const since = new Date(Date.now() - this.config.lookbackMinutes * 60 * 1000).toISOString();
-            
-            const response = await axios.post(
-                this.bitqueryEndpoint,
-                {
-                    query,
-                    variables: {
-                        programId: this.config.programId,
-                        since: since
-                    }
-                },
-                {
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'X-API-KEY': this.bitqueryApiKey
-                    }
+        const since = new Date(Date.now() - this.config.lookbackMinutes * 60 * 1000).toISOString();
+        
+        const response = await axios.post(
+            this.bitqueryEndpoint,
+            {
+                query,
+                variables: {
+                    programId: this.config.programId,
+                    since: since
+                }
+            },
+            {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-API-KEY': this.bitqueryApiKey
                 }
-            );
-
-            if (response.data && response.data.data && response.data.data.Solana) {
-                const instructions = response.data.data.Solana.Instructions;
-                await this.processInstructions(instructions);
             }
+        );
 
-            this.lastUpdate = Date.now();
-        } catch (error) {
-            logger.error('Moonshot scanning error:', error.message);
-            this.emit('error', error);
+        if (response.data && response.data.data && response.data.data.Solana) {
+            const instructions = response.data.data.Solana.Instructions;
+            await this.processInstructions(instructions);
         }
     }
 
@@ -123,14 +98,12 @@ class MoonshotScanner extends EventEmitter {
                 // Look for token creation instructions
                 const tokenData = await this.extractTokenData(instruction);
                 
-                if (tokenData && !this.tokens.has(tokenData.address)) {
+                if (tokenData && !this.hasToken(tokenData.address)) {
                     // Get additional token info
                     const enrichedToken = await this.getTokenDetails(tokenData);
                     
-                    if (enrichedToken && enrichedToken.liquidity >= this.config.minLiquidity) {
-                        this.tokens.set(tokenData.address, enrichedToken);
-                        this.emit('token', enrichedToken);
-                        
+                    if (enrichedToken && enrichedToken.liquidity >= this.config.minLiquidity &&
+                        this.emitToken(enrichedToken)) {
                         logger.info(`🌙 New Moonshot token: ${enrichedToken.symbol} - ${enrichedToken.address}`);
                     }
                 }
@@ -261,7 +234,8 @@ class MoonshotScanner extends EventEmitter {
                         name: tokenInfo.Currency.Name || 'Unknown Token',
                         decimals: tokenInfo.Currency.Decimals,
                         totalSupply: tokenInfo.Supply,
-                        price: avgPrice,
+                        priceUsd: avgPrice,
+                        priceSol: priceService.usdToSol(avgPrice),
                         volume24h: totalVolume,
                         liquidity: Math.abs(poolBalance?.sum || 0) * avgPrice,
                         tradeCount: trades.length,
@@ -278,16 +252,6 @@ class MoonshotScanner extends EventEmitter {
         
         return null;
     }
-
-    async stop() {
-        this.isRunning = false;
-        
-        if (this.scanTimer) {
-            clearInterval(this.scanTimer);
-        }
-        
-        logger.info('Moonshot scanner stopped');
-    }
 }
 
-module.exports = MoonshotScanner;
\ No newline at end of file
+module.exports = MoonshotScanner;
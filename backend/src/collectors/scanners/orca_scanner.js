@@ -1,93 +1,77 @@
 // backend/src/collectors/scanners/orca_scanner.js
 const axios = require('axios');
-const { Connection, PublicKey } = require('@solana/web3.js');
-const EventEmitter = require('events');
+const { PublicKey } = require('@solana/web3.js');
+const ScannerBase = require('../scanner_base');
+const priceService = require('../../utils/price_service');
 const logger = require('../../utils/logger');
 
-class OrcaScanner extends EventEmitter {
+const WSOL = 'So11111111111111111111111111111111111111112';
+const STABLECOINS = [
+    'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', // USDC
+    'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB'  // USDT
+];
+
+class OrcaScanner extends ScannerBase {
     constructor(config, parent) {
-        super();
+        super('orca', { scanInterval: config.sources.orca.scanInterval || 45000 });
         this.config = config.sources.orca;
         this.parent = parent;
         this.connection = parent.connection;
-        this.tokens = new Map();
-        this.pools = new Map();
-        this.isRunning = false;
+        this.processedPools = new ScannerBase.BoundedSet(5000);
         this.whirlpoolProgram = new PublicKey(this.config.programId);
     }
 
-    async start() {
-        if (this.isRunning) return;
-        
-        this.isRunning = true;
-        logger.info('🌊 Starting Orca scanner');
-        
-        // Initial fetch
-        await this.fetchPools();
-        
+    async onStart() {
         // Monitor for new pools
         this.subscribeToWhirlpool();
-        
-        // Periodic fetch
-        this.fetchInterval = setInterval(() => {
-            this.fetchPools();
-        }, 45000); // Every 45 seconds
     }
 
-    async fetchPools() {
-        try {
-            const response = await axios.get(
-                `${this.config.api.base}${this.config.api.endpoints.pools}`,
-                {
-                    headers: {
-                        'Accept': 'application/json',
-                        'User-Agent': 'Mozilla/5.0'
-                    },
-                    timeout: 10000
-                }
-            );
-
-            if (response.data && response.data.whirlpools) {
-                const newPools = response.data.whirlpools
-                    .filter(pool => this.isNewPool(pool))
-                    .filter(pool => this.isValidPool(pool));
-
-                for (const pool of newPools) {
-                    const tokens = this.extractTokensFromPool(pool);
-                    
-                    for (const token of tokens) {
-                        if (!this.tokens.has(token.address)) {
-                            this.tokens.set(token.address, token);
-                            this.emit('token', token);
-                        }
-                    }
-                }
+    async poll() {
+        const response = await axios.get(
+            `${this.config.api.base}${this.config.api.endpoints.pools}`,
+            {
+                headers: {
+                    'Accept': 'application/json',
+                    'User-Agent': 'Mozilla/5.0'
+                },
+                timeout: 10000
+            }
+        );
+
+        if (response.data && response.data.whirlpools) {
+            const newPools = response.data.whirlpools
+                .filter(pool => this.isNewPool(pool))
+                .filter(pool => this.isValidPool(pool));
 
-                logger.info(`🌊 Orca: Processed ${newPools.length} new pools`);
+            for (const pool of newPools) {
+                const tokens = this.extractTokensFromPool(pool);
+                
+                for (const token of tokens) {
+                    this.emitToken(token);
+                }
             }
-        } catch (error) {
-            logger.error('Orca API error:', error.message);
+
+            logger.info(`🌊 Orca: Processed ${newPools.length} new pools`);
         }
     }
 
     subscribeToWhirlpool() {
         // Monitor Whirlpool program for new pool creation
-        this.connection.onLogs(
+        this.subscriptionId = this.connection.onLogs(
             this.whirlpoolProgram,
-            async (logs) => {
-                if (logs.err) return;
-                
-                if (this.isPoolCreation(logs)) {
+            (logs) => {
+                if (logs.err || !this.isPoolCreation(logs)) return;
+
+                this.track(async () => {
                     const poolData = await this.parsePoolCreation(logs.signature);
-                    if (poolData) {
-                        const tokens = this.extractTokensFromPool(poolData);
-                        
-                        for (const token of tokens) {
-                            this.emit('token', { ...token, priority: 85 });
+                    if (!poolData) return;
+
+                    for (const token of this.extractTokensFromPool(poolData)) {
+                        if (this.emitToken({ ...token, priority: 85 })) {
                             logger.info(`🌊 Orca: New pool with ${token.symbol} detected!`);
                         }
                     }
-                }
+                });
             },
             'confirmed'
         );
@@ -120,7 +104,7 @@ class OrcaScanner extends EventEmitter {
 
     isNewPool(pool) {
         // Check if we've seen this pool before
-        if (this.pools.has(pool.address)) return false;
+        if (this.processedPools.has(pool.address)) return false;
         
         // Check age
         const createdAt = pool.createdAt || pool.timestamp;
@@ -143,12 +127,9 @@ class OrcaScanner extends EventEmitter {
 
     extractTokensFromPool(pool) {
         const tokens = [];
-        const WSOL = 'So11111111111111111111111111111111111111112';
-        const USDC = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
-        const USDT = 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB';
         
         // Common stablecoins and SOL to filter out
-        const commonTokens = [WSOL, USDC, USDT];
+        const commonTokens = [WSOL, ...STABLECOINS];
         
         // Extract tokenA if it's not a common token
         if (pool.tokenA && !commonTokens.includes(pool.tokenA.mint)) {
@@ -161,21 +142,25 @@ class OrcaScanner extends EventEmitter {
         }
         
         // Mark pool as processed
-        this.pools.set(pool.address, true);
+        this.processedPools.add(pool.address);
         
         return tokens;
     }
 
     formatToken(tokenData, poolData) {
         // Calculate price based on pool reserves
-        const price = this.calculateTokenPrice(tokenData, poolData);
+        const { priceSol, priceUsd } = this.denominatePrice(
+            this.calculateTokenPrice(tokenData, poolData),
+            tokenData,
+            poolData
+        );
         
         return {
             address: tokenData.mint || tokenData.address,
             symbol: tokenData.symbol || 'UNKNOWN',
             name: tokenData.name || tokenData.symbol,
-            price: price,
-            priceUsd: price * this.getSolPrice(),
+            priceSol: priceSol,
+            priceUsd: priceUsd,
             liquidity: parseFloat(poolData.tvl || poolData.liquidity || 0) / 2, // Half of pool TVL
             volume24h: parseFloat(poolData.volume24h || 0),
             marketCap: 0, // Would need to fetch supply
@@ -220,19 +205,24 @@ class OrcaScanner extends EventEmitter {
         }
     }
 
-    getSolPrice() {
-        // In production, fetch this from a price feed
-        return 150; // Placeholder
+    // Pool prices are quoted in the paired token - express them in both SOL and USD
+    denominatePrice(price, tokenData, poolData) {
+        const quote = poolData.tokenA?.mint === tokenData.mint ? poolData.tokenB : poolData.tokenA;
+
+        if (quote?.mint === WSOL) {
+            return { priceSol: price, priceUsd: priceService.solToUsd(price) };
+        }
+        if (STABLECOINS.includes(quote?.mint)) {
+            return { priceSol: priceService.usdToSol(price), priceUsd: price };
+        }
+        return { priceSol: null, priceUsd: null };
     }
 
-    stop() {
-        this.isRunning = false;
-        
-        if (this.fetchInterval) {
-            clearInterval(this.fetchInterval);
+    async onStop() {
+        if (this.subscriptionId !== undefined) {
+            await this.connection.removeOnLogsListener(this.subscriptionId);
+            this.subscriptionId = undefined;
         }
-        
-        logger.info('Orca scanner stopped');
     }
 }
 
@@ -0,0 +1,269 @@
+// backend/src/collectors/scanners/pumpfun_decoder.js
+const crypto = require('crypto');
+const bs58 = require('bs58').default;
+const { PublicKey } = require('@solana/web3.js');
+
+const PUMP_FUN_PROGRAM_ID = '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P';
+
+// Anchor discriminators: first 8 bytes of sha256("global:<ix>") / sha256("event:<Event>")
+const discriminator = (preimage) => crypto.createHash('sha256').update(preimage).digest().subarray(0, 8);
+
+const INSTRUCTIONS = {
+    create: discriminator('global:create'),
+    buy: discriminator('global:buy'),
+    sell: discriminator('global:sell'),
+    migrate: discriminator('global:migrate')
+};
+
+const EVENTS = {
+    create: discriminator('event:CreateEvent'),
+    trade: discriminator('event:TradeEvent'),
+    complete: discriminator('event:CompleteEvent'),
+    migration: discriminator('event:CompletePumpAmmMigrationEvent')
+};
+
+// Minimal borsh reader for the field types pump.fun uses
+class BorshReader {
+    constructor(data) {
+        this.data = data;
+        this.offset = 0;
+    }
+
+    get remaining() {
+        return this.data.length - this.offset;
+    }
+
+    u8() {
+        return this.data.readUInt8(this.offset++);
+    }
+
+    bool() {
+        return this.u8() === 1;
+    }
+
+    u64() {
+        const value = this.data.readBigUInt64LE(this.offset);
+        this.offset += 8;
+        return value;
+    }
+
+    i64() {
+        const value = this.data.readBigInt64LE(this.offset);
+        this.offset += 8;
+        return value;
+    }
+
+    pubkey() {
+        const value = new PublicKey(this.data.subarray(this.offset, this.offset + 32)).toBase58();
+        this.offset += 32;
+        return value;
+    }
+
+    string() {
+        const length = this.data.readUInt32LE(this.offset);
+        this.offset += 4;
+        const value = this.data.subarray(this.offset, this.offset + length).toString('utf8');
+        this.offset += length;
+        return value;
+    }
+}
+
+// Decodes pump.fun instructions and the Anchor events the program emits as
+// "Program data:" log lines. Fields added in later program versions are read
+// only when the data is long enough to contain them.
+class PumpFunDecoder {
+    matchDiscriminator(data, table) {
+        if (!data || data.length < 8) return null;
+        const prefix = data.subarray(0, 8);
+        return Object.keys(table).find(name => table[name].equals(prefix)) || null;
+    }
+
+    // data: raw instruction bytes; accounts: the instruction's account addresses in order
+    decodeInstruction(data, accounts = []) {
+        const type = this.matchDiscriminator(data, INSTRUCTIONS);
+        if (!type) return null;
+
+        const reader = new BorshReader(data.subarray(8));
+
+        switch (type) {
+            case 'create': {
+                const name = reader.string();
+                const symbol = reader.string();
+                const uri = reader.string();
+                return {
+                    type,
+                    name,
+                    symbol,
+                    uri,
+                    mint: accounts[0],
+                    bondingCurve: accounts[2],
+                    user: accounts[7],
+                    creator: reader.remaining >= 32 ? reader.pubkey() : accounts[7]
+                };
+            }
+            case 'buy':
+                return {
+                    type,
+                    amount: reader.u64(),
+                    maxSolCost: reader.u64(),
+                    mint: accounts[2],
+                    bondingCurve: accounts[3],
+                    user: accounts[6]
+                };
+            case 'sell':
+                return {
+                    type,
+                    amount: reader.u64(),
+                    minSolOutput: reader.u64(),
+                    mint: accounts[2],
+                    bondingCurve: accounts[3],
+                    user: accounts[6]
+                };
+            case 'migrate':
+                return {
+                    type,
+                    mint: accounts[2],
+                    bondingCurve: accounts[3],
+                    user: accounts[5]
+                };
+        }
+
+        return null;
+    }
+
+    decodeEvent(data) {
+        const type = this.matchDiscriminator(data, EVENTS);
+        if (!type) return null;
+
+        const reader = new BorshReader(data.subarray(8));
+
+        switch (type) {
+            case 'create': {
+                const event = {
+                    type,
+                    name: reader.string(),
+                    symbol: reader.string(),
+                    uri: reader.string(),
+                    mint: reader.pubkey(),
+                    bondingCurve: reader.pubkey(),
+                    user: reader.pubkey()
+                };
+                if (reader.remaining >= 72) {
+                    event.creator = reader.pubkey();
+                    event.timestamp = Number(reader.i64());
+                    event.virtualTokenReserves = reader.u64();
+                    event.virtualSolReserves = reader.u64();
+                    event.realTokenReserves = reader.u64();
+                    event.tokenTotalSupply = reader.u64();
+                }
+                return event;
+            }
+            case 'trade': {
+                const event = {
+                    type,
+                    mint: reader.pubkey(),
+                    solAmount: reader.u64(),
+                    tokenAmount: reader.u64(),
+                    isBuy: reader.bool(),
+                    user: reader.pubkey(),
+                    timestamp: Number(reader.i64()),
+                    virtualSolReserves: reader.u64(),
+                    virtualTokenReserves: reader.u64()
+                };
+                if (reader.remaining >= 16) {
+                    event.realSolReserves = reader.u64();
+                    event.realTokenReserves = reader.u64();
+                }
+                if (reader.remaining >= 48) {
+                    event.feeRecipient = reader.pubkey();
+                    event.feeBasisPoints = reader.u64();
+                    event.fee = reader.u64();
+                }
+                if (reader.remaining >= 48) {
+                    event.creator = reader.pubkey();
+                    event.creatorFeeBasisPoints = reader.u64();
+                    event.creatorFee = reader.u64();
+                }
+                return event;
+            }
+            case 'complete':
+                return {
+                    type,
+                    user: reader.pubkey(),
+                    mint: reader.pubkey(),
+                    bondingCurve: reader.pubkey(),
+                    timestamp: Number(reader.i64())
+                };
+            case 'migration':
+                return {
+                    type,
+                    user: reader.pubkey(),
+                    mint: reader.pubkey(),
+                    mintAmount: reader.u64(),
+                    solAmount: reader.u64(),
+                    poolMigrationFee: reader.u64(),
+                    bondingCurve: reader.pubkey(),
+                    timestamp: Number(reader.i64()),
+                    pool: reader.pubkey()
+                };
+        }
+
+        return null;
+    }
+
+    // Events from a transaction's log messages. Lines from other programs simply don't match.
+    decodeLogs(logs = []) {
+        const events = [];
+
+        for (const line of logs) {
+            if (!line.startsWith('Program data: ')) continue;
+            try {
+                const event = this.decodeEvent(Buffer.from(line.slice('Program data: '.length), 'base64'));
+                if (event) events.push(event);
+            } catch (error) {
+                // Truncated or foreign data - not ours
+            }
+        }
+
+        return events;
+    }
+
+    // Pump.fun instructions (top-level and CPI) from a getTransaction response
+    decodeTransaction(transaction) {
+        const message = transaction.transaction.message;
+        const loaded = transaction.meta?.loadedAddresses || { writable: [], readonly: [] };
+        const keys = [
+            ...(message.staticAccountKeys || message.accountKeys),
+            ...loaded.writable,
+            ...loaded.readonly
+        ].map(key => key.toString());
+
+        const compiled = [
+            ...(message.compiledInstructions || message.instructions),
+            ...(transaction.meta?.innerInstructions || []).flatMap(inner => inner.instructions)
+        ];
+
+        const decoded = [];
+        for (const ix of compiled) {
+            if (keys[ix.programIdIndex] !== PUMP_FUN_PROGRAM_ID) continue;
+
+            const data = typeof ix.data === 'string' ? Buffer.from(bs58.decode(ix.data)) : Buffer.from(ix.data);
+            const accounts = (ix.accountKeyIndexes || ix.accounts).map(index => keys[index]);
+
+            try {
+                const instruction = this.decodeInstruction(data, accounts);
+                if (instruction) decoded.push(instruction);
+            } catch (error) {
+                // Malformed data - skip it
+            }
+        }
+
+        return decoded;
+    }
+}
+
+PumpFunDecoder.PROGRAM_ID = PUMP_FUN_PROGRAM_ID;
+PumpFunDecoder.INSTRUCTIONS = INSTRUCTIONS;
+PumpFunDecoder.EVENTS = EVENTS;
+
+module.exports = PumpFunDecoder;
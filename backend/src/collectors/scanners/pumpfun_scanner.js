@@ -1,109 +1,46 @@
 // backend/src/collectors/scanners/pumpfun_scanner.js
-const { Connection, PublicKey } = require('@solana/web3.js');
-const axios = require('axios');
+const { PublicKey } = require('@solana/web3.js');
 const logger = require('../../utils/logger');
-const EventEmitter = require('events');
+const priceService = require('../../utils/price_service');
+const PumpFunDecoder = require('./pumpfun_decoder');
+const ScannerBase = require('../scanner_base');
 
-class PumpFunScanner extends EventEmitter {
+// BondingCurve account: 8-byte discriminator, then
+//   virtual_token_reserves u64 | virtual_sol_reserves u64 | real_token_reserves u64 |
+//   real_sol_reserves u64 | token_total_supply u64 | complete bool | creator pubkey
+const BONDING_CURVE_DISCRIMINATOR = Buffer.from([0x17, 0xb7, 0xf8, 0x37, 0x60, 0xd8, 0xac, 0x60]);
+const PUMP_TOKEN_DECIMALS = 6;
+// Tokens sold off the curve before it completes and migrates
+const INITIAL_REAL_TOKEN_RESERVES = 793100000000000n;
+
+// Subscription-driven: no poll, so tokens arrive only through program log notifications
+class PumpFunScanner extends ScannerBase {
     constructor() {
-        super();
+        super('pumpfun', { maxTokens: 100, dedupLimit: 10000 });
         this.PUMP_FUN_PROGRAM_ID = new PublicKey('6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P');
         this.connection = null;
         this.subscriptionId = null;
-        this.isRunning = false;
-        this.processedSignatures = new Set();
-        this.recentTokens = new Map();
-        
-        // Stats
-        this.stats = {
-            tokensFound: 0,
-            lastTokenTime: null,
-            errors: 0
-        };
+        this.decoder = new PumpFunDecoder();
+        this.processedSignatures = new ScannerBase.BoundedSet(10000);
+        this.curveSubscriptions = new Map(); // mint -> account change subscription id
+        // mint -> latest curve metrics, least recently updated evicted first. Every
+        // CreateEvent lands here; curves we watch are refreshed by each account change.
+        this.curves = new ScannerBase.BoundedMap(5000);
     }
 
-    async start(connection) {
-        if (this.isRunning) return;
-        
+    // Given the scanner's managed connection, the subscription is re-established
+    // (and the gap backfilled) whenever the websocket drops
+    async onStart(connection) {
         this.connection = connection;
-        this.isRunning = true;
-        logger.info('🎯 Pump.fun scanner started');
         
-        // Use Helius enhanced websockets if available
-        if (process.env.HELIUS_API_KEY) {
-            await this.startHeliusWebsocket();
-        } else {
-            await this.startStandardWebsocket();
-        }
-    }
-
-    async startHeliusWebsocket() {
         try {
-            const WebSocket = require('ws');
-            const ws = new WebSocket(`wss://mainnet.helius-rpc.com/?api-key=${process.env.HELIUS_API_KEY}`);
-            
-            ws.on('open', () => {
-                logger.info('🔌 Connected to Helius enhanced websocket for Pump.fun monitoring');
-                
-                // Subscribe to pump.fun program logs
-                const subscribeMessage = {
-                    jsonrpc: "2.0",
-                    id: 1,
-                    method: "logsSubscribe",
-                    params: [{
-                        mentions: [this.PUMP_FUN_PROGRAM_ID.toString()]
-                    }, {
-                        commitment: "confirmed"
-                    }]
-                };
-                
-                ws.send(JSON.stringify(subscribeMessage));
-            });
-            
-            ws.on('message', async (data) => {
-                try {
-                    const message = JSON.parse(data.toString());
-                    
-                    if (message.params?.result?.value) {
-                        await this.processLogEntry(message.params.result.value);
-                    }
-                } catch (error) {
-                    logger.error('Error processing Helius websocket message:', error);
-                }
-            });
-            
-            ws.on('error', (error) => {
-                logger.error('Helius websocket error:', error);
-                this.stats.errors++;
-            });
-            
-            ws.on('close', () => {
-                logger.warn('Helius websocket closed, reconnecting...');
-                if (this.isRunning) {
-                    setTimeout(() => this.startHeliusWebsocket(), 5000);
-                }
-            });
-            
-            this.ws = ws;
-        } catch (error) {
-            logger.error('Failed to start Helius websocket:', error);
-            // Fall back to standard websocket
-            await this.startStandardWebsocket();
-        }
-    }
-
-    async startStandardWebsocket() {
-        try {
-            // Subscribe to pump.fun program logs
             this.subscriptionId = this.connection.onLogs(
                 this.PUMP_FUN_PROGRAM_ID,
-                async (logs) => {
-                    await this.processLogEntry(logs);
-                },
+                (logs) => this.track(() => this.processLogEntry(logs)),
                 'confirmed'
             );
             
-            logger.info('📡 Subscribed to Pump.fun program logs (standard websocket)');
+            logger.info('📡 Subscribed to Pump.fun program logs');
         } catch (error) {
             logger.error('Failed to subscribe to pump.fun logs:', error);
             this.stats.errors++;
@@ -111,230 +48,254 @@ class PumpFunScanner extends EventEmitter {
     }
 
     async processLogEntry(logs) {
-        try {
-            // Check if this is a new token creation
-            const signature = logs.signature;
-            
-            // Avoid processing the same transaction multiple times
-            if (this.processedSignatures.has(signature)) {
-                return;
-            }
-            this.processedSignatures.add(signature);
-            
-            // Keep set size manageable
-            if (this.processedSignatures.size > 10000) {
-                const toDelete = Array.from(this.processedSignatures).slice(0, 5000);
-                toDelete.forEach(sig => this.processedSignatures.delete(sig));
-            }
-            
-            // Look for token creation patterns in logs
-            const isTokenCreation = logs.logs.some(log => 
-                log.includes('initialize') || 
-                log.includes('create') ||
-                log.includes('Program log: Instruction: Create') ||
-                log.includes('Token mint')
-            );
-            
-            if (isTokenCreation) {
-                logger.info('🆕 Potential Pump.fun token creation detected!');
+        const signature = logs.signature;
+        
+        // Failed transactions still log, but nothing they describe happened
+        if (logs.err) return;
+        
+        // Avoid processing the same transaction multiple times
+        if (this.processedSignatures.has(signature)) {
+            return;
+        }
+        this.processedSignatures.add(signature);
+        
+        let events = this.decoder.decodeLogs(logs.logs);
+        
+        // Large transactions get their logs truncated - decode the instructions instead
+        if (events.length === 0 && logs.logs.includes('Log truncated')) {
+            events = await this.decodeTransaction(signature);
+        }
+        
+        for (const event of events) {
+            await this.handleEvent(event, signature);
+        }
+    }
+
+    async handleEvent(event, signature) {
+        switch (event.type) {
+            case 'create': {
+                const tokenInfo = this.emitToken(await this.buildTokenInfo(event, signature));
+                if (!tokenInfo) break;
                 
-                // Fetch and parse the transaction
-                const tokenInfo = await this.parseTokenCreation(signature);
-                if (tokenInfo) {
-                    this.stats.tokensFound++;
-                    this.stats.lastTokenTime = Date.now();
-                    
-                    // Emit the new token event
-                    this.emit('token', tokenInfo);
-                    
-                    // Store recent token
-                    this.recentTokens.set(tokenInfo.address, tokenInfo);
-                    
-                    // Clean up old tokens
-                    if (this.recentTokens.size > 100) {
-                        const oldest = Array.from(this.recentTokens.keys()).slice(0, 50);
-                        oldest.forEach(key => this.recentTokens.delete(key));
-                    }
-                    
-                    logger.info(`✅ New Pump.fun token: ${tokenInfo.symbol} (${tokenInfo.address})`);
-                }
+                logger.info(`✅ New Pump.fun token: ${tokenInfo.symbol} (${tokenInfo.address})`);
+                break;
             }
-        } catch (error) {
-            logger.error('Error processing pump.fun log entry:', error);
-            this.stats.errors++;
+            case 'trade':
+            case 'buy':
+            case 'sell':
+                this.emit('trade', { ...event, signature });
+                break;
+            case 'complete':
+                logger.info(`🎓 Pump.fun curve completed for ${event.mint}`);
+                this.emit('complete', { ...event, signature });
+                break;
+            case 'migration':
+            case 'migrate':
+                logger.info(`🚚 Pump.fun token ${event.mint} migrating`);
+                this.emit('migration', { ...event, signature });
+                break;
         }
     }
 
-    async parseTokenCreation(signature) {
+    // Fallback for truncated logs: fetch the transaction and decode its pump.fun instructions
+    async decodeTransaction(signature) {
         try {
-            const transaction = await this.connection.getParsedTransaction(
-                signature,
-                { maxSupportedTransactionVersion: 0 }
-            );
-            
-            if (!transaction || !transaction.meta) return null;
-            
-            // Look for the token mint address in the transaction
-            let tokenMint = null;
-            let tokenInfo = {
-                source: 'pumpfun',
-                createdAt: Date.now(),
-                signature: signature
-            };
-            
-            // Check account keys for new mint
-            const postTokenBalances = transaction.meta.postTokenBalances || [];
-            const preTokenBalances = transaction.meta.preTokenBalances || [];
-            
-            // Find new token mints by comparing pre and post balances
-            for (const postBalance of postTokenBalances) {
-                const isNew = !preTokenBalances.some(
-                    preBalance => preBalance.mint === postBalance.mint
-                );
-                
-                if (isNew && postBalance.mint) {
-                    tokenMint = postBalance.mint;
-                    break;
-                }
-            }
-            
-            // Alternative: Look in inner instructions
-            if (!tokenMint && transaction.meta.innerInstructions) {
-                for (const inner of transaction.meta.innerInstructions) {
-                    for (const ix of inner.instructions) {
-                        if (ix.parsed?.type === 'initializeMint' || 
-                            ix.parsed?.type === 'initializeAccount') {
-                            tokenMint = ix.parsed.info?.mint || ix.parsed.info?.account;
-                            break;
-                        }
-                    }
-                }
-            }
-            
-            if (!tokenMint) {
-                // Try to extract from logs or use first new account
-                const accounts = transaction.transaction.message.accountKeys;
-                for (let i = 0; i < accounts.length; i++) {
-                    const account = accounts[i];
-                    if (account.pubkey && !account.signer && !account.writable) {
-                        const accountInfo = await this.connection.getAccountInfo(
-                            new PublicKey(account.pubkey.toString())
-                        );
-                        
-                        if (accountInfo?.owner.toString() === 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA') {
-                            tokenMint = account.pubkey.toString();
-                            break;
-                        }
-                    }
-                }
-            }
-            
-            if (!tokenMint) {
-                logger.debug('Could not find token mint in pump.fun transaction');
-                return null;
-            }
-            
-            tokenInfo.address = tokenMint;
-            
-            // Try to get token metadata
-            try {
-                const metadata = await this.fetchTokenMetadata(tokenMint);
-                tokenInfo = { ...tokenInfo, ...metadata };
-            } catch (error) {
-                logger.debug('Could not fetch metadata for pump.fun token:', tokenMint);
-                // Use defaults
-                tokenInfo.symbol = 'PUMP';
-                tokenInfo.name = 'Pump.fun Token';
-            }
-            
-            // Add pump.fun specific data
-            tokenInfo.liquidity = 1000; // Initial liquidity assumption
-            tokenInfo.volume24h = 0;
-            tokenInfo.priceChange24h = 0;
-            tokenInfo.marketCap = 0;
-            tokenInfo.isPumpFun = true;
-            tokenInfo.deploymentType = 'pump.fun';
-            
-            return tokenInfo;
+            const transaction = await this.connection.getTransaction(signature, {
+                commitment: 'confirmed',
+                maxSupportedTransactionVersion: 0
+            });
+            if (!transaction || transaction.meta?.err) return [];
             
+            return this.decoder.decodeTransaction(transaction);
         } catch (error) {
-            logger.error('Error parsing pump.fun token creation:', error);
-            return null;
+            logger.debug(`Could not decode pump.fun transaction ${signature}:`, error.message);
+            return [];
         }
     }
 
-    async fetchTokenMetadata(mintAddress) {
-        // Try multiple sources for metadata
+    async buildTokenInfo(event, signature) {
+        let tokenInfo = {
+            address: event.mint,
+            symbol: event.symbol || 'UNKNOWN',
+            name: event.name,
+            uri: event.uri,
+            bondingCurve: event.bondingCurve,
+            creator: event.creator || event.user,
+            source: 'pumpfun',
+            createdAt: event.timestamp ? event.timestamp * 1000 : Date.now(),
+            signature: signature
+        };
         
-        // 1. Try Birdeye if available
-        if (process.env.BIRDEYE_API_KEY) {
-            try {
-                const response = await axios.get(
-                    `https://public-api.birdeye.so/defi/token_overview`,
-                    {
-                        headers: { 'X-API-KEY': process.env.BIRDEYE_API_KEY },
-                        params: { address: mintAddress },
-                        timeout: 5000
-                    }
-                );
-                
-                if (response.data?.data) {
-                    return {
-                        symbol: response.data.data.symbol || 'PUMP',
-                        name: response.data.data.name || 'Pump Token',
-                        decimals: response.data.data.decimals || 9,
-                        price: response.data.data.price || 0
-                    };
-                }
-            } catch (error) {
-                // Continue to next method
-            }
+        // Newer CreateEvents carry the initial reserves, which saves reading the curve account
+        const curve = event.virtualSolReserves !== undefined
+            ? this.updateCurve(event.mint, {
+                virtualTokenReserves: event.virtualTokenReserves,
+                virtualSolReserves: event.virtualSolReserves,
+                realTokenReserves: event.realTokenReserves,
+                realSolReserves: 0n,
+                tokenTotalSupply: event.tokenTotalSupply,
+                complete: false,
+                creator: tokenInfo.creator
+            })
+            : await this.fetchBondingCurve(event.mint);
+        
+        // Price, market cap and liquidity come straight from the bonding curve
+        if (curve) {
+            tokenInfo = { ...tokenInfo, ...curve, creator: tokenInfo.creator };
+        } else {
+            tokenInfo.liquidity = 0;
+            tokenInfo.marketCap = 0;
         }
         
-        // 2. Try Jupiter price API
+        tokenInfo.volume24h = 0;
+        tokenInfo.priceChange24h = 0;
+        tokenInfo.decimals = PUMP_TOKEN_DECIMALS;
+        tokenInfo.isPumpFun = true;
+        tokenInfo.deploymentType = 'pump.fun';
+        
+        return tokenInfo;
+    }
+
+    getBondingCurveAddress(mint) {
+        const [address] = PublicKey.findProgramAddressSync(
+            [Buffer.from('bonding-curve'), new PublicKey(mint).toBuffer()],
+            this.PUMP_FUN_PROGRAM_ID
+        );
+        return address;
+    }
+
+    decodeBondingCurve(data) {
+        if (!data || data.length < 49 || !data.subarray(0, 8).equals(BONDING_CURVE_DISCRIMINATOR)) {
+            return null;
+        }
+
+        return {
+            virtualTokenReserves: data.readBigUInt64LE(8),
+            virtualSolReserves: data.readBigUInt64LE(16),
+            realTokenReserves: data.readBigUInt64LE(24),
+            realSolReserves: data.readBigUInt64LE(32),
+            tokenTotalSupply: data.readBigUInt64LE(40),
+            complete: data[48] === 1,
+            // Older curves predate the creator field
+            creator: data.length >= 81 ? new PublicKey(data.subarray(49, 81)).toBase58() : null
+        };
+    }
+
+    // Exact price and size from curve reserves. Prices in SOL per token, USD values where SOL/USD is known.
+    getCurveMetrics(curve) {
+        const solUsd = priceService.getCachedSolUsdPrice();
+        const tokenUnit = Math.pow(10, PUMP_TOKEN_DECIMALS);
+
+        const virtualSol = Number(curve.virtualSolReserves) / 1e9;
+        const virtualTokens = Number(curve.virtualTokenReserves) / tokenUnit;
+        const realSol = Number(curve.realSolReserves) / 1e9;
+        const totalSupply = Number(curve.tokenTotalSupply) / tokenUnit;
+
+        const priceSol = virtualTokens > 0 ? virtualSol / virtualTokens : 0;
+        const marketCapSol = priceSol * totalSupply;
+        const progress = curve.complete
+            ? 100
+            : 100 - Number(curve.realTokenReserves * 10000n / INITIAL_REAL_TOKEN_RESERVES) / 100;
+
+        return {
+            priceSol: priceSol,
+            priceUsd: solUsd ? priceSol * solUsd : null,
+            marketCapSol: marketCapSol,
+            marketCap: solUsd ? marketCapSol * solUsd : 0,
+            // SOL deposited in the curve is what a seller can actually get out
+            liquidity: solUsd ? realSol * solUsd : 0,
+            liquiditySol: realSol,
+            curveProgress: Math.max(0, progress),
+            curveComplete: curve.complete,
+            creator: curve.creator,
+            // The curve trades as x*y=k on its virtual reserves
+            reserves: { sol: virtualSol, token: virtualTokens }
+        };
+    }
+
+    async fetchBondingCurve(mint) {
         try {
-            const response = await axios.get(
-                `https://price.jup.ag/v4/price?ids=${mintAddress}`,
-                { timeout: 3000 }
-            );
-            
-            if (response.data?.data?.[mintAddress]) {
-                const data = response.data.data[mintAddress];
-                return {
-                    symbol: data.mintSymbol || 'PUMP',
-                    price: data.price || 0
-                };
-            }
+            const account = await this.connection.getAccountInfo(this.getBondingCurveAddress(mint));
+            const curve = account && this.decodeBondingCurve(account.data);
+            return curve ? this.updateCurve(mint, curve) : null;
         } catch (error) {
-            // Continue to fallback
+            logger.debug(`Could not read bonding curve for ${mint}:`, error.message);
+            return null;
         }
-        
-        // 3. Fallback to on-chain data
+    }
+
+    updateCurve(mint, curve) {
+        const metrics = this.getCurveMetrics(curve);
+        this.curves.delete(mint);
+        this.curves.set(mint, metrics);
+
+        if (!metrics.curveComplete) {
+            priceService.setLivePrice(mint, {
+                usd: metrics.priceUsd,
+                sol: metrics.priceSol,
+                source: 'pumpfun-curve'
+            });
+        } else {
+            // Migrated - the curve price is frozen, let the DEX price take over
+            priceService.clearLivePrice(mint);
+        }
+
+        return metrics;
+    }
+
+    // Keep a curve's price live while we hold the token
+    watchCurve(mint) {
+        if (this.curveSubscriptions.has(mint) || !this.connection) return;
+
+        const subscriptionId = this.connection.onAccountChange(
+            this.getBondingCurveAddress(mint),
+            (account) => {
+                const curve = this.decodeBondingCurve(account.data);
+                if (!curve) return;
+
+                const metrics = this.updateCurve(mint, curve);
+                this.emit('curve', { address: mint, ...metrics });
+
+                if (metrics.curveComplete) {
+                    logger.info(`🎓 Pump.fun curve completed for ${mint}`);
+                    this.unwatchCurve(mint);
+                }
+            },
+            'confirmed'
+        );
+
+        this.curveSubscriptions.set(mint, subscriptionId);
+        logger.debug(`Watching bonding curve for ${mint}`);
+    }
+
+    async unwatchCurve(mint) {
+        const subscriptionId = this.curveSubscriptions.get(mint);
+        if (subscriptionId === undefined) return;
+
+        this.curveSubscriptions.delete(mint);
+        priceService.clearLivePrice(mint);
         try {
-            const mintInfo = await this.connection.getParsedAccountInfo(
-                new PublicKey(mintAddress)
-            );
-            
-            if (mintInfo.value?.data?.parsed?.info) {
-                return {
-                    decimals: mintInfo.value.data.parsed.info.decimals || 9,
-                    symbol: 'PUMP',
-                    name: 'Pump.fun Token'
-                };
-            }
+            await this.connection.removeAccountChangeListener(subscriptionId);
         } catch (error) {
-            // Use defaults
+            logger.debug(`Error removing curve listener for ${mint}:`, error.message);
+        }
+    }
+
+    // Watch exactly this set of mints, e.g. the pump.fun tokens we hold
+    async watchCurves(mints) {
+        const wanted = new Set(mints);
+
+        for (const mint of this.curveSubscriptions.keys()) {
+            if (!wanted.has(mint)) await this.unwatchCurve(mint);
+        }
+        for (const mint of wanted) {
+            const curve = this.curves.get(mint);
+            if (!curve?.curveComplete) this.watchCurve(mint);
         }
-        
-        return {
-            symbol: 'PUMP',
-            name: 'Pump.fun Token',
-            decimals: 9
-        };
     }
 
     async getRecentTokens(limit = 10) {
-        const tokens = Array.from(this.recentTokens.values())
+        const tokens = Array.from(this.tokens.values())
             .sort((a, b) => b.createdAt - a.createdAt)
             .slice(0, limit);
         
@@ -343,26 +304,20 @@ class PumpFunScanner extends EventEmitter {
 
     getStats() {
         return {
-            ...this.stats,
-            isRunning: this.isRunning,
-            recentTokensCount: this.recentTokens.size
+            ...super.getStats(),
+            watchedCurves: this.curveSubscriptions.size
         };
     }
 
-    async stop() {
-        this.isRunning = false;
-        
+    async onStop() {
         if (this.subscriptionId !== null) {
             await this.connection.removeOnLogsListener(this.subscriptionId);
             this.subscriptionId = null;
         }
         
-        if (this.ws) {
-            this.ws.close();
-            this.ws = null;
+        for (const mint of Array.from(this.curveSubscriptions.keys())) {
+            await this.unwatchCurve(mint);
         }
-        
-        logger.info('Pump.fun scanner stopped');
     }
 }
 
@@ -0,0 +1,227 @@
+// backend/src/collectors/scanners/raydium_decoder.js
+const crypto = require('crypto');
+const bs58 = require('bs58').default;
+
+const PROGRAMS = {
+    raydium_v4: '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8',
+    raydium_cpmm: 'CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C',
+    raydium_clmm: 'CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK'
+};
+const POOL_TYPES = Object.fromEntries(Object.entries(PROGRAMS).map(([type, id]) => [id, type]));
+
+const WSOL_MINT = 'So11111111111111111111111111111111111111112';
+// Mints that are the price side of a pair when either side could be
+const QUOTE_MINTS = [
+    WSOL_MINT,
+    'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', // USDC
+    'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB' // USDT
+];
+
+// Anchor discriminator: first 8 bytes of sha256("global:<ix>")
+const discriminator = (preimage) => crypto.createHash('sha256').update(preimage).digest().subarray(0, 8);
+
+// AMM v4 is a native program with a one-byte instruction tag; CPMM and CLMM are Anchor
+const INSTRUCTIONS = {
+    raydium_v4: { initialize2: Buffer.from([1]) },
+    raydium_cpmm: { initialize: discriminator('global:initialize') },
+    raydium_clmm: { create_pool: discriminator('global:create_pool') }
+};
+
+const readU128 = (data, offset) => data.readBigUInt64LE(offset) + (data.readBigUInt64LE(offset + 8) << 64n);
+
+// Decodes the pool-creating instruction of each Raydium program into a pool
+// record: the pool account, both mints and vaults, LP mint, initial reserves
+// (raw units) and open time. Any other instruction - swaps, deposits - is null.
+class RaydiumDecoder {
+    // programId: the invoked program; data: raw instruction bytes;
+    // accounts: the instruction's account addresses in order
+    decodeInstruction(programId, data, accounts = []) {
+        const poolType = POOL_TYPES[programId];
+        if (!poolType || !data) return null;
+
+        const [type, prefix] = Object.entries(INSTRUCTIONS[poolType])[0];
+        if (data.length < prefix.length || !data.subarray(0, prefix.length).equals(prefix)) return null;
+
+        switch (type) {
+            // tag, nonce u8, open_time u64, init_pc_amount u64, init_coin_amount u64.
+            // Accounts: token, ATA, system and rent programs, then amm (4), authority,
+            // open orders, lp mint (7), coin mint, pc mint, coin vault, pc vault (11),
+            // target orders, config, fee destination, market program, market (16),
+            // creator (17) and their token accounts
+            case 'initialize2':
+                if (data.length < 26 || accounts.length < 18) return null;
+                return this.orient({
+                    type,
+                    poolType,
+                    programId,
+                    address: accounts[4],
+                    baseMint: accounts[8],
+                    quoteMint: accounts[9],
+                    baseVault: accounts[10],
+                    quoteVault: accounts[11],
+                    lpMint: accounts[7],
+                    baseReserve: data.readBigUInt64LE(18),
+                    quoteReserve: data.readBigUInt64LE(10),
+                    openTime: Number(data.readBigUInt64LE(2)),
+                    market: accounts[16],
+                    creator: accounts[17]
+                });
+
+            // init_amount_0 u64, init_amount_1 u64, open_time u64.
+            // Accounts: creator, config, authority, pool state (3), token 0/1 mints,
+            // lp mint (6), creator's three token accounts, token 0/1 vaults (10, 11), ...
+            case 'initialize':
+                if (data.length < 32 || accounts.length < 12) return null;
+                return this.orient({
+                    type,
+                    poolType,
+                    programId,
+                    address: accounts[3],
+                    baseMint: accounts[4],
+                    quoteMint: accounts[5],
+                    baseVault: accounts[10],
+                    quoteVault: accounts[11],
+                    lpMint: accounts[6],
+                    baseReserve: data.readBigUInt64LE(8),
+                    quoteReserve: data.readBigUInt64LE(16),
+                    openTime: Number(data.readBigUInt64LE(24)),
+                    creator: accounts[0]
+                });
+
+            // sqrt_price_x64 u128, open_time u64. Accounts: creator, config, pool
+            // state (2), token 0/1 mints, token 0/1 vaults (5, 6), ...
+            // Concentrated pools have no LP mint and open empty - liquidity comes
+            // with the first position.
+            case 'create_pool':
+                if (data.length < 32 || accounts.length < 7) return null;
+                return this.orient({
+                    type,
+                    poolType,
+                    programId,
+                    address: accounts[2],
+                    baseMint: accounts[3],
+                    quoteMint: accounts[4],
+                    baseVault: accounts[5],
+                    quoteVault: accounts[6],
+                    lpMint: null,
+                    baseReserve: 0n,
+                    quoteReserve: 0n,
+                    sqrtPriceX64: readU128(data, 8),
+                    openTime: Number(data.readBigUInt64LE(24)),
+                    creator: accounts[0]
+                });
+        }
+
+        return null;
+    }
+
+    // CPMM and CLMM order their mints by address, so SOL or a stable can land on
+    // either side. Put it on the quote side; a CLMM price (quote per base) inverts with it.
+    orient(pool) {
+        if (!QUOTE_MINTS.includes(pool.baseMint) || QUOTE_MINTS.includes(pool.quoteMint)) return pool;
+
+        const oriented = {
+            ...pool,
+            baseMint: pool.quoteMint,
+            quoteMint: pool.baseMint,
+            baseVault: pool.quoteVault,
+            quoteVault: pool.baseVault,
+            baseReserve: pool.quoteReserve,
+            quoteReserve: pool.baseReserve
+        };
+        if (pool.sqrtPriceX64) {
+            oriented.sqrtPriceX64 = (1n << 128n) / pool.sqrtPriceX64;
+        }
+        return oriented;
+    }
+
+    // Pool records for every Raydium pool created in a transaction, top-level or
+    // by CPI. Takes getTransaction, getParsedTransaction or Helius enhanced responses.
+    decodeTransaction(transaction) {
+        const decoded = [];
+
+        for (const ix of this.instructions(transaction)) {
+            try {
+                const pool = this.decodeInstruction(ix.programId, ix.data, ix.accounts);
+                if (pool) decoded.push(pool);
+            } catch (error) {
+                // Malformed data - skip it
+            }
+        }
+
+        return decoded;
+    }
+
+    // Every instruction as { programId, data: Buffer, accounts: string[] }.
+    // Instructions the RPC parsed (system, token, ...) have no raw data and aren't Raydium's.
+    instructions(transaction) {
+        // Helius enhanced transactions nest inner instructions under each instruction
+        if (Array.isArray(transaction.instructions)) {
+            return transaction.instructions
+                .flatMap(ix => [ix, ...(ix.innerInstructions || [])])
+                .filter(ix => typeof ix.data === 'string')
+                .map(ix => ({
+                    programId: ix.programId,
+                    data: Buffer.from(bs58.decode(ix.data)),
+                    accounts: ix.accounts || []
+                }));
+        }
+
+        const message = transaction.transaction.message;
+        const loaded = transaction.meta?.loadedAddresses || { writable: [], readonly: [] };
+        const keys = [
+            ...(message.staticAccountKeys || message.accountKeys),
+            ...loaded.writable,
+            ...loaded.readonly
+        ].map(key => (key.pubkey || key).toString());
+
+        const all = [
+            ...(message.compiledInstructions || message.instructions),
+            ...(transaction.meta?.innerInstructions || []).flatMap(inner => inner.instructions)
+        ];
+
+        const normalized = [];
+        for (const ix of all) {
+            if (ix.data === undefined) continue;
+            const data = typeof ix.data === 'string' ? Buffer.from(bs58.decode(ix.data)) : Buffer.from(ix.data);
+
+            if (ix.programId) {
+                // Parsed transaction: keys already resolved
+                normalized.push({
+                    programId: ix.programId.toString(),
+                    data,
+                    accounts: ix.accounts.map(account => account.toString())
+                });
+            } else {
+                normalized.push({
+                    programId: keys[ix.programIdIndex],
+                    data,
+                    accounts: (ix.accountKeyIndexes || ix.accounts).map(index => keys[index])
+                });
+            }
+        }
+
+        return normalized;
+    }
+
+    // A pool with its raw amounts as strings, safe to JSON-encode and store
+    toRecord(pool) {
+        const record = { ...pool };
+        for (const field of ['baseReserve', 'quoteReserve', 'sqrtPriceX64']) {
+            if (typeof record[field] === 'bigint') record[field] = record[field].toString();
+        }
+        return record;
+    }
+
+    // The non-SOL mint of a SOL pool, or null for any other pair
+    tokenMint(pool) {
+        if (pool.quoteMint === WSOL_MINT && pool.baseMint !== WSOL_MINT) return pool.baseMint;
+        return null;
+    }
+}
+
+RaydiumDecoder.PROGRAMS = PROGRAMS;
+RaydiumDecoder.INSTRUCTIONS = INSTRUCTIONS;
+RaydiumDecoder.WSOL_MINT = WSOL_MINT;
+
+module.exports = RaydiumDecoder;
@@ -1,72 +1,49 @@
 // backend/src/collectors/scanners/raydium_scanner.js
-const EventEmitter = require('events');
-const { Connection, PublicKey } = require('@solana/web3.js');
-const axios = require('axios');
+const { PublicKey } = require('@solana/web3.js');
+const ScannerBase = require('../scanner_base');
+const priceService = require('../../utils/price_service');
 const logger = require('../../utils/logger');
+const { createConnection } = require('../../utils/connection');
+const PoolStateReader = require('../pool_state_reader');
+const RaydiumDecoder = require('./raydium_decoder');
 
-class RaydiumScanner extends EventEmitter {
-    constructor() {
-        super();
-        this.isRunning = false;
-        this.tokens = new Map();
-        this.processedPools = new Set();
-        this.lastUpdate = null;
-        this.scanInterval = 20000; // 20 seconds for blockchain monitoring
+class RaydiumScanner extends ScannerBase {
+    // Given the scanner's connection, its log subscriptions share the managed websocket
+    constructor(connection = createConnection()) {
+        super('raydium', { scanInterval: 20000 }); // 20 seconds for blockchain monitoring
+        this.processedSignatures = new ScannerBase.BoundedSet(5000);
+        this.subscriptions = [];
         
         this.config = {
             enabled: true,
             raydiumV4: '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8',
             raydiumCPMM: 'CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C',
             raydiumCLMM: 'CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK',
-            minLiquidity: parseFloat(process.env.MIN_LIQUIDITY || 500),
-            wsol: 'So11111111111111111111111111111111111111112'
+            minLiquidity: parseFloat(process.env.MIN_LIQUIDITY || 500)
         };
 
-        // Initialize Solana connection
-        this.connection = new Connection(
-            process.env.HELIUS_API_KEY 
-                ? `https://mainnet.helius-rpc.com/?api-key=${process.env.HELIUS_API_KEY}`
-                : process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com'
-        );
+        this.connection = connection;
+        this.poolState = new PoolStateReader(this.connection);
+        this.decoder = new RaydiumDecoder();
     }
 
-    async start() {
-        if (this.isRunning) return;
-        
-        this.isRunning = true;
-        logger.info('🌊 Raydium scanner started');
-        
-        // Initial scan
-        await this.scanRecentPools();
-        
-        // Set up periodic scanning
-        this.scanTimer = setInterval(() => {
-            this.scanRecentPools();
-        }, this.scanInterval);
-        
+    async onStart() {
         // Set up real-time monitoring if Helius is available
         if (process.env.HELIUS_API_KEY) {
             this.setupWebSocketMonitoring();
         }
     }
 
-    async scanRecentPools() {
-        try {
-            // Get recent signatures for Raydium programs
-            const programs = [
-                this.config.raydiumV4,
-                this.config.raydiumCPMM,
-                this.config.raydiumCLMM
-            ];
-
-            for (const programId of programs) {
-                await this.scanProgramTransactions(programId);
-            }
+    async poll() {
+        // Get recent signatures for Raydium programs
+        const programs = [
+            this.config.raydiumV4,
+            this.config.raydiumCPMM,
+            this.config.raydiumCLMM
+        ];
 
-            this.lastUpdate = Date.now();
-        } catch (error) {
-            logger.error('Raydium scanning error:', error.message);
-            this.emit('error', error);
+        for (const programId of programs) {
+            await this.scanProgramTransactions(programId);
         }
     }
 
@@ -78,118 +55,62 @@ class RaydiumScanner extends EventEmitter {
             );
 
             for (const sigInfo of signatures) {
-                if (this.processedPools.has(sigInfo.signature)) continue;
+                if (sigInfo.err || this.processedSignatures.has(sigInfo.signature)) continue;
                 
                 try {
                     const tx = await this.connection.getParsedTransaction(
                         sigInfo.signature,
                         { maxSupportedTransactionVersion: 0 }
                     );
-
-                    if (tx && tx.meta && !tx.meta.err) {
-                        const poolInfo = await this.extractPoolInfo(tx, programId);
-                        
-                        if (poolInfo && !this.tokens.has(poolInfo.address)) {
-                            const enrichedToken = await this.enrichTokenData(poolInfo);
-                            
-                            if (enrichedToken && enrichedToken.liquidity >= this.config.minLiquidity) {
-                                this.tokens.set(poolInfo.address, enrichedToken);
-                                this.processedPools.add(sigInfo.signature);
-                                this.emit('token', enrichedToken);
-                                
-                                logger.info(`🌊 New Raydium pool: ${enrichedToken.symbol} - ${enrichedToken.address}`);
-                            }
-                        }
-                    }
+                    await this.processTransaction(sigInfo.signature, tx, programId);
                 } catch (error) {
                     logger.debug(`Error processing transaction ${sigInfo.signature}:`, error.message);
                 }
             }
         } catch (error) {
-            logger.error(`Error scanning program ${programId}:`, error.message);
+            this.recordError(error);
         }
     }
 
-    async extractPoolInfo(transaction, programId) {
-        try {
-            const instructions = transaction.transaction.message.instructions;
-            
-            // Find the pool initialization instruction
-            for (const ix of instructions) {
-                if (ix.programId.toString() === programId) {
-                    // Look for pool creation patterns
-                    const accounts = transaction.transaction.message.accountKeys;
-                    
-                    // Extract token mints from the instruction
-                    const tokenMints = await this.extractTokenMints(ix, accounts, transaction);
-                    
-                    if (tokenMints && tokenMints.tokenA && tokenMints.tokenB) {
-                        // Check if it's a SOL pair
-                        const isSOLPair = tokenMints.tokenA === this.config.wsol || 
-                                         tokenMints.tokenB === this.config.wsol;
-                        
-                        if (isSOLPair) {
-                            const tokenMint = tokenMints.tokenA === this.config.wsol 
-                                ? tokenMints.tokenB 
-                                : tokenMints.tokenA;
-                            
-                            return {
-                                address: tokenMint,
-                                poolId: transaction.transaction.signatures[0],
-                                createdAt: transaction.blockTime * 1000,
-                                programId: programId,
-                                signature: transaction.transaction.signatures[0]
-                            };
-                        }
-                    }
-                }
-            }
-        } catch (error) {
-            logger.debug('Error extracting pool info:', error.message);
+    async processTransaction(signature, tx, programId) {
+        if (!tx || !tx.meta || tx.meta.err) return;
+        this.processedSignatures.add(signature);
+
+        const poolInfo = await this.extractPoolInfo(tx, programId);
+        if (!poolInfo || this.hasToken(poolInfo.address)) return;
+
+        const enrichedToken = await this.enrichTokenData(poolInfo);
+        if (!enrichedToken || enrichedToken.liquidity < this.config.minLiquidity) return;
+
+        if (this.emitToken(enrichedToken)) {
+            logger.info(`🌊 New Raydium pool: ${enrichedToken.symbol} - ${enrichedToken.address}`);
         }
-        
-        return null;
     }
 
-    async extractTokenMints(instruction, accounts, transaction) {
+    // The SOL pool the transaction created, from the Raydium initialize instruction
+    // itself. Swaps and other pool traffic decode to nothing and are skipped.
+    async extractPoolInfo(transaction, programId) {
         try {
-            // Different extraction logic based on program type
-            if (instruction.programId.toString() === this.config.raydiumV4) {
-                // V4 pool structure
-                if (accounts.length >= 18) {
-                    return {
-                        tokenA: accounts[8]?.pubkey?.toString(),
-                        tokenB: accounts[9]?.pubkey?.toString()
-                    };
-                }
-            } else if (instruction.programId.toString() === this.config.raydiumCPMM) {
-                // CPMM pool structure
-                if (accounts.length >= 10) {
-                    return {
-                        tokenA: accounts[4]?.pubkey?.toString(),
-                        tokenB: accounts[5]?.pubkey?.toString()
-                    };
-                }
-            }
-            
-            // Fallback: Look for mint accounts in inner instructions
-            if (transaction.meta && transaction.meta.innerInstructions) {
-                for (const inner of transaction.meta.innerInstructions) {
-                    for (const ix of inner.instructions) {
-                        if (ix.parsed && ix.parsed.type === 'initializeMint') {
-                            // Found a mint initialization
-                            return {
-                                tokenA: ix.parsed.info.mint,
-                                tokenB: this.config.wsol // Assume SOL pair
-                            };
-                        }
-                    }
-                }
-            }
+            const pool = this.decoder.decodeTransaction(transaction)
+                .find(decoded => decoded.programId === programId && this.decoder.tokenMint(decoded));
+            if (!pool) return null;
+
+            const signature = transaction.transaction.signatures[0];
+            const createdAt = transaction.blockTime ? transaction.blockTime * 1000 : Date.now();
+
+            return {
+                address: this.decoder.tokenMint(pool),
+                poolId: pool.address,
+                poolAddress: pool.address,
+                pool: this.decoder.toRecord({ ...pool, signature, createdAt }),
+                createdAt: createdAt,
+                programId: programId,
+                signature: signature
+            };
         } catch (error) {
-            logger.debug('Error extracting token mints:', error.message);
+            logger.debug('Error extracting pool info:', error.message);
         }
-        
+
         return null;
     }
 
@@ -202,21 +123,25 @@ class RaydiumScanner extends EventEmitter {
                 return null;
             }
 
-            // Get pool liquidity data
-            const liquidityData = await this.getPoolLiquidity(poolInfo.poolId);
+            // Reserves straight from the pool account
+            const liquidityData = await this.getPoolLiquidity(poolInfo.poolAddress);
             
             // Get price data
-            const priceData = await this.getTokenPrice(poolInfo.address);
+            const priceData = await priceService.getPrice(poolInfo.address);
 
             const enriched = {
                 address: poolInfo.address,
                 symbol: tokenInfo.symbol || 'UNKNOWN',
                 name: tokenInfo.name || 'Unknown Token',
                 decimals: tokenInfo.decimals || 9,
-                price: priceData?.price || 0,
-                liquidity: liquidityData?.liquidity || 1000,
-                volume24h: liquidityData?.volume24h || 0,
-                poolAddress: poolInfo.poolId,
+                priceUsd: priceData?.usd || 0,
+                priceSol: liquidityData?.priceSol || priceData?.sol || 0,
+                liquidity: liquidityData?.liquidity || 0,
+                liquiditySol: liquidityData?.liquiditySol ?? null,
+                volume24h: 0,
+                poolAddress: poolInfo.poolAddress,
+                poolType: poolInfo.pool.poolType,
+                pool: poolInfo.pool,
                 createdAt: poolInfo.createdAt,
                 programType: this.getProgramType(poolInfo.programId),
                 verified: false, // Raydium pools need additional verification
@@ -258,47 +183,21 @@ class RaydiumScanner extends EventEmitter {
         return null;
     }
 
-    async getPoolLiquidity(poolId) {
-        try {
-            // Try to get liquidity from Raydium API if available
-            const response = await axios.get(
-                `https://api.raydium.io/v2/ammV3/ammPool/${poolId}`,
-                { timeout: 5000 }
-            ).catch(() => null);
-
-            if (response && response.data) {
-                return {
-                    liquidity: response.data.tvl || 1000,
-                    volume24h: response.data.day.volume || 0
-                };
-            }
+    // Both sides of the pool in USD, from its vault balances. Null when the pool
+    // can't be read - the token then fails the liquidity filter rather than passing on a guess.
+    async getPoolLiquidity(poolAddress) {
+        if (!poolAddress) return null;
 
-            // Fallback: estimate from transaction
-            return {
-                liquidity: 5000, // Default estimate
-                volume24h: 0
-            };
-        } catch (error) {
-            return { liquidity: 1000, volume24h: 0 };
-        }
-    }
+        const state = await this.poolState.read(poolAddress);
+        const solUsd = priceService.getCachedSolUsdPrice() || await priceService.getSolUsdPrice();
+        if (!state || !solUsd) return null;
 
-    async getTokenPrice(tokenAddress) {
-        try {
-            // Try Jupiter price API
-            const response = await axios.get(
-                `https://price.jup.ag/v4/price?ids=${tokenAddress}`,
-                { timeout: 5000 }
-            );
-            
-            if (response.data && response.data.data && response.data.data[tokenAddress]) {
-                return response.data.data[tokenAddress];
-            }
-        } catch (error) {
-            logger.debug('Failed to get token price:', error.message);
-        }
-        
-        return null;
+        return {
+            liquidity: state.tvlSol * solUsd,
+            liquiditySol: state.tvlSol,
+            priceSol: state.priceSol,
+            depthSol: state.depthSol
+        };
     }
 
     getProgramType(programId) {
@@ -321,11 +220,11 @@ class RaydiumScanner extends EventEmitter {
             new PublicKey(this.config.raydiumCPMM)
         ];
 
-        programIds.forEach(programId => {
-            this.connection.onLogs(
+        for (const programId of programIds) {
+            this.subscriptions.push(this.connection.onLogs(
                 programId,
-                async (logs) => {
-                    if (logs.err) return;
+                (logs) => {
+                    if (logs.err || this.processedSignatures.has(logs.signature)) return;
                     
                     // Check if this is a pool creation
                     const isPoolCreation = logs.logs.some(log => 
@@ -333,53 +232,39 @@ class RaydiumScanner extends EventEmitter {
                         log.includes('Initialize2') ||
                         log.includes('CreatePool')
                     );
+                    if (!isPoolCreation) return;
 
-                    if (isPoolCreation) {
-                        logger.info('🆕 Real-time Raydium pool creation detected!');
-                        
-                        // Process the transaction
-                        setTimeout(async () => {
-                            try {
-                                const tx = await this.connection.getParsedTransaction(
-                                    logs.signature,
-                                    { maxSupportedTransactionVersion: 0 }
-                                );
-                                
-                                if (tx) {
-                                    const poolInfo = await this.extractPoolInfo(tx, programId.toString());
-                                    if (poolInfo) {
-                                        const enrichedToken = await this.enrichTokenData(poolInfo);
-                                        if (enrichedToken && enrichedToken.liquidity >= this.config.minLiquidity) {
-                                            this.tokens.set(poolInfo.address, enrichedToken);
-                                            this.processedPools.add(logs.signature);
-                                            this.emit('token', enrichedToken);
-                                        }
-                                    }
-                                }
-                            } catch (error) {
-                                logger.error('Error processing real-time pool:', error);
-                            }
-                        }, 2000); // Wait 2 seconds for transaction to be confirmed
-                    }
+                    logger.info('🆕 Real-time Raydium pool creation detected!');
+                    
+                    // Wait 2 seconds for the transaction to be fetchable
+                    setTimeout(() => {
+                        if (!this.isRunning) return;
+                        this.track(async () => {
+                            const tx = await this.connection.getParsedTransaction(
+                                logs.signature,
+                                { maxSupportedTransactionVersion: 0 }
+                            );
+                            await this.processTransaction(logs.signature, tx, programId.toString());
+                        });
+                    }, 2000);
                 },
                 'confirmed'
-            );
-        });
+            ));
+        }
         
         logger.info('🔌 Raydium WebSocket monitoring active');
     }
 
-    async stop() {
-        this.isRunning = false;
-        
-        if (this.scanTimer) {
-            clearInterval(this.scanTimer);
+    async onStop() {
+        for (const id of this.subscriptions) {
+            try {
+                await this.connection.removeOnLogsListener(id);
+            } catch (error) {
+                logger.debug('Error removing Raydium log subscription:', error.message);
+            }
         }
-        
-        // Note: WebSocket subscriptions will be closed when connection is terminated
-        
-        logger.info('Raydium scanner stopped');
+        this.subscriptions = [];
     }
 }
 
-module.exports = RaydiumScanner;
\ No newline at end of file
+module.exports = RaydiumScanner;
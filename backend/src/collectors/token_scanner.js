@@ -1,6 +1,7 @@
 const { Connection, PublicKey } = require('@solana/web3.js');
 const axios = require('axios');
 const logger = require('../utils/logger');
+const RaydiumDecoder = require('./scanners/raydium_decoder');
 
 class TokenScanner {
     constructor(database) {
@@ -13,6 +14,7 @@ class TokenScanner {
         this.isScanning = false;
         this.scanInterval = 30000; // 30 seconds
         this.processedTokens = new Set();
+        this.raydiumDecoder = new RaydiumDecoder();
     }
 
     async startScanning() {
@@ -143,11 +145,12 @@ class TokenScanner {
         try {
             if (!process.env.HELIUS_API_KEY) return [];
 
-            const response = await axios.post(
-                `https://api.helius.xyz/v0/addresses/transactions?api-key=${process.env.HELIUS_API_KEY}`,
+            // Recent enhanced transactions; the decoder picks out the pool creations
+            const response = await axios.get(
+                `https://api.helius.xyz/v0/addresses/${RaydiumDecoder.PROGRAMS.raydium_v4}/transactions`,
                 {
-                    addresses: ['675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8'], // Raydium V4
-                    type: 'SWAP_INITIALIZE'
+                    params: { 'api-key': process.env.HELIUS_API_KEY, limit: 100 },
+                    timeout: 10000
                 }
             );
 
@@ -227,9 +230,34 @@ class TokenScanner {
         logger.info('Added test token BONK for testing');
     }
 
+    // New SOL pools from Helius enhanced transactions, one token per pool
     parseRadyiumTransactions(transactions) {
-        // Simplified for MVP - would need full implementation
-        return [];
+        const tokens = [];
+
+        for (const tx of transactions || []) {
+            if (tx.transactionError) continue;
+
+            for (const pool of this.raydiumDecoder.decodeTransaction(tx)) {
+                const mint = this.raydiumDecoder.tokenMint(pool);
+                if (!mint) continue;
+
+                tokens.push({
+                    address: mint,
+                    symbol: 'NEW',
+                    name: 'New Token',
+                    price: 0,
+                    liquidity: 0,
+                    volume24h: 0,
+                    priceChange1h: 0,
+                    marketCap: 0,
+                    pairAddress: pool.address,
+                    dexId: 'raydium',
+                    createdAt: tx.timestamp ? tx.timestamp * 1000 : Date.now()
+                });
+            }
+        }
+
+        return tokens;
     }
 
     async analyzeAndStoreToken(token) {
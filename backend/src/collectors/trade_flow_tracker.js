@@ -0,0 +1,372 @@
+// backend/src/collectors/trade_flow_tracker.js
+const EventEmitter = require('events');
+const { PublicKey } = require('@solana/web3.js');
+const { parseMetadata } = require('../utils/metadata');
+const logger = require('../utils/logger');
+
+const WSOL_MINT = 'So11111111111111111111111111111111111111112';
+const PUMP_TOKEN_DECIMALS = 6;
+
+// Rolling windows kept per token, in milliseconds
+const WINDOWS = {
+    '30s': 30 * 1000,
+    '1m': 60 * 1000,
+    '5m': 5 * 60 * 1000,
+    '15m': 15 * 60 * 1000
+};
+const LONGEST_WINDOW = Math.max(...Object.values(WINDOWS));
+
+// Per-token swap stream: buy/sell counts, SOL volume, unique wallets and net
+// SOL flow over rolling windows. Pump.fun curve trades come from the pump.fun
+// scanner's program-wide feed; pool trades (Raydium AMM/CPMM, PumpSwap) from a
+// log subscription on the pool account.
+class TradeFlowTracker extends EventEmitter {
+    constructor(database, connection) {
+        super();
+        this.db = database;
+        this.connection = connection;
+        this.pumpFunScanner = null;
+
+        this.config = {
+            idleMinutes: parseFloat(process.env.TRADE_FLOW_IDLE_MINUTES || '10'), // drop watches nobody asked about
+            flushInterval: parseInt(process.env.TRADE_FLOW_FLUSH_MS || '15000'),
+            // Swaps are kept this long past the longest window, to refill windows
+            // after a restart and for dev-sell checks since a position's last tick
+            swapRetentionMinutes: parseFloat(process.env.TRADE_FLOW_SWAP_RETENTION_MINUTES || '60')
+        };
+
+        this.watched = new Map(); // mint -> { pool, venue, subscriptionId, touchedAt }
+        this.trades = new Map(); // mint -> swaps within the longest window, oldest first
+        this.stats = {
+            swaps: 0,
+            poolSwaps: 0,
+            curveSwaps: 0,
+            ignored: 0,
+            swapsPruned: 0
+        };
+    }
+
+    start(pumpFunScanner) {
+        if (this.pumpFunScanner !== pumpFunScanner) {
+            this.pumpFunScanner = pumpFunScanner;
+            pumpFunScanner.on('trade', (event) => this.handleCurveTrade(event));
+        }
+
+        this.flushTimer = setInterval(() => {
+            try {
+                this.flush();
+                this.pruneWatches();
+                this.pruneSwaps();
+            } catch (error) {
+                logger.error('Trade flow flush error:', error);
+            }
+        }, this.config.flushInterval);
+
+        logger.info('📈 Trade flow tracker started');
+    }
+
+    // Watch a token row from the database: its bonding curve while it has one,
+    // otherwise the pool it migrated to or was discovered on
+    watchToken(token) {
+        const metadata = parseMetadata(token.metadata);
+
+        if (metadata.migration?.pool) {
+            return this.watch(token.address, { pool: metadata.migration.pool, venue: metadata.migration.destination });
+        }
+        if (token.is_pump_fun || token.source === 'pumpfun') {
+            return this.watch(token.address, { venue: 'pumpfun' });
+        }
+        if (metadata.pool) {
+            return this.watch(token.address, { pool: metadata.pool, venue: token.source || 'pool' });
+        }
+
+        return false;
+    }
+
+    watch(mint, { pool = null, venue = 'pumpfun' } = {}) {
+        const existing = this.watched.get(mint);
+        if (existing) {
+            existing.touchedAt = Date.now();
+            if (existing.pool === pool) return true;
+            // Same token, new market - e.g. a curve that just migrated
+            this.unsubscribe(existing);
+        }
+
+        const watch = { pool, venue, subscriptionId: null, touchedAt: Date.now() };
+        if (pool) {
+            try {
+                watch.subscriptionId = this.connection.onLogs(
+                    new PublicKey(pool),
+                    (logs) => this.handlePoolLogs(mint, logs),
+                    'confirmed'
+                );
+            } catch (error) {
+                logger.error(`Failed to subscribe to pool ${pool}:`, error);
+                return false;
+            }
+        }
+
+        this.watched.set(mint, watch);
+        if (!existing) this.restore(mint);
+
+        logger.debug(`Watching trade flow for ${mint} on ${venue}${pool ? ` (${pool})` : ''}`);
+        return true;
+    }
+
+    unwatch(mint) {
+        const watch = this.watched.get(mint);
+        if (!watch) return;
+
+        this.unsubscribe(watch);
+        this.watched.delete(mint);
+        this.trades.delete(mint);
+    }
+
+    unsubscribe(watch) {
+        if (watch.subscriptionId === null) return;
+        this.connection.removeOnLogsListener(watch.subscriptionId).catch(error => {
+            logger.debug('Error removing pool subscription:', error.message);
+        });
+        watch.subscriptionId = null;
+    }
+
+    isWatching(mint) {
+        return this.watched.has(mint);
+    }
+
+    // Windows survive a restart: reload the last LONGEST_WINDOW of swaps
+    restore(mint) {
+        const rows = this.db.getSwaps(mint, Date.now() - LONGEST_WINDOW);
+        this.trades.set(mint, rows.map(row => ({
+            signature: row.signature,
+            wallet: row.wallet,
+            side: row.side,
+            solAmount: row.sol_amount,
+            tokenAmount: row.token_amount,
+            price: row.price,
+            venue: row.venue,
+            timestamp: row.timestamp
+        })));
+    }
+
+    handleCurveTrade(event) {
+        // Only TradeEvents carry executed amounts; decoded buy/sell instructions
+        // (the truncated-log fallback) only have the user's limits
+        if (event.type !== 'trade' || !this.watched.has(event.mint)) return;
+
+        const watch = this.watched.get(event.mint);
+        if (watch.pool) return; // migrated - the curve no longer sets the price
+
+        const solAmount = Number(event.solAmount) / 1e9;
+        const tokenAmount = Number(event.tokenAmount) / Math.pow(10, PUMP_TOKEN_DECIMALS);
+
+        this.stats.curveSwaps++;
+        this.recordSwap(event.mint, {
+            signature: event.signature,
+            wallet: event.user,
+            side: event.isBuy ? 'buy' : 'sell',
+            solAmount: solAmount,
+            tokenAmount: tokenAmount,
+            price: tokenAmount > 0 ? solAmount / tokenAmount : null,
+            venue: 'pumpfun',
+            timestamp: event.timestamp ? event.timestamp * 1000 : Date.now()
+        });
+    }
+
+    async handlePoolLogs(mint, logs) {
+        if (logs.err) return;
+
+        try {
+            const swap = await this.parsePoolSwap(mint, logs.signature);
+            if (!swap) {
+                this.stats.ignored++;
+                return;
+            }
+
+            this.stats.poolSwaps++;
+            this.recordSwap(mint, { ...swap, venue: this.watched.get(mint)?.venue || 'pool' });
+        } catch (error) {
+            logger.debug(`Could not parse pool swap ${logs.signature}:`, error.message);
+        }
+    }
+
+    // Venue-agnostic: read the swap off the transaction's token balance changes.
+    // The signer's token balance and the pool's SOL vault move the same way on
+    // a swap (both up on a buy, both down on a sell) and opposite ways on
+    // liquidity adds/removes, which are ignored.
+    async parsePoolSwap(mint, signature) {
+        const transaction = await this.connection.getTransaction(signature, {
+            commitment: 'confirmed',
+            maxSupportedTransactionVersion: 0
+        });
+        if (!transaction || transaction.meta?.err) return null;
+
+        const message = transaction.transaction.message;
+        const wallet = (message.staticAccountKeys || message.accountKeys)[0].toString();
+
+        // Summed in raw units - uiAmount can be null, and the raw amount and decimals are always there
+        const deltas = new Map(); // accountIndex -> { mint, owner, raw, decimals }
+        const apply = (balances, sign) => {
+            for (const balance of balances || []) {
+                const { amount, decimals } = balance.uiTokenAmount;
+                const entry = deltas.get(balance.accountIndex) || { mint: balance.mint, owner: balance.owner, raw: 0n, decimals };
+                entry.raw += sign * BigInt(amount);
+                deltas.set(balance.accountIndex, entry);
+            }
+        };
+        apply(transaction.meta.preTokenBalances, -1n);
+        apply(transaction.meta.postTokenBalances, 1n);
+
+        let tokenDelta = 0;
+        let poolSolDelta = 0;
+        for (const entry of deltas.values()) {
+            const delta = Number(entry.raw) / 10 ** entry.decimals;
+            if (entry.mint === mint && entry.owner === wallet) {
+                tokenDelta += delta;
+            } else if (entry.mint === WSOL_MINT && entry.owner !== wallet &&
+                Math.abs(delta) > Math.abs(poolSolDelta)) {
+                poolSolDelta = delta;
+            }
+        }
+
+        if (tokenDelta === 0 || poolSolDelta === 0 || Math.sign(tokenDelta) !== Math.sign(poolSolDelta)) {
+            return null;
+        }
+
+        const solAmount = Math.abs(poolSolDelta);
+        const tokenAmount = Math.abs(tokenDelta);
+
+        return {
+            signature: signature,
+            wallet: wallet,
+            side: tokenDelta > 0 ? 'buy' : 'sell',
+            solAmount: solAmount,
+            tokenAmount: tokenAmount,
+            price: solAmount / tokenAmount,
+            timestamp: transaction.blockTime ? transaction.blockTime * 1000 : Date.now()
+        };
+    }
+
+    recordSwap(mint, swap) {
+        const trades = this.trades.get(mint) || [];
+        if (trades.some(trade => trade.signature === swap.signature)) return;
+
+        trades.push(swap);
+        trades.sort((a, b) => a.timestamp - b.timestamp);
+        this.trades.set(mint, this.trim(trades));
+        this.stats.swaps++;
+
+        this.db.recordSwap({ tokenAddress: mint, ...swap });
+        this.emit('swap', { mint, ...swap });
+    }
+
+    trim(trades) {
+        const cutoff = Date.now() - LONGEST_WINDOW;
+        const firstKept = trades.findIndex(trade => trade.timestamp >= cutoff);
+        return firstKept === -1 ? [] : trades.slice(firstKept);
+    }
+
+    // { mint, venue, pool, watching, lastTradeAt, windows: { '30s': {...}, '1m': ..., '5m': ..., '15m': ... } }
+    getFlow(mint) {
+        const trades = this.trim(this.trades.get(mint) || []);
+        const watch = this.watched.get(mint);
+        const now = Date.now();
+
+        const windows = {};
+        for (const [name, length] of Object.entries(WINDOWS)) {
+            windows[name] = this.summarize(trades.filter(trade => trade.timestamp >= now - length));
+        }
+
+        return {
+            mint: mint,
+            venue: watch?.venue || null,
+            pool: watch?.pool || null,
+            watching: !!watch,
+            lastTradeAt: trades.length > 0 ? trades[trades.length - 1].timestamp : null,
+            windows: windows
+        };
+    }
+
+    summarize(trades) {
+        const window = {
+            trades: trades.length,
+            buys: 0,
+            sells: 0,
+            buyVolume: 0,
+            sellVolume: 0,
+            volume: 0,
+            uniqueWallets: 0,
+            uniqueBuyers: 0,
+            uniqueSellers: 0,
+            netFlow: 0 // SOL in minus SOL out
+        };
+        const wallets = new Set();
+        const buyers = new Set();
+        const sellers = new Set();
+
+        for (const trade of trades) {
+            wallets.add(trade.wallet);
+            if (trade.side === 'buy') {
+                window.buys++;
+                window.buyVolume += trade.solAmount;
+                buyers.add(trade.wallet);
+            } else {
+                window.sells++;
+                window.sellVolume += trade.solAmount;
+                sellers.add(trade.wallet);
+            }
+        }
+
+        window.volume = window.buyVolume + window.sellVolume;
+        window.netFlow = window.buyVolume - window.sellVolume;
+        window.uniqueWallets = wallets.size;
+        window.uniqueBuyers = buyers.size;
+        window.uniqueSellers = sellers.size;
+        return window;
+    }
+
+    // Persist the current windows of every watched token
+    flush() {
+        for (const mint of this.watched.keys()) {
+            this.db.saveTradeFlow(mint, this.getFlow(mint).windows);
+        }
+    }
+
+    pruneWatches() {
+        const cutoff = Date.now() - this.config.idleMinutes * 60 * 1000;
+        for (const [mint, watch] of this.watched) {
+            if (watch.touchedAt < cutoff) {
+                this.unwatch(mint);
+            }
+        }
+    }
+
+    pruneSwaps() {
+        const cutoff = Date.now() - LONGEST_WINDOW - this.config.swapRetentionMinutes * 60 * 1000;
+        this.stats.swapsPruned += this.db.deleteSwapsBefore(cutoff).changes;
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            watching: this.watched.size,
+            poolSubscriptions: Array.from(this.watched.values()).filter(watch => watch.subscriptionId !== null).length
+        };
+    }
+
+    stop() {
+        if (this.flushTimer) {
+            clearInterval(this.flushTimer);
+            this.flushTimer = null;
+        }
+        this.flush();
+
+        for (const mint of Array.from(this.watched.keys())) {
+            this.unwatch(mint);
+        }
+    }
+}
+
+TradeFlowTracker.WINDOWS = WINDOWS;
+
+module.exports = TradeFlowTracker;
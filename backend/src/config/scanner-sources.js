@@ -2,7 +2,9 @@ module.exports = {
     PROGRAM_IDS: {
         RAYDIUM_V4: '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8',
         MOONSHOT: 'MoonCVVNZFSYkqNXP6bxHLPL6QQJiMagDL3qcqUQTrG',
-        PUMPFUN: '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P'
+        PUMPFUN: '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P',
+        METEORA_DLMM: 'LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9YuVaPwxo',
+        METEORA_DAMM: 'Eo7WjKq67rjJQSZxS6z3YkapzY3eMj6Xy8X5EQVn5UaB'
     },
     
     scanners: {
@@ -22,6 +24,26 @@ module.exports = {
             priority: 9,
             scanInterval: 45000 // 45 seconds
         },
+        meteora: {
+            enabled: process.env.ENABLE_METEORA_MONITORING !== 'false',
+            priority: 9,
+            scanInterval: 30000 // 30 seconds, as a backstop to the log subscriptions
+        },
+        orca: {
+            enabled: true,
+            priority: 7,
+            scanInterval: 45000, // 45 seconds
+            programId: 'whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc',
+            api: {
+                base: 'https://api.mainnet.orca.so',
+                endpoints: { pools: '/v1/whirlpool/list' }
+            }
+        },
+        jupiter: {
+            enabled: false, // walks Jupiter's full token list
+            priority: 5,
+            scanInterval: 60000 // 1 minute
+        },
         dexscreener: {
             enabled: true,
             priority: 7,
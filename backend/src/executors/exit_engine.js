@@ -0,0 +1,188 @@
+// backend/src/executors/exit_engine.js
+
+// Rule types and their parameters (percentages are P&L % against entry price):
+//   stop_loss      { at: -20 }                        sell all at or below
+//   take_profit    { at: 100, sell: 1, afterMinutes, stop, trail }
+//                  sell a fraction of the original position once; stop moves the
+//                  stop to that P&L % (0 = breakeven), trail arms a trailing stop
+//   ladder         { steps: [{ at: 100, sell: 0.5, stop: 0 }, { at: 200, sell: 0.25, trail: 20 }] }
+//                  take_profit steps, each firing once
+//   trailing_stop  { distance: 20, activateAt: 0 }    sell all this % below the peak,
+//                  once the peak P&L has reached activateAt
+//   breakeven      { after: 50, offset: 0 }           once up after %, stop at offset %
+//   time_exit      { hours: 24, below: 10 }           sell all after hours if P&L is under below
+//   time_decay     { hours: 24, from: 100, to: 0 }    profit target falling linearly from
+//                  from % at entry to to % at hours, then holding there
+//   liquidity_drop { drop: 50 }                       sell all once pool liquidity is down this % since entry
+//   dev_sold       { minSol: 0 }                      sell all once the deployer sells
+//   sell_pressure  {}                                 sell all on heavy one-sided selling
+const RULE_TYPES = [
+    'stop_loss', 'take_profit', 'ladder', 'trailing_stop', 'breakeven',
+    'time_exit', 'time_decay', 'liquidity_drop', 'dev_sold', 'sell_pressure'
+];
+
+// Evaluated first, so a stop is never skipped for a take-profit on the same tick
+const PROTECTIVE = ['stop_loss', 'trailing_stop', 'liquidity_drop', 'dev_sold', 'sell_pressure'];
+
+// Decides whether, and how much of, a position to sell. State (peak, moved
+// stops, ladder steps taken, entry liquidity) lives with the position, so it
+// survives restarts; evaluate() returns the updated copy for the caller to save.
+class ExitEngine {
+    constructor(rules) {
+        for (const rule of rules) {
+            if (!RULE_TYPES.includes(rule.type)) {
+                throw new Error(`Unknown exit rule type ${rule.type}`);
+            }
+        }
+
+        this.rules = [
+            ...rules.filter(rule => PROTECTIVE.includes(rule.type)),
+            ...rules.filter(rule => !PROTECTIVE.includes(rule.type))
+        ];
+    }
+
+    // exit.rules when set, otherwise the fixed thresholds expressed as rules
+    static fromParams(exit) {
+        if (Array.isArray(exit.rules) && exit.rules.length > 0) {
+            return new ExitEngine(exit.rules);
+        }
+
+        return new ExitEngine([
+            { type: 'take_profit', at: exit.takeProfit },
+            { type: 'take_profit', at: exit.lateTakeProfit, afterMinutes: exit.lateTakeProfitAfterMinutes },
+            { type: 'stop_loss', at: exit.stopLoss },
+            { type: 'sell_pressure' },
+            { type: 'time_exit', hours: exit.timeExitHours, below: exit.timeExitBelow }
+        ]);
+    }
+
+    needs(type) {
+        return this.rules.some(rule => rule.type === type);
+    }
+
+    // position: { amount, entryPrice, entryTime, exitState }
+    // context:  { liquidity() -> SOL | null, devSold(since) -> bool, sellPressure() -> bool }, all async
+    // now:      the clock hold times are measured against - bar time in backtests
+    // Returns { decision: { reason, amount } | null, state }
+    async evaluate(position, price, context, now = Date.now()) {
+        const state = this.updateState(position, price);
+        const pnlPercent = ((price - position.entryPrice) / position.entryPrice) * 100;
+        const holdMinutes = (now - position.entryTime) / 60000;
+
+        if (this.needs('liquidity_drop') && state.entryLiquidity === undefined) {
+            state.entryLiquidity = await context.liquidity();
+        }
+
+        // Stops moved by earlier take-profits
+        if (state.stop !== null && pnlPercent <= state.stop) {
+            return this.sellAll(position, state, state.stop === 0 ? 'breakeven_stop' : `stop_${state.stop}`);
+        }
+        if (state.trail !== null && price <= state.peakPrice * (1 - state.trail / 100)) {
+            return this.sellAll(position, state, 'trailing_stop');
+        }
+
+        for (const [index, rule] of this.rules.entries()) {
+            const result = await this.apply(rule, index, position, state, { price, pnlPercent, holdMinutes, context });
+            if (result) return result;
+        }
+
+        return { decision: null, state };
+    }
+
+    updateState(position, price) {
+        const state = {
+            peakPrice: position.entryPrice,
+            initialAmount: position.amount,
+            stop: null,
+            trail: null,
+            taken: [],
+            ...(position.exitState || {})
+        };
+
+        state.peakPrice = Math.max(state.peakPrice, price);
+        state.peakPnl = ((state.peakPrice - position.entryPrice) / position.entryPrice) * 100;
+        return state;
+    }
+
+    async apply(rule, index, position, state, { price, pnlPercent, holdMinutes, context }) {
+        switch (rule.type) {
+            case 'stop_loss':
+                return pnlPercent <= rule.at ? this.sellAll(position, state, 'stop_loss') : null;
+
+            case 'trailing_stop':
+                if (state.peakPnl < (rule.activateAt || 0)) return null;
+                return price <= state.peakPrice * (1 - rule.distance / 100)
+                    ? this.sellAll(position, state, 'trailing_stop')
+                    : null;
+
+            case 'breakeven':
+                // Arms the stop; it fires on a later tick through state.stop
+                if (state.peakPnl >= rule.after) {
+                    state.stop = Math.max(state.stop ?? -Infinity, rule.offset || 0);
+                }
+                return null;
+
+            case 'liquidity_drop': {
+                if (!state.entryLiquidity) return null;
+                const liquidity = await context.liquidity();
+                return liquidity !== null && liquidity <= state.entryLiquidity * (1 - rule.drop / 100)
+                    ? this.sellAll(position, state, 'liquidity_drop')
+                    : null;
+            }
+
+            case 'dev_sold':
+                return await context.devSold(position.entryTime, rule.minSol || 0)
+                    ? this.sellAll(position, state, 'dev_sold')
+                    : null;
+
+            case 'sell_pressure':
+                return await context.sellPressure() ? this.sellAll(position, state, 'sell_pressure') : null;
+
+            case 'take_profit':
+                return this.takeProfit(`${index}`, rule, position, state, pnlPercent, holdMinutes);
+
+            case 'ladder':
+                for (const [step, target] of rule.steps.entries()) {
+                    const result = this.takeProfit(`${index}.${step}`, target, position, state, pnlPercent, holdMinutes);
+                    if (result) return result;
+                }
+                return null;
+
+            case 'time_exit':
+                return holdMinutes > rule.hours * 60 && pnlPercent < rule.below
+                    ? this.sellAll(position, state, `time_exit_${rule.hours}h`)
+                    : null;
+
+            case 'time_decay': {
+                const progress = Math.min(1, holdMinutes / (rule.hours * 60));
+                const target = rule.from - (rule.from - (rule.to || 0)) * progress;
+                return pnlPercent >= target ? this.sellAll(position, state, 'time_decay') : null;
+            }
+        }
+        return null;
+    }
+
+    takeProfit(id, rule, position, state, pnlPercent, holdMinutes) {
+        if (state.taken.includes(id)) return null;
+        if (pnlPercent < rule.at || holdMinutes <= (rule.afterMinutes || 0)) return null;
+
+        state.taken.push(id);
+        if (rule.stop !== undefined) state.stop = Math.max(state.stop ?? -Infinity, rule.stop);
+        if (rule.trail !== undefined) state.trail = rule.trail;
+
+        const fraction = rule.sell ?? 1;
+        // Fractions are of the original position, so a 50/25/25 ladder means what it says
+        const amount = fraction >= 1 ? position.amount : Math.min(position.amount, state.initialAmount * fraction);
+        const reason = `take_profit_${rule.at}${fraction < 1 ? `_${Math.round(fraction * 100)}pct` : ''}`;
+
+        return { decision: { reason, amount, partial: amount < position.amount }, state };
+    }
+
+    sellAll(position, state, reason) {
+        return { decision: { reason, amount: position.amount, partial: false }, state };
+    }
+}
+
+ExitEngine.RULE_TYPES = RULE_TYPES;
+
+module.exports = ExitEngine;
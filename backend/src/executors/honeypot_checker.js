@@ -0,0 +1,202 @@
+// backend/src/executors/honeypot_checker.js
+const { PublicKey, ComputeBudgetProgram } = require('@solana/web3.js');
+const { getAssociatedTokenAddressSync, unpackAccount } = require('@solana/spl-token');
+const JupiterClient = require('./jupiter_client');
+const { parseMetadata } = require('../utils/metadata');
+const logger = require('../utils/logger');
+
+const BASE_FEE_LAMPORTS = 5000;
+
+// Simulates buying a small probe amount and selling it straight back in one
+// transaction. Tokens whose sell leg fails, or that lose too much on the round
+// trip, are flagged as honeypots before we put real size into them.
+class HoneypotChecker {
+    constructor(connection, database, jupiter = null) {
+        this.connection = connection;
+        this.db = database;
+
+        this.config = {
+            enabled: process.env.HONEYPOT_CHECK === 'true',
+            probeLamports: Math.round(parseFloat(process.env.HONEYPOT_PROBE_SOL || '0.01') * 1e9),
+            maxTax: parseFloat(process.env.HONEYPOT_MAX_TAX || '0.1'), // fraction lost on the round trip
+            cacheMinutes: parseFloat(process.env.HONEYPOT_CACHE_MINUTES || '30'),
+            // A token we couldn't simulate is rejected unless this is set
+            allowUnknown: process.env.HONEYPOT_ALLOW_UNKNOWN === 'true',
+            // Paper mode has no keypair - simulation only needs a funded public key
+            simulationWallet: process.env.HONEYPOT_SIM_WALLET || null
+        };
+
+        // Live mode reuses the engine's client; otherwise quote for the simulation wallet
+        this.jupiter = jupiter || (this.config.simulationWallet
+            ? new JupiterClient(connection, { publicKey: new PublicKey(this.config.simulationWallet) })
+            : null);
+
+        if (this.config.enabled && !this.jupiter) {
+            logger.warn('Honeypot check enabled but no wallet to simulate with - set HONEYPOT_SIM_WALLET');
+        }
+
+        this.cache = new Map(); // mint -> verdict
+        this.stats = {
+            checked: 0,
+            cached: 0,
+            honeypots: 0,
+            unknown: 0
+        };
+    }
+
+    get active() {
+        return this.config.enabled && !!this.jupiter;
+    }
+
+    // Returns { status: 'safe' | 'honeypot' | 'unknown', isHoneypot, roundTripTax, reason, checkedAt }
+    async check(token) {
+        const cached = this.getCachedVerdict(token);
+        if (cached) {
+            this.stats.cached++;
+            return cached;
+        }
+
+        let verdict;
+        try {
+            verdict = await this.simulateRoundTrip(token.address);
+        } catch (error) {
+            verdict = this.verdict('unknown', null, `Round trip could not be simulated: ${error.message}`);
+        }
+
+        this.stats.checked++;
+        if (verdict.isHoneypot) this.stats.honeypots++;
+        if (verdict.status === 'unknown') this.stats.unknown++;
+
+        // An unknown verdict is usually a transient quote/RPC failure - check again next time
+        if (verdict.status !== 'unknown') {
+            this.cache.set(token.address, verdict);
+        }
+        this.db.updateTokenMetadata(token.address, { honeypot: verdict });
+
+        if (verdict.isHoneypot) {
+            logger.warn(`🍯 Honeypot detected for ${token.symbol || token.address}: ${verdict.reason}`);
+        }
+
+        return verdict;
+    }
+
+    // In-memory first, then whatever an earlier run stored in the token's metadata
+    getCachedVerdict(token) {
+        const maxAge = this.config.cacheMinutes * 60000;
+        const fresh = (verdict) => verdict && verdict.status !== 'unknown' &&
+            Date.now() - verdict.checkedAt < maxAge;
+
+        const cached = this.cache.get(token.address);
+        if (fresh(cached)) return cached;
+
+        const metadata = parseMetadata(token.metadata);
+
+        if (fresh(metadata.honeypot)) {
+            this.cache.set(token.address, metadata.honeypot);
+            return metadata.honeypot;
+        }
+
+        return null;
+    }
+
+    // Whether a verdict clears the token to trade
+    passes(verdict) {
+        if (verdict.status === 'unknown') return this.config.allowUnknown;
+        return !verdict.isHoneypot;
+    }
+
+    verdict(status, roundTripTax, reason) {
+        return {
+            status: status,
+            isHoneypot: status === 'honeypot',
+            roundTripTax: roundTripTax,
+            reason: reason,
+            checkedAt: Date.now()
+        };
+    }
+
+    async simulateRoundTrip(mint) {
+        const owner = this.jupiter.wallet.publicKey;
+        const maxTaxBps = Math.round(this.config.maxTax * 10000);
+
+        // Sell what the buy is guaranteed to return within the tax threshold -
+        // a bigger buy tax leaves too few tokens and the sell leg fails
+        const buyQuote = await this.jupiter.getQuote(JupiterClient.WSOL_MINT, mint, this.config.probeLamports, maxTaxBps);
+        const sellAmount = BigInt(buyQuote.otherAmountThreshold);
+        const sellQuote = await this.jupiter.getQuote(mint, JupiterClient.WSOL_MINT, sellAmount, maxTaxBps);
+
+        const buy = await this.jupiter.getSwapInstructions(buyQuote);
+        const sell = await this.jupiter.getSwapInstructions(sellQuote);
+
+        const mintInfo = await this.connection.getAccountInfo(new PublicKey(mint));
+        const tokenAccount = getAssociatedTokenAddressSync(new PublicKey(mint), owner, true, mintInfo.owner);
+        const [ownerBefore, tokenAccountBefore] = await this.connection.getMultipleAccountsInfo([owner, tokenAccount]);
+
+        const { blockhash } = await this.connection.getLatestBlockhash();
+        const transaction = this.jupiter.compileTransaction([
+            ComputeBudgetProgram.setComputeUnitLimit({ units: 1400000 }),
+            ...buy.instructions,
+            ...sell.instructions
+        ], [...buy.lookupTables, ...sell.lookupTables], blockhash);
+
+        const { value } = await this.connection.simulateTransaction(transaction, {
+            sigVerify: false,
+            replaceRecentBlockhash: true,
+            accounts: {
+                encoding: 'base64',
+                addresses: [owner.toBase58(), tokenAccount.toBase58()]
+            }
+        });
+
+        if (value.err) {
+            const failedIndex = value.err.InstructionError?.[0];
+            // Index 0 is the compute budget, then the buy leg, then the sell leg
+            if (failedIndex !== undefined && failedIndex > buy.instructions.length) {
+                return this.verdict('honeypot', 1, `Sell leg failed: ${JSON.stringify(value.err)}`);
+            }
+            return this.verdict('unknown', null, `Buy leg failed: ${JSON.stringify(value.err)}`);
+        }
+
+        const [ownerAfter, tokenAccountAfter] = value.accounts;
+        const tokensBefore = this.readTokenAmount(tokenAccount, tokenAccountBefore, mintInfo.owner);
+        const tokensAfter = this.readTokenAmount(tokenAccount, tokenAccountAfter, mintInfo.owner);
+
+        // Undo fees and token account rent to get what the sell leg actually paid out
+        const rent = (tokenAccountAfter?.lamports || 0) - (tokenAccountBefore?.lamports || 0);
+        const solOut = ownerAfter.lamports - ownerBefore.lamports +
+            this.config.probeLamports + BASE_FEE_LAMPORTS + rent;
+
+        // Value any tokens left over at the realized sell rate
+        const received = tokensAfter - tokensBefore + sellAmount;
+        const roundTrip = solOut * Number(received) / Number(sellAmount);
+        const tax = Math.max(0, 1 - roundTrip / this.config.probeLamports);
+
+        if (tax > this.config.maxTax) {
+            return this.verdict('honeypot', tax,
+                `Round trip loses ${(tax * 100).toFixed(1)}% (limit ${(this.config.maxTax * 100).toFixed(1)}%)`);
+        }
+
+        return this.verdict('safe', tax, `Round trip loses ${(tax * 100).toFixed(1)}%`);
+    }
+
+    readTokenAmount(address, account, programId) {
+        if (!account || !account.data) return 0n;
+
+        const data = Array.isArray(account.data) ? Buffer.from(account.data[0], 'base64') : account.data;
+        if (data.length === 0) return 0n;
+
+        return unpackAccount(address, { ...account, data: data, owner: new PublicKey(account.owner) }, programId).amount;
+    }
+
+    getStats() {
+        return {
+            enabled: this.config.enabled,
+            active: this.active,
+            maxTax: this.config.maxTax,
+            allowUnknown: this.config.allowUnknown,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = HoneypotChecker;
@@ -0,0 +1,195 @@
+// backend/src/executors/jito_client.js
+const {
+    PublicKey,
+    SystemProgram,
+    TransactionMessage,
+    VersionedTransaction,
+    LAMPORTS_PER_SOL
+} = require('@solana/web3.js');
+const axios = require('axios');
+const logger = require('../utils/logger');
+
+// Published tip accounts, used when the block engine can't be asked
+const DEFAULT_TIP_ACCOUNTS = [
+    '96gYZGLnJYVFmbjzopPSU6QiEV5fGqZNyN9nmNhvrZU5',
+    'HFqU5x63VTqvQss8hp11i4wVV8bD44PvwucfZ2bU7gRe',
+    'Cw8CFyM9FkoMi7K7Crf6HNQqf4uEMzpKw6QNghXLvLkY',
+    'ADaUMid9yfUytqMBgopwjb2DTLSokTSzL1zt6iGPaS49',
+    'DfXygSm4jCyNCybVYYK6DwvWqjKee8pbDmJGcLWNDXjh',
+    'ADuUkR4vqLUMWXxW9gh6D6L8pMSawimctcNZ5pGwDcEt',
+    'DttWaMuVvTiduZRnguLF7jNxTgiMBZ1hyAumKUiL2KRL',
+    '3AVi9Tg9Uo68tJfuvoKvqKNWKkC5wPdSSdeBnizKZ6jT'
+];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class JitoClient {
+    constructor(connection, wallet) {
+        this.connection = connection;
+        this.wallet = wallet;
+        this.tipAccounts = null;
+
+        // Point JITO_BLOCK_ENGINE_URL / JITO_TIP_FLOOR_URL at a local mock for testing
+        this.config = {
+            enabled: process.env.JITO_ENABLED === 'true',
+            blockEngineUrl: process.env.JITO_BLOCK_ENGINE_URL || 'https://mainnet.block-engine.jito.wtf',
+            tipFloorUrl: process.env.JITO_TIP_FLOOR_URL || 'https://bundles.jito.wtf/api/v1/bundles/tip_floor',
+            tipStrategy: process.env.JITO_TIP_STRATEGY || 'fixed', // 'fixed' or 'floor'
+            tipLamports: parseInt(process.env.JITO_TIP_LAMPORTS || '100000'),
+            tipPercentile: process.env.JITO_TIP_PERCENTILE || '75',
+            maxTipLamports: parseInt(process.env.JITO_MAX_TIP_LAMPORTS || '2000000'),
+            fallbackToRpc: process.env.JITO_FALLBACK !== 'false',
+            pollInterval: 1000,
+            timeout: 10000
+        };
+
+        this.stats = {
+            bundlesSent: 0,
+            landed: 0,
+            failed: 0
+        };
+    }
+
+    async rpc(path, method, params) {
+        const response = await axios.post(
+            `${this.config.blockEngineUrl}${path}`,
+            { jsonrpc: '2.0', id: 1, method: method, params: params },
+            { timeout: this.config.timeout }
+        );
+
+        if (response.data?.error) {
+            throw new Error(`Jito ${method} error: ${response.data.error.message}`);
+        }
+
+        return response.data?.result;
+    }
+
+    async getTipAccounts() {
+        if (this.tipAccounts) return this.tipAccounts;
+
+        try {
+            const accounts = await this.rpc('/api/v1/bundles', 'getTipAccounts', []);
+            this.tipAccounts = accounts?.length ? accounts : DEFAULT_TIP_ACCOUNTS;
+        } catch (error) {
+            logger.debug('Could not fetch Jito tip accounts, using defaults:', error.message);
+            this.tipAccounts = DEFAULT_TIP_ACCOUNTS;
+        }
+
+        return this.tipAccounts;
+    }
+
+    async getTipLamports() {
+        let tip = this.config.tipLamports;
+
+        if (this.config.tipStrategy === 'floor') {
+            try {
+                const response = await axios.get(this.config.tipFloorUrl, { timeout: 5000 });
+                const floor = response.data?.[0]?.[`landed_tips_${this.config.tipPercentile}th_percentile`];
+                if (floor) {
+                    tip = Math.ceil(floor * LAMPORTS_PER_SOL);
+                }
+            } catch (error) {
+                logger.debug('Jito tip floor unavailable, using fixed tip:', error.message);
+            }
+        }
+
+        return Math.min(tip, this.config.maxTipLamports);
+    }
+
+    // The tip rides in its own transaction so the swap itself stays untouched
+    async buildTipTransaction(blockhash, lamports) {
+        const accounts = await this.getTipAccounts();
+        const tipAccount = accounts[Math.floor(Math.random() * accounts.length)];
+
+        const message = new TransactionMessage({
+            payerKey: this.wallet.publicKey,
+            recentBlockhash: blockhash,
+            instructions: [
+                SystemProgram.transfer({
+                    fromPubkey: this.wallet.publicKey,
+                    toPubkey: new PublicKey(tipAccount),
+                    lamports: lamports
+                })
+            ]
+        }).compileToV0Message();
+
+        const transaction = new VersionedTransaction(message);
+        transaction.sign([this.wallet]);
+        return transaction;
+    }
+
+    async sendBundle(transactions) {
+        const encoded = transactions.map(tx => Buffer.from(tx.serialize()).toString('base64'));
+        const bundleId = await this.rpc('/api/v1/bundles', 'sendBundle', [encoded, { encoding: 'base64' }]);
+
+        this.stats.bundlesSent++;
+        return bundleId;
+    }
+
+    async getInflightStatus(bundleId) {
+        const result = await this.rpc('/api/v1/getInflightBundleStatuses', 'getInflightBundleStatuses', [[bundleId]]);
+        return result?.value?.[0] || null;
+    }
+
+    // Submit the swap with a tip transaction as one all-or-nothing bundle
+    async submit(transaction) {
+        const tipLamports = await this.getTipLamports();
+        const tipTransaction = await this.buildTipTransaction(
+            transaction.message.recentBlockhash,
+            tipLamports
+        );
+
+        const bundleId = await this.sendBundle([transaction, tipTransaction]);
+        logger.info(`📦 Jito bundle sent: ${bundleId} (tip ${tipLamports} lamports)`);
+
+        return { bundleId, tip: tipLamports / LAMPORTS_PER_SOL };
+    }
+
+    // Poll the block engine until the bundle lands, fails or its blockhash expires.
+    // 'Invalid' only means the block engine doesn't know the bundle (yet) - a fresh
+    // bundle reads that way until it's indexed - so it's polled through like Pending.
+    // A 'failed' or 'expired' outcome says nothing about the RPC view; callers must
+    // check the signature before resubmitting.
+    async waitForBundle(bundleId, lastValidBlockHeight) {
+        while (true) {
+            try {
+                const status = await this.getInflightStatus(bundleId);
+
+                if (status?.status === 'Landed') {
+                    this.stats.landed++;
+                    return { status: 'landed', slot: status.landed_slot };
+                }
+                if (status?.status === 'Failed') {
+                    this.stats.failed++;
+                    return { status: 'failed' };
+                }
+            } catch (error) {
+                logger.debug(`Bundle status check failed for ${bundleId}:`, error.message);
+            }
+
+            try {
+                const blockHeight = await this.connection.getBlockHeight('confirmed');
+                if (blockHeight > lastValidBlockHeight) {
+                    this.stats.failed++;
+                    return { status: 'expired' };
+                }
+            } catch (error) {
+                logger.debug('Block height check failed:', error.message);
+            }
+
+            await sleep(this.config.pollInterval);
+        }
+    }
+
+    getStats() {
+        return {
+            enabled: this.config.enabled,
+            tipStrategy: this.config.tipStrategy,
+            ...this.stats
+        };
+    }
+}
+
+JitoClient.DEFAULT_TIP_ACCOUNTS = DEFAULT_TIP_ACCOUNTS;
+
+module.exports = JitoClient;
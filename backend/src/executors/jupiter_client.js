@@ -0,0 +1,252 @@
+// backend/src/executors/jupiter_client.js
+const {
+    PublicKey,
+    TransactionInstruction,
+    TransactionMessage,
+    VersionedTransaction,
+    ComputeBudgetProgram,
+    LAMPORTS_PER_SOL
+} = require('@solana/web3.js');
+const axios = require('axios');
+
+const WSOL_MINT = 'So11111111111111111111111111111111111111112';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class JupiterClient {
+    constructor(connection, wallet, options = {}) {
+        this.connection = connection;
+        this.wallet = wallet;
+        this.feeManager = options.feeManager || null;
+        this.lookupTables = new Map();
+
+        // Point JUPITER_API_URL at a local mock server for testing
+        this.apiUrl = options.apiUrl || process.env.JUPITER_API_URL || 'https://quote-api.jup.ag/v6';
+        this.slippageBps = options.slippageBps || 300; // 3%
+        this.commitment = options.commitment || 'confirmed';
+        this.timeout = options.timeout || 10000;
+        // A just-confirmed transaction can take a moment to be served by getTransaction
+        this.fillRetries = options.fillRetries ?? 5;
+        this.fillRetryDelay = options.fillRetryDelay ?? 500; // ms, doubled per retry
+    }
+
+    async getQuote(inputMint, outputMint, amount, slippageBps = this.slippageBps) {
+        const response = await axios.get(`${this.apiUrl}/quote`, {
+            params: {
+                inputMint: inputMint,
+                outputMint: outputMint,
+                amount: amount.toString(),
+                slippageBps: slippageBps
+            },
+            timeout: this.timeout
+        });
+
+        if (!response.data || !response.data.outAmount) {
+            throw new Error(`No Jupiter route for ${inputMint} -> ${outputMint}`);
+        }
+
+        return response.data;
+    }
+
+    // Fetch the raw swap instructions so we can size the compute budget ourselves
+    async getSwapInstructions(quote) {
+        const response = await axios.post(`${this.apiUrl}/swap-instructions`, {
+            quoteResponse: quote,
+            userPublicKey: this.wallet.publicKey.toBase58(),
+            wrapAndUnwrapSol: true
+        }, { timeout: this.timeout });
+
+        if (!response.data || !response.data.swapInstruction) {
+            throw new Error('Jupiter did not return swap instructions');
+        }
+
+        const data = response.data;
+        const instructions = [
+            ...(data.setupInstructions || []),
+            data.swapInstruction,
+            ...(data.cleanupInstruction ? [data.cleanupInstruction] : [])
+        ].map(ix => this.deserializeInstruction(ix));
+
+        // Writable accounts on the swap itself identify the pools we compete for
+        const writableAccounts = data.swapInstruction.accounts
+            .filter(account => account.isWritable && !account.isSigner)
+            .map(account => account.pubkey);
+
+        return {
+            instructions: instructions,
+            writableAccounts: writableAccounts,
+            lookupTables: await this.getLookupTables(data.addressLookupTableAddresses || [])
+        };
+    }
+
+    deserializeInstruction(instruction) {
+        return new TransactionInstruction({
+            programId: new PublicKey(instruction.programId),
+            keys: instruction.accounts.map(account => ({
+                pubkey: new PublicKey(account.pubkey),
+                isSigner: account.isSigner,
+                isWritable: account.isWritable
+            })),
+            data: Buffer.from(instruction.data, 'base64')
+        });
+    }
+
+    async getLookupTables(addresses) {
+        const tables = [];
+
+        for (const address of addresses) {
+            if (!this.lookupTables.has(address)) {
+                const result = await this.connection.getAddressLookupTable(new PublicKey(address));
+                if (result.value) {
+                    this.lookupTables.set(address, result.value);
+                }
+            }
+            if (this.lookupTables.has(address)) {
+                tables.push(this.lookupTables.get(address));
+            }
+        }
+
+        return tables;
+    }
+
+    compileTransaction(instructions, lookupTables, blockhash) {
+        const message = new TransactionMessage({
+            payerKey: this.wallet.publicKey,
+            recentBlockhash: blockhash,
+            instructions: instructions
+        }).compileToV0Message(lookupTables);
+
+        return new VersionedTransaction(message);
+    }
+
+    // Simulate with the maximum compute limit to measure actual usage
+    async simulateComputeUnits(instructions, lookupTables, blockhash) {
+        const transaction = this.compileTransaction([
+            ComputeBudgetProgram.setComputeUnitLimit({ units: 1400000 }),
+            ...instructions
+        ], lookupTables, blockhash);
+
+        const { value } = await this.connection.simulateTransaction(transaction, {
+            sigVerify: false,
+            replaceRecentBlockhash: true,
+            commitment: this.commitment
+        });
+
+        if (value.err) {
+            throw new Error(`Swap simulation failed: ${JSON.stringify(value.err)}`);
+        }
+
+        return value.unitsConsumed;
+    }
+
+    // Fetch a fresh quote and return a signed swap transaction ready to broadcast
+    async buildSwap(inputMint, outputMint, amount, slippageBps = this.slippageBps) {
+        const quote = await this.getQuote(inputMint, outputMint, amount, slippageBps);
+        const { instructions, writableAccounts, lookupTables } = await this.getSwapInstructions(quote);
+        const { blockhash, lastValidBlockHeight } = await this.connection.getLatestBlockhash(this.commitment);
+
+        let budgetInstructions = [];
+        let budget = null;
+
+        if (this.feeManager) {
+            const unitsConsumed = await this.simulateComputeUnits(instructions, lookupTables, blockhash);
+            budget = await this.feeManager.getBudget(writableAccounts, unitsConsumed);
+            budgetInstructions = this.feeManager.getInstructions(budget);
+        }
+
+        const transaction = this.compileTransaction(
+            [...budgetInstructions, ...instructions],
+            lookupTables,
+            blockhash
+        );
+        transaction.sign([this.wallet]);
+
+        return {
+            quote: quote,
+            transaction: transaction,
+            lastValidBlockHeight: lastValidBlockHeight,
+            budget: budget,
+            priorityFee: budget ? budget.priorityFee : 0
+        };
+    }
+
+    // Compute the wallet's actual SOL and token balance changes from a confirmed transaction
+    async getFill(signature, tokenMint) {
+        const tx = await this.getConfirmedTransaction(signature);
+
+        const owner = this.wallet.publicKey.toBase58();
+        const sumBalances = (balances) => (balances || [])
+            .filter(b => b.mint === tokenMint && b.owner === owner)
+            .reduce((sum, b) => sum + BigInt(b.uiTokenAmount.amount), 0n);
+
+        const decimals = [...(tx.meta.postTokenBalances || []), ...(tx.meta.preTokenBalances || [])]
+            .find(b => b.mint === tokenMint)?.uiTokenAmount.decimals ?? 9;
+
+        const tokenDelta = sumBalances(tx.meta.postTokenBalances) - sumBalances(tx.meta.preTokenBalances);
+
+        // The wallet is the fee payer, so index 0 holds its lamports (fees and rent included)
+        const lamportDelta = tx.meta.postBalances[0] - tx.meta.preBalances[0];
+
+        return {
+            signature: signature,
+            tokenAmount: Number(tokenDelta) / Math.pow(10, decimals),
+            rawTokenAmount: tokenDelta,
+            decimals: decimals,
+            solAmount: lamportDelta / LAMPORTS_PER_SOL,
+            fee: tx.meta.fee / LAMPORTS_PER_SOL,
+            tipIncluded: false, // a Jito tip is a separate transaction
+            slot: tx.slot
+        };
+    }
+
+    // getTransaction, retried with backoff while the RPC returns nothing or errors
+    async getConfirmedTransaction(signature) {
+        let lastError = null;
+
+        for (let attempt = 0; attempt <= this.fillRetries; attempt++) {
+            if (attempt > 0) {
+                await sleep(this.fillRetryDelay * 2 ** (attempt - 1));
+            }
+
+            try {
+                const tx = await this.connection.getTransaction(signature, {
+                    commitment: this.commitment,
+                    maxSupportedTransactionVersion: 0
+                });
+                if (tx && tx.meta) return tx;
+                lastError = null;
+            } catch (error) {
+                lastError = error;
+            }
+        }
+
+        throw new Error(lastError
+            ? `Transaction ${signature} could not be fetched: ${lastError.message}`
+            : `Transaction ${signature} not found`);
+    }
+
+    async getTokenBalance(tokenMint) {
+        const accounts = await this.connection.getParsedTokenAccountsByOwner(
+            this.wallet.publicKey,
+            { mint: new PublicKey(tokenMint) }
+        );
+
+        let amount = 0n;
+        let decimals = 9;
+        for (const { account } of accounts.value) {
+            const tokenAmount = account.data.parsed.info.tokenAmount;
+            amount += BigInt(tokenAmount.amount);
+            decimals = tokenAmount.decimals;
+        }
+
+        return {
+            amount: amount,
+            decimals: decimals,
+            uiAmount: Number(amount) / Math.pow(10, decimals)
+        };
+    }
+}
+
+JupiterClient.WSOL_MINT = WSOL_MINT;
+
+module.exports = JupiterClient;
@@ -0,0 +1,91 @@
+// backend/src/executors/paper_fill_simulator.js
+const priceService = require('../utils/price_service');
+const logger = require('../utils/logger');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Models what a paper swap would really have cost: constant-product price impact,
+// swap/network/priority fees and the price drift while the transaction lands.
+class PaperFillSimulator {
+    constructor() {
+        this.config = {
+            swapFeeBps: parseFloat(process.env.PAPER_SWAP_FEE_BPS || '25'), // 0.25% pool fee
+            networkFee: parseFloat(process.env.PAPER_NETWORK_FEE || '0.000005'), // SOL per signature
+            priorityFee: parseFloat(process.env.PAPER_PRIORITY_FEE || '0.0001'), // SOL per trade
+            latencyMs: parseInt(process.env.PAPER_LATENCY_MS || '1500'),
+            defaultLiquidityUsd: parseFloat(process.env.PAPER_DEFAULT_LIQUIDITY || '5000')
+        };
+    }
+
+    // SOL and token reserves of the pool. Explicit reserves win; otherwise assume
+    // the token's USD liquidity is split evenly between both sides of a x*y=k pool.
+    async getReserves(price, { reserves, liquidityUsd }) {
+        if (reserves?.sol > 0 && reserves?.token > 0) {
+            return { sol: reserves.sol, token: reserves.token };
+        }
+
+        const solUsd = await priceService.getSolUsdPrice();
+        if (!solUsd) return null;
+
+        const solReserve = (liquidityUsd || this.config.defaultLiquidityUsd) / 2 / solUsd;
+        return { sol: solReserve, token: solReserve / price };
+    }
+
+    // side 'buy': amount is SOL to spend. side 'sell': amount is tokens to sell.
+    // getPrice is called after the latency delay to re-price the fill.
+    async simulate({ side, amount, expectedPrice, liquidityUsd, reserves, getPrice }) {
+        let marketPrice = expectedPrice;
+
+        if (this.config.latencyMs > 0) {
+            await sleep(this.config.latencyMs);
+            try {
+                marketPrice = (await getPrice()) || expectedPrice;
+            } catch (error) {
+                logger.debug('Paper fill re-price failed, using quoted price:', error.message);
+            }
+        }
+
+        const pool = await this.getReserves(marketPrice, { reserves, liquidityUsd });
+        const feeRate = this.config.swapFeeBps / 10000;
+        const txFees = this.config.networkFee + this.config.priorityFee;
+
+        let tokenAmount;
+        let swapSol; // SOL that crossed the pool, before network and priority fees
+        let swapFee;
+
+        if (side === 'buy') {
+            const solIn = amount * (1 - feeRate);
+            swapFee = amount * feeRate;
+            tokenAmount = pool
+                ? pool.token * solIn / (pool.sol + solIn)
+                : solIn / marketPrice;
+            swapSol = amount;
+        } else {
+            const tokensIn = amount * (1 - feeRate);
+            swapSol = pool
+                ? pool.sol * tokensIn / (pool.token + tokensIn)
+                : tokensIn * marketPrice;
+            swapFee = amount * feeRate * marketPrice;
+            tokenAmount = amount;
+        }
+
+        const fillPrice = swapSol / tokenAmount;
+        const slippage = ((fillPrice - expectedPrice) / expectedPrice) * 100;
+
+        return {
+            expectedPrice: expectedPrice,
+            marketPrice: marketPrice,
+            fillPrice: fillPrice,
+            tokenAmount: tokenAmount,
+            // Buys: total SOL leaving the wallet. Sells: SOL received net of fees.
+            solAmount: side === 'buy' ? swapSol + txFees : swapSol - txFees,
+            slippage: side === 'buy' ? slippage : -slippage, // positive = worse than quoted
+            swapFee: swapFee,
+            networkFee: this.config.networkFee,
+            priorityFee: this.config.priorityFee,
+            latencyMs: this.config.latencyMs
+        };
+    }
+}
+
+module.exports = PaperFillSimulator;
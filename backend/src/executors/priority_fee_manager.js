@@ -0,0 +1,98 @@
+// backend/src/executors/priority_fee_manager.js
+const { ComputeBudgetProgram, PublicKey, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const logger = require('../utils/logger');
+
+const MAX_COMPUTE_UNITS = 1400000;
+
+class PriorityFeeManager {
+    constructor(connection, database) {
+        this.connection = connection;
+        this.db = database;
+
+        this.config = {
+            percentile: parseFloat(process.env.PRIORITY_FEE_PERCENTILE || '75'),
+            maxFeePerTrade: parseFloat(process.env.MAX_PRIORITY_FEE_PER_TRADE || '0.005'), // SOL
+            dailyBudget: parseFloat(process.env.PRIORITY_FEE_DAILY_BUDGET || '0.1'), // SOL
+            minMicroLamports: 1000,
+            computeUnitMargin: 1.15, // 15% headroom over simulated usage
+            defaultComputeUnits: 300000
+        };
+    }
+
+    // Recent priority fees paid by transactions that write to the same accounts (pool, vaults)
+    async estimateMicroLamports(accounts) {
+        try {
+            const fees = await this.connection.getRecentPrioritizationFees({
+                lockedWritableAccounts: accounts.slice(0, 128).map(a => new PublicKey(a))
+            });
+
+            const values = fees
+                .map(f => f.prioritizationFee)
+                .filter(f => f > 0)
+                .sort((a, b) => a - b);
+
+            if (values.length === 0) return this.config.minMicroLamports;
+
+            const index = Math.min(
+                values.length - 1,
+                Math.floor(values.length * this.config.percentile / 100)
+            );
+            return Math.max(this.config.minMicroLamports, values[index]);
+        } catch (error) {
+            logger.warn('Priority fee estimate failed, using minimum:', error.message);
+            return this.config.minMicroLamports;
+        }
+    }
+
+    getComputeUnitLimit(unitsConsumed) {
+        if (!unitsConsumed) return this.config.defaultComputeUnits;
+        return Math.min(MAX_COMPUTE_UNITS, Math.ceil(unitsConsumed * this.config.computeUnitMargin));
+    }
+
+    getRemainingDailyBudget() {
+        return Math.max(0, this.config.dailyBudget - this.db.getDailyPriorityFees());
+    }
+
+    async getBudget(accounts, unitsConsumed) {
+        const computeUnitLimit = this.getComputeUnitLimit(unitsConsumed);
+        let microLamports = await this.estimateMicroLamports(accounts);
+
+        // Cap the total priority fee by the per-trade limit and what's left of today's budget
+        const capSol = Math.min(this.config.maxFeePerTrade, this.getRemainingDailyBudget());
+        const capMicroLamports = Math.floor(capSol * LAMPORTS_PER_SOL * 1e6 / computeUnitLimit);
+        const capped = microLamports > capMicroLamports;
+
+        if (capped) {
+            logger.debug(`Priority fee capped: ${microLamports} -> ${capMicroLamports} µL/CU`);
+            microLamports = capMicroLamports;
+        }
+
+        const lamports = Math.ceil(microLamports * computeUnitLimit / 1e6);
+
+        return {
+            computeUnitLimit: computeUnitLimit,
+            microLamports: microLamports,
+            priorityFee: lamports / LAMPORTS_PER_SOL,
+            capped: capped
+        };
+    }
+
+    getInstructions(budget) {
+        return [
+            ComputeBudgetProgram.setComputeUnitLimit({ units: budget.computeUnitLimit }),
+            ComputeBudgetProgram.setComputeUnitPrice({ microLamports: budget.microLamports })
+        ];
+    }
+
+    getStats() {
+        return {
+            ...this.config,
+            spentToday: this.db.getDailyPriorityFees(),
+            remainingToday: this.getRemainingDailyBudget()
+        };
+    }
+}
+
+PriorityFeeManager.MAX_COMPUTE_UNITS = MAX_COMPUTE_UNITS;
+
+module.exports = PriorityFeeManager;
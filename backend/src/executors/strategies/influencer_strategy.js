@@ -0,0 +1,37 @@
+// backend/src/executors/strategies/influencer_strategy.js
+const StrategyBase = require('../strategy_base');
+
+// Trades the InfluencerTracker's signals. Scanned tokens alone never trigger
+// it; the tracker sizes the trade from the signal strength and the
+// influencer's record, capped here.
+class InfluencerStrategy extends StrategyBase {
+    constructor(engine, params) {
+        super('influencer', engine, params);
+
+        this.config = {
+            ...this.config,
+            minSignalStrength: parseFloat(process.env.INFLUENCER_STRATEGY_MIN_SIGNAL || '0'),
+            maxRiskScore: parseFloat(process.env.INFLUENCER_STRATEGY_MAX_RISK || '80')
+        };
+    }
+
+    async shouldEnter(token, signal = null) {
+        if (!signal) {
+            return { shouldTrade: false, confidence: 0, factors: {} };
+        }
+
+        const factors = {
+            signalStrong: signal.confidence >= this.config.minSignalStrength,
+            riskAcceptable: (token.risk_score || 0) < this.config.maxRiskScore
+        };
+
+        return {
+            shouldTrade: Object.values(factors).every(Boolean),
+            confidence: signal.confidence,
+            suggestedSize: signal.suggestedSize,
+            factors: factors
+        };
+    }
+}
+
+module.exports = InfluencerStrategy;
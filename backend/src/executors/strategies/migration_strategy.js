@@ -0,0 +1,35 @@
+// backend/src/executors/strategies/migration_strategy.js
+const StrategyBase = require('../strategy_base');
+
+// Buys pump.fun tokens as their curve graduates to a DEX pool. Only the
+// migration event triggers it.
+class MigrationStrategy extends StrategyBase {
+    constructor(engine, params) {
+        super('migration', engine, params);
+
+        this.config = {
+            ...this.config,
+            confidence: parseFloat(process.env.MIGRATION_CONFIDENCE || '60'),
+            minInitialLiquidity: parseFloat(process.env.MIGRATION_STRATEGY_MIN_SOL || '0') // SOL in the new pool
+        };
+    }
+
+    async shouldEnter(token, signal = null) {
+        if (!signal || !signal.migration) {
+            return { shouldTrade: false, confidence: 0, factors: {} };
+        }
+
+        const reserves = signal.migration.initialReserves;
+        const factors = {
+            poolFunded: !reserves || reserves.sol >= this.config.minInitialLiquidity
+        };
+
+        return {
+            shouldTrade: factors.poolFunded,
+            confidence: this.config.confidence,
+            factors: factors
+        };
+    }
+}
+
+module.exports = MigrationStrategy;
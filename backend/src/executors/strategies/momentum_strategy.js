@@ -0,0 +1,36 @@
+// backend/src/executors/strategies/momentum_strategy.js
+const StrategyBase = require('../strategy_base');
+
+// The original scanner-driven strategy: social score, risk, liquidity and
+// on-chain momentum, trading when enough of them line up. Entry, exit and
+// sizing parameters come from the strategy config the optimizer exports.
+class MomentumStrategy extends StrategyBase {
+    constructor(engine, params) {
+        super('momentum', engine, params);
+        this.entry = { ...params.entry };
+    }
+
+    async shouldEnter(token, signal = null) {
+        const entry = this.entry;
+        const factors = {
+            socialScore: token.social_score > entry.minSocialScore,
+            riskAcceptable: token.risk_score < entry.maxRiskScore,
+            liquidityOk: token.liquidity >= entry.minLiquidity,
+            momentumPositive: await this.engine.checkMomentum(token)
+        };
+
+        const passedFactors = Object.values(factors).filter(Boolean).length;
+
+        return {
+            shouldTrade: passedFactors >= entry.minFactors,
+            confidence: (passedFactors / Object.keys(factors).length) * 100,
+            factors: factors
+        };
+    }
+
+    getStats() {
+        return { ...super.getStats(), entry: this.entry };
+    }
+}
+
+module.exports = MomentumStrategy;
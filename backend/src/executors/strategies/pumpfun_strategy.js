@@ -0,0 +1,87 @@
+// backend/src/executors/strategies/pumpfun_strategy.js
+const StrategyBase = require('../strategy_base');
+const { parseMetadata } = require('../../utils/metadata');
+
+// Buys fresh pump.fun tokens early on their bonding curve once real buying
+// shows up, and sells before the curve fills and the token migrates.
+class PumpFunStrategy extends StrategyBase {
+    constructor(engine, params) {
+        // Curve tokens move fast: tighter stop, shorter hold
+        super('pumpfun', engine, params, {
+            exit: {
+                stopLoss: parseFloat(process.env.PUMPFUN_STRATEGY_STOP_LOSS || '-25'),
+                timeExitHours: parseFloat(process.env.PUMPFUN_STRATEGY_TIME_EXIT_HOURS || '2')
+            }
+        });
+
+        this.config = {
+            ...this.config,
+            maxPositionSize: parseFloat(process.env.PUMPFUN_STRATEGY_MAX_POSITION_SIZE || '0.05'),
+            minCurveProgress: parseFloat(process.env.PUMPFUN_STRATEGY_MIN_CURVE || '5'), // %
+            maxCurveProgress: parseFloat(process.env.PUMPFUN_STRATEGY_MAX_CURVE || '40'),
+            exitCurveProgress: parseFloat(process.env.PUMPFUN_STRATEGY_EXIT_CURVE || '90'),
+            maxAgeMinutes: parseFloat(process.env.PUMPFUN_STRATEGY_MAX_AGE_MINUTES || '30'),
+            maxRiskScore: parseFloat(process.env.PUMPFUN_STRATEGY_MAX_RISK || '70')
+        };
+    }
+
+    // The newest curve tokens rarely make the top viable list by liquidity
+    candidates() {
+        return this.engine.db.getPumpFunTokens(10);
+    }
+
+    // Live curve progress while the curve is watched (held tokens), otherwise read
+    // fresh from the curve account - the cached copy is only as new as the last
+    // trade the scanner saw. What was seen at discovery is the last resort.
+    async curveProgress(token) {
+        const mint = token.address || token;
+        const pumpFun = this.engine.pumpFun;
+
+        if (pumpFun) {
+            const curve = pumpFun.curveSubscriptions.has(mint)
+                ? pumpFun.curves.get(mint)
+                : await pumpFun.fetchBondingCurve(mint);
+            if (curve) return curve.curveProgress;
+        }
+
+        const stored = typeof token === 'object' ? parseMetadata(token.metadata).curveProgress : null;
+        return stored ?? null;
+    }
+
+    async shouldEnter(token, signal = null) {
+        if (!token.is_pump_fun) {
+            return { shouldTrade: false, confidence: 0, factors: {} };
+        }
+
+        const progress = await this.curveProgress(token);
+        const ageMinutes = (Date.now() - new Date(token.discovered_at + 'Z').getTime()) / 60000;
+
+        const factors = {
+            earlyCurve: progress !== null &&
+                progress >= this.config.minCurveProgress &&
+                progress <= this.config.maxCurveProgress,
+            fresh: ageMinutes <= this.config.maxAgeMinutes,
+            riskAcceptable: token.risk_score < this.config.maxRiskScore,
+            momentumPositive: await this.engine.checkMomentum(token)
+        };
+
+        const passedFactors = Object.values(factors).filter(Boolean).length;
+
+        return {
+            shouldTrade: passedFactors === Object.keys(factors).length,
+            confidence: (passedFactors / Object.keys(factors).length) * 100,
+            factors: factors
+        };
+    }
+
+    async shouldExit(position, price) {
+        const progress = await this.curveProgress(position.address);
+        if (progress !== null && progress >= this.config.exitCurveProgress) {
+            return { reason: 'curve_near_complete', amount: position.amount, partial: false };
+        }
+
+        return super.shouldExit(position, price);
+    }
+}
+
+module.exports = PumpFunStrategy;
@@ -0,0 +1,84 @@
+// backend/src/executors/strategy_base.js
+const ExitEngine = require('./exit_engine');
+const logger = require('../utils/logger');
+
+// A trading strategy decides which tokens to buy, how much, and when to sell.
+// The engine owns execution, risk checks and capital: it calls
+//   candidates()                   tokens to consider beyond the engine's top viable list
+//   onToken(token)                 every candidate token, each cycle
+//   shouldEnter(token, signal)     -> { shouldTrade, confidence, factors }
+//   sizePosition(token, analysis)  -> SOL, before the strategy's allocation cap
+//   onTick(position, price)        every open position of this strategy, each cycle
+//   shouldExit(position, price)    -> { reason, amount, partial } (tokens to sell), or null to hold
+// signal carries event-driven context (an influencer call, a migration) and is
+// null for tokens from the regular scan.
+class StrategyBase {
+    // exit overrides the shared exit parameters, e.g. a tighter stop or its own rules
+    constructor(name, engine, params, { exit = {} } = {}) {
+        this.name = name;
+        this.engine = engine;
+
+        // Shared defaults from the strategy config; subclasses override what they need
+        this.exit = { ...params.exit, ...exit };
+        this.exitEngine = ExitEngine.fromParams(this.exit);
+        this.config = {
+            maxPositionSize: params.sizing.maxPositionSize
+        };
+
+        this.stats = {
+            evaluated: 0,
+            signals: 0,
+            exits: 0
+        };
+    }
+
+    candidates() {
+        return [];
+    }
+
+    onToken(token) {}
+
+    onTick(position, price) {}
+
+    async shouldEnter(token, signal = null) {
+        return { shouldTrade: false, confidence: 0, factors: {} };
+    }
+
+    // Scale from 50% to 100% of the strategy's max position size
+    sizePosition(token, analysis) {
+        if (analysis.suggestedSize) return Math.min(analysis.suggestedSize, this.config.maxPositionSize);
+        return this.config.maxPositionSize * (0.5 + 0.5 * analysis.confidence / 100);
+    }
+
+    // Runs the exit rules; the updated rule state is kept on the position for the engine to save
+    async shouldExit(position, price) {
+        const { decision, state } = await this.exitEngine.evaluate(position, price, {
+            liquidity: () => this.engine.getLiquidity(position.address),
+            devSold: (since, minSol) => this.engine.hasDevSold(position.address, since, minSol),
+            sellPressure: async () => this.engine.hasSellPressure(position.address)
+        });
+
+        position.exitState = state;
+        return decision;
+    }
+
+    // Counted by the engine so subclasses don't have to
+    recordEvaluation(analysis) {
+        this.stats.evaluated++;
+        if (analysis.shouldTrade) {
+            this.stats.signals++;
+            logger.debug(`📈 ${this.name} entry signal (confidence ${analysis.confidence.toFixed(1)})`);
+        }
+    }
+
+    getStats() {
+        return {
+            name: this.name,
+            config: this.config,
+            exit: this.exit,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = StrategyBase;
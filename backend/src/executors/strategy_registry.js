@@ -0,0 +1,122 @@
+// backend/src/executors/strategy_registry.js
+const MomentumStrategy = require('./strategies/momentum_strategy');
+const PumpFunStrategy = require('./strategies/pumpfun_strategy');
+const InfluencerStrategy = require('./strategies/influencer_strategy');
+const MigrationStrategy = require('./strategies/migration_strategy');
+const logger = require('../utils/logger');
+
+const STRATEGY_TYPES = {
+    momentum: MomentumStrategy,
+    pumpfun: PumpFunStrategy,
+    influencer: InfluencerStrategy,
+    migration: MigrationStrategy
+};
+
+// Positions opened before strategies were tagged belong to the original rules
+const DEFAULT_STRATEGY = 'momentum';
+
+// Enabled strategies and their share of capital.
+//   STRATEGIES=momentum,pumpfun,influencer,migration
+//   STRATEGY_ALLOCATIONS=momentum:0.5,pumpfun:0.2,influencer:0.2,migration:0.1
+// Strategies without an allocation split what the others leave.
+class StrategyRegistry {
+    constructor(engine, params) {
+        this.engine = engine;
+        this.params = params;
+        this.strategies = new Map(); // name -> instance
+        this.allocations = new Map(); // name -> fraction of capital
+    }
+
+    static fromEnv(engine, params) {
+        const registry = new StrategyRegistry(engine, params);
+
+        const names = (process.env.STRATEGIES || 'momentum,influencer')
+            .split(',').map(name => name.trim()).filter(Boolean);
+        // MIGRATION_ACTION=buy predates the strategy list
+        if (process.env.MIGRATION_ACTION === 'buy' && !names.includes('migration')) {
+            names.push('migration');
+        }
+
+        for (const name of names) {
+            registry.register(name);
+        }
+        registry.allocate(StrategyRegistry.parseAllocations(process.env.STRATEGY_ALLOCATIONS));
+
+        return registry;
+    }
+
+    static parseAllocations(value) {
+        const allocations = {};
+        if (!value) return allocations;
+
+        for (const entry of value.split(',')) {
+            const [name, share] = entry.split(':').map(part => part.trim());
+            if (name && share) allocations[name] = parseFloat(share);
+        }
+        return allocations;
+    }
+
+    register(name, StrategyClass = STRATEGY_TYPES[name]) {
+        if (!StrategyClass) {
+            logger.warn(`Unknown strategy ${name}, skipping`);
+            return null;
+        }
+
+        const strategy = new StrategyClass(this.engine, this.params);
+        this.strategies.set(strategy.name, strategy);
+        return strategy;
+    }
+
+    allocate(allocations = {}) {
+        this.allocations.clear();
+
+        const names = Array.from(this.strategies.keys());
+        const explicit = names.filter(name => allocations[name] !== undefined);
+        const assigned = explicit.reduce((sum, name) => sum + allocations[name], 0);
+        const rest = names.length - explicit.length;
+
+        if (assigned > 1) {
+            logger.warn(`Strategy allocations add up to ${(assigned * 100).toFixed(0)}% of capital`);
+        }
+
+        for (const name of names) {
+            const share = allocations[name] !== undefined
+                ? allocations[name]
+                : Math.max(0, 1 - assigned) / rest;
+            this.allocations.set(name, share);
+        }
+    }
+
+    get(name) {
+        return this.strategies.get(name) || null;
+    }
+
+    // The strategy that manages a position; untagged positions fall back to the default
+    forPosition(position) {
+        return this.get(position.strategy) || this.get(DEFAULT_STRATEGY) || this.list()[0] || null;
+    }
+
+    has(name) {
+        return this.strategies.has(name);
+    }
+
+    list() {
+        return Array.from(this.strategies.values());
+    }
+
+    getAllocation(name) {
+        return this.allocations.get(name) || 0;
+    }
+
+    getStats() {
+        return this.list().map(strategy => ({
+            ...strategy.getStats(),
+            allocation: this.getAllocation(strategy.name)
+        }));
+    }
+}
+
+StrategyRegistry.STRATEGY_TYPES = STRATEGY_TYPES;
+StrategyRegistry.DEFAULT_STRATEGY = DEFAULT_STRATEGY;
+
+module.exports = StrategyRegistry;
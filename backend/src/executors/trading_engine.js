@@ -1,21 +1,31 @@
-const { Connection, Keypair, PublicKey } = require('@solana/web3.js');
-const bs58 = require('bs58');
-const axios = require('axios');
+const { Keypair, PublicKey, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const bs58 = require('bs58').default;
+const JupiterClient = require('./jupiter_client');
+const TransactionTracker = require('./transaction_tracker');
+const PriorityFeeManager = require('./priority_fee_manager');
+const JitoClient = require('./jito_client');
+const PaperFillSimulator = require('./paper_fill_simulator');
+const RiskManager = require('../analzyers/risk_manager');
+const HoneypotChecker = require('./honeypot_checker');
+const StrategyRegistry = require('./strategy_registry');
+const priceService = require('../utils/price_service');
+const { loadStrategy } = require('../utils/strategy_config');
+const { parseMetadata } = require('../utils/metadata');
+const { createConnection } = require('../utils/connection');
 const logger = require('../utils/logger');
 
 class TradingEngine {
-    constructor(database) {
+    constructor(database, options = {}) {
         this.db = database;
-        this.connection = new Connection(
-            process.env.HELIUS_API_KEY 
-                ? `https://mainnet.helius-rpc.com/?api-key=${process.env.HELIUS_API_KEY}`
-                : process.env.SOLANA_RPC_URL
-        );
+        this.tradeFlow = options.tradeFlow || null;
+        this.pumpFun = options.pumpFun || null; // live bonding curves
+        this.pools = options.pools || null; // on-chain pool reserves
+        this.connection = createConnection();
         
         // Paper trading mode
         this.paperTrading = process.env.PAPER_TRADING === 'true';
         this.paperBalance = parseFloat(process.env.PAPER_BALANCE || '10.0');
-        this.paperPositions = new Map();
+        this.fillSimulator = new PaperFillSimulator();
         
         // Real wallet (only for live trading)
         if (!this.paperTrading && process.env.PRIVATE_KEY) {
@@ -23,6 +33,12 @@ class TradingEngine {
                 this.wallet = Keypair.fromSecretKey(
                     bs58.decode(process.env.PRIVATE_KEY)
                 );
+                this.feeManager = new PriorityFeeManager(this.connection, this.db);
+                this.jupiter = new JupiterClient(this.connection, this.wallet, {
+                    feeManager: this.feeManager
+                });
+                this.tracker = new TransactionTracker(this.connection, this.db);
+                this.jito = new JitoClient(this.connection, this.wallet);
                 logger.info(`Trading wallet: ${this.wallet.publicKey.toBase58()}`);
             } catch (error) {
                 logger.error('Invalid private key:', error);
@@ -30,17 +46,66 @@ class TradingEngine {
             }
         }
         
+        // Entry, exit and sizing parameters - defaults, or the file exported by the optimizer
+        this.params = loadStrategy();
+
         // Configuration
         this.config = {
-            maxPositionSize: parseFloat(process.env.MAX_POSITION_SIZE || '0.1'),
-            maxDailyLoss: parseFloat(process.env.MAX_DAILY_LOSS || '0.05'),
-            minLiquidity: parseFloat(process.env.MIN_LIQUIDITY || '5000'),
-            maxPositions: 10,
-            slippage: 3 // 3% slippage tolerance
+            slippage: 3, // 3% slippage tolerance
+            migrationAction: process.env.MIGRATION_ACTION || 'none', // none | buy | exit
+            // On-chain momentum: enough recent trades, from enough wallets, with SOL flowing in
+            momentumMinTrades: parseInt(process.env.MOMENTUM_MIN_TRADES || '10'),
+            momentumMinBuyers: parseInt(process.env.MOMENTUM_MIN_BUYERS || '5'),
+            sellPressureMinSells: parseInt(process.env.SELL_PRESSURE_MIN_SELLS || '5'),
+            sellPressureRatio: parseFloat(process.env.SELL_PRESSURE_RATIO || '3') // sell/buy volume over 1m
         };
+
+        this.riskManager = new RiskManager(this.db);
+        this.riskManager.config.maxPositions = this.params.sizing.maxPositions;
+        this.riskManager.config.tokenCooldownMinutes = this.params.sizing.cooldownMinutes;
+        this.honeypotChecker = new HoneypotChecker(this.connection, this.db, this.jupiter);
+        this.strategies = StrategyRegistry.fromEnv(this, this.params);
         
         this.isTrading = false;
         this.checkInterval = 15000; // 15 seconds
+
+        if (this.paperTrading) {
+            this.restorePaperState();
+        }
+    }
+
+    get mode() {
+        return this.paperTrading ? 'paper' : 'live';
+    }
+
+    // Pick up the paper balance and open paper positions left by a previous run
+    restorePaperState() {
+        const savedBalance = this.db.getPaperBalance();
+
+        if (savedBalance === null) {
+            this.db.setPaperBalance(this.paperBalance);
+        } else {
+            this.paperBalance = savedBalance;
+        }
+
+        const openPositions = this.db.countOpenPositions('paper');
+        if (openPositions > 0) {
+            logger.info(`Restored ${openPositions} open paper positions (balance ${this.paperBalance.toFixed(3)} SOL)`);
+        }
+    }
+
+    // Open positions for the current mode, in the shape the exit logic expects
+    getOpenPositions() {
+        return this.db.getOpenPositions(this.mode).map(row => ({
+            address: row.token_address,
+            symbol: row.symbol,
+            amount: row.balance,
+            entryPrice: row.avg_buy_price,
+            entrySize: row.total_invested,
+            entryTime: new Date(row.opened_at + 'Z').getTime(),
+            strategy: row.strategy,
+            exitState: row.exit_state ? JSON.parse(row.exit_state) : null
+        }));
     }
 
     async startTrading() {
@@ -69,27 +134,36 @@ class TradingEngine {
 
     async checkTradingOpportunities() {
         try {
-            // Check daily loss limit
-            const dailyPnL = this.db.getDailyPnL();
+            // Skip the scan entirely while account-level risk limits are hit
             const accountBalance = await this.getAccountBalance();
-            
-            if (Math.abs(dailyPnL) / accountBalance > this.config.maxDailyLoss) {
-                logger.warn('Daily loss limit reached, halting new trades');
+            if (!this.riskManager.canTrade(this.mode, accountBalance)) {
+                logger.debug('Risk limits reached, skipping new trades this cycle');
                 return;
             }
 
-            // Get top opportunities
-            const opportunities = this.db.getViableTokens(10);
-            
-            for (const token of opportunities) {
+            // Top opportunities, plus whatever the strategies look at beyond them
+            const opportunities = new Map(this.db.getViableTokens(10).map(token => [token.address, token]));
+            for (const strategy of this.strategies.list()) {
+                for (const token of strategy.candidates()) {
+                    if (!opportunities.has(token.address)) opportunities.set(token.address, token);
+                }
+            }
+
+            for (const token of opportunities.values()) {
                 // Skip if already have position
                 if (this.hasPosition(token.address)) continue;
-                
-                // Analyze opportunity
-                const analysis = await this.analyzeOpportunity(token);
-                
-                if (analysis.shouldTrade) {
-                    await this.executeTrade(token, analysis);
+
+                // First strategy to signal takes the token - one position per token
+                for (const strategy of this.strategies.list()) {
+                    strategy.onToken(token);
+
+                    const analysis = await strategy.shouldEnter(token);
+                    strategy.recordEvaluation(analysis);
+
+                    if (analysis.shouldTrade) {
+                        await this.executeTrade(token, { ...analysis, strategy: strategy.name });
+                        break;
+                    }
                 }
             }
         } catch (error) {
@@ -97,251 +171,543 @@ class TradingEngine {
         }
     }
 
-    async analyzeOpportunity(token) {
-        // Multi-factor analysis
-        const factors = {
-            socialScore: token.social_score > 15,
-            riskAcceptable: token.risk_score < 60,
-            liquidityOk: token.liquidity >= this.config.minLiquidity,
-            momentumPositive: await this.checkMomentum(token),
-            notOverExposed: this.getActivePositionCount() < this.config.maxPositions
-        };
-        
-        const passedFactors = Object.values(factors).filter(Boolean).length;
-        const confidence = (passedFactors / Object.keys(factors).length) * 100;
-        
-        return {
-            shouldTrade: passedFactors >= 4,
-            confidence: confidence,
-            factors: factors,
-            suggestedSize: this.calculatePositionSize(confidence)
-        };
-    }
-
+    // Momentum from the token's own on-chain trades over the last 5 minutes. A
+    // token seen for the first time starts being watched and has no momentum
+    // until trades come in.
     async checkMomentum(token) {
-        try {
-            // Get recent price data
-            const response = await axios.get(
-                `https://api.dexscreener.com/latest/dex/tokens/${token.address}`,
-                { timeout: 5000 }
-            );
-            
-            const pair = response.data?.pairs?.[0];
-            if (!pair) return false;
-            
-            // Positive momentum = price up in last hour
-            return pair.priceChange?.h1 > 5;
-        } catch (error) {
-            return false;
-        }
+        if (!this.tradeFlow || !this.tradeFlow.watchToken(token)) return false;
+
+        const { windows } = this.tradeFlow.getFlow(token.address);
+        const recent = windows['5m'];
+
+        return recent.trades >= this.config.momentumMinTrades &&
+            recent.uniqueBuyers >= this.config.momentumMinBuyers &&
+            recent.netFlow > 0 &&
+            windows['1m'].netFlow >= 0;
     }
 
-    calculatePositionSize(confidence) {
-        // Dynamic position sizing based on confidence
-        const baseSize = this.config.maxPositionSize;
-        const confidenceMultiplier = confidence / 100;
-        
-        // Scale from 50% to 100% of max position size
-        return baseSize * (0.5 + 0.5 * confidenceMultiplier);
+    // Heavy one-sided selling in the last minute
+    hasSellPressure(tokenAddress) {
+        if (!this.tradeFlow || !this.tradeFlow.isWatching(tokenAddress)) return false;
+
+        const flow = this.tradeFlow.getFlow(tokenAddress).windows['1m'];
+        return flow.sells >= this.config.sellPressureMinSells &&
+            flow.sellVolume >= this.config.sellPressureRatio * flow.buyVolume;
     }
 
+    // Every buy goes through here, so this is where the risk gate sits.
+    // analysis.strategy names the strategy the position will belong to.
     async executeTrade(token, analysis) {
-        const positionSize = analysis.suggestedSize;
-        
+        const strategyName = analysis.strategy || StrategyRegistry.DEFAULT_STRATEGY;
+        const strategy = this.strategies.get(strategyName);
+        const balance = await this.getAccountBalance();
+
+        const checks = [];
+        let positionSize = analysis.suggestedSize || 0;
+
+        if (!strategy) {
+            checks.push(this.riskManager.result('strategy', false,
+                `Strategy ${strategyName} is not enabled`, strategyName, null));
+        } else {
+            // Sized by the strategy, then held to what's left of its capital allocation
+            const { exposure, limit } = this.getStrategyBudget(strategyName, balance);
+            positionSize = strategy.sizePosition(token, analysis);
+            if (limit - exposure > 0) {
+                positionSize = Math.min(positionSize, limit - exposure);
+            }
+            checks.push(this.riskManager.exposureResult('strategy_allocation', exposure, positionSize,
+                limit, `strategy ${strategyName}`));
+        }
+
+        // A token we can't sell - or couldn't verify we can - is a hard reject regardless of other limits
+        if (this.honeypotChecker.active) {
+            const verdict = await this.honeypotChecker.check(token);
+            checks.push({
+                check: 'honeypot',
+                passed: this.honeypotChecker.passes(verdict),
+                message: verdict.reason,
+                value: verdict.roundTripTax,
+                limit: this.honeypotChecker.config.maxTax
+            });
+        }
+
+        const decision = this.riskManager.evaluate({
+            token: token,
+            size: positionSize,
+            mode: this.mode,
+            balance: balance,
+            strategy: strategyName,
+            checks: checks
+        });
+
+        if (!decision.approved) {
+            return decision;
+        }
+
         logger.info(`🎯 Executing ${this.paperTrading ? 'PAPER' : 'LIVE'} trade:`, {
             token: token.symbol,
+            strategy: strategyName,
             confidence: analysis.confidence.toFixed(1),
             size: positionSize.toFixed(3)
         });
 
         if (this.paperTrading) {
-            await this.executePaperTrade(token, positionSize, 'buy');
+            await this.executePaperTrade(token, positionSize, 'buy', strategyName);
         } else {
-            await this.executeLiveTrade(token, positionSize, 'buy');
+            await this.executeLiveTrade(token, positionSize, 'buy', strategyName);
         }
+
+        return decision;
+    }
+
+    // A strategy's share of capital (cash plus open positions) and what it has in use
+    getStrategyBudget(name, balance) {
+        const exposure = this.db.getExposure(this.mode, { strategy: name });
+        const capital = balance + this.db.getExposure(this.mode);
+        return { exposure, limit: capital * this.strategies.getAllocation(name) };
     }
 
-    async executePaperTrade(token, size, side) {
+    // size is SOL to spend on a buy, tokens to sell on a sell (0 sells everything).
+    // Buys are tagged with the strategy that opened them; sells inherit the position's tag.
+    async executePaperTrade(token, size, side, strategy = null) {
         try {
-            // Simulate getting current price
+            // Quoted price at decision time
             const currentPrice = await this.getCurrentPrice(token.address);
             if (!currentPrice) {
                 logger.warn(`Could not get price for ${token.symbol}`);
                 return;
             }
 
-            const tokenAmount = size / currentPrice;
             const signature = `PAPER_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+            const liquidityUsd = token.liquidity || this.db.getToken(token.address)?.liquidity;
 
             if (side === 'buy') {
                 // Check paper balance
-                if (this.paperBalance < size) {
+                const fees = this.fillSimulator.config.networkFee + this.fillSimulator.config.priorityFee;
+                if (this.paperBalance < size + fees) {
                     logger.warn('Insufficient paper balance');
                     return;
                 }
 
+                const fill = await this.fillSimulator.simulate({
+                    side: 'buy',
+                    amount: size,
+                    expectedPrice: currentPrice,
+                    liquidityUsd: liquidityUsd,
+                    reserves: token.reserves,
+                    getPrice: () => this.getCurrentPrice(token.address)
+                });
+
                 // Record the trade
-                this.db.recordTrade({
+                const trade = this.db.recordTrade({
                     tokenAddress: token.address,
                     side: 'buy',
-                    amount: tokenAmount,
-                    price: currentPrice,
-                    solAmount: size,
+                    amount: fill.tokenAmount,
+                    price: fill.fillPrice,
+                    expectedPrice: fill.expectedPrice,
+                    solAmount: fill.solAmount,
                     signature: signature,
-                    status: 'completed'
+                    status: 'completed',
+                    priorityFee: fill.priorityFee,
+                    networkFee: fill.networkFee,
+                    strategy: strategy,
+                    mode: 'paper'
                 });
 
                 // Update paper balance and positions
-                this.paperBalance -= size;
-                this.paperPositions.set(token.address, {
-                    symbol: token.symbol,
-                    amount: tokenAmount,
-                    entryPrice: currentPrice,
-                    entrySize: size,
-                    entryTime: Date.now()
+                this.paperBalance -= fill.solAmount;
+                this.db.setPaperBalance(this.paperBalance);
+                this.db.addToPosition(token.address, fill.tokenAmount, fill.solAmount, 'paper', strategy);
+                this.db.openLot({
+                    tokenAddress: token.address,
+                    mode: 'paper',
+                    strategy: strategy,
+                    tradeId: trade.lastInsertRowid,
+                    amount: fill.tokenAmount,
+                    cost: fill.solAmount
                 });
 
-                logger.info(`✅ Paper BUY executed: ${tokenAmount.toFixed(2)} ${token.symbol} for ${size} SOL`);
-                
+                logger.info(`✅ Paper BUY executed: ${fill.tokenAmount.toFixed(2)} ${token.symbol} for ${fill.solAmount.toFixed(4)} SOL (slippage ${fill.slippage.toFixed(2)}%)`);
+                return true;
+
             } else if (side === 'sell') {
-                const position = this.paperPositions.get(token.address);
-                if (!position) return;
+                const position = this.db.getPosition(token.address, 'paper');
+                if (!position || position.balance <= 0) return;
+
+                // size is tokens to sell; none (or more than held) sells the whole position
+                const amount = size > 0 && size < position.balance ? size : position.balance;
 
-                const exitValue = position.amount * currentPrice;
-                const pnl = exitValue - position.entrySize;
-                const pnlPercent = (pnl / position.entrySize) * 100;
+                const fill = await this.fillSimulator.simulate({
+                    side: 'sell',
+                    amount: amount,
+                    expectedPrice: currentPrice,
+                    liquidityUsd: liquidityUsd,
+                    reserves: token.reserves,
+                    getPrice: () => this.getCurrentPrice(token.address)
+                });
+
+                const exitValue = fill.solAmount;
 
                 // Record the trade
-                this.db.recordTrade({
+                const trade = this.db.recordTrade({
                     tokenAddress: token.address,
                     side: 'sell',
-                    amount: position.amount,
-                    price: currentPrice,
+                    amount: amount,
+                    price: fill.fillPrice,
+                    expectedPrice: fill.expectedPrice,
                     solAmount: exitValue,
                     signature: signature,
-                    status: 'completed'
+                    status: 'completed',
+                    priorityFee: fill.priorityFee,
+                    networkFee: fill.networkFee,
+                    strategy: position.strategy,
+                    mode: 'paper'
                 });
 
+                // P&L against the cost of the lots sold
+                const { cost, profitLoss: pnl } = this.db.closeLots(token.address, 'paper', amount, exitValue, trade.lastInsertRowid);
+                const pnlPercent = cost > 0 ? (pnl / cost) * 100 : 0;
+
                 // Update paper balance
                 this.paperBalance += exitValue;
-                this.paperPositions.delete(token.address);
+                this.db.setPaperBalance(this.paperBalance);
+                this.db.reducePosition(token.address, amount, 'paper', cost);
 
-                // Update original buy trade with P&L
                 this.db.updateTradeStatus(signature, 'completed', pnl);
 
-                logger.info(`✅ Paper SELL executed: ${position.symbol} for ${exitValue.toFixed(3)} SOL (PnL: ${pnlPercent.toFixed(1)}%)`);
+                const portion = amount < position.balance ? ` (${((amount / position.balance) * 100).toFixed(0)}% of position)` : '';
+                logger.info(`✅ Paper SELL executed: ${token.symbol}${portion} for ${exitValue.toFixed(3)} SOL (PnL: ${pnlPercent.toFixed(1)}%, slippage ${fill.slippage.toFixed(2)}%)`);
+                return true;
             }
 
         } catch (error) {
             logger.error('Paper trade execution error:', error);
         }
+        return false;
     }
 
-    async executeLiveTrade(token, size, side) {
-        // Placeholder for Jupiter integration
-        logger.warn('Live trading not yet implemented - use paper trading mode');
-        // In production, this would:
-        // 1. Get optimal route from Jupiter
-        // 2. Build transaction
-        // 3. Sign and send transaction
-        // 4. Monitor for confirmation
-    }
+    async executeLiveTrade(token, size, side, strategy = null) {
+        if (!this.jupiter) {
+            logger.warn('Live trading requires a valid PRIVATE_KEY - use paper trading mode');
+            return;
+        }
+
+        const slippageBps = Math.round(this.config.slippage * 100);
 
-    async monitorPositions() {
         try {
-            // Paper trading positions
-            if (this.paperTrading) {
-                for (const [address, position] of this.paperPositions) {
-                    await this.checkExitConditions(address, position);
+            if (side === 'buy') {
+                const lamports = Math.floor(size * LAMPORTS_PER_SOL);
+                const before = await this.getWalletBalances(token.address);
+
+                const trade = this.db.recordTrade({
+                    tokenAddress: token.address,
+                    side: 'buy',
+                    amount: 0,
+                    price: 0,
+                    solAmount: size,
+                    signature: null,
+                    status: 'pending',
+                    strategy: strategy,
+                    mode: 'live'
+                });
+                const tradeId = trade.lastInsertRowid;
+
+                const { signature, priorityFee, jitoTip } = await this.submitSwap(tradeId, () => this.jupiter.buildSwap(
+                    JupiterClient.WSOL_MINT,
+                    token.address,
+                    lamports,
+                    slippageBps
+                ));
+                const fill = await this.resolveFill(tradeId, signature, token.address, before);
+
+                // SOL spent includes network fees, any Jito tip and token account rent.
+                // The tip is its own transaction in the bundle, so a fill read from the
+                // swap transaction alone doesn't include it.
+                const solSpent = -fill.solAmount + (fill.tipIncluded ? 0 : jitoTip);
+                const fillPrice = solSpent / fill.tokenAmount;
+
+                this.db.updateTradeState(tradeId, 'confirmed', {
+                    amount: fill.tokenAmount,
+                    price: fillPrice,
+                    solAmount: solSpent,
+                    networkFee: fill.fee === null ? undefined : fill.fee - priorityFee
+                });
+                this.db.addToPosition(token.address, fill.tokenAmount, solSpent, 'live', strategy);
+                this.db.openLot({
+                    tokenAddress: token.address,
+                    mode: 'live',
+                    strategy: strategy,
+                    tradeId: tradeId,
+                    amount: fill.tokenAmount,
+                    cost: solSpent
+                });
+
+                logger.info(`✅ LIVE BUY filled: ${fill.tokenAmount.toFixed(2)} ${token.symbol} for ${solSpent.toFixed(4)} SOL (${signature})`);
+                return true;
+
+            } else if (side === 'sell') {
+                const position = this.db.getPosition(token.address, 'live');
+                const balance = await this.jupiter.getTokenBalance(token.address);
+
+                if (balance.amount === 0n) {
+                    logger.warn(`No ${token.symbol} balance to sell`);
+                    if (position) this.db.reducePosition(token.address, position.balance, 'live');
+                    return;
                 }
-                return;
+
+                // size is tokens to sell; a partial exit sells that share of the wallet balance
+                const partial = position && size > 0 && size < position.balance;
+                const rawAmount = partial
+                    ? balance.amount * BigInt(Math.floor((size / position.balance) * 1e6)) / 1000000n
+                    : balance.amount;
+                const uiAmount = partial ? balance.uiAmount * size / position.balance : balance.uiAmount;
+                const before = {
+                    lamports: await this.connection.getBalance(this.wallet.publicKey, 'confirmed'),
+                    tokens: balance
+                };
+
+                const trade = this.db.recordTrade({
+                    tokenAddress: token.address,
+                    side: 'sell',
+                    amount: uiAmount,
+                    price: 0,
+                    solAmount: 0,
+                    signature: null,
+                    status: 'pending',
+                    strategy: position?.strategy || null,
+                    mode: 'live'
+                });
+                const tradeId = trade.lastInsertRowid;
+
+                const { signature, priorityFee, jitoTip } = await this.submitSwap(tradeId, () => this.jupiter.buildSwap(
+                    token.address,
+                    JupiterClient.WSOL_MINT,
+                    rawAmount,
+                    slippageBps
+                ));
+                const fill = await this.resolveFill(tradeId, signature, token.address, before);
+
+                const tokensSold = -fill.tokenAmount;
+                const solReceived = fill.solAmount - (fill.tipIncluded ? 0 : jitoTip);
+                const { cost, profitLoss: pnl } = this.db.closeLots(token.address, 'live', tokensSold, solReceived, tradeId);
+
+                this.db.updateTradeState(tradeId, 'confirmed', {
+                    amount: tokensSold,
+                    price: solReceived / tokensSold,
+                    solAmount: solReceived,
+                    profitLoss: pnl,
+                    networkFee: fill.fee === null ? undefined : fill.fee - priorityFee
+                });
+                this.db.reducePosition(token.address, tokensSold, 'live', cost);
+
+                logger.info(`✅ LIVE SELL filled: ${tokensSold.toFixed(2)} ${token.symbol} for ${solReceived.toFixed(4)} SOL (PnL: ${pnl.toFixed(4)} SOL)`);
+                return true;
             }
+        } catch (error) {
+            logger.error(`Live ${side} failed for ${token.symbol}:`, error);
+        }
+        return false;
+    }
+
+    // SOL and token balances read before a swap, so its fill can be rebuilt from
+    // the wallet's balance change if the transaction itself can't be fetched
+    async getWalletBalances(tokenMint) {
+        const [lamports, tokens] = await Promise.all([
+            this.connection.getBalance(this.wallet.publicKey, 'confirmed'),
+            this.jupiter.getTokenBalance(tokenMint)
+        ]);
+        return { lamports, tokens };
+    }
+
+    // The swap has landed, so its fill gets recorded one way or another: from the
+    // transaction, else from the wallet balance change. Only when neither can be
+    // read, or the swap moved no tokens, is the trade left as needs_reconcile for
+    // a manual look.
+    async resolveFill(tradeId, signature, tokenMint, before) {
+        let fill;
+        try {
+            fill = await this.jupiter.getFill(signature, tokenMint);
+        } catch (error) {
+            logger.warn(`Fill for trade ${tradeId} unavailable (${error.message}) - using wallet balance change`);
+            fill = await this.balanceFill(signature, tokenMint, before);
+        }
+
+        if (!fill || fill.rawTokenAmount === 0n) {
+            this.db.updateTradeState(tradeId, 'needs_reconcile', {
+                error: fill
+                    ? `Swap ${signature} landed but moved no tokens`
+                    : `Swap ${signature} landed but its fill could not be read`
+            });
+            throw new Error(`Trade ${tradeId} (${signature}) needs reconciliation`);
+        }
+        return fill;
+    }
+
+    // The fill as the wallet's balance change since `before`; null if the balances can't be read
+    async balanceFill(signature, tokenMint, before) {
+        let after;
+        try {
+            after = await this.getWalletBalances(tokenMint);
+        } catch (error) {
+            return null;
+        }
+
+        const tokenDelta = after.tokens.amount - before.tokens.amount;
+
+        // Network fees aren't separable from a balance change; a Jito tip is already in it
+        return {
+            signature: signature,
+            tokenAmount: Number(tokenDelta) / Math.pow(10, after.tokens.decimals),
+            rawTokenAmount: tokenDelta,
+            decimals: after.tokens.decimals,
+            solAmount: (after.lamports - before.lamports) / LAMPORTS_PER_SOL,
+            fee: null,
+            tipIncluded: true,
+            slot: null
+        };
+    }
 
-            // Live positions would be monitored from portfolio table
-            const positions = this.db.db.prepare(`
-                SELECT * FROM portfolio WHERE balance > 0
-            `).all();
+    // Send through a Jito bundle when enabled, otherwise straight to RPC
+    async submitSwap(tradeId, buildTransaction) {
+        if (this.jito.config.enabled) {
+            return this.tracker.trackBundle(tradeId, buildTransaction, this.jito);
+        }
+
+        const result = await this.tracker.track(tradeId, buildTransaction);
+        return { ...result, jitoTip: 0 };
+    }
 
-            for (const position of positions) {
-                await this.checkExitConditions(position.token_address, position);
+    async monitorPositions() {
+        try {
+            for (const position of this.getOpenPositions()) {
+                if (this.tradeFlow) {
+                    const token = this.db.getToken(position.address);
+                    if (token) this.tradeFlow.watchToken(token);
+                }
+                await this.checkExitConditions(position.address, position);
             }
         } catch (error) {
             logger.error('Error monitoring positions:', error);
         }
     }
 
+    // The strategy that opened the position decides when it's sold
     async checkExitConditions(tokenAddress, position) {
         try {
+            const strategy = this.strategies.forPosition(position);
+            if (!strategy) return;
+
             const currentPrice = await this.getCurrentPrice(tokenAddress);
             if (!currentPrice) return;
 
-            const holdTime = Date.now() - position.entryTime;
-            const pnlPercent = ((currentPrice - position.entryPrice) / position.entryPrice) * 100;
-
-            let shouldExit = false;
-            let reason = '';
-
-            // Take profit conditions
-            if (pnlPercent >= 100) {
-                shouldExit = true;
-                reason = 'take_profit_100';
-            } else if (pnlPercent >= 50 && holdTime > 30 * 60 * 1000) {
-                shouldExit = true;
-                reason = 'take_profit_50';
-            }
-            // Stop loss
-            else if (pnlPercent <= -20) {
-                shouldExit = true;
-                reason = 'stop_loss';
+            const previousState = position.exitState;
+            strategy.onTick(position, currentPrice);
+            const exit = await strategy.shouldExit(position, currentPrice);
+
+            if (exit) {
+                const pnlPercent = ((currentPrice - position.entryPrice) / position.entryPrice) * 100;
+                logger.info(`📤 Exit signal for ${position.symbol} (${strategy.name}): ${exit.reason}${exit.partial ? ' (partial)' : ''} (${pnlPercent.toFixed(1)}%)`);
+                strategy.stats.exits++;
+
+                const sold = this.paperTrading
+                    ? await this.executePaperTrade({ address: tokenAddress, symbol: position.symbol }, exit.amount, 'sell')
+                    : await this.executeLiveTrade({ address: tokenAddress, symbol: position.symbol }, exit.amount, 'sell');
+
+                // A step whose sell didn't go through stays untaken, with the stops it
+                // would have moved, so the next tick tries it again
+                if (!sold && position.exitState) {
+                    position.exitState = {
+                        ...position.exitState,
+                        taken: previousState?.taken || [],
+                        stop: previousState?.stop ?? null,
+                        trail: previousState?.trail ?? null
+                    };
+                }
             }
-            // Time-based exit
-            else if (holdTime > 24 * 60 * 60 * 1000 && pnlPercent < 10) {
-                shouldExit = true;
-                reason = 'time_exit_24h';
+
+            // Peaks, moved stops and ladder steps taken persist with the position
+            if (position.exitState) {
+                this.db.setExitState(tokenAddress, this.mode, position.exitState);
             }
+        } catch (error) {
+            logger.error(`Error checking exit conditions for ${tokenAddress}:`, error);
+        }
+    }
+
+    // Event-driven entries (influencer calls, migrations) go to the named strategy.
+    // Returns the risk decision, or null when the strategy is off or passes.
+    async onSignal(name, token, signal) {
+        const strategy = this.strategies.get(name);
+        if (!strategy) {
+            logger.debug(`No ${name} strategy enabled, ignoring signal for ${token.symbol}`);
+            return null;
+        }
+
+        const analysis = await strategy.shouldEnter(token, signal);
+        strategy.recordEvaluation(analysis);
+        if (!analysis.shouldTrade) return null;
+
+        return this.executeTrade(token, { ...analysis, strategy: name });
+    }
+
+    // A curve graduating is a strategy decision: ride the new pool or get out
+    async onMigration(migration) {
+        try {
+            const position = this.getOpenPositions().find(p => p.address === migration.mint);
 
-            if (shouldExit) {
-                logger.info(`📤 Exit signal for ${position.symbol}: ${reason} (${pnlPercent.toFixed(1)}%)`);
-                
+            if (this.config.migrationAction === 'exit' && position) {
+                logger.info(`📤 Exit signal for ${position.symbol}: migrated to ${migration.destination}`);
                 if (this.paperTrading) {
-                    await this.executePaperTrade(
-                        { address: tokenAddress, symbol: position.symbol },
-                        0, // Size not needed for sells
-                        'sell'
-                    );
+                    await this.executePaperTrade({ address: migration.mint, symbol: position.symbol }, 0, 'sell');
                 } else {
-                    await this.executeLiveTrade(
-                        { address: tokenAddress, symbol: position.symbol },
-                        position.balance,
-                        'sell'
-                    );
+                    await this.executeLiveTrade({ address: migration.mint, symbol: position.symbol }, position.amount, 'sell');
                 }
+            } else if (this.strategies.has('migration') && !position && this.isTrading) {
+                const token = this.db.getToken(migration.mint) || {
+                    address: migration.mint,
+                    symbol: migration.symbol || migration.mint.slice(0, 6),
+                    source: migration.destination
+                };
+                await this.onSignal('migration', token, { migration });
             }
         } catch (error) {
-            logger.error(`Error checking exit conditions for ${tokenAddress}:`, error);
+            logger.error(`Error handling migration of ${migration.mint}:`, error);
         }
     }
 
-    async getCurrentPrice(tokenAddress) {
-        try {
-            const response = await axios.get(
-                `https://price.jup.ag/v4/price?ids=${tokenAddress}`,
-                { timeout: 5000 }
-            );
-            
-            return response.data?.data?.[tokenAddress]?.price || null;
-        } catch (error) {
-            // Fallback to DexScreener
-            try {
-                const response = await axios.get(
-                    `https://api.dexscreener.com/latest/dex/tokens/${tokenAddress}`,
-                    { timeout: 5000 }
-                );
-                return parseFloat(response.data?.pairs?.[0]?.priceUsd || 0);
-            } catch (fallbackError) {
-                return null;
-            }
+    // Pool liquidity in SOL: the live curve for pump.fun tokens, otherwise on-chain pool reserves
+    async getLiquidity(tokenAddress) {
+        const curve = this.pumpFun?.curves.get(tokenAddress);
+        if (curve && !curve.curveComplete) return curve.liquiditySol;
+
+        if (this.pools) {
+            // The pool the token was found in, else a SOL pool whose creation we decoded
+            const token = this.db.getToken(tokenAddress);
+            const pool = (token && parseMetadata(token.metadata).pool) ||
+                this.db.getPoolsForMint(tokenAddress).find(p => p.quote_mint === JupiterClient.WSOL_MINT)?.address;
+            const state = await this.pools.getLiquidity(tokenAddress, pool || null);
+            if (state) return state.tvlSol;
         }
+
+        // No supported pool - fall back to the reported figure
+        const liquidity = await priceService.getLiquidity(tokenAddress);
+        return liquidity?.sol ?? null;
+    }
+
+    // Whether the token's deployer has sold since a time (ms), per the watched trade flow
+    hasDevSold(tokenAddress, since, minSol = 0) {
+        const token = this.db.getToken(tokenAddress);
+        const creator = token && parseMetadata(token.metadata).creator;
+        if (!creator) return false;
+
+        return this.db.getSwaps(tokenAddress, since)
+            .some(swap => swap.wallet === creator && swap.side === 'sell' && swap.sol_amount >= minSol);
+    }
+
+    // Price per token in SOL - the denomination positions and P&L are kept in
+    async getCurrentPrice(tokenAddress) {
+        const price = await priceService.getPrice(tokenAddress);
+        return price?.sol || null;
     }
 
     async getAccountBalance() {
@@ -359,27 +725,29 @@ class TradingEngine {
     }
 
     hasPosition(tokenAddress) {
-        if (this.paperTrading) {
-            return this.paperPositions.has(tokenAddress);
-        }
-        
-        const position = this.db.db.prepare(
-            'SELECT * FROM portfolio WHERE token_address = ? AND balance > 0'
-        ).get(tokenAddress);
-        
-        return !!position;
+        const position = this.db.getPosition(tokenAddress, this.mode);
+        return !!position && position.balance > 0;
+    }
+
+    // Per-strategy allocation, usage and P&L
+    async getStrategyReport() {
+        const balance = await this.getAccountBalance();
+        const performance = new Map(this.db.getStrategyPerformance(this.mode).map(row => [row.strategy, row]));
+
+        const strategies = this.strategies.getStats().map(stats => ({
+            ...stats,
+            budget: this.getStrategyBudget(stats.name, balance),
+            performance: performance.get(stats.name) || null
+        }));
+
+        // Trades from strategies since disabled, or from before trades were tagged
+        const other = Array.from(performance.values()).filter(row => !this.strategies.has(row.strategy));
+
+        return { mode: this.mode, balance, strategies, other };
     }
 
     getActivePositionCount() {
-        if (this.paperTrading) {
-            return this.paperPositions.size;
-        }
-        
-        const result = this.db.db.prepare(
-            'SELECT COUNT(*) as count FROM portfolio WHERE balance > 0'
-        ).get();
-        
-        return result?.count || 0;
+        return this.db.countOpenPositions(this.mode);
     }
 
     stopTrading() {
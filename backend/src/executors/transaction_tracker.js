@@ -0,0 +1,347 @@
+// backend/src/executors/transaction_tracker.js
+const EventEmitter = require('events');
+const bs58 = require('bs58').default;
+const logger = require('../utils/logger');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Blocks a blockhash stays valid for, and how many failed polls past its
+// estimated expiry are tolerated before the outcome is called unknown
+const BLOCKHASH_LIFETIME = 150;
+const FINAL_CHECK_RETRIES = 3;
+
+class TransactionTracker extends EventEmitter {
+    constructor(connection, database, options = {}) {
+        super();
+        this.connection = connection;
+        this.db = database;
+
+        this.config = {
+            pollInterval: options.pollInterval || 1000,
+            rebroadcastInterval: options.rebroadcastInterval || 2000,
+            maxBackoff: options.maxBackoff || 8000,
+            slotTime: options.slotTime || 400, // block height is estimated from this while RPC calls fail
+            maxAttempts: options.maxAttempts || 3,
+            finalityTimeout: options.finalityTimeout || 90000
+        };
+
+        this.active = new Map(); // tradeId -> { signature, attempt, status }
+        this.stats = {
+            submitted: 0,
+            confirmed: 0,
+            finalized: 0,
+            failed: 0,
+            expired: 0,
+            unresolved: 0,
+            rebroadcasts: 0,
+            bundleFallbacks: 0
+        };
+    }
+
+    // Submit a trade and follow it until it confirms. buildTransaction is called
+    // again with a fresh quote each time the previous blockhash expires.
+    async track(tradeId, buildTransaction) {
+        let unresolved = false;
+
+        try {
+            for (let attempt = 1; attempt <= this.config.maxAttempts; attempt++) {
+                const { transaction, lastValidBlockHeight, priorityFee } = await buildTransaction(attempt);
+                const signature = bs58.encode(transaction.signatures[0]);
+                const rawTransaction = transaction.serialize();
+
+                // Preflight only on first send so simulation errors fail fast
+                await this.connection.sendRawTransaction(rawTransaction, {
+                    skipPreflight: false,
+                    maxRetries: 0
+                });
+
+                this.active.set(tradeId, { signature, attempt, status: 'submitted' });
+                this.db.updateTradeState(tradeId, 'submitted', { signature, attempts: attempt, priorityFee });
+                this.stats.submitted++;
+                this.emit('submitted', { tradeId, signature, attempt });
+                logger.info(`📨 Trade ${tradeId} submitted (attempt ${attempt}): ${signature}`);
+
+                const outcome = await this.waitForConfirmation(
+                    tradeId, signature, rawTransaction, lastValidBlockHeight
+                );
+
+                if (outcome.status === 'confirmed') {
+                    this.db.updateTradeState(tradeId, 'confirmed');
+                    this.stats.confirmed++;
+                    this.emit('confirmed', { tradeId, signature });
+                    this.watchFinality(tradeId, signature);
+                    return { signature, attempt, priorityFee: priorityFee || 0 };
+                }
+
+                if (outcome.status === 'failed') {
+                    throw new Error(`Transaction ${signature} failed: ${JSON.stringify(outcome.err)}`);
+                }
+
+                // It may have landed - a rebuilt swap could fill twice
+                if (outcome.status === 'unknown') {
+                    unresolved = true;
+                    this.markUnresolved(tradeId, signature, outcome.error);
+                }
+
+                // Blockhash expired without landing - nothing was paid; rebuild with a fresh quote
+                this.db.updateTradeState(tradeId, 'expired', { priorityFee: 0 });
+                this.stats.expired++;
+                this.emit('expired', { tradeId, signature, attempt });
+                logger.warn(`⌛ Trade ${tradeId} blockhash expired (attempt ${attempt}/${this.config.maxAttempts})`);
+            }
+
+            throw new Error(`Trade ${tradeId} expired after ${this.config.maxAttempts} attempts`);
+        } catch (error) {
+            if (!unresolved) {
+                this.db.updateTradeState(tradeId, 'failed', { error: error.message });
+                this.stats.failed++;
+                this.emit('failed', { tradeId, error });
+            }
+            throw error;
+        } finally {
+            this.active.delete(tradeId);
+        }
+    }
+
+    // Submit a trade as a Jito bundle, falling back to plain RPC submission if it doesn't land.
+    // Until its blockhash expires a bundle that hasn't shown up can still land - the
+    // block engine may simply not have indexed it, or a status/submit call failed after
+    // it went out - so the same signed swap is followed (and, with fallback on,
+    // rebroadcast over RPC) to expiry before anything new is built. Only a swap that
+    // provably didn't land gets a fresh transaction.
+    async trackBundle(tradeId, buildTransaction, jito) {
+        let sent = null;
+
+        try {
+            const { transaction, lastValidBlockHeight, priorityFee } = await buildTransaction(1);
+            sent = {
+                signature: bs58.encode(transaction.signatures[0]),
+                rawTransaction: transaction.serialize(),
+                lastValidBlockHeight,
+                priorityFee
+            };
+
+            const { bundleId, tip } = await jito.submit(transaction);
+            sent.bundleId = bundleId;
+            sent.tip = tip;
+
+            this.active.set(tradeId, { signature: sent.signature, attempt: 1, status: 'submitted', bundleId });
+            this.db.updateTradeState(tradeId, 'submitted', {
+                signature: sent.signature,
+                attempts: 1,
+                priorityFee,
+                bundleId,
+                jitoTip: tip
+            });
+            this.stats.submitted++;
+            this.emit('submitted', { tradeId, signature: sent.signature, attempt: 1, bundleId });
+
+            const outcome = await jito.waitForBundle(bundleId, lastValidBlockHeight);
+
+            if (outcome.status === 'landed') {
+                return this.bundleConfirmed(tradeId, sent);
+            }
+
+            logger.warn(`📦 Bundle ${bundleId} for trade ${tradeId} ${outcome.status}`);
+        } catch (error) {
+            logger.warn(`Jito submission failed for trade ${tradeId}:`, error.message);
+        } finally {
+            this.active.delete(tradeId);
+        }
+
+        // Nothing signed yet, so nothing can land - safe to start over
+        if (!sent) {
+            if (!jito.config.fallbackToRpc) {
+                return this.bundleFailed(tradeId, null, 'Jito bundle could not be built');
+            }
+            return this.rpcFallback(tradeId, buildTransaction);
+        }
+
+        const outcome = await this.waitForConfirmation(
+            tradeId, sent.signature, sent.rawTransaction, sent.lastValidBlockHeight,
+            { rebroadcast: jito.config.fallbackToRpc }
+        );
+
+        if (outcome.status === 'unknown') {
+            // Can't tell whether it landed; resubmitting could fill twice
+            return this.markUnresolved(tradeId, sent.signature, outcome.error);
+        }
+        if (outcome.status === 'confirmed') {
+            return this.bundleConfirmed(tradeId, sent);
+        }
+        if (outcome.status === 'failed') {
+            return this.bundleFailed(tradeId, sent.signature, `Transaction ${sent.signature} failed: ${JSON.stringify(outcome.err)}`);
+        }
+        if (!jito.config.fallbackToRpc) {
+            return this.bundleFailed(tradeId, sent.signature, 'Jito bundle did not land', { priorityFee: 0, jitoTip: 0 });
+        }
+
+        // Blockhash expired and the signature never landed: the swap can no longer execute
+        return this.rpcFallback(tradeId, buildTransaction);
+    }
+
+    bundleConfirmed(tradeId, sent) {
+        this.db.updateTradeState(tradeId, 'confirmed');
+        this.stats.confirmed++;
+        this.emit('confirmed', { tradeId, signature: sent.signature, bundleId: sent.bundleId });
+        this.watchFinality(tradeId, sent.signature);
+        return {
+            signature: sent.signature,
+            attempt: 1,
+            priorityFee: sent.priorityFee || 0,
+            bundleId: sent.bundleId,
+            // Counted as paid even if the swap landed through the RPC rebroadcast alone
+            jitoTip: sent.tip ?? 0
+        };
+    }
+
+    bundleFailed(tradeId, signature, message, fields = {}) {
+        this.db.updateTradeState(tradeId, 'failed', { ...fields, error: message });
+        this.stats.failed++;
+        this.emit('failed', { tradeId, signature });
+        throw new Error(`Trade ${tradeId}: ${message}`);
+    }
+
+    // The swap may or may not have landed; it's left for reconciliation rather than failed or rebuilt
+    markUnresolved(tradeId, signature, message) {
+        this.db.updateTradeState(tradeId, 'needs_reconcile', {
+            error: `Outcome of ${signature} unknown: ${message}`
+        });
+        this.stats.unresolved++;
+        this.emit('unresolved', { tradeId, signature });
+        logger.error(`❓ Trade ${tradeId} could not be confirmed or ruled out (${message}) - needs reconciliation`);
+        throw new Error(`Trade ${tradeId} (${signature}) needs reconciliation`);
+    }
+
+    async rpcFallback(tradeId, buildTransaction) {
+        this.stats.bundleFallbacks++;
+        logger.info(`↩️ Falling back to RPC submission for trade ${tradeId}`);
+        const result = await this.track(tradeId, buildTransaction);
+        this.db.updateTradeState(tradeId, 'confirmed', { jitoTip: 0 });
+        return { ...result, jitoTip: 0 };
+    }
+
+    // Polls until the signature confirms, fails or its blockhash expires. RPC errors
+    // are retried with backoff; if the outcome still can't be read once the
+    // blockhash is past its last valid height, it's reported as unknown.
+    async waitForConfirmation(tradeId, signature, rawTransaction, lastValidBlockHeight, { rebroadcast = true } = {}) {
+        const startedAt = Date.now();
+        let lastBroadcast = startedAt;
+        let processed = false;
+        let knownHeight = null; // { height, at } - last block height actually read
+        let failures = 0;
+
+        while (true) {
+            try {
+                const outcome = await this.pollSignature(tradeId, signature, lastValidBlockHeight, processed, (height) => {
+                    knownHeight = { height, at: Date.now() };
+                });
+                failures = 0;
+
+                if (outcome.status !== 'pending') return outcome;
+                processed = outcome.processed;
+            } catch (error) {
+                failures++;
+                // With no height read yet, assume the blockhash was fresh when sent
+                const reference = knownHeight || { height: lastValidBlockHeight - BLOCKHASH_LIFETIME, at: startedAt };
+                const estimatedHeight = reference.height + Math.floor((Date.now() - reference.at) / this.config.slotTime);
+                const pastExpiry = estimatedHeight > lastValidBlockHeight;
+
+                if (pastExpiry && failures >= FINAL_CHECK_RETRIES) {
+                    return { status: 'unknown', error: error.message };
+                }
+
+                const backoff = Math.min(this.config.pollInterval * 2 ** failures, this.config.maxBackoff);
+                logger.warn(`Status poll for ${signature} failed (${error.message}), retrying in ${backoff}ms`);
+                await sleep(backoff);
+                continue;
+            }
+
+            // Re-broadcast while the blockhash is still valid
+            if (rebroadcast && Date.now() - lastBroadcast >= this.config.rebroadcastInterval) {
+                lastBroadcast = Date.now();
+                try {
+                    await this.connection.sendRawTransaction(rawTransaction, {
+                        skipPreflight: true,
+                        maxRetries: 0
+                    });
+                    this.stats.rebroadcasts++;
+                } catch (error) {
+                    logger.debug(`Re-broadcast of ${signature} failed:`, error.message);
+                }
+            }
+
+            await sleep(this.config.pollInterval);
+        }
+    }
+
+    // One status check: confirmed, failed, expired, or pending (still within the blockhash)
+    async pollSignature(tradeId, signature, lastValidBlockHeight, processed, onHeight) {
+        const { value } = await this.connection.getSignatureStatuses([signature]);
+        const status = value[0];
+
+        if (status?.err) {
+            return { status: 'failed', err: status.err };
+        }
+
+        if (status?.confirmationStatus === 'confirmed' || status?.confirmationStatus === 'finalized') {
+            return { status: 'confirmed' };
+        }
+
+        if (status?.confirmationStatus === 'processed' && !processed) {
+            processed = true;
+            this.emit('processed', { tradeId, signature });
+        }
+
+        const blockHeight = await this.connection.getBlockHeight('confirmed');
+        onHeight(blockHeight);
+        if (blockHeight > lastValidBlockHeight) {
+            // One last look in case it landed right at the edge
+            const { value: [finalStatus] } = await this.connection.getSignatureStatuses(
+                [signature],
+                { searchTransactionHistory: true }
+            );
+            if (finalStatus?.err) return { status: 'failed', err: finalStatus.err };
+            if (finalStatus?.confirmationStatus === 'confirmed' ||
+                finalStatus?.confirmationStatus === 'finalized') {
+                return { status: 'confirmed' };
+            }
+            return { status: 'expired' };
+        }
+
+        return { status: 'pending', processed };
+    }
+
+    // Follow a confirmed transaction to finalized in the background
+    async watchFinality(tradeId, signature) {
+        const deadline = Date.now() + this.config.finalityTimeout;
+
+        try {
+            while (Date.now() < deadline) {
+                const { value } = await this.connection.getSignatureStatuses([signature]);
+
+                if (value[0]?.confirmationStatus === 'finalized') {
+                    this.db.markTradeFinalized(tradeId);
+                    this.stats.finalized++;
+                    this.emit('finalized', { tradeId, signature });
+                    return;
+                }
+
+                await sleep(this.config.pollInterval * 5);
+            }
+
+            logger.warn(`Trade ${tradeId} not finalized within ${this.config.finalityTimeout / 1000}s`);
+        } catch (error) {
+            logger.error(`Error watching finality for ${signature}:`, error);
+        }
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            active: Array.from(this.active.entries()).map(([tradeId, info]) => ({ tradeId, ...info }))
+        };
+    }
+}
+
+module.exports = TransactionTracker;
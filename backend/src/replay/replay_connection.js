@@ -0,0 +1,100 @@
+// backend/src/replay/replay_connection.js
+const eventRecorder = require('../utils/event_recorder');
+
+const SUBSCRIBE = {
+    onLogs: 'removeOnLogsListener',
+    onAccountChange: 'removeAccountChangeListener',
+    onProgramAccountChange: 'removeProgramAccountChangeListener',
+    onSlotChange: 'removeSlotChangeListener',
+    onSignature: 'removeSignatureListener'
+};
+
+// Stands in for a web3.js Connection during replay. RPC calls are answered
+// from recorded results (in recorded order, the last one repeating once they
+// run out); subscriptions receive recorded notifications via dispatch().
+class ReplayConnection {
+    constructor() {
+        this.responses = new Map(); // request key -> [{ result, error }]
+        this.listeners = new Map(); // subscription id -> { method, filter, callback }
+        this.nextId = 1;
+        this.stats = {
+            served: 0,
+            repeated: 0,
+            missing: {},
+            notifications: 0
+        };
+
+        this.connection = this.createProxy();
+    }
+
+    load(event) {
+        const key = eventRecorder.requestKey('rpc', event.method, event.args);
+        const queue = this.responses.get(key) || [];
+        queue.push({ result: event.result, error: event.error });
+        this.responses.set(key, queue);
+    }
+
+    respond(method, args) {
+        const key = eventRecorder.requestKey('rpc', method, args);
+        const queue = this.responses.get(key);
+
+        if (!queue || queue.length === 0) {
+            this.stats.missing[method] = (this.stats.missing[method] || 0) + 1;
+            throw new Error(`Replay: no recorded ${method} response`);
+        }
+
+        const response = queue.length > 1 ? queue.shift() : queue[0];
+        if (response.served) this.stats.repeated++;
+        response.served = true;
+        this.stats.served++;
+
+        if (response.error) throw new Error(response.error.message);
+        return response.result;
+    }
+
+    subscribe(method, filter, callback) {
+        const id = this.nextId++;
+        this.listeners.set(id, { method, filter: eventRecorder.subscriptionFilter(filter), callback });
+        return id;
+    }
+
+    // Deliver a recorded notification to every matching subscriber
+    dispatch(event) {
+        for (const listener of this.listeners.values()) {
+            if (listener.method === event.method && listener.filter === event.filter) {
+                this.stats.notifications++;
+                listener.callback(...event.args);
+            }
+        }
+    }
+
+    createProxy() {
+        const removers = Object.values(SUBSCRIBE);
+
+        return new Proxy({ rpcEndpoint: 'replay', commitment: 'confirmed' }, {
+            get: (target, prop) => {
+                if (prop in target || typeof prop !== 'string' || prop === 'then') {
+                    return target[prop];
+                }
+                if (SUBSCRIBE[prop]) {
+                    return (filter, callback) => this.subscribe(prop, filter, callback);
+                }
+                if (removers.includes(prop)) {
+                    return async (id) => {
+                        this.listeners.delete(id);
+                    };
+                }
+                return async (...args) => this.respond(prop, args);
+            }
+        });
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            subscriptions: this.listeners.size
+        };
+    }
+}
+
+module.exports = ReplayConnection;
@@ -0,0 +1,255 @@
+// backend/src/replay/replay_driver.js
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const eventRecorder = require('../utils/event_recorder');
+const { useConnection } = require('../utils/connection');
+const DatabaseManager = require('../utils/database');
+const EnhancedTokenScanner = require('../collectors/enhanced_token_scanner');
+const SocialMonitor = require('../collectors/social_monitor');
+const InfluencerTracker = require('../collectors/influencer_tracker');
+const TradingEngine = require('../executors/trading_engine');
+const VirtualClock = require('./virtual_clock');
+const ReplayConnection = require('./replay_connection');
+const logger = require('../utils/logger');
+
+// Settings replay must not inherit from the live environment
+const REPLAY_ENV = ['PAPER_TRADING', 'HELIUS_API_KEY', 'PRIVATE_KEY', 'RECORD_EVENTS'];
+
+// Feeds a recorded event log back through the scanner, social monitor,
+// influencer tracker and trading engine on a virtual clock, with no network:
+// HTTP and RPC requests are answered from the log, subscription notifications
+// are delivered at the time they were recorded. Always trades on paper,
+// into its own database.
+class ReplayDriver {
+    constructor({ files, dbPath = ':memory:', from = null, to = null, tail = 60000 }) {
+        this.files = files;
+        this.dbPath = dbPath;
+        this.from = from;
+        this.to = to;
+        this.tail = tail; // keep the clock running this long after the last event
+
+        this.connection = new ReplayConnection();
+        this.http = new Map(); // request key -> [response]
+        this.timeline = []; // time-driven events, oldest first
+        this.firstEventAt = null;
+        this.lastEventAt = null;
+        this.stats = {
+            loaded: 0,
+            dispatched: 0,
+            skipped: 0,
+            httpServed: 0,
+            httpMissing: {}
+        };
+    }
+
+    // A directory replays every recorded file in it, in name (= time) order
+    static resolveFiles(target) {
+        if (fs.statSync(target).isDirectory()) {
+            return fs.readdirSync(target)
+                .filter(name => name.endsWith('.jsonl.gz'))
+                .sort()
+                .map(name => path.join(target, name));
+        }
+        return [target];
+    }
+
+    async load() {
+        for (const file of this.files) {
+            for await (const event of eventRecorder.readEvents(file)) {
+                if ((this.from && event.t < this.from) || (this.to && event.t > this.to)) continue;
+
+                this.stats.loaded++;
+                this.firstEventAt = Math.min(this.firstEventAt ?? event.t, event.t);
+                this.lastEventAt = Math.max(this.lastEventAt ?? event.t, event.t);
+
+                if (event.stream === 'rpc') {
+                    this.connection.load(event);
+                } else if (event.stream === 'http') {
+                    const key = eventRecorder.requestKey('http', event.method, [event.url, event.params]);
+                    const queue = this.http.get(key) || [];
+                    queue.push(event);
+                    this.http.set(key, queue);
+                } else {
+                    this.timeline.push(event);
+                }
+            }
+        }
+
+        // Stable sort keeps same-millisecond events in recorded order
+        this.timeline.sort((a, b) => a.t - b.t);
+    }
+
+    // axios adapter answering from the log, repeating the last response once a request's run out
+    httpAdapter() {
+        return async (config) => {
+            const method = (config.method || 'get').toLowerCase();
+            const key = eventRecorder.requestKey('http', method, [config.url, config.params || null]);
+            const queue = this.http.get(key);
+
+            if (!queue || queue.length === 0) {
+                const host = this.hostOf(config.url);
+                this.stats.httpMissing[host] = (this.stats.httpMissing[host] || 0) + 1;
+                throw new axios.AxiosError('Replay: no recorded response', 'ECONNREFUSED', config);
+            }
+
+            const recorded = queue.length > 1 ? queue.shift() : queue[0];
+            this.stats.httpServed++;
+
+            const response = {
+                data: recorded.data,
+                status: recorded.status || 200,
+                statusText: '',
+                headers: {},
+                config: config,
+                request: {}
+            };
+
+            if (recorded.error && !recorded.status) {
+                throw new axios.AxiosError(recorded.error.message, recorded.error.code, config);
+            }
+            if (response.status >= 400) {
+                throw new axios.AxiosError(`Request failed with status code ${response.status}`,
+                    'ERR_BAD_RESPONSE', config, {}, response);
+            }
+            return response;
+        };
+    }
+
+    hostOf(url) {
+        try {
+            return new URL(url).host;
+        } catch (error) {
+            return 'unknown';
+        }
+    }
+
+    dispatch(event) {
+        if (event.stream === 'subscription') {
+            this.connection.dispatch(event);
+            this.stats.dispatched++;
+        } else {
+            this.stats.skipped++;
+        }
+    }
+
+    // Same wiring as the app
+    createComponents() {
+        const db = new DatabaseManager(this.dbPath);
+        const scanner = new EnhancedTokenScanner(db);
+        const trading = new TradingEngine(db, {
+            tradeFlow: scanner.tradeFlow,
+            pumpFun: scanner.pumpFunScanner,
+            pools: scanner.poolState
+        });
+        const social = new SocialMonitor(db);
+        const influencer = new InfluencerTracker(db, trading);
+
+        scanner.migrationWatcher.on('migration', (migration) => trading.onMigration(migration));
+
+        return { db, scanner, trading, social, influencer };
+    }
+
+    startComponents({ scanner, trading, social, influencer }) {
+        const starts = [
+            scanner.startScanning(),
+            social.startMonitoring(),
+            trading.startTrading(),
+            influencer.startTracking()
+        ];
+
+        // Live, the Raydium subscriptions need a Helius key; replay them whenever they were recorded
+        const raydium = scanner.registry.get('raydium');
+        const programs = raydium ? [raydium.config.raydiumV4, raydium.config.raydiumCPMM] : [];
+        if (scanner.scannerConfigs.raydium?.enabled && this.timeline.some(event => event.method === 'onLogs' && programs.includes(event.filter))) {
+            raydium.setupWebSocketMonitoring();
+        }
+
+        return Promise.allSettled(starts);
+    }
+
+    stopComponents({ scanner, trading, social, influencer }) {
+        scanner.stopScanning();
+        social.stopMonitoring();
+        trading.stopTrading();
+        influencer.stopTracking();
+    }
+
+    async run() {
+        await this.load();
+        if (this.stats.loaded === 0) {
+            throw new Error('No recorded events in range');
+        }
+
+        const saved = {
+            env: Object.fromEntries(REPLAY_ENV.map(name => [name, process.env[name]])),
+            adapter: axios.defaults.adapter,
+            recording: eventRecorder.enabled
+        };
+
+        process.env.PAPER_TRADING = 'true';
+        delete process.env.HELIUS_API_KEY;
+        delete process.env.PRIVATE_KEY;
+        eventRecorder.enabled = false;
+
+        const clock = new VirtualClock(this.from || this.firstEventAt);
+        clock.install();
+        useConnection(this.connection.connection);
+        axios.defaults.adapter = this.httpAdapter();
+
+        logger.info(`⏪ Replaying ${this.stats.loaded} events from ${new Date(clock.now).toISOString()}`);
+
+        try {
+            const components = this.createComponents();
+            const started = this.startComponents(components);
+            await clock.advanceTo(clock.now);
+
+            for (const event of this.timeline) {
+                await clock.advanceTo(event.t);
+                this.dispatch(event);
+            }
+            await clock.advanceTo((this.to || this.lastEventAt) + this.tail);
+
+            this.stopComponents(components);
+            await VirtualClock.settle();
+
+            // Not awaited - a start still waiting on a timer would never finish now
+            started.then(results => results
+                .filter(result => result.status === 'rejected')
+                .forEach(result => logger.warn('Component failed to start during replay:', result.reason)));
+
+            return this.report(components, clock);
+        } finally {
+            clock.uninstall();
+            useConnection(null);
+            axios.defaults.adapter = saved.adapter;
+            eventRecorder.enabled = saved.recording;
+            for (const [name, value] of Object.entries(saved.env)) {
+                if (value === undefined) {
+                    delete process.env[name];
+                } else {
+                    process.env[name] = value;
+                }
+            }
+        }
+    }
+
+    report({ db, trading }, clock) {
+        return {
+            from: this.from || this.firstEventAt,
+            to: clock.now,
+            events: this.stats,
+            rpc: this.connection.getStats(),
+            clock: clock.stats,
+            tokens: db.db.prepare('SELECT COUNT(*) as count FROM tokens').get().count,
+            trades: db.db.prepare(`
+                SELECT token_address, side, amount, price, expected_price, sol_amount, status, profit_loss, executed_at
+                FROM trades ORDER BY id
+            `).all(),
+            riskDecisions: trading.riskManager.getRecentDecisions(trading.riskManager.maxDecisions),
+            paperBalance: trading.paperBalance
+        };
+    }
+}
+
+module.exports = ReplayDriver;
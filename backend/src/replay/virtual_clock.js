@@ -0,0 +1,137 @@
+// backend/src/replay/virtual_clock.js
+
+// Settles pending async work between timer firings. setImmediate is left
+// real, and each turn drains the microtask queue.
+const settle = async (turns = 20) => {
+    for (let i = 0; i < turns; i++) {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+};
+
+// Replaces Date, setTimeout and setInterval process-wide so recorded time can
+// be stepped through: timers only fire when advanceTo() passes them.
+class VirtualClock {
+    constructor(start) {
+        this.now = start;
+        this.timers = new Map(); // id -> { due, interval, callback, args }
+        this.nextId = 1;
+        this.real = null;
+        this.stats = {
+            timersFired: 0,
+            timerErrors: 0
+        };
+    }
+
+    install() {
+        if (this.real) return;
+
+        const clock = this;
+        const RealDate = Date;
+        this.real = {
+            Date: RealDate,
+            setTimeout: global.setTimeout,
+            clearTimeout: global.clearTimeout,
+            setInterval: global.setInterval,
+            clearInterval: global.clearInterval
+        };
+
+        class VirtualDate extends RealDate {
+            constructor(...args) {
+                if (args.length === 0) {
+                    super(clock.now);
+                } else {
+                    super(...args);
+                }
+            }
+
+            static now() {
+                return clock.now;
+            }
+        }
+
+        global.Date = VirtualDate;
+        global.setTimeout = (callback, delay, ...args) => this.schedule(callback, delay, args, false);
+        global.setInterval = (callback, delay, ...args) => this.schedule(callback, delay, args, true);
+        global.clearTimeout = (handle) => this.cancel(handle);
+        global.clearInterval = (handle) => this.cancel(handle);
+    }
+
+    uninstall() {
+        if (!this.real) return;
+        Object.assign(global, this.real);
+        this.real = null;
+        this.timers.clear();
+    }
+
+    schedule(callback, delay, args, interval) {
+        const id = this.nextId++;
+        const period = Math.max(1, Number(delay) || 0);
+        this.timers.set(id, { due: this.now + period, period, interval, callback, args });
+
+        // Enough of Node's Timeout API for callers that unref() or refresh()
+        const handle = {
+            id,
+            ref: () => handle,
+            unref: () => handle,
+            hasRef: () => false,
+            refresh: () => {
+                const timer = this.timers.get(id);
+                if (timer) timer.due = this.now + timer.period;
+                return handle;
+            },
+            [Symbol.toPrimitive]: () => id
+        };
+        return handle;
+    }
+
+    cancel(handle) {
+        if (handle === undefined || handle === null) return;
+        this.timers.delete(typeof handle === 'object' ? handle.id : Number(handle));
+    }
+
+    nextTimer(until) {
+        let next = null;
+        for (const [id, timer] of this.timers) {
+            if (timer.due <= until && (!next || timer.due < next.timer.due)) {
+                next = { id, timer };
+            }
+        }
+        return next;
+    }
+
+    // Fire every timer due up to `target`, in order, letting each one's async work settle
+    async advanceTo(target) {
+        await settle();
+
+        let next;
+        while ((next = this.nextTimer(target))) {
+            const { id, timer } = next;
+            this.now = Math.max(this.now, timer.due);
+
+            if (timer.interval) {
+                timer.due += timer.period;
+            } else {
+                this.timers.delete(id);
+            }
+
+            this.stats.timersFired++;
+            // Not awaited: the callback may itself be waiting on a later timer
+            try {
+                const result = timer.callback(...timer.args);
+                if (result && typeof result.catch === 'function') {
+                    result.catch(() => this.stats.timerErrors++);
+                }
+            } catch (error) {
+                this.stats.timerErrors++;
+            }
+            await settle();
+        }
+
+        this.now = Math.max(this.now, target);
+        await settle();
+    }
+}
+
+VirtualClock.settle = settle;
+
+module.exports = VirtualClock;
@@ -0,0 +1,39 @@
+// backend/src/utils/connection.js
+const { Connection } = require('@solana/web3.js');
+const eventRecorder = require('./event_recorder');
+
+// Components build their RPC connections here, so the event recorder can tap
+// them and a replay can substitute its own
+let override = null;
+
+function createConnection() {
+    if (override) return override;
+
+    const connection = new Connection(
+        process.env.HELIUS_API_KEY
+            ? `https://mainnet.helius-rpc.com/?api-key=${process.env.HELIUS_API_KEY}`
+            : process.env.SOLANA_RPC_URL
+    );
+    return eventRecorder.wrapConnection(connection);
+}
+
+// Every createConnection() call returns this connection until reset with null
+function useConnection(connection) {
+    override = connection;
+}
+
+// Websocket endpoint for the RPC createConnection() talks to, derived the same
+// way web3.js does (port + 1 when one is given). Null while an override is in
+// use - its subscriptions aren't ours to manage.
+function getWsEndpoint() {
+    if (override) return null;
+    if (process.env.SOLANA_WS_URL) return process.env.SOLANA_WS_URL;
+    if (process.env.HELIUS_API_KEY) return `wss://mainnet.helius-rpc.com/?api-key=${process.env.HELIUS_API_KEY}`;
+
+    const url = new URL(process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com');
+    url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+    if (url.port) url.port = String(Number(url.port) + 1);
+    return url.toString();
+}
+
+module.exports = { createConnection, useConnection, getWsEndpoint };
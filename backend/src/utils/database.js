@@ -1,16 +1,39 @@
 const Database = require('better-sqlite3');
 const path = require('path');
+const { parseMetadata } = require('./metadata');
 const logger = require('./logger');
 
+// Live trades move through these states; paper trades are booked as 'completed'
+const TRADE_TRANSITIONS = {
+    pending: ['submitted', 'failed'],
+    submitted: ['submitted', 'confirmed', 'failed', 'expired', 'needs_reconcile'],
+    expired: ['submitted', 'failed'],
+    confirmed: ['confirmed', 'needs_reconcile', 'finalized'],
+    // Landed (or may have) but the fill couldn't be read - confirmed, or failed
+    // if it turns out never to have landed, once it's been worked out
+    needs_reconcile: ['confirmed', 'finalized', 'failed'],
+    finalized: ['finalized', 'needs_reconcile'],
+    failed: []
+};
+
 class DatabaseManager {
-    constructor() {
-        const dbPath = path.join(__dirname, '../../../data/trading.db');
+    constructor(dbPath = path.join(__dirname, '../../../data/trading.db')) {
         console.log('Attempting to create database at:', dbPath);
         this.db = new Database(dbPath);
+        this.registerFunctions();
         this.initTables();
         this.migrateDatabase();
     }
 
+    // Writes take their time from the process clock rather than SQLite's, so a
+    // replay under a virtual clock stores the times the events happened at.
+    // Same format as CURRENT_TIMESTAMP.
+    registerFunctions() {
+        this.db.function('now_utc', { deterministic: false }, () =>
+            new Date().toISOString().replace('T', ' ').slice(0, 19)
+        );
+    }
+
     initTables() {
         // Tokens table - tracks discovered tokens
         this.db.exec(`
@@ -29,7 +52,8 @@ class DatabaseManager {
                 source TEXT DEFAULT 'unknown',
                 metadata TEXT,
                 is_pump_fun BOOLEAN DEFAULT 0,
-                deployment_type TEXT
+                deployment_type TEXT,
+                risk_breakdown TEXT
             )
         `);
 
@@ -41,23 +65,78 @@ class DatabaseManager {
                 side TEXT NOT NULL,
                 amount REAL NOT NULL,
                 price REAL NOT NULL,
+                expected_price REAL,
                 sol_amount REAL NOT NULL,
                 signature TEXT UNIQUE,
                 status TEXT DEFAULT 'pending',
                 profit_loss REAL DEFAULT 0,
+                attempts INTEGER DEFAULT 0,
+                priority_fee REAL DEFAULT 0,
+                network_fee REAL DEFAULT 0,
+                bundle_id TEXT,
+                jito_tip REAL DEFAULT 0,
+                error TEXT,
+                strategy TEXT,
+                mode TEXT DEFAULT 'live',
                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                executed_at DATETIME
+                executed_at DATETIME,
+                finalized_at DATETIME
             )
         `);
 
-        // Portfolio table - current positions
+        // Portfolio table - current positions, paper and live side by side
         this.db.exec(`
             CREATE TABLE IF NOT EXISTS portfolio (
-                token_address TEXT PRIMARY KEY,
+                token_address TEXT NOT NULL,
+                mode TEXT NOT NULL DEFAULT 'live',
                 balance REAL NOT NULL,
                 avg_buy_price REAL NOT NULL,
                 total_invested REAL NOT NULL,
-                last_updated DATETIME DEFAULT CURRENT_TIMESTAMP
+                strategy TEXT,
+                exit_state TEXT,
+                opened_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                last_updated DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (token_address, mode)
+            )
+        `);
+
+        // One lot per buy; sells consume lots oldest first and record each lot's share
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS position_lots (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                token_address TEXT NOT NULL,
+                mode TEXT NOT NULL DEFAULT 'live',
+                strategy TEXT,
+                buy_trade_id INTEGER,
+                amount REAL NOT NULL,
+                remaining REAL NOT NULL,
+                cost REAL NOT NULL,
+                price REAL NOT NULL,
+                opened_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                closed_at DATETIME
+            )
+        `);
+        this.db.exec('CREATE INDEX IF NOT EXISTS idx_lots_position ON position_lots (token_address, mode, remaining)');
+
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS lot_sales (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                lot_id INTEGER,
+                sell_trade_id INTEGER,
+                amount REAL NOT NULL,
+                cost REAL NOT NULL,
+                proceeds REAL NOT NULL,
+                profit_loss REAL NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Paper account - single row holding the simulated SOL balance
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS paper_account (
+                id INTEGER PRIMARY KEY CHECK (id = 1),
+                balance REAL NOT NULL,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
             )
         `);
 
@@ -74,6 +153,83 @@ class DatabaseManager {
             )
         `);
 
+        // On-chain swaps of watched tokens (timestamp in ms)
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS swaps (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                token_address TEXT NOT NULL,
+                signature TEXT NOT NULL,
+                wallet TEXT,
+                side TEXT NOT NULL,
+                sol_amount REAL NOT NULL,
+                token_amount REAL NOT NULL,
+                price REAL,
+                venue TEXT,
+                timestamp INTEGER NOT NULL,
+                UNIQUE(token_address, signature)
+            )
+        `);
+        this.db.exec('CREATE INDEX IF NOT EXISTS idx_swaps_token_time ON swaps (token_address, timestamp)');
+
+        // Latest rolling-window trade flow per token
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS trade_flow (
+                token_address TEXT NOT NULL,
+                window TEXT NOT NULL,
+                trades INTEGER,
+                buys INTEGER,
+                sells INTEGER,
+                buy_volume REAL,
+                sell_volume REAL,
+                unique_wallets INTEGER,
+                unique_buyers INTEGER,
+                net_flow REAL,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (token_address, window)
+            )
+        `);
+
+        // OHLCV candles, prices in SOL (start_time/close_time in ms)
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS candles (
+                token_address TEXT NOT NULL,
+                resolution TEXT NOT NULL,
+                start_time INTEGER NOT NULL,
+                open REAL NOT NULL,
+                high REAL NOT NULL,
+                low REAL NOT NULL,
+                close REAL NOT NULL,
+                volume REAL DEFAULT 0,
+                trades INTEGER DEFAULT 0,
+                close_time INTEGER,
+                source TEXT,
+                PRIMARY KEY (token_address, resolution, start_time)
+            )
+        `);
+        this.db.exec('CREATE INDEX IF NOT EXISTS idx_candles_resolution_time ON candles (resolution, start_time)');
+
+        // Pools seen created on-chain (reserves in raw units, open_time in seconds)
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS pools (
+                address TEXT PRIMARY KEY,
+                pool_type TEXT NOT NULL,
+                program_id TEXT NOT NULL,
+                base_mint TEXT NOT NULL,
+                quote_mint TEXT NOT NULL,
+                base_vault TEXT,
+                quote_vault TEXT,
+                lp_mint TEXT,
+                initial_base_reserve TEXT,
+                initial_quote_reserve TEXT,
+                open_time INTEGER,
+                creator TEXT,
+                signature TEXT,
+                created_at INTEGER
+            )
+        `);
+        this.db.exec('CREATE INDEX IF NOT EXISTS idx_pools_base_mint ON pools (base_mint)');
+        this.db.exec('CREATE INDEX IF NOT EXISTS idx_pools_quote_mint ON pools (quote_mint)');
+
         // Influencer calls table
         this.db.exec(`
             CREATE TABLE IF NOT EXISTS influencer_calls (
@@ -109,6 +265,68 @@ class DatabaseManager {
             if (!columns.includes('deployment_type')) {
                 this.db.exec("ALTER TABLE tokens ADD COLUMN deployment_type TEXT");
             }
+            if (!columns.includes('risk_breakdown')) {
+                this.db.exec("ALTER TABLE tokens ADD COLUMN risk_breakdown TEXT");
+            }
+
+            const tradeColumns = this.db.prepare("PRAGMA table_info(trades)").all().map(col => col.name);
+            if (!tradeColumns.includes('attempts')) {
+                this.db.exec("ALTER TABLE trades ADD COLUMN attempts INTEGER DEFAULT 0");
+            }
+            if (!tradeColumns.includes('error')) {
+                this.db.exec("ALTER TABLE trades ADD COLUMN error TEXT");
+            }
+            if (!tradeColumns.includes('finalized_at')) {
+                this.db.exec("ALTER TABLE trades ADD COLUMN finalized_at DATETIME");
+            }
+            if (!tradeColumns.includes('priority_fee')) {
+                this.db.exec("ALTER TABLE trades ADD COLUMN priority_fee REAL DEFAULT 0");
+            }
+            if (!tradeColumns.includes('network_fee')) {
+                this.db.exec("ALTER TABLE trades ADD COLUMN network_fee REAL DEFAULT 0");
+            }
+            if (!tradeColumns.includes('bundle_id')) {
+                this.db.exec("ALTER TABLE trades ADD COLUMN bundle_id TEXT");
+            }
+            if (!tradeColumns.includes('jito_tip')) {
+                this.db.exec("ALTER TABLE trades ADD COLUMN jito_tip REAL DEFAULT 0");
+            }
+            if (!tradeColumns.includes('expected_price')) {
+                this.db.exec("ALTER TABLE trades ADD COLUMN expected_price REAL");
+            }
+            if (!tradeColumns.includes('strategy')) {
+                this.db.exec("ALTER TABLE trades ADD COLUMN strategy TEXT");
+            }
+            if (!tradeColumns.includes('mode')) {
+                // Paper fills have always been signed PAPER_<time>_<id>
+                this.db.transaction(() => {
+                    this.db.exec("ALTER TABLE trades ADD COLUMN mode TEXT DEFAULT 'live'");
+                    this.db.exec("UPDATE trades SET mode = 'paper' WHERE signature LIKE 'PAPER\\_%' ESCAPE '\\'");
+                })();
+            }
+
+            // Portfolio gained a mode column in its primary key, which needs a table rebuild
+            const portfolioColumns = this.db.prepare("PRAGMA table_info(portfolio)").all().map(col => col.name);
+            if (!portfolioColumns.includes('mode')) {
+                this.db.transaction(() => {
+                    this.db.exec("ALTER TABLE portfolio RENAME TO portfolio_old");
+                    this.initTables();
+                    this.db.exec(`
+                        INSERT INTO portfolio
+                        (token_address, mode, balance, avg_buy_price, total_invested, opened_at, last_updated)
+                        SELECT token_address, 'live', balance, avg_buy_price, total_invested, last_updated, last_updated
+                        FROM portfolio_old
+                    `);
+                    this.db.exec("DROP TABLE portfolio_old");
+                })();
+            }
+            const positionColumns = this.db.prepare("PRAGMA table_info(portfolio)").all().map(col => col.name);
+            if (!positionColumns.includes('strategy')) {
+                this.db.exec("ALTER TABLE portfolio ADD COLUMN strategy TEXT");
+            }
+            if (!positionColumns.includes('exit_state')) {
+                this.db.exec("ALTER TABLE portfolio ADD COLUMN exit_state TEXT");
+            }
             
             logger.info('Database migration completed');
         } catch (error) {
@@ -120,14 +338,17 @@ class DatabaseManager {
     addToken(tokenData) {
         const stmt = this.db.prepare(`
             INSERT OR REPLACE INTO tokens 
-            (address, symbol, name, market_cap, liquidity, holders, social_score, risk_score, source, metadata, is_pump_fun, deployment_type)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            (address, symbol, name, market_cap, liquidity, holders, social_score, risk_score, source, metadata, is_pump_fun, deployment_type, risk_breakdown)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `);
         
         // Parse metadata if it's an object
         const metadata = typeof tokenData.metadata === 'object' 
             ? JSON.stringify(tokenData.metadata) 
             : tokenData.metadata;
+        const riskBreakdown = typeof tokenData.riskBreakdown === 'object'
+            ? JSON.stringify(tokenData.riskBreakdown)
+            : tokenData.riskBreakdown;
         
         return stmt.run(
             tokenData.address,
@@ -141,10 +362,46 @@ class DatabaseManager {
             tokenData.source || 'unknown',
             metadata || null,
             tokenData.isPumpFun ? 1 : 0,
-            tokenData.deploymentType || null
+            tokenData.deploymentType || null,
+            riskBreakdown || null
         );
     }
 
+    getToken(address) {
+        return this.db.prepare('SELECT * FROM tokens WHERE address = ?').get(address);
+    }
+
+    // Merge fields into a token's metadata JSON without clobbering what scanners stored
+    updateTokenMetadata(address, fields) {
+        const token = this.getToken(address);
+        if (!token) return null;
+
+        return this.db.prepare('UPDATE tokens SET metadata = ? WHERE address = ?')
+            .run(JSON.stringify({ ...parseMetadata(token.metadata), ...fields }), address);
+    }
+
+    // A pump.fun token that left its bonding curve now trades on the destination DEX
+    recordMigration(address, migration) {
+        const result = this.db.prepare(`
+            UPDATE tokens SET source = ?, deployment_type = 'migrated' WHERE address = ?
+        `).run(migration.destination, address);
+
+        if (result.changes > 0) {
+            this.updateTokenMetadata(address, {
+                migration: {
+                    destination: migration.destination,
+                    pool: migration.pool,
+                    initialReserves: migration.initialReserves,
+                    initialPrice: migration.initialPrice,
+                    signature: migration.signature,
+                    migratedAt: migration.timestamp
+                }
+            });
+        }
+
+        return result;
+    }
+
     getViableTokens(limit = 20) {
         const stmt = this.db.prepare(`
             SELECT * FROM tokens 
@@ -156,6 +413,15 @@ class DatabaseManager {
         return stmt.all(process.env.MIN_LIQUIDITY || 500, limit);
     }
 
+    // to: ms timestamp
+    getTokensDiscoveredBefore(to) {
+        return this.db.prepare(`
+            SELECT * FROM tokens
+            WHERE discovered_at <= ?
+            ORDER BY discovered_at ASC
+        `).all(new Date(to).toISOString().replace('T', ' ').slice(0, 19));
+    }
+
     getPumpFunTokens(limit = 20) {
         const stmt = this.db.prepare(`
             SELECT * FROM tokens 
@@ -181,37 +447,524 @@ class DatabaseManager {
     recordTrade(tradeData) {
         const stmt = this.db.prepare(`
             INSERT INTO trades 
-            (token_address, side, amount, price, sol_amount, signature, status)
-            VALUES (?, ?, ?, ?, ?, ?, ?)
+            (token_address, side, amount, price, expected_price, sol_amount, signature, status, priority_fee, network_fee, strategy, mode, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, now_utc())
         `);
         return stmt.run(
             tradeData.tokenAddress,
             tradeData.side,
             tradeData.amount,
             tradeData.price,
+            tradeData.expectedPrice || null,
             tradeData.solAmount,
             tradeData.signature,
-            tradeData.status || 'pending'
+            tradeData.status || 'pending',
+            tradeData.priorityFee || 0,
+            tradeData.networkFee || 0,
+            tradeData.strategy || null,
+            tradeData.mode || 'live'
         );
     }
 
     updateTradeStatus(signature, status, profitLoss = null) {
         const stmt = this.db.prepare(`
             UPDATE trades 
-            SET status = ?, profit_loss = ?, executed_at = CURRENT_TIMESTAMP
+            SET status = ?, profit_loss = ?, executed_at = now_utc()
             WHERE signature = ?
         `);
         return stmt.run(status, profitLoss, signature);
     }
 
-    getDailyPnL() {
+    getTrade(tradeId) {
+        return this.db.prepare('SELECT * FROM trades WHERE id = ?').get(tradeId);
+    }
+
+    // Move a live trade to its next state, optionally updating fill details
+    updateTradeState(tradeId, status, fields = {}) {
+        const trade = this.getTrade(tradeId);
+        if (!trade) {
+            throw new Error(`Trade ${tradeId} not found`);
+        }
+
+        // Fill details can be written after finality was seen; the trade stays finalized
+        if (status === 'confirmed' && trade.finalized_at) {
+            status = 'finalized';
+        }
+
+        const allowed = TRADE_TRANSITIONS[trade.status] || [];
+        if (!allowed.includes(status)) {
+            throw new Error(`Invalid trade transition ${trade.status} -> ${status} for trade ${tradeId}`);
+        }
+
+        const columns = {
+            signature: fields.signature,
+            amount: fields.amount,
+            price: fields.price,
+            sol_amount: fields.solAmount,
+            profit_loss: fields.profitLoss,
+            attempts: fields.attempts,
+            priority_fee: fields.priorityFee,
+            network_fee: fields.networkFee,
+            bundle_id: fields.bundleId,
+            jito_tip: fields.jitoTip,
+            error: fields.error
+        };
+
+        const updates = ['status = ?'];
+        const values = [status];
+        for (const [column, value] of Object.entries(columns)) {
+            if (value !== undefined) {
+                updates.push(`${column} = ?`);
+                values.push(value);
+            }
+        }
+        if (status === 'confirmed' || status === 'finalized') {
+            updates.push('executed_at = COALESCE(executed_at, now_utc())');
+        }
+
+        return this.db.prepare(`
+            UPDATE trades SET ${updates.join(', ')} WHERE id = ?
+        `).run(...values, tradeId);
+    }
+
+    // A trade still being reconciled keeps that status; it finalizes once its fill is confirmed
+    markTradeFinalized(tradeId) {
+        return this.db.prepare(`
+            UPDATE trades SET
+                finalized_at = now_utc(),
+                status = CASE WHEN status = 'confirmed' THEN 'finalized' ELSE status END
+            WHERE id = ?
+        `).run(tradeId);
+    }
+
+    // Portfolio tracking - mode is 'paper' or 'live'
+    getPosition(tokenAddress, mode = 'live') {
+        return this.db.prepare(
+            'SELECT * FROM portfolio WHERE token_address = ? AND mode = ?'
+        ).get(tokenAddress, mode);
+    }
+
+    getOpenPositions(mode = 'live') {
+        return this.db.prepare(`
+            SELECT p.*, t.symbol, t.name, t.is_pump_fun
+            FROM portfolio p
+            LEFT JOIN tokens t ON p.token_address = t.address
+            WHERE p.mode = ? AND p.balance > 0
+            ORDER BY p.opened_at
+        `).all(mode);
+    }
+
+    countOpenPositions(mode = 'live') {
+        return this.db.prepare(
+            'SELECT COUNT(*) as count FROM portfolio WHERE mode = ? AND balance > 0'
+        ).get(mode)?.count || 0;
+    }
+
+    // strategy tags the position when it opens; adding to it keeps the original tag
+    addToPosition(tokenAddress, tokenAmount, solAmount, mode = 'live', strategy = null) {
+        const existing = this.getPosition(tokenAddress, mode);
+
+        // Adding to an open position keeps its original open time
+        if (existing && existing.balance > 0) {
+            const balance = existing.balance + tokenAmount;
+            const totalInvested = existing.total_invested + solAmount;
+
+            return this.db.prepare(`
+                UPDATE portfolio
+                SET balance = ?, avg_buy_price = ?, total_invested = ?, last_updated = now_utc()
+                WHERE token_address = ? AND mode = ?
+            `).run(balance, totalInvested / balance, totalInvested, tokenAddress, mode);
+        }
+
+        return this.db.prepare(`
+            INSERT OR REPLACE INTO portfolio
+            (token_address, mode, balance, avg_buy_price, total_invested, strategy, exit_state, opened_at, last_updated)
+            VALUES (?, ?, ?, ?, ?, ?, NULL, now_utc(), now_utc())
+        `).run(tokenAddress, mode, tokenAmount, solAmount / tokenAmount, solAmount, strategy);
+    }
+
+    // costBasis is the cost of the tokens sold (from their lots); without it the average price is used
+    reducePosition(tokenAddress, tokenAmount, mode = 'live', costBasis = null) {
+        const existing = this.getPosition(tokenAddress, mode);
+        if (!existing) return null;
+
+        const balance = Math.max(0, existing.balance - tokenAmount);
+        const sold = costBasis ?? existing.avg_buy_price * tokenAmount;
+        const totalInvested = balance > 0 ? Math.max(0, existing.total_invested - sold) : 0;
+        const avgBuyPrice = balance > 0 ? totalInvested / balance : existing.avg_buy_price;
+
+        const stmt = this.db.prepare(`
+            UPDATE portfolio
+            SET balance = ?, total_invested = ?, avg_buy_price = ?, last_updated = now_utc()
+            WHERE token_address = ? AND mode = ?
+        `);
+        return stmt.run(balance, totalInvested, avgBuyPrice, tokenAddress, mode);
+    }
+
+    setExitState(tokenAddress, mode, state) {
+        return this.db.prepare(`
+            UPDATE portfolio SET exit_state = ? WHERE token_address = ? AND mode = ?
+        `).run(state ? JSON.stringify(state) : null, tokenAddress, mode);
+    }
+
+    // Lots
+    openLot({ tokenAddress, mode, strategy, tradeId, amount, cost }) {
+        return this.db.prepare(`
+            INSERT INTO position_lots
+            (token_address, mode, strategy, buy_trade_id, amount, remaining, cost, price, opened_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, now_utc())
+        `).run(tokenAddress, mode, strategy || null, tradeId || null, amount, amount, cost, cost / amount);
+    }
+
+    getLots(tokenAddress, mode = 'live', { open = true } = {}) {
+        return this.db.prepare(`
+            SELECT * FROM position_lots
+            WHERE token_address = ? AND mode = ? ${open ? 'AND remaining > 0' : ''}
+            ORDER BY id
+        `).all(tokenAddress, mode);
+    }
+
+    // Sells amount tokens for proceeds SOL out of the oldest lots first, splitting
+    // proceeds pro rata. Tokens not covered by lots (positions from before lots
+    // were kept) are costed at the position's average price.
+    // Returns { cost, profitLoss, sales: [{ lotId, amount, cost, proceeds, profitLoss }] }
+    closeLots(tokenAddress, mode, amount, proceeds, sellTradeId = null) {
+        const position = this.getPosition(tokenAddress, mode);
+        const sales = [];
+        let left = amount;
+
+        this.db.transaction(() => {
+            for (const lot of this.getLots(tokenAddress, mode)) {
+                if (left <= 0) break;
+
+                // Dust from float rounding closes the lot
+                const take = Math.min(lot.remaining, left);
+                const remaining = lot.remaining - take <= lot.amount * 1e-9 ? 0 : lot.remaining - take;
+                const cost = lot.price * take;
+                const share = amount > 0 ? proceeds * take / amount : 0;
+
+                this.db.prepare(`
+                    UPDATE position_lots SET remaining = ?, closed_at = CASE WHEN ? = 0 THEN now_utc() ELSE NULL END
+                    WHERE id = ?
+                `).run(remaining, remaining, lot.id);
+
+                sales.push({ lotId: lot.id, amount: take, cost, proceeds: share, profitLoss: share - cost });
+                left -= take;
+            }
+
+            if (left > amount * 1e-9) {
+                const cost = (position?.avg_buy_price || 0) * left;
+                const share = proceeds * left / amount;
+                sales.push({ lotId: null, amount: left, cost, proceeds: share, profitLoss: share - cost });
+            }
+
+            const insert = this.db.prepare(`
+                INSERT INTO lot_sales (lot_id, sell_trade_id, amount, cost, proceeds, profit_loss, created_at)
+                VALUES (?, ?, ?, ?, ?, ?, now_utc())
+            `);
+            for (const sale of sales) {
+                insert.run(sale.lotId, sellTradeId, sale.amount, sale.cost, sale.proceeds, sale.profitLoss);
+            }
+        })();
+
+        const cost = sales.reduce((sum, sale) => sum + sale.cost, 0);
+        return { cost, profitLoss: proceeds - cost, sales };
+    }
+
+    getLotSales(sellTradeId) {
+        return this.db.prepare('SELECT * FROM lot_sales WHERE sell_trade_id = ? ORDER BY id').all(sellTradeId);
+    }
+
+    // SOL currently invested in open positions, optionally narrowed to one source, deployer or strategy
+    getExposure(mode = 'live', { source, creator, strategy } = {}) {
+        const conditions = ['p.mode = ?', 'p.balance > 0'];
+        const params = [mode];
+
+        if (strategy) {
+            conditions.push('p.strategy = ?');
+            params.push(strategy);
+        }
+        if (source) {
+            conditions.push('t.source = ?');
+            params.push(source);
+        }
+        if (creator) {
+            conditions.push("json_extract(t.metadata, '$.creator') = ?");
+            params.push(creator);
+        }
+
+        return this.db.prepare(`
+            SELECT SUM(p.total_invested) as exposure
+            FROM portfolio p
+            LEFT JOIN tokens t ON p.token_address = t.address
+            WHERE ${conditions.join(' AND ')}
+        `).get(...params)?.exposure || 0;
+    }
+
+    getPaperBalance() {
+        const row = this.db.prepare('SELECT balance FROM paper_account WHERE id = 1').get();
+        return row ? row.balance : null;
+    }
+
+    setPaperBalance(balance) {
+        return this.db.prepare(`
+            INSERT OR REPLACE INTO paper_account (id, balance, updated_at)
+            VALUES (1, ?, now_utc())
+        `).run(balance);
+    }
+
+    // Priority fees paid today. Only a transaction that lands pays its fee (even one
+    // that fails on-chain), so attempts whose blockhash expired are recorded as 0.
+    getDailyPriorityFees(mode = 'live') {
+        const stmt = this.db.prepare(`
+            SELECT SUM(priority_fee) as fees
+            FROM trades
+            WHERE DATE(created_at) = DATE(now_utc())
+            AND mode = ?
+        `);
+        return stmt.get(mode)?.fees || 0;
+    }
+
+    getDailyPnL(mode = 'live') {
         const stmt = this.db.prepare(`
             SELECT SUM(profit_loss) as daily_pnl 
             FROM trades 
-            WHERE DATE(executed_at) = DATE('now') 
-            AND status = 'completed'
+            WHERE DATE(executed_at) = DATE(now_utc()) 
+            AND status IN ('completed', 'confirmed', 'finalized')
+            AND mode = ?
+        `);
+        return stmt.get(mode)?.daily_pnl || 0;
+    }
+
+    // Most recent closed (sell) trades, newest first
+    getRecentClosedTrades(limit = 10, mode = 'live') {
+        return this.db.prepare(`
+            SELECT * FROM trades
+            WHERE side = 'sell'
+            AND status IN ('completed', 'confirmed', 'finalized')
+            AND executed_at IS NOT NULL
+            AND mode = ?
+            ORDER BY executed_at DESC, id DESC
+            LIMIT ?
+        `).all(mode, limit);
+    }
+
+    // Realized P&L from closed trades and open exposure, per strategy tag
+    getStrategyPerformance(mode = 'live') {
+        const realized = this.db.prepare(`
+            SELECT COALESCE(strategy, 'untagged') as strategy,
+                   COUNT(*) as closed_trades,
+                   SUM(CASE WHEN profit_loss > 0 THEN 1 ELSE 0 END) as winning_trades,
+                   SUM(profit_loss) as realized_pnl
+            FROM trades
+            WHERE side = 'sell' AND status IN ('completed', 'confirmed', 'finalized') AND mode = ?
+            GROUP BY COALESCE(strategy, 'untagged')
+        `).all(mode);
+
+        const open = this.db.prepare(`
+            SELECT COALESCE(strategy, 'untagged') as strategy,
+                   COUNT(*) as open_positions,
+                   SUM(total_invested) as exposure
+            FROM portfolio
+            WHERE mode = ? AND balance > 0
+            GROUP BY COALESCE(strategy, 'untagged')
+        `).all(mode);
+
+        const bought = this.db.prepare(`
+            SELECT COALESCE(strategy, 'untagged') as strategy, COUNT(*) as entries, SUM(sol_amount) as invested
+            FROM trades
+            WHERE side = 'buy' AND status IN ('completed', 'confirmed', 'finalized') AND mode = ?
+            GROUP BY COALESCE(strategy, 'untagged')
+        `).all(mode);
+
+        const performance = {};
+        const entry = (name) => performance[name] || (performance[name] = {
+            strategy: name, entries: 0, invested: 0, closed_trades: 0, winning_trades: 0,
+            realized_pnl: 0, open_positions: 0, exposure: 0
+        });
+
+        for (const row of bought) Object.assign(entry(row.strategy), { entries: row.entries, invested: row.invested || 0 });
+        for (const row of realized) {
+            Object.assign(entry(row.strategy), {
+                closed_trades: row.closed_trades,
+                winning_trades: row.winning_trades,
+                realized_pnl: row.realized_pnl || 0
+            });
+        }
+        for (const row of open) Object.assign(entry(row.strategy), { open_positions: row.open_positions, exposure: row.exposure || 0 });
+
+        return Object.values(performance);
+    }
+
+    // Pools
+    savePool(pool) {
+        return this.db.prepare(`
+            INSERT OR IGNORE INTO pools
+            (address, pool_type, program_id, base_mint, quote_mint, base_vault, quote_vault, lp_mint,
+             initial_base_reserve, initial_quote_reserve, open_time, creator, signature, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            pool.address,
+            pool.poolType,
+            pool.programId,
+            pool.baseMint,
+            pool.quoteMint,
+            pool.baseVault || null,
+            pool.quoteVault || null,
+            pool.lpMint || null,
+            pool.baseReserve?.toString() ?? null,
+            pool.quoteReserve?.toString() ?? null,
+            pool.openTime ?? null,
+            pool.creator || null,
+            pool.signature || null,
+            pool.createdAt || Date.now()
+        );
+    }
+
+    getPool(address) {
+        return this.db.prepare('SELECT * FROM pools WHERE address = ?').get(address);
+    }
+
+    // Pools trading a mint against anything, oldest first
+    getPoolsForMint(mint) {
+        return this.db.prepare(`
+            SELECT * FROM pools WHERE base_mint = ? OR quote_mint = ? ORDER BY created_at
+        `).all(mint, mint);
+    }
+
+    // Trade flow
+    recordSwap(swap) {
+        return this.db.prepare(`
+            INSERT OR IGNORE INTO swaps
+            (token_address, signature, wallet, side, sol_amount, token_amount, price, venue, timestamp)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            swap.tokenAddress,
+            swap.signature,
+            swap.wallet || null,
+            swap.side,
+            swap.solAmount,
+            swap.tokenAmount,
+            swap.price ?? null,
+            swap.venue || null,
+            swap.timestamp
+        );
+    }
+
+    getSwaps(tokenAddress, since = 0) {
+        return this.db.prepare(`
+            SELECT * FROM swaps
+            WHERE token_address = ? AND timestamp >= ?
+            ORDER BY timestamp ASC
+        `).all(tokenAddress, since);
+    }
+
+    deleteSwapsBefore(cutoff) {
+        return this.db.prepare('DELETE FROM swaps WHERE timestamp < ?').run(cutoff);
+    }
+
+    saveTradeFlow(tokenAddress, windows) {
+        const stmt = this.db.prepare(`
+            INSERT OR REPLACE INTO trade_flow
+            (token_address, window, trades, buys, sells, buy_volume, sell_volume, unique_wallets, unique_buyers, net_flow, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, now_utc())
+        `);
+
+        this.db.transaction(() => {
+            for (const [window, flow] of Object.entries(windows)) {
+                stmt.run(tokenAddress, window, flow.trades, flow.buys, flow.sells, flow.buyVolume,
+                    flow.sellVolume, flow.uniqueWallets, flow.uniqueBuyers, flow.netFlow);
+            }
+        })();
+    }
+
+    getTradeFlow(tokenAddress) {
+        return this.db.prepare('SELECT * FROM trade_flow WHERE token_address = ?').all(tokenAddress);
+    }
+
+    // Candles
+    // Merge one price tick into its candle; ticks may arrive out of order, so
+    // the close only moves forward in time
+    upsertCandle(tick) {
+        return this.db.prepare(`
+            INSERT INTO candles
+            (token_address, resolution, start_time, open, high, low, close, volume, trades, close_time, source)
+            VALUES (@tokenAddress, @resolution, @startTime, @price, @price, @price, @price, @volume, @trades, @timestamp, @source)
+            ON CONFLICT (token_address, resolution, start_time) DO UPDATE SET
+                high = MAX(high, excluded.high),
+                low = MIN(low, excluded.low),
+                close = CASE WHEN excluded.close_time >= close_time THEN excluded.close ELSE close END,
+                close_time = MAX(close_time, excluded.close_time),
+                volume = volume + excluded.volume,
+                trades = trades + excluded.trades,
+                source = CASE WHEN source = excluded.source THEN source ELSE 'mixed' END
+        `).run(tick);
+    }
+
+    replaceCandles(candles) {
+        const stmt = this.db.prepare(`
+            INSERT OR REPLACE INTO candles
+            (token_address, resolution, start_time, open, high, low, close, volume, trades, close_time, source)
+            VALUES (@tokenAddress, @resolution, @startTime, @open, @high, @low, @close, @volume, @trades, @closeTime, @source)
         `);
-        return stmt.get()?.daily_pnl || 0;
+
+        this.db.transaction(() => {
+            for (const candle of candles) stmt.run(candle);
+        })();
+    }
+
+    getCandles(tokenAddress, resolution, { from = 0, to = Date.now(), limit = 500 } = {}) {
+        // Newest `limit` candles in the range, returned oldest first for charting
+        return this.db.prepare(`
+            SELECT * FROM (
+                SELECT * FROM candles
+                WHERE token_address = ? AND resolution = ? AND start_time >= ? AND start_time <= ?
+                ORDER BY start_time DESC
+                LIMIT ?
+            ) ORDER BY start_time ASC
+        `).all(tokenAddress, resolution, from, to, limit);
+    }
+
+    getCandlesBetween(resolution, from, to) {
+        return this.db.prepare(`
+            SELECT * FROM candles
+            WHERE resolution = ? AND start_time >= ? AND start_time <= ?
+            ORDER BY start_time ASC
+        `).all(resolution, from, to);
+    }
+
+    // First and last stored candle start at a resolution; nulls when there are none
+    getCandleRange(resolution) {
+        return this.db.prepare(`
+            SELECT MIN(start_time) AS "from", MAX(start_time) AS "to"
+            FROM candles WHERE resolution = ?
+        `).get(resolution);
+    }
+
+    getCandlesSince(resolution, since) {
+        return this.db.prepare(`
+            SELECT * FROM candles
+            WHERE resolution = ? AND start_time >= ?
+            ORDER BY token_address, start_time ASC
+        `).all(resolution, since);
+    }
+
+    deleteCandlesBefore(resolution, cutoff) {
+        return this.db.prepare('DELETE FROM candles WHERE resolution = ? AND start_time < ?')
+            .run(resolution, cutoff);
+    }
+
+    getLastLosingTrade(tokenAddress, mode = 'live') {
+        return this.db.prepare(`
+            SELECT * FROM trades
+            WHERE token_address = ?
+            AND side = 'sell'
+            AND status IN ('completed', 'confirmed', 'finalized')
+            AND profit_loss < 0
+            AND mode = ?
+            ORDER BY executed_at DESC, id DESC
+            LIMIT 1
+        `).get(tokenAddress, mode);
     }
 }
 
@@ -0,0 +1,203 @@
+// backend/src/utils/event_recorder.js
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const readline = require('readline');
+const { PublicKey } = require('@solana/web3.js');
+const logger = require('./logger');
+
+// Connection methods that push notifications rather than return a result
+const SUBSCRIPTIONS = ['onLogs', 'onAccountChange', 'onProgramAccountChange', 'onSlotChange', 'onSignature'];
+// Results of these depend on a freshly signed transaction, so replay serves them in order
+const UNKEYED_RPC = ['sendTransaction', 'sendRawTransaction', 'simulateTransaction', 'confirmTransaction', 'getLatestBlockhash'];
+
+// JSON can't carry Buffers, BigInts or PublicKeys - tag them so the log round-trips.
+// `this[key]` is the value before toJSON(), which Buffer and PublicKey both define.
+function replacer(key, value) {
+    const raw = this[key];
+    if (raw instanceof PublicKey) return { __pubkey: raw.toBase58() };
+    if (Buffer.isBuffer(raw) || raw instanceof Uint8Array) return { __buffer: Buffer.from(raw).toString('base64') };
+    if (typeof raw === 'bigint') return { __bigint: raw.toString() };
+    return value;
+}
+
+function reviver(key, value) {
+    if (value && typeof value === 'object') {
+        if (value.__pubkey !== undefined) return new PublicKey(value.__pubkey);
+        if (value.__buffer !== undefined) return Buffer.from(value.__buffer, 'base64');
+        if (value.__bigint !== undefined) return BigInt(value.__bigint);
+    }
+    return value;
+}
+
+const serialize = (value) => JSON.stringify(value, replacer);
+
+// Stable lookup key for a recorded request
+function requestKey(kind, method, args) {
+    if (kind === 'rpc' && UNKEYED_RPC.includes(method)) return `rpc:${method}`;
+    return `${kind}:${method}:${serialize(args)}`;
+}
+
+function subscriptionFilter(filter) {
+    if (filter instanceof PublicKey) return filter.toBase58();
+    return typeof filter === 'string' ? filter : serialize(filter);
+}
+
+// Append-only log of every raw input the bot acts on: RPC results and
+// subscription notifications, HTTP responses (DexScreener, Birdeye, Jupiter,
+// Reddit, Twitter...) and anything else passed to record(). One gzipped JSON
+// line per event, { t, stream, ...data }, in hourly files under RECORD_DIR.
+class EventRecorder {
+    constructor() {
+        this.enabled = process.env.RECORD_EVENTS === 'true';
+        this.dir = process.env.RECORD_DIR || path.join(__dirname, '../../../data/events');
+        this.file = null;
+        this.output = null;
+        this.gzip = null;
+        this.httpInstalled = false;
+        this.stats = {
+            events: 0,
+            byStream: {},
+            errors: 0
+        };
+    }
+
+    record(stream, data) {
+        if (!this.enabled) return;
+
+        try {
+            const line = serialize({ t: Date.now(), stream, ...data });
+            this.open().write(line + '\n');
+            this.stats.events++;
+            this.stats.byStream[stream] = (this.stats.byStream[stream] || 0) + 1;
+        } catch (error) {
+            this.stats.errors++;
+            logger.debug('Event recorder write failed:', error.message);
+        }
+    }
+
+    // Current hour's file; appending starts a new gzip member, which gunzip reads through
+    open() {
+        const file = path.join(this.dir, `events-${new Date().toISOString().slice(0, 13)}.jsonl.gz`);
+        if (file === this.file) return this.gzip;
+
+        this.close();
+        fs.mkdirSync(this.dir, { recursive: true });
+
+        this.file = file;
+        this.output = fs.createWriteStream(file, { flags: 'a' });
+        this.gzip = zlib.createGzip();
+        this.gzip.pipe(this.output);
+
+        // Flush regularly so a crash loses at most a second of events
+        this.flushTimer = setInterval(() => this.gzip.flush(), 1000);
+        this.flushTimer.unref();
+
+        logger.info(`📼 Recording events to ${file}`);
+        return this.gzip;
+    }
+
+    close() {
+        if (!this.gzip) return;
+        clearInterval(this.flushTimer);
+        this.gzip.end();
+        this.gzip = null;
+        this.output = null;
+        this.file = null;
+    }
+
+    // Records every response (and failure) of the shared axios instance
+    installHttp(axios) {
+        if (!this.enabled || this.httpInstalled) return;
+        this.httpInstalled = true;
+
+        const requestOf = (config) => ({
+            method: (config.method || 'get').toLowerCase(),
+            url: config.url,
+            params: config.params || null
+        });
+
+        axios.interceptors.response.use(
+            (response) => {
+                this.record('http', {
+                    ...requestOf(response.config),
+                    status: response.status,
+                    data: response.data
+                });
+                return response;
+            },
+            (error) => {
+                if (error.config) {
+                    this.record('http', {
+                        ...requestOf(error.config),
+                        status: error.response?.status || null,
+                        data: error.response?.data ?? null,
+                        error: { message: error.message, code: error.code || null }
+                    });
+                }
+                return Promise.reject(error);
+            }
+        );
+    }
+
+    // Proxy a Connection so its results and notifications are recorded
+    wrapConnection(connection) {
+        if (!this.enabled) return connection;
+
+        return new Proxy(connection, {
+            get: (target, prop) => {
+                const value = target[prop];
+                if (typeof value !== 'function' || typeof prop !== 'string') return value;
+
+                if (SUBSCRIPTIONS.includes(prop)) {
+                    return (filter, callback, ...rest) => value.call(target, filter, (...args) => {
+                        this.record('subscription', { method: prop, filter: subscriptionFilter(filter), args });
+                        return callback(...args);
+                    }, ...rest);
+                }
+
+                if (!prop.startsWith('get') && !UNKEYED_RPC.includes(prop)) {
+                    return value.bind(target);
+                }
+
+                return async (...args) => {
+                    try {
+                        const result = await value.apply(target, args);
+                        this.record('rpc', { method: prop, args, result });
+                        return result;
+                    } catch (error) {
+                        this.record('rpc', { method: prop, args, error: { message: error.message } });
+                        throw error;
+                    }
+                };
+            }
+        });
+    }
+
+    getStats() {
+        return {
+            enabled: this.enabled,
+            file: this.file,
+            ...this.stats
+        };
+    }
+}
+
+// Reads a recorded file line by line, yielding events in order
+async function* readEvents(file) {
+    const lines = readline.createInterface({
+        input: fs.createReadStream(file).pipe(zlib.createGunzip()),
+        crlfDelay: Infinity
+    });
+
+    for await (const line of lines) {
+        if (line) yield JSON.parse(line, reviver);
+    }
+}
+
+const recorder = new EventRecorder();
+recorder.readEvents = readEvents;
+recorder.requestKey = requestKey;
+recorder.subscriptionFilter = subscriptionFilter;
+
+module.exports = recorder;
@@ -0,0 +1,17 @@
+// backend/src/utils/metadata.js
+
+// A token's metadata column as an object: stored as JSON text, passed around
+// already parsed, or missing. Unparseable text reads as empty.
+function parseMetadata(metadata) {
+    if (!metadata) return {};
+    if (typeof metadata === 'object') return metadata;
+    try {
+        return JSON.parse(metadata);
+    } catch (error) {
+        return {};
+    }
+}
+
+module.exports = {
+    parseMetadata
+};
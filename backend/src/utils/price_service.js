@@ -0,0 +1,224 @@
+// backend/src/utils/price_service.js
+const axios = require('axios');
+const logger = require('./logger');
+
+const WSOL_MINT = 'So11111111111111111111111111111111111111112';
+
+// Every price returned here carries both denominations: { usd, sol }.
+// Position sizes and P&L are in SOL, so callers should use `sol` for those.
+class PriceService {
+    constructor() {
+        // Price API v3; the keyless lite host. price.jup.ag (v4) has been retired.
+        this.priceApiUrl = process.env.JUPITER_PRICE_API_URL || 'https://lite-api.jup.ag/price/v3';
+        this.dexScreenerUrl = 'https://api.dexscreener.com/latest/dex/tokens';
+        this.cacheTtl = 5000; // 5 seconds
+        this.solPriceTtl = 60000; // 1 minute
+        this.liveTtl = 60000; // 1 minute
+        this.cache = new Map(); // API prices, oldest first
+        this.maxCache = 5000;
+        this.live = new Map(); // prices pushed from on-chain subscriptions, oldest first
+        this.maxLive = 5000;
+        this.liquidity = new Map(); // mint -> deepest pool's liquidity, oldest first
+        this.maxLiquidity = 5000;
+        this.liquidityTtl = 30000; // 30 seconds
+        this.solUsd = null;
+    }
+
+    async getSolUsdPrice() {
+        if (this.solUsd && Date.now() - this.solUsd.timestamp < this.solPriceTtl) {
+            return this.solUsd.price;
+        }
+
+        try {
+            const prices = await this.fetchJupiterPrices([WSOL_MINT]);
+            let price = prices.get(WSOL_MINT);
+
+            if (!price) {
+                const pairs = await this.fetchDexScreenerPairs([WSOL_MINT]);
+                const usdPair = pairs.find(pair =>
+                    pair.baseToken?.address === WSOL_MINT &&
+                    ['USDC', 'USDT'].includes(pair.quoteToken?.symbol)
+                );
+                price = usdPair ? parseFloat(usdPair.priceUsd) : null;
+            }
+
+            if (price) {
+                this.solUsd = { price, timestamp: Date.now() };
+            }
+        } catch (error) {
+            logger.warn('SOL/USD price fetch failed:', error.message);
+        }
+
+        // A stale SOL price beats none at all
+        return this.solUsd?.price || null;
+    }
+
+    getCachedSolUsdPrice() {
+        return this.solUsd?.price || null;
+    }
+
+    async getPrice(mint) {
+        const prices = await this.getPrices([mint]);
+        return prices.get(mint) || null;
+    }
+
+    // Batch lookup: returns Map<mint, { usd, sol, source, timestamp }>
+    async getPrices(mints) {
+        const results = new Map();
+        const now = Date.now();
+        let missing = [];
+
+        for (const mint of new Set(mints)) {
+            const live = this.live.get(mint);
+            const cached = this.cache.get(mint);
+            if (live && now - live.timestamp < this.liveTtl) {
+                results.set(mint, live);
+            } else if (cached && now - cached.timestamp < this.cacheTtl) {
+                results.set(mint, cached);
+            } else {
+                missing.push(mint);
+            }
+        }
+
+        if (missing.length === 0) return results;
+
+        const solUsd = await this.getSolUsdPrice();
+
+        // Jupiter first, in chunks of 50 ids (the v3 limit)
+        for (let i = 0; i < missing.length; i += 50) {
+            try {
+                const prices = await this.fetchJupiterPrices(missing.slice(i, i + 50));
+                for (const [mint, usd] of prices) {
+                    this.store(results, mint, {
+                        usd: usd,
+                        sol: mint === WSOL_MINT ? 1 : (solUsd ? usd / solUsd : null),
+                        source: 'jupiter'
+                    });
+                }
+            } catch (error) {
+                logger.debug('Jupiter price batch failed:', error.message);
+            }
+        }
+
+        // DexScreener for whatever Jupiter didn't price, in chunks of 30
+        missing = missing.filter(mint => !results.has(mint));
+        for (let i = 0; i < missing.length; i += 30) {
+            try {
+                const pairs = await this.fetchDexScreenerPairs(missing.slice(i, i + 30));
+                for (const mint of missing.slice(i, i + 30)) {
+                    const pair = pairs
+                        .filter(p => p.baseToken?.address === mint && p.priceUsd)
+                        .sort((a, b) => (b.liquidity?.usd || 0) - (a.liquidity?.usd || 0))[0];
+                    if (!pair) continue;
+
+                    this.storeLiquidity(mint, pair);
+                    const usd = parseFloat(pair.priceUsd);
+                    const sol = pair.quoteToken?.address === WSOL_MINT
+                        ? parseFloat(pair.priceNative)
+                        : (solUsd ? usd / solUsd : null);
+
+                    this.store(results, mint, { usd, sol, source: 'dexscreener' });
+                }
+            } catch (error) {
+                logger.debug('DexScreener price batch failed:', error.message);
+            }
+        }
+
+        return results;
+    }
+
+    // Liquidity of the token's deepest DexScreener pair, { usd, sol }
+    async getLiquidity(mint) {
+        const cached = this.liquidity.get(mint);
+        if (cached && Date.now() - cached.timestamp < this.liquidityTtl) return cached;
+
+        try {
+            const pair = (await this.fetchDexScreenerPairs([mint]))
+                .filter(p => p.baseToken?.address === mint)
+                .sort((a, b) => (b.liquidity?.usd || 0) - (a.liquidity?.usd || 0))[0];
+            if (pair) return this.storeLiquidity(mint, pair);
+        } catch (error) {
+            logger.debug(`Liquidity lookup failed for ${mint}:`, error.message);
+        }
+
+        return cached || null;
+    }
+
+    storeLiquidity(mint, pair) {
+        if (pair.liquidity?.usd === undefined) return null;
+
+        const usd = pair.liquidity.usd;
+        const entry = {
+            usd: usd,
+            // Both sides of a SOL pair, in SOL
+            sol: pair.quoteToken?.address === WSOL_MINT && pair.liquidity.quote !== undefined
+                ? pair.liquidity.quote * 2
+                : this.usdToSol(usd),
+            timestamp: Date.now()
+        };
+        this.insertBounded(this.liquidity, mint, entry, this.liquidityTtl, this.maxLiquidity);
+        return entry;
+    }
+
+    // Push a price derived on-chain (e.g. a pump.fun bonding curve); it wins over API prices while fresh
+    setLivePrice(mint, price) {
+        this.insertBounded(this.live, mint, { ...price, timestamp: Date.now() }, this.liveTtl, this.maxLive);
+    }
+
+    clearLivePrice(mint) {
+        this.live.delete(mint);
+    }
+
+    store(results, mint, price) {
+        const entry = { ...price, timestamp: Date.now() };
+        this.insertBounded(this.cache, mint, entry, this.cacheTtl, this.maxCache);
+        results.set(mint, entry);
+    }
+
+    // Re-inserted so maps stay oldest first. Expired entries are never served;
+    // drop them, and the oldest past max
+    insertBounded(map, key, entry, ttl, max) {
+        const now = Date.now();
+        map.delete(key);
+        map.set(key, entry);
+
+        for (const [oldKey, oldEntry] of map) {
+            if (map.size <= max && now - oldEntry.timestamp < ttl) break;
+            map.delete(oldKey);
+        }
+    }
+
+    // v3 answers { [mint]: { usdPrice, blockId, decimals, priceChange24h } }, omitting unpriced mints
+    async fetchJupiterPrices(mints) {
+        const response = await axios.get(this.priceApiUrl, {
+            params: { ids: mints.join(',') },
+            timeout: 5000
+        });
+
+        const prices = new Map();
+        for (const [mint, data] of Object.entries(response.data || {})) {
+            if (data?.usdPrice) prices.set(mint, parseFloat(data.usdPrice));
+        }
+        return prices;
+    }
+
+    async fetchDexScreenerPairs(mints) {
+        const response = await axios.get(`${this.dexScreenerUrl}/${mints.join(',')}`, {
+            timeout: 5000
+        });
+        return response.data?.pairs || [];
+    }
+
+    usdToSol(usd) {
+        const solUsd = this.getCachedSolUsdPrice();
+        return solUsd ? usd / solUsd : null;
+    }
+
+    solToUsd(sol) {
+        const solUsd = this.getCachedSolUsdPrice();
+        return solUsd ? sol * solUsd : null;
+    }
+}
+
+// Shared instance so every component sees the same cache and SOL/USD rate
+module.exports = new PriceService();
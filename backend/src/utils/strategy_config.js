@@ -0,0 +1,115 @@
+// backend/src/utils/strategy_config.js
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '../../../data/strategy.json');
+
+// Strategy parameters shared by the live bot and the backtester. Defaults are
+// the original hard-coded rules; a file exported by the optimizer overrides them.
+//   scanner: analyzeAndStoreToken's score weights and per-source score thresholds
+//   entry:   analyzeOpportunity - social > 15, risk < 60, liquidity, momentum; 3 of 4
+//   exit:    checkExitConditions - +100% TP, +50% TP after 30 min, -20% SL, 24h exit under +10%
+//   sizing:  position size cap, open position cap, re-entry cooldown after a loss
+const DEFAULT_STRATEGY = {
+    scanner: {
+        liquidityWeight: 0.25,
+        momentumWeight: 0.25,
+        ageWeight: 0.3,
+        volumeWeight: 0.2,
+        minScore: 30,
+        minScorePumpfun: 15,
+        minScoreRaydium: 20
+    },
+    entry: {
+        minSocialScore: 15,
+        maxRiskScore: 60,
+        minLiquidity: parseFloat(process.env.MIN_LIQUIDITY || '5000'),
+        // Backtests measure momentum as candle price change; live it comes from trade flow
+        momentumLookbackMinutes: 60,
+        minMomentum: 5, // % price change over the lookback
+        minFactors: 3
+    },
+    exit: {
+        takeProfit: 100,
+        lateTakeProfit: 50,
+        lateTakeProfitAfterMinutes: 30,
+        stopLoss: -20,
+        timeExitHours: 24,
+        timeExitBelow: 10,
+        // Declarative exit rules (see exit_engine.js) replace the thresholds above when set
+        rules: null
+    },
+    sizing: {
+        maxPositionSize: parseFloat(process.env.MAX_POSITION_SIZE || '0.1'),
+        maxPositions: parseInt(process.env.MAX_POSITIONS || '10'),
+        cooldownMinutes: parseFloat(process.env.RISK_TOKEN_COOLDOWN_MINUTES || '60') // after a loss on the token
+    }
+};
+
+// Overrides are partial: { exit: { stopLoss: -15 } } keeps every other default
+function mergeStrategy(overrides = {}) {
+    const strategy = {};
+    for (const section of Object.keys(DEFAULT_STRATEGY)) {
+        strategy[section] = { ...DEFAULT_STRATEGY[section], ...(overrides[section] || {}) };
+    }
+    return strategy;
+}
+
+// Dotted parameter names ('exit.stopLoss') as used by sweeps
+function setParameter(overrides, name, value) {
+    const [section, key] = name.split('.');
+    if (!DEFAULT_STRATEGY[section] || !(key in DEFAULT_STRATEGY[section])) {
+        throw new Error(`Unknown strategy parameter ${name}`);
+    }
+    overrides[section] = { ...(overrides[section] || {}), [key]: value };
+    return overrides;
+}
+
+// analyzeAndStoreToken's weighted score from its component scores
+function scoreToken(scores, scanner) {
+    return scores.liquidityScore * scanner.liquidityWeight +
+        scores.momentumScore * scanner.momentumWeight +
+        scores.ageScore * scanner.ageWeight +
+        scores.volumeScore * scanner.volumeWeight;
+}
+
+// Fresher sources get a lower bar
+function scoreThreshold(source, scanner) {
+    if (source === 'pumpfun') return scanner.minScorePumpfun;
+    // Pools caught at creation, on-chain
+    if (source === 'raydium-direct' || source === 'meteora') return scanner.minScoreRaydium;
+    return scanner.minScore;
+}
+
+function loadStrategy(file = process.env.STRATEGY_CONFIG || DEFAULT_CONFIG_PATH) {
+    if (!fs.existsSync(file)) return mergeStrategy();
+
+    try {
+        const strategy = mergeStrategy(JSON.parse(fs.readFileSync(file, 'utf8')));
+        logger.info(`Loaded strategy parameters from ${file}`);
+        return strategy;
+    } catch (error) {
+        logger.error(`Invalid strategy config ${file}, using defaults:`, error);
+        return mergeStrategy();
+    }
+}
+
+// meta is stored alongside under "optimization" and ignored when loading
+function saveStrategy(file, strategy, meta = null) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const content = { ...mergeStrategy(strategy) };
+    if (meta) content.optimization = meta;
+    fs.writeFileSync(file, JSON.stringify(content, null, 2) + '\n');
+}
+
+module.exports = {
+    DEFAULT_STRATEGY,
+    DEFAULT_CONFIG_PATH,
+    mergeStrategy,
+    setParameter,
+    scoreToken,
+    scoreThreshold,
+    loadStrategy,
+    saveStrategy
+};
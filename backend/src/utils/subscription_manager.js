@@ -0,0 +1,441 @@
+// backend/src/utils/subscription_manager.js
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const { PublicKey } = require('@solana/web3.js');
+const { getWsEndpoint } = require('./connection');
+const eventRecorder = require('./event_recorder');
+const logger = require('./logger');
+
+// Subscription methods we manage, with their pubsub counterparts
+const METHODS = {
+    onLogs: { subscribe: 'logsSubscribe', unsubscribe: 'logsUnsubscribe', notification: 'logsNotification', remove: 'removeOnLogsListener' },
+    onAccountChange: { subscribe: 'accountSubscribe', unsubscribe: 'accountUnsubscribe', notification: 'accountNotification', remove: 'removeAccountChangeListener' }
+};
+// getSignaturesForAddress returns at most this many per call
+const SIGNATURE_PAGE_SIZE = 1000;
+const TRANSACTION_BATCH_SIZE = 100;
+
+const REMOVERS = Object.fromEntries(Object.entries(METHODS).map(([method, spec]) => [spec.remove, method]));
+
+// Owns the websocket behind every onLogs / onAccountChange subscription. web3.js
+// quietly drops subscriptions when its socket dies; here the socket is pinged,
+// reconnected with exponential backoff when it stops answering, every
+// subscription is re-established, and log subscriptions on a single address
+// are backfilled from getSignaturesForAddress for the gap they missed.
+//
+// wrapConnection() returns the connection with its subscription methods routed
+// here, so components keep calling connection.onLogs(...) as before. When
+// createConnection() is overridden (replay) there's no endpoint of ours, and
+// subscriptions are passed straight through to the connection.
+class SubscriptionManager extends EventEmitter {
+    constructor(connection, options = {}) {
+        super();
+        this.connection = connection;
+        this.endpoint = options.endpoint !== undefined ? options.endpoint : getWsEndpoint();
+
+        this.config = {
+            pingInterval: parseInt(process.env.WS_PING_INTERVAL || 30000),
+            pongTimeout: parseInt(process.env.WS_PONG_TIMEOUT || 10000),
+            backoffBase: 1000,
+            backoffMax: parseInt(process.env.WS_BACKOFF_MAX || 60000),
+            backfillLimit: parseInt(process.env.WS_BACKFILL_LIMIT || 1000), // signatures per subscription, across pages
+            ...options.config
+        };
+
+        this.ws = null;
+        this.state = 'idle'; // idle | connecting | open | reconnecting | closed
+        this.subscriptions = new Map(); // our id -> { id, method, filter, callback, commitment, serverId, ... }
+        this.byServerId = new Map(); // server subscription id -> subscription
+        this.requests = new Map(); // JSON-RPC request id -> { subscription } | { unsubscribe }
+        this.nextId = 1;
+        this.nextRequestId = 1;
+        this.attempt = 0;
+        this.pingTimer = null;
+        this.pongTimer = null;
+        this.reconnectTimer = null;
+        this.pingSentAt = null;
+        this.disconnectedAt = null;
+
+        this.stats = {
+            connects: 0,
+            reconnects: 0,
+            notifications: 0,
+            backfilled: 0,
+            lastNotificationAt: null,
+            lastPongAt: null,
+            latencyMs: null,
+            connectedAt: null,
+            lastError: null
+        };
+    }
+
+    get passthrough() {
+        return !this.endpoint;
+    }
+
+    // The connection with onLogs / onAccountChange (and their removers) going
+    // through this manager; everything else is untouched
+    wrapConnection(connection = this.connection) {
+        return new Proxy(connection, {
+            get: (target, prop) => {
+                if (Object.hasOwn(METHODS, prop)) {
+                    return (filter, callback, commitment) => this.subscribe(prop, filter, callback, commitment);
+                }
+                if (Object.hasOwn(REMOVERS, prop)) {
+                    return (id) => this.unsubscribe(id);
+                }
+                const value = target[prop];
+                return typeof value === 'function' ? value.bind(target) : value;
+            }
+        });
+    }
+
+    subscribe(method, filter, callback, commitment = 'confirmed') {
+        const subscription = {
+            id: this.nextId++,
+            method,
+            filter,
+            callback,
+            commitment,
+            serverId: null,
+            lastSignature: null
+        };
+        this.subscriptions.set(subscription.id, subscription);
+
+        if (this.passthrough) {
+            subscription.serverId = this.connection[method](filter, (...args) => this.deliver(subscription, args), commitment);
+            return subscription.id;
+        }
+
+        if (this.state === 'open') {
+            this.sendSubscribe(subscription);
+        } else if (this.state === 'idle' || this.state === 'closed') {
+            this.connect();
+        }
+        return subscription.id;
+    }
+
+    async unsubscribe(id) {
+        const subscription = this.subscriptions.get(id);
+        if (!subscription) return;
+        this.subscriptions.delete(id);
+
+        if (subscription.serverId === null) return;
+        this.byServerId.delete(subscription.serverId);
+
+        if (this.passthrough) {
+            await this.connection[METHODS[subscription.method].remove](subscription.serverId);
+        } else if (this.state === 'open') {
+            this.send(METHODS[subscription.method].unsubscribe, [subscription.serverId], { unsubscribe: true });
+        }
+    }
+
+    connect() {
+        if (this.passthrough || this.state === 'connecting' || this.state === 'open') return;
+
+        const reconnecting = this.state === 'reconnecting';
+        this.state = 'connecting';
+
+        const ws = new WebSocket(this.endpoint);
+        this.ws = ws;
+
+        ws.on('open', () => this.handleOpen(reconnecting));
+        ws.on('message', (data) => this.handleMessage(data));
+        ws.on('pong', () => this.handlePong());
+        ws.on('error', (error) => {
+            this.stats.lastError = error.message;
+            logger.debug(`Websocket error (${this.getHost()}):`, error.message);
+        });
+        ws.on('close', () => {
+            if (this.ws === ws) this.handleClose();
+        });
+    }
+
+    handleOpen(reconnecting) {
+        this.state = 'open';
+        this.attempt = 0;
+        this.stats.connects++;
+        this.stats.connectedAt = Date.now();
+        this.startHeartbeat();
+
+        for (const subscription of this.subscriptions.values()) {
+            this.sendSubscribe(subscription);
+        }
+
+        if (reconnecting) {
+            this.stats.reconnects++;
+            logger.info(`🔌 Websocket reconnected to ${this.getHost()}, ${this.subscriptions.size} subscriptions restored`);
+            this.emit('reconnected');
+            this.backfill(this.disconnectedAt);
+        } else {
+            logger.info(`🔌 Websocket connected to ${this.getHost()}`);
+            this.emit('connected');
+        }
+    }
+
+    handleClose() {
+        this.stopHeartbeat();
+        this.ws = null;
+        this.byServerId.clear();
+        this.requests.clear();
+        for (const subscription of this.subscriptions.values()) {
+            subscription.serverId = null;
+        }
+
+        if (this.state === 'closed') return;
+
+        if (this.state === 'open') {
+            this.disconnectedAt = Date.now();
+            logger.warn(`Websocket to ${this.getHost()} closed, reconnecting...`);
+            this.emit('disconnected');
+        }
+        this.scheduleReconnect();
+    }
+
+    // 1s, 2s, 4s ... capped at backoffMax, with jitter so restarts don't stampede
+    scheduleReconnect() {
+        this.state = 'reconnecting';
+        const delay = Math.min(this.config.backoffMax, this.config.backoffBase * Math.pow(2, this.attempt));
+        this.attempt++;
+        logger.debug(`Reconnecting to ${this.getHost()} in ${Math.round(delay / 1000)}s (attempt ${this.attempt})`);
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connect();
+        }, delay * (0.8 + Math.random() * 0.4));
+    }
+
+    startHeartbeat() {
+        this.stopHeartbeat();
+        this.pingTimer = setInterval(() => {
+            if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+
+            this.pingSentAt = Date.now();
+            this.ws.ping();
+            // No pong in time: the socket is dead even if it hasn't closed
+            this.pongTimer = setTimeout(() => {
+                logger.warn(`Websocket to ${this.getHost()} missed a pong, dropping it`);
+                this.ws?.terminate();
+            }, this.config.pongTimeout);
+        }, this.config.pingInterval);
+    }
+
+    stopHeartbeat() {
+        clearInterval(this.pingTimer);
+        clearTimeout(this.pongTimer);
+        this.pingTimer = null;
+        this.pongTimer = null;
+    }
+
+    handlePong() {
+        clearTimeout(this.pongTimer);
+        this.pongTimer = null;
+        this.stats.lastPongAt = Date.now();
+        if (this.pingSentAt) this.stats.latencyMs = this.stats.lastPongAt - this.pingSentAt;
+    }
+
+    send(method, params, request) {
+        const id = this.nextRequestId++;
+        this.requests.set(id, request);
+        this.ws.send(JSON.stringify({ jsonrpc: '2.0', id, method, params }));
+    }
+
+    sendSubscribe(subscription) {
+        const { method, filter, commitment } = subscription;
+
+        const params = method === 'onLogs'
+            ? [filter instanceof PublicKey ? { mentions: [filter.toBase58()] } : filter, { commitment }]
+            : [new PublicKey(filter).toBase58(), { commitment, encoding: 'base64' }];
+
+        this.send(METHODS[method].subscribe, params, { subscription });
+    }
+
+    handleMessage(data) {
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (error) {
+            return;
+        }
+
+        // Reply to a subscribe / unsubscribe request
+        if (message.id !== undefined) {
+            const request = this.requests.get(message.id);
+            this.requests.delete(message.id);
+            if (!request?.subscription) return;
+
+            if (message.error) {
+                this.stats.lastError = message.error.message;
+                logger.error(`Subscription failed (${request.subscription.method}):`, message.error.message);
+                return;
+            }
+            // Removed while the request was in flight
+            if (!this.subscriptions.has(request.subscription.id)) {
+                this.send(METHODS[request.subscription.method].unsubscribe, [message.result], { unsubscribe: true });
+                return;
+            }
+            request.subscription.serverId = message.result;
+            this.byServerId.set(message.result, request.subscription);
+            return;
+        }
+
+        const subscription = this.byServerId.get(message.params?.subscription);
+        if (!subscription || message.method !== METHODS[subscription.method].notification) return;
+
+        const { context, value } = message.params.result;
+        const args = subscription.method === 'onLogs'
+            ? [value, context]
+            : [this.decodeAccount(value), context];
+
+        // Same shape the wrapped connection records, so replay is unchanged
+        eventRecorder.record('subscription', {
+            method: subscription.method,
+            filter: eventRecorder.subscriptionFilter(subscription.filter),
+            args
+        });
+        this.deliver(subscription, args);
+    }
+
+    // accountNotification value as web3.js hands it to onAccountChange callbacks
+    decodeAccount(value) {
+        return {
+            data: Buffer.from(value.data[0], 'base64'),
+            executable: value.executable,
+            lamports: value.lamports,
+            owner: new PublicKey(value.owner),
+            rentEpoch: value.rentEpoch
+        };
+    }
+
+    deliver(subscription, args) {
+        this.stats.notifications++;
+        this.stats.lastNotificationAt = Date.now();
+        if (subscription.method === 'onLogs' && args[0]?.signature) {
+            subscription.lastSignature = args[0].signature;
+        }
+
+        try {
+            const result = subscription.callback(...args);
+            if (result?.catch) result.catch(error => logger.error('Subscription callback failed:', error));
+        } catch (error) {
+            logger.error('Subscription callback failed:', error);
+        }
+    }
+
+    // Replays what each single-address log subscription missed while the socket
+    // was down, oldest first, as synthesized notifications. Handlers already dedup
+    // by signature, so overlap with live notifications is harmless.
+    async backfill(since) {
+        for (const subscription of Array.from(this.subscriptions.values())) {
+            if (subscription.method !== 'onLogs' || !(subscription.filter instanceof PublicKey)) continue;
+            // Nothing seen and no known disconnect time: no gap to fill
+            if (!subscription.lastSignature && !since) continue;
+
+            try {
+                const { signatures, truncated } = await this.findGap(subscription, since);
+                if (truncated) {
+                    logger.warn(`Backfill for ${subscription.filter.toBase58()} capped at ${this.config.backfillLimit} signatures - older missed transactions are not replayed`);
+                }
+                if (signatures.length === 0) continue;
+
+                // Oldest first
+                const ordered = signatures.map(info => info.signature).reverse();
+                let delivered = 0;
+                for (let i = 0; i < ordered.length; i += TRANSACTION_BATCH_SIZE) {
+                    const transactions = await this.connection.getParsedTransactions(
+                        ordered.slice(i, i + TRANSACTION_BATCH_SIZE),
+                        { maxSupportedTransactionVersion: 0, commitment: 'confirmed' }
+                    );
+
+                    for (const tx of transactions) {
+                        if (!tx?.meta?.logMessages || !this.subscriptions.has(subscription.id)) continue;
+                        this.stats.backfilled++;
+                        delivered++;
+                        this.deliver(subscription, [
+                            { signature: tx.transaction.signatures[0], err: tx.meta.err, logs: tx.meta.logMessages },
+                            { slot: tx.slot }
+                        ]);
+                    }
+                }
+                logger.info(`⏮️ Backfilled ${delivered} transactions for ${subscription.filter.toBase58()}`);
+            } catch (error) {
+                logger.warn(`Backfill failed for ${subscription.filter.toBase58()}:`, error.message);
+            }
+        }
+    }
+
+    // Signatures a subscription missed, newest first: paged backwards with `before`
+    // until the last seen signature (or, without one, the disconnect time) is
+    // reached, or backfillLimit runs out - then truncated is set
+    async findGap(subscription, since) {
+        const until = subscription.lastSignature || undefined;
+        const signatures = [];
+        let before;
+
+        while (signatures.length < this.config.backfillLimit) {
+            const limit = Math.min(SIGNATURE_PAGE_SIZE, this.config.backfillLimit - signatures.length);
+            const page = await this.connection.getSignaturesForAddress(
+                subscription.filter,
+                { before, until, limit },
+                'confirmed'
+            );
+
+            // Without a last seen signature, the gap is bounded by time instead
+            if (!until) {
+                const inGap = page.filter(info => info.blockTime && info.blockTime * 1000 >= since);
+                signatures.push(...inGap);
+                if (inGap.length < page.length) return { signatures, truncated: false };
+            } else {
+                signatures.push(...page);
+            }
+
+            if (page.length < limit) return { signatures, truncated: false };
+            before = page[page.length - 1].signature;
+        }
+
+        return { signatures, truncated: true };
+    }
+
+    // Host only - the endpoint may carry an API key
+    getHost() {
+        try {
+            return new URL(this.endpoint).host;
+        } catch (error) {
+            return 'unknown';
+        }
+    }
+
+    getHealth() {
+        return {
+            mode: this.passthrough ? 'passthrough' : 'websocket',
+            host: this.passthrough ? null : this.getHost(),
+            state: this.passthrough ? 'n/a' : this.state,
+            connected: this.passthrough || this.state === 'open',
+            reconnectAttempt: this.attempt,
+            subscriptions: this.subscriptions.size,
+            ...this.stats
+        };
+    }
+
+    async close() {
+        this.state = 'closed';
+        this.stopHeartbeat();
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+
+        for (const id of Array.from(this.subscriptions.keys())) {
+            try {
+                await this.unsubscribe(id);
+            } catch (error) {
+                logger.debug('Error removing subscription:', error.message);
+            }
+        }
+
+        if (this.ws) {
+            this.ws.close();
+            this.ws = null;
+        }
+    }
+}
+
+module.exports = SubscriptionManager;
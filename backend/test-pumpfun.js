@@ -51,8 +51,8 @@ async function testPumpFunScanner() {
     const statsInterval = setInterval(() => {
         const stats = scanner.getStats();
         console.log(`\n📊 Scanner Stats:`);
-        console.log(`   Tokens Found: ${stats.tokensFound}`);
-        console.log(`   Last Token: ${stats.lastTokenTime ? new Date(stats.lastTokenTime).toLocaleString() : 'None yet'}`);
+        console.log(`   Tokens Found: ${stats.found}`);
+        console.log(`   Last Token: ${stats.lastTokenAt ? new Date(stats.lastTokenAt).toLocaleString() : 'None yet'}`);
         console.log(`   Errors: ${stats.errors}`);
         console.log(`   Status: ${stats.isRunning ? '🟢 Running' : '🔴 Stopped'}`);
     }, 30000);
@@ -0,0 +1,244 @@
+// backend/tests/exit-engine-test.js
+// Checks ExitEngine rule evaluation - ladder steps, moved stops, trailing stops,
+// time decay and rule ordering - and the per-lot P&L booked for partial sells
+// (DatabaseManager.openLot / closeLots on an in-memory database).
+// Run with: node tests/exit-engine-test.js
+const assert = require('assert');
+const ExitEngine = require('../src/executors/exit_engine');
+const DatabaseManager = require('../src/utils/database');
+
+const MINT = 'AKnL4NNf3DGWZJS6cPknBuEGnVsV4A4m5tgebLHaRSZ9';
+const MINUTE = 60 * 1000;
+const ENTRY_TIME = Date.UTC(2026, 0, 1);
+
+// No liquidity, deployer or flow signals unless a test sets them
+const quietContext = (overrides = {}) => ({
+    liquidity: async () => null,
+    devSold: async () => false,
+    sellPressure: async () => false,
+    ...overrides
+});
+
+class ExitEngineTestSuite {
+    constructor() {
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    async run(name, test) {
+        try {
+            await test();
+            this.passed++;
+            console.log(`  ✅ ${name}`);
+        } catch (error) {
+            this.failed++;
+            console.log(`  ❌ ${name}: ${error.message}`);
+        }
+    }
+
+    position(amount = 100) {
+        return { amount, entryPrice: 1, entryTime: ENTRY_TIME, exitState: null };
+    }
+
+    // Evaluate one tick and apply the decision the way the engine does: keep the
+    // state, sell what was decided
+    async tick(engine, position, price, minutes = 1, context = quietContext()) {
+        const { decision, state } = await engine.evaluate(position, price, context, ENTRY_TIME + minutes * MINUTE);
+        position.exitState = state;
+        if (decision) position.amount -= decision.amount;
+        return decision;
+    }
+
+    async runAllTests() {
+        console.log('🧪 Exit engine tests\n');
+
+        await this.run('ladder steps fire once each, sized on the original position', async () => {
+            const engine = new ExitEngine([
+                { type: 'ladder', steps: [{ at: 50, sell: 0.5 }, { at: 100, sell: 0.25 }] }
+            ]);
+            const position = this.position();
+
+            const first = await this.tick(engine, position, 1.6);
+            assert.strictEqual(first.reason, 'take_profit_50_50pct');
+            assert.strictEqual(first.amount, 50);
+            assert.strictEqual(first.partial, true);
+
+            // Still above the first step: already taken
+            assert.strictEqual(await this.tick(engine, position, 1.7), null);
+
+            const second = await this.tick(engine, position, 2.1);
+            assert.strictEqual(second.reason, 'take_profit_100_25pct');
+            assert.strictEqual(second.amount, 25);
+            assert.strictEqual(position.amount, 25);
+            assert.deepStrictEqual(position.exitState.taken, ['0.0', '0.1']);
+        });
+
+        await this.run('a take-profit step moves the stop, which fires on a later tick', async () => {
+            const engine = new ExitEngine([
+                { type: 'stop_loss', at: -30 },
+                { type: 'ladder', steps: [{ at: 50, sell: 0.5, stop: 0 }, { at: 100, sell: 0.5, stop: 20 }] }
+            ]);
+            const position = this.position();
+
+            await this.tick(engine, position, 1.5);
+            assert.strictEqual(position.exitState.stop, 0);
+            assert.strictEqual(await this.tick(engine, position, 1.1), null);
+
+            const stop = await this.tick(engine, position, 1.0);
+            assert.strictEqual(stop.reason, 'breakeven_stop');
+            assert.strictEqual(stop.amount, 50);
+            assert.strictEqual(stop.partial, false);
+
+            // Stops only ever move up
+            const higher = this.position();
+            await this.tick(engine, higher, 1.5);
+            await this.tick(engine, higher, 2.0);
+            assert.strictEqual(higher.exitState.stop, 20);
+            assert.strictEqual((await this.tick(engine, higher, 1.2)).reason, 'stop_20');
+        });
+
+        await this.run('breakeven rule arms once the peak clears its threshold', async () => {
+            const engine = new ExitEngine([{ type: 'breakeven', after: 50, offset: 5 }]);
+            const position = this.position();
+
+            assert.strictEqual(await this.tick(engine, position, 1.4), null);
+            assert.strictEqual(await this.tick(engine, position, 1.0), null);
+            assert.strictEqual(await this.tick(engine, position, 1.5), null);
+            assert.strictEqual(position.exitState.stop, 5);
+            assert.strictEqual((await this.tick(engine, position, 1.04)).reason, 'stop_5');
+        });
+
+        await this.run('trailing stop arms at its activation level and follows the peak', async () => {
+            const engine = new ExitEngine([{ type: 'trailing_stop', distance: 20, activateAt: 50 }]);
+            const position = this.position();
+
+            // A 25% fall before activation is ignored
+            await this.tick(engine, position, 1.4);
+            assert.strictEqual(await this.tick(engine, position, 1.05), null);
+
+            await this.tick(engine, position, 2.0);
+            assert.strictEqual(position.exitState.peakPrice, 2.0);
+            assert.strictEqual(await this.tick(engine, position, 1.7), null);
+            assert.strictEqual((await this.tick(engine, position, 1.6)).reason, 'trailing_stop');
+        });
+
+        await this.run('a ladder step can arm a trail for the rest of the position', async () => {
+            const engine = new ExitEngine([
+                { type: 'ladder', steps: [{ at: 100, sell: 0.5, trail: 10 }] }
+            ]);
+            const position = this.position();
+
+            await this.tick(engine, position, 2.0);
+            await this.tick(engine, position, 2.5);
+            assert.strictEqual(await this.tick(engine, position, 2.3), null);
+
+            const trail = await this.tick(engine, position, 2.2);
+            assert.strictEqual(trail.reason, 'trailing_stop');
+            assert.strictEqual(trail.amount, 50);
+        });
+
+        await this.run('time decay lowers the profit target over the hold, on the given clock', async () => {
+            const engine = new ExitEngine([{ type: 'time_decay', hours: 10, from: 100, to: 20 }]);
+            const position = this.position();
+
+            // +50%: short of 100% at entry and of 60% at the halfway mark
+            assert.strictEqual(await this.tick(engine, position, 1.5, 0), null);
+            assert.strictEqual(await this.tick(engine, position, 1.5, 5 * 60), null);
+            assert.strictEqual((await this.tick(engine, position, 1.5, 7 * 60)).reason, 'time_decay');
+
+            // Past the end the target holds at `to`
+            const late = this.position();
+            assert.strictEqual(await this.tick(engine, late, 1.15, 30 * 60), null);
+            assert.strictEqual((await this.tick(engine, late, 1.25, 30 * 60)).reason, 'time_decay');
+        });
+
+        await this.run('protective rules win over a take-profit on the same tick', async () => {
+            const engine = ExitEngine.fromParams({
+                takeProfit: 100,
+                lateTakeProfit: 50,
+                lateTakeProfitAfterMinutes: 30,
+                stopLoss: -20,
+                timeExitHours: 24,
+                timeExitBelow: 10
+            });
+            assert.ok(engine.needs('sell_pressure'));
+
+            const position = this.position();
+            const decision = await this.tick(engine, position, 2.5, 1, quietContext({ sellPressure: async () => true }));
+            assert.strictEqual(decision.reason, 'sell_pressure');
+            assert.strictEqual(position.amount, 0);
+
+            // Without it, the fixed thresholds behave as before
+            const late = this.position();
+            assert.strictEqual(await this.tick(engine, late, 1.6, 20), null);
+            assert.strictEqual((await this.tick(engine, late, 1.6, 31)).reason, 'take_profit_50');
+            assert.strictEqual((await this.tick(engine, this.position(), 1.05, 25 * 60)).reason, 'time_exit_24h');
+        });
+
+        await this.run('partial sells book P&L against the oldest lots first', () => {
+            const db = new DatabaseManager(':memory:');
+
+            // Two buys at different prices
+            db.addToPosition(MINT, 100, 1, 'live', 'momentum');
+            db.openLot({ tokenAddress: MINT, mode: 'live', strategy: 'momentum', tradeId: 1, amount: 100, cost: 1 });
+            db.addToPosition(MINT, 100, 2, 'live', 'momentum');
+            db.openLot({ tokenAddress: MINT, mode: 'live', strategy: 'momentum', tradeId: 2, amount: 100, cost: 2 });
+
+            // Half the position for 3 SOL: the whole first lot and half the second
+            const first = db.closeLots(MINT, 'live', 150, 3, 3);
+            assert.strictEqual(first.sales.length, 2);
+            assert.strictEqual(first.sales[0].amount, 100);
+            assert.strictEqual(first.sales[0].cost, 1);
+            assert.strictEqual(first.sales[0].profitLoss, 1);
+            assert.strictEqual(first.sales[1].amount, 50);
+            assert.strictEqual(first.sales[1].cost, 1);
+            assert.strictEqual(first.sales[1].profitLoss, 0);
+            assert.strictEqual(first.cost, 2);
+            assert.strictEqual(first.profitLoss, 1);
+
+            const open = db.getLots(MINT, 'live');
+            assert.strictEqual(open.length, 1);
+            assert.strictEqual(open[0].remaining, 50);
+            assert.strictEqual(db.getLotSales(3).length, 2);
+
+            // The rest at a loss
+            const second = db.closeLots(MINT, 'live', 50, 0.5, 4);
+            assert.strictEqual(second.cost, 1);
+            assert.strictEqual(second.profitLoss, -0.5);
+            assert.strictEqual(db.getLots(MINT, 'live').length, 0);
+        });
+
+        await this.run('tokens not covered by lots are costed at the average price', () => {
+            const db = new DatabaseManager(':memory:');
+
+            // A position from before lots were kept, then one tracked buy
+            db.addToPosition(MINT, 100, 1, 'live');
+            db.addToPosition(MINT, 100, 3, 'live');
+            db.openLot({ tokenAddress: MINT, mode: 'live', tradeId: 2, amount: 100, cost: 3 });
+
+            const { sales, cost, profitLoss } = db.closeLots(MINT, 'live', 200, 5, 3);
+            assert.strictEqual(sales.length, 2);
+            assert.strictEqual(sales[0].cost, 3);
+            assert.strictEqual(sales[1].lotId, null);
+            assert.strictEqual(sales[1].cost, 2); // 100 at the 0.02 average
+            assert.strictEqual(cost, 5);
+            assert.strictEqual(profitLoss, 0);
+        });
+
+        console.log(`\n${this.passed} passed, ${this.failed} failed`);
+        return this.failed === 0;
+    }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+    const testSuite = new ExitEngineTestSuite();
+    testSuite.runAllTests()
+        .then(ok => process.exit(ok ? 0 : 1))
+        .catch(error => {
+            console.error(error);
+            process.exit(1);
+        });
+}
+
+module.exports = ExitEngineTestSuite;
@@ -0,0 +1,330 @@
+// backend/tests/jito-bundle-test.js
+// Runs JitoClient and TransactionTracker.trackBundle against a local mock block
+// engine (JSON-RPC over HTTP) and a scripted connection: landed, Invalid-then-landed,
+// failed, expired and submit-error paths, the RPC fallback, and status polls
+// that error out (retried, else left for reconciliation).
+// Run with: node tests/jito-bundle-test.js
+const assert = require('assert');
+const http = require('http');
+const bs58 = require('bs58').default;
+const {
+    Keypair,
+    SystemProgram,
+    TransactionMessage,
+    VersionedTransaction
+} = require('@solana/web3.js');
+const JitoClient = require('../src/executors/jito_client');
+const TransactionTracker = require('../src/executors/transaction_tracker');
+
+const LAST_VALID_BLOCK_HEIGHT = 100;
+
+// Mock block engine: bundle statuses are served from a script, one per poll,
+// the last repeating
+class MockBlockEngine {
+    constructor() {
+        this.statuses = ['Pending'];
+        this.failSend = false;
+        this.bundles = [];
+        this.server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => this.handle(req, JSON.parse(body), res));
+        });
+    }
+
+    handle(req, request, res) {
+        const reply = (result) => res.end(JSON.stringify({ jsonrpc: '2.0', id: request.id, result }));
+
+        if (request.method === 'getTipAccounts') return reply(JitoClient.DEFAULT_TIP_ACCOUNTS);
+        if (request.method === 'sendBundle') {
+            this.bundles.push(request.params[0]);
+            // Accepted, but the response never makes it back
+            if (this.failSend) {
+                res.statusCode = 500;
+                return res.end('upstream timeout');
+            }
+            return reply(`bundle-${this.bundles.length}`);
+        }
+        if (request.method === 'getInflightBundleStatuses') {
+            const status = this.statuses.length > 1 ? this.statuses.shift() : this.statuses[0];
+            return reply({ value: [{ bundle_id: request.params[0][0], status, landed_slot: status === 'Landed' ? 1 : null }] });
+        }
+        res.statusCode = 404;
+        res.end();
+    }
+
+    listen() {
+        return new Promise(resolve => this.server.listen(0, '127.0.0.1', () => {
+            resolve(`http://127.0.0.1:${this.server.address().port}`);
+        }));
+    }
+
+    close() {
+        return new Promise(resolve => this.server.close(resolve));
+    }
+}
+
+// Block height climbs one per poll; signatures report whatever landed says
+class MockConnection {
+    constructor() {
+        this.height = LAST_VALID_BLOCK_HEIGHT - 5;
+        this.landed = new Map(); // signature -> confirmationStatus
+        this.sent = [];
+    }
+
+    async getBlockHeight() {
+        return this.height++;
+    }
+
+    async getSignatureStatuses(signatures) {
+        return {
+            value: signatures.map(signature => this.landed.has(signature)
+                ? { err: null, confirmationStatus: this.landed.get(signature) }
+                : null)
+        };
+    }
+
+    async sendRawTransaction(raw) {
+        const signature = bs58.encode(VersionedTransaction.deserialize(raw).signatures[0]);
+        this.sent.push(signature);
+        return signature;
+    }
+}
+
+class MockDatabase {
+    constructor() {
+        this.states = [];
+    }
+
+    updateTradeState(tradeId, state, fields = {}) {
+        this.states.push({ state, ...fields });
+    }
+
+    markTradeFinalized() {}
+
+    getTrade() {
+        return {};
+    }
+}
+
+class JitoBundleTestSuite {
+    constructor() {
+        this.passed = 0;
+        this.failed = 0;
+        this.wallet = Keypair.generate();
+    }
+
+    async run(name, test) {
+        try {
+            await test();
+            this.passed++;
+            console.log(`  ✅ ${name}`);
+        } catch (error) {
+            this.failed++;
+            console.log(`  ❌ ${name}: ${error.message}`);
+        }
+    }
+
+    setup(blockEngineUrl, { fallbackToRpc = true } = {}) {
+        const connection = new MockConnection();
+        const db = new MockDatabase();
+        const jito = new JitoClient(connection, this.wallet);
+        jito.config.blockEngineUrl = blockEngineUrl;
+        jito.config.pollInterval = 1;
+        jito.config.fallbackToRpc = fallbackToRpc;
+
+        const tracker = new TransactionTracker(connection, db, {
+            pollInterval: 1,
+            rebroadcastInterval: 1,
+            maxBackoff: 4,
+            slotTime: 1,
+            finalityTimeout: 20
+        });
+
+        // Each build is a new signed swap; remember what was built and when
+        const builds = [];
+        const buildTransaction = async () => {
+            const message = new TransactionMessage({
+                payerKey: this.wallet.publicKey,
+                recentBlockhash: Keypair.generate().publicKey.toBase58(),
+                instructions: [SystemProgram.transfer({
+                    fromPubkey: this.wallet.publicKey,
+                    toPubkey: Keypair.generate().publicKey,
+                    lamports: 1000
+                })]
+            }).compileToV0Message();
+            const transaction = new VersionedTransaction(message);
+            transaction.sign([this.wallet]);
+
+            builds.push({ signature: bs58.encode(transaction.signatures[0]), height: connection.height });
+            return { transaction, lastValidBlockHeight: LAST_VALID_BLOCK_HEIGHT + (builds.length - 1) * 100, priorityFee: 0.0001 };
+        };
+
+        return { connection, db, jito, tracker, builds, buildTransaction };
+    }
+
+    async runAllTests() {
+        console.log('🧪 Jito bundle tests\n');
+
+        const engine = new MockBlockEngine();
+        const url = await engine.listen();
+
+        await this.run('landed bundle confirms without touching RPC submission', async () => {
+            engine.statuses = ['Pending', 'Landed'];
+            engine.failSend = false;
+            const { connection, tracker, builds, buildTransaction, jito } = this.setup(url);
+
+            const result = await tracker.trackBundle(1, buildTransaction, jito);
+            assert.ok(result.bundleId.startsWith('bundle-'));
+            assert.strictEqual(result.signature, builds[0].signature);
+            assert.strictEqual(builds.length, 1);
+            assert.strictEqual(connection.sent.length, 0);
+        });
+
+        await this.run('Invalid is polled through until the bundle is indexed', async () => {
+            engine.statuses = ['Invalid', 'Invalid', 'Landed'];
+            const { tracker, builds, buildTransaction, jito } = this.setup(url);
+
+            const result = await tracker.trackBundle(2, buildTransaction, jito);
+            assert.strictEqual(result.signature, builds[0].signature);
+            assert.strictEqual(builds.length, 1);
+            assert.strictEqual(tracker.stats.bundleFallbacks, 0);
+        });
+
+        await this.run('failed bundle rebroadcasts the same swap and rebuilds only after expiry', async () => {
+            engine.statuses = ['Failed'];
+            const { connection, tracker, builds, buildTransaction, jito } = this.setup(url);
+
+            // The rebuilt swap lands as soon as it's sent
+            const send = connection.sendRawTransaction.bind(connection);
+            connection.sendRawTransaction = async (raw) => {
+                const signature = await send(raw);
+                if (signature === builds[1]?.signature) connection.landed.set(signature, 'confirmed');
+                return signature;
+            };
+
+            const result = await tracker.trackBundle(3, buildTransaction, jito);
+            assert.strictEqual(builds.length, 2);
+            assert.ok(builds[1].height > LAST_VALID_BLOCK_HEIGHT, 'rebuilt before the first blockhash expired');
+            assert.ok(connection.sent.includes(builds[0].signature), 'original swap not rebroadcast');
+            assert.strictEqual(result.signature, builds[1].signature);
+            assert.strictEqual(result.jitoTip, 0);
+            assert.strictEqual(tracker.stats.bundleFallbacks, 1);
+        });
+
+        await this.run('bundle still Invalid at expiry but landed on-chain is not resubmitted', async () => {
+            engine.statuses = ['Invalid'];
+            const { connection, tracker, builds, buildTransaction, jito } = this.setup(url);
+
+            // Lands just as the blockhash runs out
+            const getBlockHeight = connection.getBlockHeight.bind(connection);
+            connection.getBlockHeight = async () => {
+                const height = await getBlockHeight();
+                if (height > LAST_VALID_BLOCK_HEIGHT) connection.landed.set(builds[0].signature, 'confirmed');
+                return height;
+            };
+
+            const result = await tracker.trackBundle(4, buildTransaction, jito);
+            assert.strictEqual(builds.length, 1);
+            assert.strictEqual(result.signature, builds[0].signature);
+            assert.strictEqual(tracker.stats.bundleFallbacks, 0);
+        });
+
+        await this.run('submit error after the bundle went out does not build a second swap', async () => {
+            engine.failSend = true;
+            const { connection, tracker, builds, buildTransaction, jito } = this.setup(url);
+
+            // The bundle the block engine did accept lands a few blocks later
+            const getBlockHeight = connection.getBlockHeight.bind(connection);
+            connection.getBlockHeight = async () => {
+                const height = await getBlockHeight();
+                if (height >= LAST_VALID_BLOCK_HEIGHT - 2) connection.landed.set(builds[0].signature, 'confirmed');
+                return height;
+            };
+
+            const result = await tracker.trackBundle(5, buildTransaction, jito);
+            assert.strictEqual(builds.length, 1);
+            assert.strictEqual(result.signature, builds[0].signature);
+            engine.failSend = false;
+        });
+
+        await this.run('expired bundle with fallback off fails without resubmitting', async () => {
+            engine.statuses = ['Pending'];
+            const { connection, db, tracker, builds, buildTransaction, jito } = this.setup(url, { fallbackToRpc: false });
+
+            await assert.rejects(() => tracker.trackBundle(6, buildTransaction, jito), /did not land/);
+            assert.strictEqual(builds.length, 1);
+            assert.strictEqual(connection.sent.length, 0);
+            assert.strictEqual(db.states[db.states.length - 1].state, 'failed');
+            // Nothing landed, so no fee or tip was paid
+            assert.strictEqual(db.states[db.states.length - 1].priorityFee, 0);
+            assert.strictEqual(db.states[db.states.length - 1].jitoTip, 0);
+        });
+
+        await this.run('status poll errors are retried until the swap confirms', async () => {
+            const { connection, db, tracker, builds, buildTransaction } = this.setup(url);
+
+            // The RPC drops a few polls; the swap lands in the meantime
+            let calls = 0;
+            const getSignatureStatuses = connection.getSignatureStatuses.bind(connection);
+            connection.getSignatureStatuses = async (signatures, options) => {
+                if (++calls <= 3) {
+                    connection.landed.set(builds[0].signature, 'confirmed');
+                    throw new Error('429 Too Many Requests');
+                }
+                return getSignatureStatuses(signatures, options);
+            };
+
+            const result = await tracker.track(7, buildTransaction);
+            assert.strictEqual(result.signature, builds[0].signature);
+            assert.strictEqual(builds.length, 1);
+            assert.ok(!db.states.some(state => state.state === 'failed'));
+        });
+
+        await this.run('swap whose outcome cannot be read is left for reconciliation, not rebuilt', async () => {
+            const { connection, db, tracker, builds, buildTransaction } = this.setup(url);
+            connection.getSignatureStatuses = async () => {
+                throw new Error('fetch failed');
+            };
+
+            await assert.rejects(() => tracker.track(8, buildTransaction), /needs reconciliation/);
+            assert.strictEqual(builds.length, 1);
+            assert.strictEqual(db.states[db.states.length - 1].state, 'needs_reconcile');
+            assert.ok(!db.states.some(state => state.state === 'failed'));
+            assert.strictEqual(tracker.stats.unresolved, 1);
+        });
+
+        await this.run('bundle whose outcome cannot be read is not failed or resubmitted', async () => {
+            engine.statuses = ['Pending'];
+            const { connection, db, tracker, builds, buildTransaction, jito } = this.setup(url);
+            connection.getBlockHeight = async () => {
+                throw new Error('fetch failed');
+            };
+            // The bundle poll still needs a height to time out against
+            jito.waitForBundle = async () => ({ status: 'expired' });
+
+            await assert.rejects(() => tracker.trackBundle(9, buildTransaction, jito), /needs reconciliation/);
+            assert.strictEqual(builds.length, 1);
+            assert.strictEqual(db.states[db.states.length - 1].state, 'needs_reconcile');
+            assert.strictEqual(tracker.stats.bundleFallbacks, 0);
+        });
+
+        await engine.close();
+
+        console.log(`\n${this.passed} passed, ${this.failed} failed`);
+        return this.failed === 0;
+    }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+    const testSuite = new JitoBundleTestSuite();
+    testSuite.runAllTests()
+        .then(ok => process.exit(ok ? 0 : 1))
+        .catch(error => {
+            console.error(error);
+            process.exit(1);
+        });
+}
+
+module.exports = JitoBundleTestSuite;
@@ -0,0 +1,403 @@
+// backend/tests/jupiter-live-trade-test.js
+// Runs JupiterClient and TradingEngine.executeLiveTrade against a stub Jupiter API
+// (HTTP) and a scripted connection whose getTransaction serves canned swap
+// results: quoting, fill parsing, retries, and the fallbacks when a landed swap's
+// transaction can't be fetched.
+// Run with: node tests/jupiter-live-trade-test.js
+const assert = require('assert');
+const http = require('http');
+const bs58 = require('bs58').default;
+const {
+    Keypair,
+    LAMPORTS_PER_SOL,
+    SystemProgram,
+    VersionedTransaction
+} = require('@solana/web3.js');
+const { useConnection } = require('../src/utils/connection');
+const DatabaseManager = require('../src/utils/database');
+const JupiterClient = require('../src/executors/jupiter_client');
+const TransactionTracker = require('../src/executors/transaction_tracker');
+
+const MINT = 'AKnL4NNf3DGWZJS6cPknBuEGnVsV4A4m5tgebLHaRSZ9';
+const POOL = 'EdmxWPmx2WH6WgFfTdu9xfkYf3k1g5wD1zccTVySEEh1';
+const DECIMALS = 6;
+const FEE_LAMPORTS = 5000;
+
+// Stub Jupiter API: quotes at a fixed rate and returns one system transfer as the swap
+class StubJupiterApi {
+    constructor(wallet) {
+        this.wallet = wallet;
+        this.requests = [];
+        this.server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                const url = new URL(req.url, 'http://localhost');
+                this.requests.push(url.pathname);
+                res.setHeader('Content-Type', 'application/json');
+
+                if (req.method === 'GET' && url.pathname === '/quote') {
+                    const amount = url.searchParams.get('amount');
+                    return res.end(JSON.stringify({
+                        inputMint: url.searchParams.get('inputMint'),
+                        outputMint: url.searchParams.get('outputMint'),
+                        inAmount: amount,
+                        outAmount: String(BigInt(amount) * 2n),
+                        otherAmountThreshold: String(BigInt(amount) * 19n / 10n),
+                        slippageBps: Number(url.searchParams.get('slippageBps'))
+                    }));
+                }
+                if (req.method === 'POST' && url.pathname === '/swap-instructions') {
+                    return res.end(JSON.stringify(this.swapInstructions(JSON.parse(body))));
+                }
+                res.statusCode = 404;
+                res.end('{}');
+            });
+        });
+    }
+
+    swapInstructions(request) {
+        const ix = SystemProgram.transfer({
+            fromPubkey: this.wallet.publicKey,
+            toPubkey: Keypair.generate().publicKey,
+            lamports: 1
+        });
+        assert.strictEqual(request.userPublicKey, this.wallet.publicKey.toBase58());
+
+        return {
+            swapInstruction: {
+                programId: ix.programId.toBase58(),
+                accounts: [
+                    ...ix.keys.map(key => ({ ...key, pubkey: key.pubkey.toBase58() })),
+                    { pubkey: POOL, isSigner: false, isWritable: true }
+                ],
+                data: ix.data.toString('base64')
+            },
+            addressLookupTableAddresses: []
+        };
+    }
+
+    listen() {
+        return new Promise(resolve => this.server.listen(0, '127.0.0.1', () => {
+            resolve(`http://127.0.0.1:${this.server.address().port}`);
+        }));
+    }
+
+    close() {
+        return new Promise(resolve => this.server.close(resolve));
+    }
+}
+
+// Wallet balances move by nextSwap when a transaction is sent, and the swap
+// lands at once. getTransaction serves the canned result after
+// transactionDelay empty responses (Infinity: never).
+class MockConnection {
+    constructor(wallet) {
+        this.owner = wallet.publicKey.toBase58();
+        this.lamports = 10 * LAMPORTS_PER_SOL;
+        this.tokens = 0n;
+        this.nextSwap = null;
+        this.transactions = new Map();
+        this.transactionDelay = 0;
+        this.getTransactionCalls = 0;
+        this.balancesFail = false;
+    }
+
+    async getLatestBlockhash() {
+        return { blockhash: Keypair.generate().publicKey.toBase58(), lastValidBlockHeight: 1000 };
+    }
+
+    async getBlockHeight() {
+        return 10;
+    }
+
+    async getBalance() {
+        if (this.balancesFail) throw new Error('RPC unavailable');
+        return this.lamports;
+    }
+
+    async getParsedTokenAccountsByOwner() {
+        if (this.balancesFail) throw new Error('RPC unavailable');
+        return {
+            value: [{
+                account: { data: { parsed: { info: { tokenAmount: { amount: this.tokens.toString(), decimals: DECIMALS } } } } }
+            }]
+        };
+    }
+
+    async sendRawTransaction(raw) {
+        const signature = bs58.encode(VersionedTransaction.deserialize(raw).signatures[0]);
+        if (this.transactions.has(signature)) return signature;
+
+        const { lamports, tokens } = this.nextSwap;
+        const tokenBalance = (amount) => [{
+            accountIndex: 1,
+            mint: MINT,
+            owner: this.owner,
+            uiTokenAmount: { amount: amount.toString(), decimals: DECIMALS }
+        }];
+
+        this.transactions.set(signature, {
+            slot: 250000000,
+            meta: {
+                err: null,
+                fee: FEE_LAMPORTS,
+                preBalances: [this.lamports],
+                postBalances: [this.lamports + lamports],
+                preTokenBalances: tokenBalance(this.tokens),
+                postTokenBalances: tokenBalance(this.tokens + tokens)
+            }
+        });
+        this.lamports += lamports;
+        this.tokens += tokens;
+        return signature;
+    }
+
+    async getSignatureStatuses(signatures) {
+        return {
+            value: signatures.map(signature => this.transactions.has(signature)
+                ? { err: null, confirmationStatus: 'finalized' }
+                : null)
+        };
+    }
+
+    async getTransaction(signature) {
+        this.getTransactionCalls++;
+        if (this.getTransactionCalls <= this.transactionDelay) return null;
+        return this.transactions.get(signature) || null;
+    }
+}
+
+class JupiterLiveTradeTestSuite {
+    constructor() {
+        this.passed = 0;
+        this.failed = 0;
+        this.wallet = Keypair.generate();
+    }
+
+    async run(name, test) {
+        try {
+            await test();
+            this.passed++;
+            console.log(`  ✅ ${name}`);
+        } catch (error) {
+            this.failed++;
+            console.log(`  ❌ ${name}: ${error.message}`);
+        }
+    }
+
+    // A live engine on an in-memory database, wired to the stub API and mock connection
+    createEngine(apiUrl) {
+        process.env.PAPER_TRADING = 'false';
+        process.env.PRIVATE_KEY = bs58.encode(this.wallet.secretKey);
+        process.env.JUPITER_API_URL = apiUrl;
+        process.env.JITO_ENABLED = 'false';
+
+        const connection = new MockConnection(this.wallet);
+        useConnection(connection);
+
+        const TradingEngine = require('../src/executors/trading_engine');
+        const db = new DatabaseManager(':memory:');
+        const engine = new TradingEngine(db);
+        useConnection(null);
+
+        engine.jupiter.feeManager = null;
+        engine.jupiter.fillRetryDelay = 1;
+        engine.tracker = new TransactionTracker(connection, db, { pollInterval: 1, finalityTimeout: 20 });
+
+        return { engine, connection, db };
+    }
+
+    lastTrade(db) {
+        return db.db.prepare('SELECT * FROM trades ORDER BY id DESC LIMIT 1').get();
+    }
+
+    async runAllTests() {
+        console.log('🧪 Jupiter client and live trade tests\n');
+
+        const api = new StubJupiterApi(this.wallet);
+        const apiUrl = await api.listen();
+        const token = { address: MINT, symbol: 'TEST' };
+
+        await this.run('quotes and builds swap instructions from the API', async () => {
+            const jupiter = new JupiterClient(new MockConnection(this.wallet), this.wallet, { apiUrl });
+
+            const quote = await jupiter.getQuote(JupiterClient.WSOL_MINT, MINT, 1000n, 150);
+            assert.strictEqual(quote.outAmount, '2000');
+            assert.strictEqual(quote.slippageBps, 150);
+
+            const { instructions, writableAccounts } = await jupiter.getSwapInstructions(quote);
+            assert.strictEqual(instructions.length, 1);
+            assert.ok(instructions[0].programId.equals(SystemProgram.programId));
+            assert.deepStrictEqual(writableAccounts, [instructions[0].keys[1].pubkey.toBase58(), POOL]);
+        });
+
+        await this.run('getFill retries until the transaction is served', async () => {
+            const connection = new MockConnection(this.wallet);
+            const jupiter = new JupiterClient(connection, this.wallet, { apiUrl, fillRetryDelay: 1 });
+            connection.nextSwap = { lamports: -0.1 * LAMPORTS_PER_SOL - FEE_LAMPORTS, tokens: 123000000n };
+
+            const { transaction } = await jupiter.buildSwap(JupiterClient.WSOL_MINT, MINT, 100000000);
+            const signature = await connection.sendRawTransaction(transaction.serialize());
+            connection.transactionDelay = 2;
+
+            const fill = await jupiter.getFill(signature, MINT);
+            assert.strictEqual(connection.getTransactionCalls, 3);
+            assert.strictEqual(fill.tokenAmount, 123);
+            assert.strictEqual(fill.rawTokenAmount, 123000000n);
+            assert.strictEqual(fill.solAmount, -0.100005);
+            assert.strictEqual(fill.fee, FEE_LAMPORTS / LAMPORTS_PER_SOL);
+        });
+
+        await this.run('getFill gives up once retries run out', async () => {
+            const connection = new MockConnection(this.wallet);
+            const jupiter = new JupiterClient(connection, this.wallet, { apiUrl, fillRetries: 2, fillRetryDelay: 1 });
+
+            await assert.rejects(() => jupiter.getFill('missing', MINT), /not found/);
+            assert.strictEqual(connection.getTransactionCalls, 3);
+        });
+
+        await this.run('live buy records the fill from getTransaction', async () => {
+            const { engine, connection, db } = this.createEngine(apiUrl);
+            connection.nextSwap = { lamports: -0.1 * LAMPORTS_PER_SOL - FEE_LAMPORTS, tokens: 123000000n };
+
+            await engine.executeLiveTrade(token, 0.1, 'buy', 'momentum');
+
+            // The mock finalizes at once, so finality is seen before the fill is written
+            const trade = this.lastTrade(db);
+            assert.strictEqual(trade.status, 'finalized');
+            assert.ok(trade.finalized_at);
+            assert.strictEqual(trade.amount, 123);
+            assert.strictEqual(trade.sol_amount, 0.100005);
+            assert.strictEqual(trade.network_fee, FEE_LAMPORTS / LAMPORTS_PER_SOL);
+            assert.strictEqual(db.getPosition(MINT, 'live').balance, 123);
+        });
+
+        await this.run('live sell closes the position with realized PnL', async () => {
+            const { engine, connection, db } = this.createEngine(apiUrl);
+            connection.nextSwap = { lamports: -0.1 * LAMPORTS_PER_SOL - FEE_LAMPORTS, tokens: 123000000n };
+            await engine.executeLiveTrade(token, 0.1, 'buy', 'momentum');
+
+            connection.nextSwap = { lamports: 0.15 * LAMPORTS_PER_SOL - FEE_LAMPORTS, tokens: -123000000n };
+            await engine.executeLiveTrade(token, 123, 'sell');
+
+            const trade = this.lastTrade(db);
+            assert.strictEqual(trade.side, 'sell');
+            assert.strictEqual(trade.status, 'finalized');
+            assert.strictEqual(trade.amount, 123);
+            assert.ok(Math.abs(trade.profit_loss - 0.04999) < 1e-9, `PnL ${trade.profit_loss}`);
+            assert.ok(!db.getPosition(MINT, 'live') || db.getPosition(MINT, 'live').balance === 0);
+        });
+
+        await this.run('landed buy without a fetchable transaction is recorded from the balance change', async () => {
+            const { engine, connection, db } = this.createEngine(apiUrl);
+            engine.jupiter.fillRetries = 1;
+            connection.transactionDelay = Infinity;
+            connection.nextSwap = { lamports: -0.1 * LAMPORTS_PER_SOL - FEE_LAMPORTS, tokens: 50000000n };
+
+            await engine.executeLiveTrade(token, 0.1, 'buy', 'momentum');
+
+            const trade = this.lastTrade(db);
+            assert.strictEqual(trade.status, 'finalized');
+            assert.strictEqual(trade.amount, 50);
+            assert.strictEqual(trade.sol_amount, 0.100005);
+            assert.strictEqual(db.getPosition(MINT, 'live').balance, 50);
+        });
+
+        await this.run('landed buy with no way to read its fill is flagged needs_reconcile', async () => {
+            const { engine, connection, db } = this.createEngine(apiUrl);
+            engine.jupiter.fillRetries = 1;
+            connection.transactionDelay = Infinity;
+            connection.nextSwap = { lamports: -0.1 * LAMPORTS_PER_SOL - FEE_LAMPORTS, tokens: 50000000n };
+
+            // Balances readable for the pre-swap snapshot, then the RPC goes away
+            const send = connection.sendRawTransaction.bind(connection);
+            connection.sendRawTransaction = async (raw) => {
+                const signature = await send(raw);
+                connection.balancesFail = true;
+                return signature;
+            };
+
+            await engine.executeLiveTrade(token, 0.1, 'buy', 'momentum');
+
+            const trade = this.lastTrade(db);
+            assert.strictEqual(trade.status, 'needs_reconcile');
+            assert.ok(trade.signature);
+            assert.match(trade.error, /could not be read/);
+        });
+
+        await this.run('Jito tip is added to a transaction fill but not to a balance-change fill', async () => {
+            const TIP = 0.001;
+            const withTip = (engine) => {
+                const submitSwap = engine.submitSwap.bind(engine);
+                engine.submitSwap = async (...args) => ({ ...(await submitSwap(...args)), jitoTip: TIP });
+            };
+
+            // The tip is its own bundle transaction, outside the swap's lamport delta
+            const read = this.createEngine(apiUrl);
+            withTip(read.engine);
+            read.connection.nextSwap = { lamports: -0.1 * LAMPORTS_PER_SOL - FEE_LAMPORTS, tokens: 50000000n };
+            await read.engine.executeLiveTrade(token, 0.1, 'buy', 'momentum');
+            assert.ok(Math.abs(this.lastTrade(read.db).sol_amount - 0.101005) < 1e-12);
+
+            // The wallet's balance change already has it
+            const fallback = this.createEngine(apiUrl);
+            withTip(fallback.engine);
+            fallback.engine.jupiter.fillRetries = 1;
+            fallback.connection.transactionDelay = Infinity;
+            fallback.connection.nextSwap = { lamports: -(0.1 + TIP) * LAMPORTS_PER_SOL - FEE_LAMPORTS, tokens: 50000000n };
+            await fallback.engine.executeLiveTrade(token, 0.1, 'buy', 'momentum');
+            assert.ok(Math.abs(this.lastTrade(fallback.db).sol_amount - 0.101005) < 1e-12);
+        });
+
+        await this.run('landed swap that moved no tokens is flagged needs_reconcile', async () => {
+            const { engine, connection, db } = this.createEngine(apiUrl);
+            connection.nextSwap = { lamports: -FEE_LAMPORTS, tokens: 0n };
+
+            assert.strictEqual(await engine.executeLiveTrade(token, 0.1, 'buy', 'momentum'), false);
+
+            const trade = this.lastTrade(db);
+            assert.strictEqual(trade.status, 'needs_reconcile');
+            assert.match(trade.error, /moved no tokens/);
+            assert.strictEqual(trade.price, 0);
+            assert.ok(!db.getPosition(MINT, 'live'));
+        });
+
+        await this.run('finality never overrides a trade awaiting reconciliation', async () => {
+            const db = new DatabaseManager(':memory:');
+            const { lastInsertRowid: tradeId } = db.recordTrade({
+                tokenAddress: MINT, side: 'buy', amount: 0, price: 0, solAmount: 0.1, status: 'pending', mode: 'live'
+            });
+            db.updateTradeState(tradeId, 'submitted', { signature: 'sig', priorityFee: 0.0001 });
+            db.updateTradeState(tradeId, 'confirmed');
+            db.updateTradeState(tradeId, 'needs_reconcile', { error: 'fill could not be read' });
+
+            db.markTradeFinalized(tradeId);
+            assert.strictEqual(db.getTrade(tradeId).status, 'needs_reconcile');
+
+            // Reconciled after finality: straight to finalized
+            db.updateTradeState(tradeId, 'confirmed', { amount: 50 });
+            assert.strictEqual(db.getTrade(tradeId).status, 'finalized');
+            assert.strictEqual(db.getTrade(tradeId).amount, 50);
+            assert.strictEqual(db.getDailyPriorityFees(), 0.0001);
+        });
+
+        await api.close();
+
+        console.log(`\n${this.passed} passed, ${this.failed} failed`);
+        return this.failed === 0;
+    }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+    const testSuite = new JupiterLiveTradeTestSuite();
+    testSuite.runAllTests()
+        .then(ok => process.exit(ok ? 0 : 1))
+        .catch(error => {
+            console.error(error);
+            process.exit(1);
+        });
+}
+
+module.exports = JupiterLiveTradeTestSuite;
@@ -0,0 +1,200 @@
+// backend/tests/pool-state-test.js
+// Runs PoolStateReader over the account fixtures in tests/fixtures/pool_state
+// (getAccountInfo payloads for a pool, its vaults and mints): Raydium AMM v4,
+// CPMM and CLMM, Orca Whirlpool, Meteora DLMM and dynamic AMM vault shares, and
+// how pools for a mint are found.
+// Run with: node tests/pool-state-test.js
+const assert = require('assert');
+const path = require('path');
+const { PublicKey } = require('@solana/web3.js');
+const PoolStateReader = require('../src/collectors/pool_state_reader');
+const DatabaseManager = require('../src/utils/database');
+
+const WSOL_MINT = 'So11111111111111111111111111111111111111112';
+const fixture = (name) => require(path.join(__dirname, 'fixtures', 'pool_state', `${name}.json`));
+
+// Serves fixture accounts and counts program scans
+class MockConnection {
+    constructor(...fixtures) {
+        this.accounts = new Map();
+        this.scans = 0;
+        for (const { accounts } of fixtures) {
+            for (const { pubkey, account } of accounts) {
+                this.accounts.set(pubkey, {
+                    ...account,
+                    owner: new PublicKey(account.owner),
+                    data: Buffer.from(account.data[0], 'base64')
+                });
+            }
+        }
+    }
+
+    async getAccountInfo(pubkey) {
+        return this.accounts.get(pubkey.toBase58()) || null;
+    }
+
+    async getMultipleAccountsInfo(pubkeys) {
+        return pubkeys.map(pubkey => this.accounts.get(pubkey.toBase58()) || null);
+    }
+
+    async getProgramAccounts() {
+        this.scans++;
+        return [];
+    }
+}
+
+const close = (actual, expected, tolerance = 1e-9) => {
+    assert.ok(Math.abs(actual - expected) <= Math.abs(expected) * tolerance,
+        `expected ${expected}, got ${actual}`);
+};
+
+class PoolStateTestSuite {
+    constructor() {
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    async run(name, test) {
+        try {
+            await test();
+            this.passed++;
+            console.log(`  ✅ ${name}`);
+        } catch (error) {
+            this.failed++;
+            console.log(`  ❌ ${name}: ${error.message}`);
+        }
+    }
+
+    async read(name) {
+        const pool = fixture(name);
+        const state = await new PoolStateReader(new MockConnection(pool)).read(pool.pool);
+        assert.ok(state, `${name} not decoded`);
+        assert.strictEqual(state.type, name);
+        assert.strictEqual(state.mint, pool.mint);
+        return state;
+    }
+
+    async runAllTests() {
+        console.log('🧪 Pool state reader tests\n');
+
+        await this.run('Raydium AMM v4 reserves exclude pending PnL', async () => {
+            const state = await this.read('raydium_v4');
+            close(state.reserves.token, 1000000);
+            close(state.reserves.sol, 10);
+            close(state.priceSol, 0.00001);
+            close(state.tvlSol, 20);
+            // x*y=k: a 1% move up takes 10 * (sqrt(1.01) - 1) SOL
+            close(state.depthSol.buy[1], 10 * (Math.sqrt(1.01) - 1));
+        });
+
+        await this.run('Raydium CPMM reserves exclude protocol and fund fees, SOL on side A', async () => {
+            const state = await this.read('raydium_cpmm');
+            close(state.reserves.sol, 50);
+            close(state.reserves.token, 5000000);
+            close(state.priceSol, 0.00001);
+            close(state.tvlSol, 100);
+        });
+
+        await this.run('Raydium CLMM prices from sqrt price and sizes depth on active liquidity', async () => {
+            const state = await this.read('raydium_clmm');
+            // s = 10 with 9/6 decimals: 100,000 tokens per SOL
+            close(state.priceSol, 0.00001);
+            close(state.reserves.sol, 10);
+            close(state.reserves.token, 1000000);
+            // Virtual SOL reserve L / s = 1e11 / 10 lamports
+            close(state.depthSol.buy[2], 10 * (Math.sqrt(1.02) - 1));
+        });
+
+        await this.run('Orca Whirlpool reads decimals from the mints and nets protocol fees', async () => {
+            const state = await this.read('orca_whirlpool');
+            close(state.priceSol, 0.00001, 1e-6);
+            close(state.reserves.token, 1000000);
+            close(state.reserves.sol, 10);
+            close(state.depthSol.buy[1], 10 * (Math.sqrt(1.01) - 1), 1e-6);
+        });
+
+        await this.run('Meteora DLMM prices from the active bin', async () => {
+            const state = await this.read('meteora_dlmm');
+            const price = Math.pow(1 + 25 / 10000, -1844) * 1e-3;
+            close(state.priceSol, price);
+            close(state.reserves.token, 500000);
+            close(state.reserves.sol, 5);
+            close(state.tvlSol, 5 + 500000 * price);
+            assert.deepStrictEqual(state.bin, { activeId: -1844, binStep: 25 });
+        });
+
+        await this.run('Meteora dynamic AMM reserves are the pool share of each vault', async () => {
+            const state = await this.read('meteora_damm');
+            // Half the token vault's LP supply, a quarter of the SOL vault's
+            close(state.reserves.token, 1000000);
+            close(state.reserves.sol, 10);
+            close(state.priceSol, 0.00001);
+            close(state.tvlSol, 20);
+        });
+
+        await this.run('pools that are not paired with SOL are not priced', async () => {
+            const pool = fixture('raydium_v4');
+            const connection = new MockConnection(pool);
+            const data = Buffer.from(connection.accounts.get(pool.pool).data);
+            new PublicKey(pool.mint).toBuffer().copy(data, 432); // token / token
+            connection.accounts.get(pool.pool).data = data;
+
+            assert.strictEqual(await new PoolStateReader(connection).read(pool.pool), null);
+        });
+
+        await this.run('known pools are used without scanning the programs', async () => {
+            const cpmm = fixture('raydium_cpmm');
+            const dlmm = fixture('meteora_dlmm');
+            const connection = new MockConnection(cpmm, dlmm);
+            const db = new DatabaseManager(':memory:');
+            db.savePool({
+                address: cpmm.pool,
+                poolType: 'raydium_cpmm',
+                programId: 'CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C',
+                baseMint: WSOL_MINT,
+                quoteMint: cpmm.mint
+            });
+            const reader = new PoolStateReader(connection, db);
+
+            const pools = await reader.findPools(cpmm.mint);
+            assert.strictEqual(connection.scans, 0);
+            assert.deepStrictEqual(pools, [cpmm.pool, reader.getBondingCurveAddress(cpmm.mint)]);
+            assert.strictEqual((await reader.getLiquidity(cpmm.mint)).pool, cpmm.pool);
+
+            // The pool a token was discovered on counts too
+            db.addToken({ address: dlmm.mint, symbol: 'DLMM', name: 'DLMM', metadata: { pool: dlmm.pool } });
+            assert.strictEqual((await reader.findPools(dlmm.mint))[0], dlmm.pool);
+            assert.strictEqual(connection.scans, 0);
+        });
+
+        await this.run('unknown mints fall back to a scan per program and side', async () => {
+            const connection = new MockConnection();
+            const reader = new PoolStateReader(connection, new DatabaseManager(':memory:'));
+
+            const mint = fixture('raydium_v4').mint;
+            const pools = await reader.findPools(mint);
+            assert.strictEqual(connection.scans, 12);
+            assert.deepStrictEqual(pools, [reader.getBondingCurveAddress(mint)]);
+
+            // Cached for the lookup TTL
+            await reader.findPools(mint);
+            assert.strictEqual(connection.scans, 12);
+        });
+
+        console.log(`\n${this.passed} passed, ${this.failed} failed`);
+        return this.failed === 0;
+    }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+    const testSuite = new PoolStateTestSuite();
+    testSuite.runAllTests()
+        .then(ok => process.exit(ok ? 0 : 1))
+        .catch(error => {
+            console.error(error);
+            process.exit(1);
+        });
+}
+
+module.exports = PoolStateTestSuite;
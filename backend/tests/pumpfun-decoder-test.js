@@ -0,0 +1,290 @@
+// backend/tests/pumpfun-decoder-test.js
+// Checks pump.fun instruction and event decoding against the saved fixtures in
+// tests/fixtures/pumpfun (logsSubscribe payloads and a getTransaction response),
+// and the migration watcher built on those events.
+// Run with: node tests/pumpfun-decoder-test.js
+const assert = require('assert');
+const path = require('path');
+const PumpFunDecoder = require('../src/collectors/scanners/pumpfun_decoder');
+const PumpFunScanner = require('../src/collectors/scanners/pumpfun_scanner');
+const PumpFunStrategy = require('../src/executors/strategies/pumpfun_strategy');
+const MigrationWatcher = require('../src/collectors/migration_watcher');
+const DatabaseManager = require('../src/utils/database');
+const priceService = require('../src/utils/price_service');
+const { mergeStrategy } = require('../src/utils/strategy_config');
+
+const fixture = (name) => require(path.join(__dirname, 'fixtures', 'pumpfun', `${name}.json`));
+
+const MINT = 'AKnL4NNf3DGWZJS6cPknBuEGnVsV4A4m5tgebLHaRSZ9';
+const USER = '9hSR6S7WPtxmTojgo6GG3k4yDPecgJY292j7xrsUGWBu';
+const CURVE = 'GTSxUuGsx6UyaCAWNjySYx2gLMJr1arNdzcjBnuRoLUV';
+const POOL = 'EdmxWPmx2WH6WgFfTdu9xfkYf3k1g5wD1zccTVySEEh1';
+const WSOL_MINT = 'So11111111111111111111111111111111111111112';
+const RAYDIUM_V4 = '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8';
+
+// Subscribes and unsubscribes migrator logs; serves one transaction
+class MigrationConnection {
+    constructor(transaction = null) {
+        this.transaction = transaction;
+        this.subscriptions = new Set();
+        this.nextId = 1;
+    }
+
+    onLogs() {
+        const id = this.nextId++;
+        this.subscriptions.add(id);
+        return id;
+    }
+
+    async removeOnLogsListener(id) {
+        this.subscriptions.delete(id);
+    }
+
+    async getTransaction() {
+        return this.transaction;
+    }
+}
+
+class PumpFunDecoderTestSuite {
+    constructor() {
+        this.decoder = new PumpFunDecoder();
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    async run(name, test) {
+        try {
+            await test();
+            this.passed++;
+            console.log(`  ✅ ${name}`);
+        } catch (error) {
+            this.failed++;
+            console.log(`  ❌ ${name}: ${error.message}`);
+        }
+    }
+
+    async runAllTests() {
+        console.log('🧪 Pump.fun decoder tests\n');
+
+        await this.run('decodes CreateEvent from logs', () => {
+            const [event] = this.decoder.decodeLogs(fixture('create_logs').logs);
+            assert.strictEqual(event.type, 'create');
+            assert.strictEqual(event.name, 'Test Coin');
+            assert.strictEqual(event.symbol, 'TEST');
+            assert.strictEqual(event.uri, 'https://ipfs.io/ipfs/QmTest');
+            assert.strictEqual(event.mint, MINT);
+            assert.strictEqual(event.bondingCurve, CURVE);
+            assert.strictEqual(event.creator, USER);
+            assert.strictEqual(event.virtualSolReserves, 30000000000n);
+        });
+
+        await this.run('decodes TradeEvent from logs', () => {
+            const [event] = this.decoder.decodeLogs(fixture('buy_logs').logs);
+            assert.strictEqual(event.type, 'trade');
+            assert.strictEqual(event.mint, MINT);
+            assert.strictEqual(event.isBuy, true);
+            assert.strictEqual(event.solAmount, 1000000000n);
+            assert.strictEqual(event.tokenAmount, 34612903225806n);
+            assert.strictEqual(event.realSolReserves, 1000000000n);
+            assert.strictEqual(event.creatorFee, 500000n);
+        });
+
+        await this.run('decodes CompleteEvent and migration event', () => {
+            const events = this.decoder.decodeLogs(fixture('migration_logs').logs);
+            assert.deepStrictEqual(events.map(e => e.type), ['complete', 'migration']);
+            assert.strictEqual(events[0].bondingCurve, CURVE);
+            assert.strictEqual(events[1].pool, POOL);
+            assert.strictEqual(events[1].solAmount, 84990359101n);
+        });
+
+        await this.run('ignores logs that merely mention create', () => {
+            const logs = ['Program log: Instruction: InitializeAccount', 'Program log: create account'];
+            assert.strictEqual(this.decoder.decodeLogs(logs).length, 0);
+        });
+
+        await this.run('decodes Create and Buy instructions from a transaction', () => {
+            const [create, buy] = this.decoder.decodeTransaction(fixture('create_transaction'));
+            assert.strictEqual(create.type, 'create');
+            assert.strictEqual(create.symbol, 'TEST');
+            assert.strictEqual(create.mint, MINT);
+            assert.strictEqual(create.bondingCurve, CURVE);
+            assert.strictEqual(create.creator, USER);
+            assert.strictEqual(buy.type, 'buy');
+            assert.strictEqual(buy.amount, 34612903225806n);
+            assert.strictEqual(buy.maxSolCost, 1100000000n);
+        });
+
+        await this.run('scanner emits a token for a create without RPC calls', async () => {
+            const scanner = new PumpFunScanner();
+            scanner.connection = {};
+            const tokens = [];
+            scanner.on('token', token => tokens.push(token));
+
+            await scanner.processLogEntry(fixture('create_logs'));
+            assert.strictEqual(tokens.length, 1);
+            assert.strictEqual(tokens[0].address, MINT);
+            assert.strictEqual(tokens[0].symbol, 'TEST');
+            assert.strictEqual(tokens[0].creator, USER);
+            assert.ok(tokens[0].priceSol > 0);
+            assert.ok(Math.abs(tokens[0].marketCapSol - 27.96) < 0.01);
+        });
+
+        await this.run('scanner skips failed transactions', async () => {
+            const scanner = new PumpFunScanner();
+            scanner.connection = {};
+            const tokens = [];
+            scanner.on('token', token => tokens.push(token));
+
+            await scanner.processLogEntry(fixture('failed_create_logs'));
+            assert.strictEqual(tokens.length, 0);
+        });
+
+        await this.run('curve cache and live prices stay bounded', () => {
+            const scanner = new PumpFunScanner();
+            scanner.curves.limit = 3;
+            priceService.maxLive = 3;
+            const curve = {
+                virtualSolReserves: 30000000000n,
+                virtualTokenReserves: 1073000000000000n,
+                realTokenReserves: 793100000000000n,
+                realSolReserves: 0n,
+                tokenTotalSupply: 1000000000000000n,
+                complete: false
+            };
+
+            // The held mint keeps updating while new mints stream past
+            for (let i = 0; i < 10; i++) {
+                scanner.updateCurve(`mint-${i}`, curve);
+                scanner.updateCurve('held', curve);
+            }
+            assert.strictEqual(scanner.curves.size, 3);
+            assert.ok(scanner.curves.has('held'));
+            assert.strictEqual(priceService.live.size, 3);
+            assert.ok(priceService.live.has('held'));
+
+            // Expired prices go on the next push
+            priceService.live.get('mint-8').timestamp -= priceService.liveTtl;
+            priceService.setLivePrice('new', { sol: 1 });
+            assert.ok(!priceService.live.has('mint-8'));
+            priceService.live.clear();
+            priceService.maxLive = 5000;
+        });
+
+        await this.run('strategy reads unwatched curves fresh and watched ones from the cache', async () => {
+            const scanner = new PumpFunScanner();
+            const reads = [];
+            scanner.connection = {
+                getAccountInfo: async (address) => {
+                    reads.push(address.toBase58());
+                    return { data: Buffer.alloc(0) };
+                }
+            };
+            // About a third of the way along the curve by now
+            scanner.decodeBondingCurve = () => ({
+                virtualSolReserves: 40000000000n,
+                virtualTokenReserves: 804750000000000n,
+                realTokenReserves: 524850000000000n,
+                realSolReserves: 10000000000n,
+                tokenTotalSupply: 1000000000000000n,
+                complete: false
+            });
+            const strategy = new PumpFunStrategy({ pumpFun: scanner }, mergeStrategy());
+
+            // Cached from discovery, long out of date
+            scanner.curves.set(MINT, { curveProgress: 1 });
+            const progress = await strategy.curveProgress({ address: MINT, metadata: '{}' });
+            assert.ok(progress > 30 && progress < 40, `progress ${progress}`);
+            assert.deepStrictEqual(reads, [CURVE]);
+
+            // A held token's curve is kept current by its subscription
+            scanner.curveSubscriptions.set(MINT, 1);
+            assert.strictEqual(await strategy.curveProgress(MINT), progress);
+            assert.strictEqual(reads.length, 1);
+            priceService.live.clear();
+        });
+
+        await this.run('migration watcher attaches once, detaches on stop and drops stale completions', async () => {
+            const connection = new MigrationConnection();
+            const watcher = new MigrationWatcher(new DatabaseManager(':memory:'), connection);
+            const scanner = new PumpFunScanner();
+            const migrations = [];
+            watcher.on('migration', (migration) => migrations.push(migration));
+
+            watcher.start(scanner);
+            watcher.start(scanner);
+            assert.strictEqual(scanner.listenerCount('complete'), 1);
+            assert.strictEqual(scanner.listenerCount('migration'), 1);
+            assert.strictEqual(connection.subscriptions.size, 1);
+
+            const [complete, migration] = this.decoder.decodeLogs(fixture('migration_logs').logs);
+            scanner.emit('complete', complete);
+            scanner.emit('migration', migration);
+            assert.strictEqual(migrations.length, 1);
+            assert.strictEqual(migrations[0].pool, POOL);
+            assert.ok(migrations[0].completedAt);
+
+            // A curve that completes and never migrates
+            scanner.emit('complete', { ...complete, mint: 'never-migrates' });
+            watcher.completed.set('never-migrates', Date.now() - 2 * watcher.config.awaitMinutes * 60 * 1000);
+            assert.strictEqual(watcher.getStats().awaitingPool, 0);
+            assert.strictEqual(watcher.getStats().expired, 1);
+
+            await watcher.stop();
+            assert.strictEqual(scanner.listenerCount('complete'), 0);
+            assert.strictEqual(scanner.listenerCount('migration'), 0);
+            assert.strictEqual(connection.subscriptions.size, 0);
+
+            // And can be started again
+            watcher.start(scanner);
+            assert.strictEqual(scanner.listenerCount('migration'), 1);
+            await watcher.stop();
+        });
+
+        await this.run('legacy Raydium migrations decode through the Raydium initialize2 layout', async () => {
+            // initialize2: tag, nonce, open_time, init_pc_amount (SOL), init_coin_amount (token)
+            const data = Buffer.alloc(26);
+            data[0] = 1;
+            data.writeBigUInt64LE(79005359057n, 10);
+            data.writeBigUInt64LE(206900000000000n, 18);
+
+            const keys = Array.from({ length: 21 }, (_, i) => `account-${i}`);
+            keys[4] = POOL;
+            keys[8] = MINT;
+            keys[9] = WSOL_MINT;
+            keys.push(RAYDIUM_V4);
+            const transaction = {
+                transaction: {
+                    message: {
+                        staticAccountKeys: keys,
+                        compiledInstructions: [{ programIdIndex: 21, accountKeyIndexes: keys.slice(0, 21).map((_, i) => i), data }]
+                    }
+                },
+                meta: { err: null, innerInstructions: [] }
+            };
+            const watcher = new MigrationWatcher(new DatabaseManager(':memory:'), new MigrationConnection(transaction));
+
+            const migration = await watcher.parseRaydiumMigration('signature');
+            assert.strictEqual(migration.mint, MINT);
+            assert.strictEqual(migration.pool, POOL);
+            assert.strictEqual(migration.destination, 'raydium');
+            assert.strictEqual(migration.initialReserves.sol, 79.005359057);
+            assert.strictEqual(migration.initialReserves.token, 206900000);
+        });
+
+        console.log(`\n${this.passed} passed, ${this.failed} failed`);
+        return this.failed === 0;
+    }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+    const testSuite = new PumpFunDecoderTestSuite();
+    testSuite.runAllTests()
+        .then(ok => process.exit(ok ? 0 : 1))
+        .catch(error => {
+            console.error(error);
+            process.exit(1);
+        });
+}
+
+module.exports = PumpFunDecoderTestSuite;
@@ -0,0 +1,257 @@
+// backend/tests/raydium-decoder-test.js
+// Checks Raydium AMM v4 / CPMM / CLMM pool-initialization decoding on
+// transactions built here in each RPC response shape (getParsedTransaction,
+// getTransaction with CPI, Helius enhanced), and that swaps decode to nothing.
+// Run with: node tests/raydium-decoder-test.js
+const assert = require('assert');
+const bs58 = require('bs58').default;
+const { Keypair, PublicKey } = require('@solana/web3.js');
+const RaydiumDecoder = require('../src/collectors/scanners/raydium_decoder');
+const RaydiumScanner = require('../src/collectors/scanners/raydium_scanner');
+const DatabaseManager = require('../src/utils/database');
+
+const { PROGRAMS, INSTRUCTIONS, WSOL_MINT } = RaydiumDecoder;
+const address = () => Keypair.generate().publicKey.toBase58();
+const u64 = (value) => {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64LE(BigInt(value));
+    return buffer;
+};
+const u128 = (value) => Buffer.concat([u64(value & ((1n << 64n) - 1n)), u64(value >> 64n)]);
+
+// initialize2: tag, nonce, open_time, init_pc_amount, init_coin_amount
+function v4Initialize({ coinMint, pcMint, openTime = 1700000000, pcAmount = 5000000000n, coinAmount = 800000000000000n }) {
+    const accounts = Array.from({ length: 21 }, address);
+    accounts[8] = coinMint;
+    accounts[9] = pcMint;
+    return {
+        programId: PROGRAMS.raydium_v4,
+        accounts,
+        data: Buffer.concat([INSTRUCTIONS.raydium_v4.initialize2, Buffer.from([254]), u64(openTime), u64(pcAmount), u64(coinAmount)])
+    };
+}
+
+// swap_base_in: tag 9, amount_in, minimum_amount_out - same program, not a pool creation
+function v4Swap() {
+    return {
+        programId: PROGRAMS.raydium_v4,
+        accounts: Array.from({ length: 18 }, address),
+        data: Buffer.concat([Buffer.from([9]), u64(1000000), u64(1)])
+    };
+}
+
+function cpmmInitialize({ mint0, mint1, amount0 = 1000n, amount1 = 2000n, openTime = 0 }) {
+    const accounts = Array.from({ length: 20 }, address);
+    accounts[4] = mint0;
+    accounts[5] = mint1;
+    return {
+        programId: PROGRAMS.raydium_cpmm,
+        accounts,
+        data: Buffer.concat([INSTRUCTIONS.raydium_cpmm.initialize, u64(amount0), u64(amount1), u64(openTime)])
+    };
+}
+
+function clmmCreatePool({ mint0, mint1, sqrtPriceX64, openTime = 0 }) {
+    const accounts = Array.from({ length: 13 }, address);
+    accounts[3] = mint0;
+    accounts[4] = mint1;
+    return {
+        programId: PROGRAMS.raydium_clmm,
+        accounts,
+        data: Buffer.concat([INSTRUCTIONS.raydium_clmm.create_pool, u128(sqrtPriceX64), u64(openTime)])
+    };
+}
+
+// getParsedTransaction: unknown programs come back partially decoded
+function parsedTransaction(instructions) {
+    return {
+        blockTime: 1700000100,
+        meta: { err: null, innerInstructions: [] },
+        transaction: {
+            signatures: [bs58.encode(Buffer.alloc(64, 7))],
+            message: {
+                accountKeys: [],
+                instructions: [
+                    { programId: new PublicKey('11111111111111111111111111111111'), parsed: { type: 'transfer' } },
+                    ...instructions.map(ix => ({
+                        programId: new PublicKey(ix.programId),
+                        accounts: ix.accounts.map(account => new PublicKey(account)),
+                        data: bs58.encode(ix.data)
+                    }))
+                ]
+            }
+        }
+    };
+}
+
+class RaydiumDecoderTestSuite {
+    constructor() {
+        this.decoder = new RaydiumDecoder();
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    async run(name, test) {
+        try {
+            await test();
+            this.passed++;
+            console.log(`  ✅ ${name}`);
+        } catch (error) {
+            this.failed++;
+            console.log(`  ❌ ${name}: ${error.message}`);
+        }
+    }
+
+    async runAllTests() {
+        console.log('🧪 Raydium decoder tests\n');
+
+        const token = address();
+
+        await this.run('decodes AMM v4 initialize2', () => {
+            const ix = v4Initialize({ coinMint: token, pcMint: WSOL_MINT });
+            const pool = this.decoder.decodeInstruction(ix.programId, ix.data, ix.accounts);
+
+            assert.strictEqual(pool.poolType, 'raydium_v4');
+            assert.strictEqual(pool.address, ix.accounts[4]);
+            assert.strictEqual(pool.baseMint, token);
+            assert.strictEqual(pool.quoteMint, WSOL_MINT);
+            assert.strictEqual(pool.baseVault, ix.accounts[10]);
+            assert.strictEqual(pool.quoteVault, ix.accounts[11]);
+            assert.strictEqual(pool.lpMint, ix.accounts[7]);
+            assert.strictEqual(pool.baseReserve, 800000000000000n);
+            assert.strictEqual(pool.quoteReserve, 5000000000n);
+            assert.strictEqual(pool.openTime, 1700000000);
+            assert.strictEqual(pool.market, ix.accounts[16]);
+            assert.strictEqual(this.decoder.tokenMint(pool), token);
+        });
+
+        await this.run('ignores swaps on the same program', () => {
+            const ix = v4Swap();
+            assert.strictEqual(this.decoder.decodeInstruction(ix.programId, ix.data, ix.accounts), null);
+            assert.deepStrictEqual(this.decoder.decodeTransaction(parsedTransaction([ix])), []);
+        });
+
+        await this.run('decodes CPMM initialize with SOL as token 0 onto the quote side', () => {
+            const ix = cpmmInitialize({ mint0: WSOL_MINT, mint1: token, amount0: 3000000000n, amount1: 42n, openTime: 1700000500 });
+            const pool = this.decoder.decodeInstruction(ix.programId, ix.data, ix.accounts);
+
+            assert.strictEqual(pool.poolType, 'raydium_cpmm');
+            assert.strictEqual(pool.address, ix.accounts[3]);
+            assert.strictEqual(pool.baseMint, token);
+            assert.strictEqual(pool.quoteMint, WSOL_MINT);
+            assert.strictEqual(pool.baseVault, ix.accounts[11]);
+            assert.strictEqual(pool.quoteVault, ix.accounts[10]);
+            assert.strictEqual(pool.lpMint, ix.accounts[6]);
+            assert.strictEqual(pool.baseReserve, 42n);
+            assert.strictEqual(pool.quoteReserve, 3000000000n);
+            assert.strictEqual(pool.openTime, 1700000500);
+        });
+
+        await this.run('decodes CLMM create_pool, inverting the price when flipped', () => {
+            const sqrtPriceX64 = 1n << 66n; // price 16 token1 per token0
+            const ix = clmmCreatePool({ mint0: WSOL_MINT, mint1: token, sqrtPriceX64 });
+            const pool = this.decoder.decodeInstruction(ix.programId, ix.data, ix.accounts);
+
+            assert.strictEqual(pool.poolType, 'raydium_clmm');
+            assert.strictEqual(pool.address, ix.accounts[2]);
+            assert.strictEqual(pool.baseMint, token);
+            assert.strictEqual(pool.quoteVault, ix.accounts[5]);
+            assert.strictEqual(pool.lpMint, null);
+            assert.strictEqual(pool.baseReserve, 0n);
+            assert.strictEqual(pool.sqrtPriceX64, 1n << 62n); // 1/16
+        });
+
+        await this.run('finds a pool created by CPI in a getTransaction response', () => {
+            const ix = v4Initialize({ coinMint: token, pcMint: WSOL_MINT });
+            const keys = [address(), address(), ix.programId, ...ix.accounts];
+            const index = (key) => keys.indexOf(key);
+
+            const [pool] = this.decoder.decodeTransaction({
+                meta: {
+                    err: null,
+                    loadedAddresses: { writable: [], readonly: [] },
+                    innerInstructions: [{
+                        index: 0,
+                        instructions: [{
+                            programIdIndex: index(ix.programId),
+                            accounts: ix.accounts.map(index),
+                            data: bs58.encode(ix.data)
+                        }]
+                    }]
+                },
+                transaction: {
+                    signatures: ['sig'],
+                    message: {
+                        staticAccountKeys: keys.map(key => new PublicKey(key)),
+                        compiledInstructions: [{ programIdIndex: 1, accountKeyIndexes: [0], data: Buffer.alloc(1) }]
+                    }
+                }
+            });
+
+            assert.strictEqual(pool.address, ix.accounts[4]);
+            assert.strictEqual(pool.lpMint, ix.accounts[7]);
+        });
+
+        await this.run('decodes Helius enhanced transactions', () => {
+            const ix = cpmmInitialize({ mint0: token, mint1: WSOL_MINT });
+            const [pool] = this.decoder.decodeTransaction({
+                signature: 'sig',
+                instructions: [{
+                    programId: address(),
+                    accounts: [],
+                    data: '',
+                    innerInstructions: [{ programId: ix.programId, accounts: ix.accounts, data: bs58.encode(ix.data) }]
+                }]
+            });
+
+            assert.strictEqual(pool.address, ix.accounts[3]);
+            assert.strictEqual(pool.baseMint, token);
+        });
+
+        await this.run('scanner reports the pool account, not the signature', async () => {
+            const scanner = new RaydiumScanner({});
+            const ix = v4Initialize({ coinMint: token, pcMint: WSOL_MINT });
+            const tx = parsedTransaction([ix]);
+
+            const info = await scanner.extractPoolInfo(tx, PROGRAMS.raydium_v4);
+            assert.strictEqual(info.address, token);
+            assert.strictEqual(info.poolId, ix.accounts[4]);
+            assert.strictEqual(info.poolAddress, ix.accounts[4]);
+            assert.strictEqual(info.pool.baseReserve, '800000000000000');
+            assert.strictEqual(info.createdAt, 1700000100000);
+
+            assert.strictEqual(await scanner.extractPoolInfo(parsedTransaction([v4Swap()]), PROGRAMS.raydium_v4), null);
+        });
+
+        await this.run('stores pool records by mint', () => {
+            const db = new DatabaseManager(':memory:');
+            const ix = v4Initialize({ coinMint: token, pcMint: WSOL_MINT });
+            const pool = this.decoder.decodeInstruction(ix.programId, ix.data, ix.accounts);
+
+            db.savePool(this.decoder.toRecord({ ...pool, signature: 'sig', createdAt: 1 }));
+            const [stored] = db.getPoolsForMint(token);
+            assert.strictEqual(stored.address, ix.accounts[4]);
+            assert.strictEqual(stored.pool_type, 'raydium_v4');
+            assert.strictEqual(stored.lp_mint, ix.accounts[7]);
+            assert.strictEqual(stored.initial_base_reserve, '800000000000000');
+            assert.strictEqual(stored.open_time, 1700000000);
+            assert.deepStrictEqual(db.getPool(ix.accounts[4]), stored);
+        });
+
+        console.log(`\n${this.passed} passed, ${this.failed} failed`);
+        return this.failed === 0;
+    }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+    const testSuite = new RaydiumDecoderTestSuite();
+    testSuite.runAllTests()
+        .then(ok => process.exit(ok ? 0 : 1))
+        .catch(error => {
+            console.error(error);
+            process.exit(1);
+        });
+}
+
+module.exports = RaydiumDecoderTestSuite;
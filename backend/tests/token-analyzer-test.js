@@ -0,0 +1,170 @@
+// backend/tests/token-analyzer-test.js
+// Runs TokenAnalyzer over the account fixtures in tests/fixtures/token_analyzer
+// (getAccountInfo payloads): an SPL mint with and without mint/freeze authorities,
+// a Token-2022 mint with TransferFee, TransferHook and PermanentDelegate, and a
+// Raydium v4 pool whose LP mint is burned or still held.
+// Run with: node tests/token-analyzer-test.js
+const assert = require('assert');
+const path = require('path');
+const { PublicKey } = require('@solana/web3.js');
+const TokenAnalyzer = require('../src/analzyers/token_analyzer');
+
+const { RISK_WEIGHTS } = TokenAnalyzer;
+const fixture = (name) => require(path.join(__dirname, 'fixtures', 'token_analyzer', `${name}.json`));
+
+// Serves fixture accounts; no holders and no creator token accounts unless set
+class MockConnection {
+    constructor(...fixtures) {
+        this.accounts = new Map();
+        for (const { pubkey, account } of fixtures) {
+            this.accounts.set(pubkey, {
+                ...account,
+                owner: new PublicKey(account.owner),
+                data: Buffer.from(account.data[0], 'base64')
+            });
+        }
+    }
+
+    async getAccountInfo(pubkey) {
+        return this.accounts.get(pubkey.toBase58()) || null;
+    }
+
+    async getMultipleAccountsInfo(pubkeys) {
+        return pubkeys.map(pubkey => this.accounts.get(pubkey.toBase58()) || null);
+    }
+
+    async getTokenLargestAccounts() {
+        return { value: [] };
+    }
+
+    async getTokenAccountsByOwner() {
+        return { value: [] };
+    }
+}
+
+// { check: [status, risk] } for comparing a breakdown
+const breakdown = (report) => Object.fromEntries(report.checks.map(({ check, status, risk }) => [check, [status, risk]]));
+
+class TokenAnalyzerTestSuite {
+    constructor() {
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    async run(name, test) {
+        try {
+            await test();
+            this.passed++;
+            console.log(`  ✅ ${name}`);
+        } catch (error) {
+            this.failed++;
+            console.log(`  ❌ ${name}: ${error.message}`);
+        }
+    }
+
+    analyze(token, ...fixtures) {
+        return new TokenAnalyzer(new MockConnection(...fixtures)).analyze(token);
+    }
+
+    async runAllTests() {
+        console.log('🧪 Token analyzer tests\n');
+
+        await this.run('flags live mint and freeze authorities', async () => {
+            const mint = fixture('mint_with_authorities');
+            const report = await this.analyze({ address: mint.pubkey, source: 'pumpfun' }, mint);
+
+            assert.strictEqual(report.tokenProgram, 'spl-token');
+            assert.deepStrictEqual(breakdown(report), {
+                mint_authority: ['fail', RISK_WEIGHTS.mintAuthority],
+                freeze_authority: ['fail', RISK_WEIGHTS.freezeAuthority],
+                holder_concentration: ['pass', 0],
+                creator_holdings: ['unknown', 0],
+                liquidity_lock: ['pass', 0]
+            });
+            assert.strictEqual(report.riskScore, RISK_WEIGHTS.mintAuthority + RISK_WEIGHTS.freezeAuthority);
+        });
+
+        await this.run('passes a mint with authorities revoked', async () => {
+            const mint = fixture('mint_revoked');
+            const report = await this.analyze({ address: mint.pubkey, source: 'pumpfun' }, mint);
+
+            assert.deepStrictEqual(breakdown(report), {
+                mint_authority: ['pass', 0],
+                freeze_authority: ['pass', 0],
+                holder_concentration: ['pass', 0],
+                creator_holdings: ['unknown', 0],
+                liquidity_lock: ['pass', 0]
+            });
+            assert.strictEqual(report.riskScore, 0);
+        });
+
+        await this.run('flags Token-2022 transfer fee, hook and permanent delegate', async () => {
+            const mint = fixture('token2022_extensions');
+            const report = await this.analyze({ address: mint.pubkey, source: 'pumpfun' }, mint);
+
+            assert.strictEqual(report.tokenProgram, 'token-2022');
+            assert.deepStrictEqual(breakdown(report), {
+                mint_authority: ['pass', 0],
+                freeze_authority: ['pass', 0],
+                transfer_fee: ['fail', RISK_WEIGHTS.transferFeeHigh],
+                transfer_hook: ['fail', RISK_WEIGHTS.transferHook],
+                permanent_delegate: ['fail', RISK_WEIGHTS.permanentDelegate],
+                holder_concentration: ['pass', 0],
+                creator_holdings: ['unknown', 0],
+                liquidity_lock: ['pass', 0]
+            });
+            assert.strictEqual(report.checks.find(c => c.check === 'transfer_fee').detail, 'Transfer fee of 10.00%');
+            assert.strictEqual(report.riskScore,
+                RISK_WEIGHTS.transferFeeHigh + RISK_WEIGHTS.transferHook + RISK_WEIGHTS.permanentDelegate);
+        });
+
+        await this.run('passes a pool whose LP is burned', async () => {
+            const mint = fixture('mint_revoked');
+            const pool = fixture('raydium_v4_pool');
+            const report = await this.analyze({ address: mint.pubkey, pairAddress: pool.pubkey },
+                mint, pool, fixture('lp_mint_burned'));
+
+            const liquidity = report.checks.find(c => c.check === 'liquidity_lock');
+            assert.deepStrictEqual([liquidity.status, liquidity.risk, liquidity.detail], ['pass', 0, '100.00% of LP burned']);
+            assert.strictEqual(report.riskScore, 0);
+        });
+
+        await this.run('fails a pool whose LP is still held', async () => {
+            const mint = fixture('mint_revoked');
+            const pool = fixture('raydium_v4_pool');
+            const report = await this.analyze({ address: mint.pubkey, pairAddress: pool.pubkey },
+                mint, pool, fixture('lp_mint_held'));
+
+            const liquidity = report.checks.find(c => c.check === 'liquidity_lock');
+            assert.deepStrictEqual([liquidity.status, liquidity.risk, liquidity.detail],
+                ['fail', RISK_WEIGHTS.liquidityUnlocked, '0.00% of LP burned']);
+            assert.strictEqual(report.riskScore, RISK_WEIGHTS.liquidityUnlocked);
+        });
+
+        await this.run('unreadable LP state is unknown, not a failure', async () => {
+            const mint = fixture('mint_revoked');
+            const pool = fixture('raydium_v4_pool');
+            // LP mint account missing
+            const report = await this.analyze({ address: mint.pubkey, pairAddress: pool.pubkey }, mint, pool);
+
+            const liquidity = report.checks.find(c => c.check === 'liquidity_lock');
+            assert.deepStrictEqual([liquidity.status, liquidity.risk], ['unknown', 0]);
+        });
+
+        console.log(`\n${this.passed} passed, ${this.failed} failed`);
+        return this.failed === 0;
+    }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+    const testSuite = new TokenAnalyzerTestSuite();
+    testSuite.runAllTests()
+        .then(ok => process.exit(ok ? 0 : 1))
+        .catch(error => {
+            console.error(error);
+            process.exit(1);
+        });
+}
+
+module.exports = TokenAnalyzerTestSuite;
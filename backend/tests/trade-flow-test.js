@@ -0,0 +1,132 @@
+// backend/tests/trade-flow-test.js
+// Checks TradeFlowTracker.parsePoolSwap on getTransaction responses built here,
+// including token balances whose uiAmount the RPC left null, and swap retention.
+// Run with: node tests/trade-flow-test.js
+const assert = require('assert');
+const { Keypair } = require('@solana/web3.js');
+const TradeFlowTracker = require('../src/collectors/trade_flow_tracker');
+const DatabaseManager = require('../src/utils/database');
+
+const WSOL_MINT = 'So11111111111111111111111111111111111111112';
+const MINT = Keypair.generate().publicKey.toBase58();
+const WALLET = Keypair.generate().publicKey.toBase58();
+const POOL = Keypair.generate().publicKey.toBase58();
+
+// Raw amounts only; uiAmount is null the way some RPCs return it
+const balance = (accountIndex, mint, owner, amount, decimals) => ({
+    accountIndex,
+    mint,
+    owner,
+    uiTokenAmount: { amount: amount.toString(), decimals, uiAmount: null, uiAmountString: null }
+});
+
+// Wallet's token account at 1, pool's WSOL vault at 2
+function swapTransaction({ tokensBefore, tokensAfter, vaultBefore, vaultAfter }) {
+    return {
+        blockTime: 1700000000,
+        meta: {
+            err: null,
+            preTokenBalances: [
+                balance(1, MINT, WALLET, tokensBefore, 6),
+                balance(2, WSOL_MINT, POOL, vaultBefore, 9)
+            ],
+            postTokenBalances: [
+                balance(1, MINT, WALLET, tokensAfter, 6),
+                balance(2, WSOL_MINT, POOL, vaultAfter, 9)
+            ]
+        },
+        transaction: { message: { accountKeys: [WALLET, Keypair.generate().publicKey.toBase58()] } }
+    };
+}
+
+class TradeFlowTestSuite {
+    constructor() {
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    async run(name, test) {
+        try {
+            await test();
+            this.passed++;
+            console.log(`  ✅ ${name}`);
+        } catch (error) {
+            this.failed++;
+            console.log(`  ❌ ${name}: ${error.message}`);
+        }
+    }
+
+    tracker(transaction) {
+        return new TradeFlowTracker(null, { getTransaction: async () => transaction });
+    }
+
+    async runAllTests() {
+        console.log('🧪 Trade flow tests\n');
+
+        await this.run('reads a buy from raw amounts when uiAmount is null', async () => {
+            const swap = await this.tracker(swapTransaction({
+                tokensBefore: 0, tokensAfter: 2500000000n, vaultBefore: 80000000000n, vaultAfter: 80500000000n
+            })).parsePoolSwap(MINT, 'sig');
+
+            assert.strictEqual(swap.side, 'buy');
+            assert.strictEqual(swap.wallet, WALLET);
+            assert.strictEqual(swap.tokenAmount, 2500);
+            assert.strictEqual(swap.solAmount, 0.5);
+            assert.strictEqual(swap.price, 0.0002);
+            assert.strictEqual(swap.timestamp, 1700000000000);
+        });
+
+        await this.run('reads a sell', async () => {
+            const swap = await this.tracker(swapTransaction({
+                tokensBefore: 2500000000n, tokensAfter: 500000000n, vaultBefore: 80500000000n, vaultAfter: 80100000000n
+            })).parsePoolSwap(MINT, 'sig');
+
+            assert.strictEqual(swap.side, 'sell');
+            assert.strictEqual(swap.tokenAmount, 2000);
+            assert.strictEqual(swap.solAmount, 0.4);
+        });
+
+        await this.run('ignores liquidity moves', async () => {
+            // Wallet tokens down while the pool's SOL goes up: a deposit, not a swap
+            const swap = await this.tracker(swapTransaction({
+                tokensBefore: 2500000000n, tokensAfter: 0, vaultBefore: 80000000000n, vaultAfter: 81000000000n
+            })).parsePoolSwap(MINT, 'sig');
+
+            assert.strictEqual(swap, null);
+        });
+
+        await this.run('prunes stored swaps past the longest window and the retention margin', () => {
+            const db = new DatabaseManager(':memory:');
+            const tracker = new TradeFlowTracker(db, null);
+            const minutesAgo = (minutes) => Date.now() - minutes * 60 * 1000;
+            const swap = (signature, timestamp) => ({
+                tokenAddress: MINT, signature, wallet: WALLET, side: 'buy', solAmount: 1, tokenAmount: 1000, timestamp
+            });
+
+            // 15 minute longest window + 60 minute margin
+            db.recordSwap(swap('recent', minutesAgo(1)));
+            db.recordSwap(swap('margin', minutesAgo(70)));
+            db.recordSwap(swap('stale', minutesAgo(80)));
+            tracker.pruneSwaps();
+
+            assert.deepStrictEqual(db.getSwaps(MINT).map(row => row.signature), ['margin', 'recent']);
+            assert.strictEqual(tracker.getStats().swapsPruned, 1);
+        });
+
+        console.log(`\n${this.passed} passed, ${this.failed} failed`);
+        return this.failed === 0;
+    }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+    const testSuite = new TradeFlowTestSuite();
+    testSuite.runAllTests()
+        .then(ok => process.exit(ok ? 0 : 1))
+        .catch(error => {
+            console.error(error);
+            process.exit(1);
+        });
+}
+
+module.exports = TradeFlowTestSuite;
@@ -376,7 +376,7 @@ const Dashboard = () => {
                                     </td>
                                     <td className="px-6 py-4 whitespace-nowrap">
                                         <span className={`px-2 py-1 inline-flex text-xs leading-5 font-semibold rounded-full ${
-                                            trade.status === 'completed' ? 'bg-green-100 text-green-800' :
+                                            ['completed', 'confirmed', 'finalized'].includes(trade.status) ? 'bg-green-100 text-green-800' :
                                             trade.status === 'pending' ? 'bg-yellow-100 text-yellow-800' :
                                             'bg-red-100 text-red-800'
                                         }`}>